@@ -1,92 +1,357 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { EXPORT_JOBS_CHANGED_EVENT } from './ExportJobsPanel';
+import ExportTemplateEditor from './ExportTemplateEditor';
 
-export default function ExportButton({ 
-  data = [], 
-  filename = 'export', 
-  endpoint = '', 
+const NEW_TEMPLATE = '__new';
+
+const FORMAT_LABELS = {
+  xlsx: 'Excel',
+  csv: 'CSV'
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function countNewlines(chunk) {
+  let count = 0;
+  for (let i = 0; i < chunk.length; i++) {
+    if (chunk[i] === 10) count++;
+  }
+  return count;
+}
+
+// Export endpoints stream the file (see lib/export-stream.js) and send the
+// expected row count in X-Export-Total-Rows, so we read the body chunk by
+// chunk and show progress instead of waiting on response.blob().
+// With `dataset` set, a second button queues the same export as a background
+// job (lib/export-jobs.js) that shows up under "My Exports" in the header, and
+// the user's saved export templates (columns / headers / sort) can be picked.
+export default function ExportButton({
+  data = [],
+  filename = 'export',
+  endpoint = '',
+  dataset = null,
   params = {},
-  disabled = false 
+  disabled = false,
+  formats = ['xlsx', 'csv']
 }) {
   const [exporting, setExporting] = useState(false);
+  const [format, setFormat] = useState(formats[0]);
+  const [progress, setProgress] = useState(null);
+  const [queueing, setQueueing] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateColumns, setTemplateColumns] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  // undefined = editor closed, null = new template, object = editing that template
+  const [editingTemplate, setEditingTemplate] = useState(undefined);
+
+  const isDisabled = disabled || data.length === 0;
+  const selectedTemplate = templates.find(template => String(template.id) === String(templateId)) || null;
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/exports/templates?dataset=${encodeURIComponent(dataset)}`);
+      if (!response.ok) return;
+
+      const result = await response.json();
+      if (result.success) {
+        setTemplates(result.templates);
+        setTemplateColumns(result.columns);
+      }
+    } catch (error) {
+      console.error('Error fetching export templates:', error);
+    }
+  }, [dataset]);
+
+  useEffect(() => {
+    if (dataset && !disabled) {
+      fetchTemplates();
+    }
+  }, [dataset, disabled, fetchTemplates]);
+
+  const handleTemplateChange = (value) => {
+    if (value === NEW_TEMPLATE) {
+      setEditingTemplate(null);
+    } else {
+      setTemplateId(value);
+    }
+  };
+
+  const handleTemplateSaved = async (template) => {
+    setEditingTemplate(undefined);
+    await fetchTemplates();
+    setTemplateId(String(template.id));
+  };
+
+  const handleTemplateDeleted = async () => {
+    setEditingTemplate(undefined);
+    setTemplateId('');
+    await fetchTemplates();
+  };
+
+  const exportPayload = () => ({
+    ...params,
+    format,
+    templateId: selectedTemplate ? selectedTemplate.id : undefined
+  });
 
   const handleExport = async () => {
-    if (disabled || data.length === 0) {
+    if (isDisabled) {
       alert('No data available for export');
       return;
     }
 
     try {
       setExporting(true);
-      
+      setProgress({ percent: null, text: 'Preparing...' });
+
       const response = await fetch(endpoint, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(params),
+        body: JSON.stringify(exportPayload()),
       });
 
-      if (response.ok) {
-        // Create download link
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        
-        // Get filename from response headers or use default
-        const contentDisposition = response.headers.get('content-disposition');
-        const downloadFilename = contentDisposition 
-          ? contentDisposition.split('filename=')[1].replace(/"/g, '')
-          : `${filename}_${new Date().toISOString().split('T')[0]}.csv`;
-        
-        a.download = downloadFilename;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      } else {
-        const error = await response.json();
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
         alert(`Export failed: ${error.error || 'Unknown error'}`);
+        return;
+      }
+
+      const totalRows = parseInt(response.headers.get('x-export-total-rows')) || 0;
+      const truncated = response.headers.get('x-export-truncated') === 'true';
+      const reader = response.body.getReader();
+      const chunks = [];
+      let receivedBytes = 0;
+      let receivedLines = 0;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        receivedBytes += value.length;
+
+        if (format === 'csv' && totalRows > 0) {
+          receivedLines += countNewlines(value);
+          // First line is the header row
+          const rows = Math.max(receivedLines - 1, 0);
+          const percent = Math.min(100, Math.round((rows / totalRows) * 100));
+          setProgress({ percent, text: `${percent}%` });
+        } else {
+          setProgress({ percent: null, text: formatBytes(receivedBytes) });
+        }
+      }
+
+      // Create download link
+      const blob = new Blob(chunks, { type: response.headers.get('content-type') || 'application/octet-stream' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = url;
+
+      // Get filename from response headers or use default
+      const contentDisposition = response.headers.get('content-disposition');
+      const downloadFilename = contentDisposition
+        ? contentDisposition.split('filename=')[1].replace(/"/g, '')
+        : `${filename}_${new Date().toISOString().split('T')[0]}.${format}`;
+
+      a.download = downloadFilename;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+
+      if (truncated) {
+        alert(`Export limited to ${totalRows.toLocaleString()} rows for your role. Narrow the filters to export the rest.`);
       }
     } catch (error) {
       console.error('Export error:', error);
       alert('Export failed. Please try again.');
     } finally {
       setExporting(false);
+      setProgress(null);
+    }
+  };
+
+  const handleQueue = async () => {
+    if (isDisabled) {
+      alert('No data available for export');
+      return;
+    }
+
+    try {
+      setQueueing(true);
+      const response = await fetch('/api/exports/jobs', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...exportPayload(), dataset }),
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        alert(`Queue failed: ${result.error || 'Unknown error'}`);
+        return;
+      }
+
+      window.dispatchEvent(new Event(EXPORT_JOBS_CHANGED_EVENT));
+      alert('Export queued. Download it from "My Exports" in the header when it is ready.');
+    } catch (error) {
+      console.error('Queue export error:', error);
+      alert('Queue failed. Please try again.');
+    } finally {
+      setQueueing(false);
     }
   };
 
   return (
-    <button
-      onClick={handleExport}
-      disabled={disabled || exporting || data.length === 0}
-      style={{
-        padding: '8px 16px',
-        borderRadius: '6px',
-        border: 'none',
-        fontSize: '14px',
-        fontWeight: '600',
-        backgroundColor: disabled || data.length === 0 ? '#f3f4f6' : '#10b981',
-        color: disabled || data.length === 0 ? '#9ca3af' : 'white',
-        cursor: disabled || data.length === 0 ? 'not-allowed' : 'pointer',
-        transition: 'all 0.3s ease',
-        display: 'flex',
-        alignItems: 'center',
-        gap: '8px'
-      }}
-    >
-      {exporting ? (
-        <>
-          <span>⏳</span>
-          <span>Exporting...</span>
-        </>
-      ) : (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+      {dataset && !disabled && (
         <>
-          <span>📥</span>
-          <span>Export CSV</span>
+          <select
+            value={selectedTemplate ? String(selectedTemplate.id) : ''}
+            onChange={(e) => handleTemplateChange(e.target.value)}
+            disabled={exporting}
+            title="Export template"
+            style={{
+              padding: '8px 8px',
+              borderRadius: '6px',
+              border: '1px solid #d1d5db',
+              fontSize: '14px',
+              fontWeight: '500',
+              backgroundColor: 'white',
+              maxWidth: '180px'
+            }}
+          >
+            <option value="">All columns</option>
+            {templates.map(template => (
+              <option key={template.id} value={String(template.id)}>{template.name}</option>
+            ))}
+            <option value={NEW_TEMPLATE}>➕ New template...</option>
+          </select>
+          {selectedTemplate && (
+            <button
+              onClick={() => setEditingTemplate(selectedTemplate)}
+              title="Edit template"
+              style={{
+                padding: '8px 10px',
+                borderRadius: '6px',
+                border: '1px solid #d1d5db',
+                fontSize: '14px',
+                backgroundColor: 'white',
+                cursor: 'pointer'
+              }}
+            >
+              ✏️
+            </button>
+          )}
         </>
       )}
-    </button>
+
+      {formats.length > 1 && (
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          disabled={exporting}
+          style={{
+            padding: '8px 8px',
+            borderRadius: '6px',
+            border: '1px solid #d1d5db',
+            fontSize: '14px',
+            fontWeight: '500',
+            backgroundColor: 'white'
+          }}
+        >
+          {formats.map(option => (
+            <option key={option} value={option}>{FORMAT_LABELS[option] || option.toUpperCase()}</option>
+          ))}
+        </select>
+      )}
+
+      <button
+        onClick={handleExport}
+        disabled={isDisabled || exporting}
+        style={{
+          position: 'relative',
+          overflow: 'hidden',
+          padding: '8px 16px',
+          borderRadius: '6px',
+          border: 'none',
+          fontSize: '14px',
+          fontWeight: '600',
+          backgroundColor: isDisabled ? '#f3f4f6' : '#10b981',
+          color: isDisabled ? '#9ca3af' : 'white',
+          cursor: isDisabled ? 'not-allowed' : 'pointer',
+          transition: 'all 0.3s ease',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}
+      >
+        {/* Progress fill behind the label */}
+        {exporting && progress?.percent !== null && progress?.percent !== undefined && (
+          <span style={{
+            position: 'absolute',
+            left: 0,
+            top: 0,
+            bottom: 0,
+            width: `${progress.percent}%`,
+            backgroundColor: 'rgba(255, 255, 255, 0.25)',
+            transition: 'width 0.2s ease'
+          }} />
+        )}
+        {exporting ? (
+          <>
+            <span>⏳</span>
+            <span>Exporting... {progress?.text}</span>
+          </>
+        ) : (
+          <>
+            <span>📥</span>
+            <span>Export {FORMAT_LABELS[format] || format.toUpperCase()}</span>
+          </>
+        )}
+      </button>
+
+      {dataset && (
+        <button
+          onClick={handleQueue}
+          disabled={isDisabled || queueing}
+          title="Run this export in the background"
+          style={{
+            padding: '8px 12px',
+            borderRadius: '6px',
+            border: '1px solid #10b981',
+            fontSize: '14px',
+            fontWeight: '600',
+            backgroundColor: 'white',
+            color: isDisabled ? '#9ca3af' : '#059669',
+            cursor: isDisabled ? 'not-allowed' : 'pointer',
+            transition: 'all 0.3s ease'
+          }}
+        >
+          {queueing ? '⏳' : '🕒 Queue'}
+        </button>
+      )}
+
+      {editingTemplate !== undefined && (
+        <ExportTemplateEditor
+          key={editingTemplate ? editingTemplate.id : NEW_TEMPLATE}
+          dataset={dataset}
+          columns={templateColumns}
+          template={editingTemplate}
+          onClose={() => setEditingTemplate(undefined)}
+          onSaved={handleTemplateSaved}
+          onDeleted={handleTemplateDeleted}
+        />
+      )}
+    </div>
   );
-} 
\ No newline at end of file
+}
@@ -0,0 +1,266 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Fired by ExportButton after queueing a job so the panel refreshes immediately
+export const EXPORT_JOBS_CHANGED_EVENT = 'export-jobs-changed';
+
+const ACTIVE_POLL_INTERVAL = 3000;
+const IDLE_POLL_INTERVAL = 60000;
+
+const STATUS_LABELS = {
+  queued: '🕒 Queued',
+  running: '⏳ Running',
+  done: '✅ Ready',
+  failed: '❌ Failed'
+};
+
+function formatFileSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatExpiry(expiresAt) {
+  const hours = Math.max(0, Math.round((new Date(expiresAt) - Date.now()) / 3600000));
+  return hours < 1 ? 'expires soon' : `expires in ${hours}h`;
+}
+
+function getProgressText(job) {
+  if (job.status === 'running' && job.totalRows) {
+    return `${Math.round((job.rowsWritten / job.totalRows) * 100)}% of ${job.totalRows.toLocaleString()} rows`;
+  }
+  if (job.status === 'done') {
+    return `${job.rowsWritten.toLocaleString()} rows · ${formatFileSize(job.fileSize)} · ${formatExpiry(job.expiresAt)}`;
+  }
+  if (job.status === 'failed') {
+    return job.error;
+  }
+  return new Date(job.createdAt).toLocaleString();
+}
+
+// "My Exports" dropdown in the header listing the user's background export jobs
+export default function ExportJobsPanel() {
+  const [open, setOpen] = useState(false);
+  const [jobs, setJobs] = useState([]);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await fetch('/api/exports/jobs');
+      if (!response.ok) return;
+
+      const result = await response.json();
+      if (result.success) {
+        setJobs(result.jobs);
+      }
+    } catch (error) {
+      console.error('Error fetching export jobs:', error);
+    }
+  }, []);
+
+  const hasActiveJobs = jobs.some(job => job.status === 'queued' || job.status === 'running');
+
+  useEffect(() => {
+    fetchJobs();
+    window.addEventListener(EXPORT_JOBS_CHANGED_EVENT, fetchJobs);
+    return () => window.removeEventListener(EXPORT_JOBS_CHANGED_EVENT, fetchJobs);
+  }, [fetchJobs]);
+
+  useEffect(() => {
+    const interval = setInterval(fetchJobs, hasActiveJobs || open ? ACTIVE_POLL_INTERVAL : IDLE_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchJobs, hasActiveJobs, open]);
+
+  const handleRemove = async (jobId) => {
+    try {
+      await fetch('/api/exports/jobs', {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ id: jobId }),
+      });
+    } catch (error) {
+      console.error('Error removing export job:', error);
+    }
+    fetchJobs();
+  };
+
+  const readyCount = jobs.filter(job => job.status === 'done').length;
+
+  return (
+    <div className="exports">
+      <button className="exports-btn" onClick={() => setOpen(!open)} title="My Exports">
+        <span>{hasActiveJobs ? '⏳' : '📁'}</span>
+        <span className="exports-text">My Exports</span>
+        {readyCount > 0 && <span className="exports-badge">{readyCount}</span>}
+      </button>
+
+      {open && (
+        <div className="exports-panel">
+          <div className="exports-panel-header">
+            <strong>My Exports</strong>
+            <button className="exports-close" onClick={() => setOpen(false)}>✕</button>
+          </div>
+
+          {jobs.length === 0 ? (
+            <div className="exports-empty">
+              No exports yet. Use 🕒 Queue next to an export button to run one in the background.
+            </div>
+          ) : (
+            <ul className="exports-list">
+              {jobs.map(job => (
+                <li key={job.id} className="exports-item">
+                  <div className="exports-item-main">
+                    <div className="exports-item-title">
+                      {job.label}{job.templateName ? ` (${job.templateName})` : ''} · {job.format.toUpperCase()}
+                      {job.truncated && <span className="exports-truncated" title="Capped at your role's export row limit"> (limited)</span>}
+                    </div>
+                    <div className="exports-item-meta">
+                      {STATUS_LABELS[job.status] || job.status} · {getProgressText(job)}
+                    </div>
+                  </div>
+                  <div className="exports-item-actions">
+                    {job.status === 'done' && (
+                      <a className="exports-download" href={`/api/exports/download?id=${job.id}`}>📥</a>
+                    )}
+                    {job.status !== 'running' && (
+                      <button className="exports-remove" onClick={() => handleRemove(job.id)} title="Remove">🗑️</button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <style jsx>{`
+        .exports-btn {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 14px;
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 25px;
+          color: #ffffff;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .exports-btn:hover {
+          background: rgba(255, 255, 255, 0.2);
+        }
+
+        .exports-text {
+          white-space: nowrap;
+        }
+
+        .exports-badge {
+          background: #10b981;
+          color: #ffffff;
+          border-radius: 10px;
+          padding: 0 7px;
+          font-size: 0.75rem;
+          font-weight: 700;
+        }
+
+        /* Fixed so it isn't clipped by the header's overflow: hidden */
+        .exports-panel {
+          position: fixed;
+          top: 85px;
+          right: 32px;
+          width: 380px;
+          max-height: 420px;
+          overflow-y: auto;
+          background: #ffffff;
+          border-radius: 8px;
+          box-shadow: 0 10px 30px rgba(0, 0, 0, 0.25);
+          z-index: 1000;
+        }
+
+        .exports-panel-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 16px;
+          border-bottom: 1px solid #e5e7eb;
+          color: #1f2937;
+        }
+
+        .exports-close {
+          background: none;
+          border: none;
+          cursor: pointer;
+          color: #6b7280;
+        }
+
+        .exports-empty {
+          padding: 20px 16px;
+          color: #6b7280;
+          font-size: 0.9rem;
+        }
+
+        .exports-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .exports-item {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+          padding: 10px 16px;
+          border-bottom: 1px solid #f3f4f6;
+        }
+
+        .exports-item-title {
+          font-size: 0.9rem;
+          font-weight: 600;
+          color: #1f2937;
+        }
+
+        .exports-truncated {
+          color: #d97706;
+          font-weight: 500;
+        }
+
+        .exports-item-meta {
+          font-size: 0.8rem;
+          color: #6b7280;
+          margin-top: 2px;
+        }
+
+        .exports-item-actions {
+          display: flex;
+          gap: 6px;
+        }
+
+        .exports-download,
+        .exports-remove {
+          background: none;
+          border: none;
+          cursor: pointer;
+          font-size: 1rem;
+          text-decoration: none;
+        }
+
+        @media (max-width: 768px) {
+          .exports-text {
+            display: none;
+          }
+
+          .exports-panel {
+            right: 16px;
+            width: calc(100vw - 32px);
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import { useState } from 'react';
+
+const MAX_SORT_COLUMNS = 3;
+
+const inputStyle = {
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #d1d5db',
+  fontSize: '13px'
+};
+
+const smallButtonStyle = {
+  padding: '2px 8px',
+  borderRadius: '4px',
+  border: '1px solid #d1d5db',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Editor rows: every table column, template columns first in template order
+function buildColumnRows(columns, template) {
+  const templateColumns = template?.columns || [];
+  const selectedKeys = templateColumns.map(column => column.key);
+
+  return [
+    ...templateColumns
+      .filter(column => columns.includes(column.key))
+      .map(column => ({ key: column.key, header: column.header, included: true })),
+    ...columns
+      .filter(column => !selectedKeys.includes(column))
+      .map(column => ({ key: column, header: column, included: !template }))
+  ];
+}
+
+function buildSortRows(template) {
+  const sort = template?.sort || [];
+  return Array.from({ length: MAX_SORT_COLUMNS }, (_, index) => ({
+    column: sort[index]?.column || '',
+    direction: sort[index]?.direction || 'ASC'
+  }));
+}
+
+// Modal for creating / editing / deleting a user's export template
+// (lib/export-templates.js). `template` null = new template.
+export default function ExportTemplateEditor({ dataset, columns, template, onClose, onSaved, onDeleted }) {
+  const [name, setName] = useState(template?.name || '');
+  const [columnRows, setColumnRows] = useState(() => buildColumnRows(columns, template));
+  const [sortRows, setSortRows] = useState(() => buildSortRows(template));
+  const [saving, setSaving] = useState(false);
+
+  const updateColumn = (index, changes) => {
+    setColumnRows(rows => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const moveColumn = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= columnRows.length) return;
+
+    setColumnRows(rows => {
+      const next = [...rows];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const updateSort = (index, changes) => {
+    setSortRows(rows => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSave = async () => {
+    const selectedColumns = columnRows
+      .filter(row => row.included)
+      .map(row => ({ key: row.key, header: row.header.trim() || row.key }));
+
+    if (!name.trim()) {
+      alert('Template name is required');
+      return;
+    }
+    if (selectedColumns.length === 0) {
+      alert('Select at least one column');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/exports/templates', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          id: template?.id,
+          dataset,
+          name: name.trim(),
+          columns: selectedColumns,
+          sort: sortRows.filter(row => row.column)
+        }),
+      });
+
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        alert(`Save failed: ${result.error || 'Unknown error'}`);
+        return;
+      }
+
+      onSaved(result.template);
+    } catch (error) {
+      console.error('Save template error:', error);
+      alert('Save failed. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!template || !confirm(`Delete export template "${template.name}"?`)) return;
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/exports/templates', {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ id: template.id }),
+      });
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        alert(`Delete failed: ${result.error || 'Unknown error'}`);
+        return;
+      }
+
+      onDeleted(template.id);
+    } catch (error) {
+      console.error('Delete template error:', error);
+      alert('Delete failed. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      zIndex: 9999
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '12px',
+        boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+        maxWidth: '640px',
+        width: '90%',
+        maxHeight: '85vh',
+        overflowY: 'auto',
+        zIndex: 10000
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '20px',
+          borderBottom: '1px solid #e5e7eb',
+          paddingBottom: '15px'
+        }}>
+          <h3 style={{ margin: 0, color: '#1f2937', fontSize: '20px', fontWeight: '600' }}>
+            {template ? '✏️ Edit Export Template' : '➕ New Export Template'}
+          </h3>
+          <button onClick={onClose} style={{ ...smallButtonStyle, border: 'none', fontSize: '16px' }}>✕</button>
+        </div>
+
+        {/* NAME */}
+        <label style={{ display: 'block', fontWeight: '600', color: '#374151', fontSize: '13px', marginBottom: '6px' }}>
+          Template Name
+        </label>
+        <input
+          type="text"
+          value={name}
+          maxLength={100}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Finance monthly"
+          style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', marginBottom: '20px' }}
+        />
+
+        {/* COLUMNS */}
+        <div style={{ fontWeight: '600', color: '#374151', fontSize: '13px', marginBottom: '6px' }}>
+          Columns ({columnRows.filter(row => row.included).length} selected)
+        </div>
+        <div style={{ border: '1px solid #e5e7eb', borderRadius: '8px', marginBottom: '20px' }}>
+          {columnRows.map((row, index) => (
+            <div key={row.key} style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px',
+              padding: '6px 10px',
+              borderBottom: index < columnRows.length - 1 ? '1px solid #f3f4f6' : 'none',
+              opacity: row.included ? 1 : 0.5
+            }}>
+              <input
+                type="checkbox"
+                checked={row.included}
+                onChange={(e) => updateColumn(index, { included: e.target.checked })}
+              />
+              <span style={{ width: '160px', fontSize: '13px', color: '#374151', fontFamily: 'monospace' }}>{row.key}</span>
+              <input
+                type="text"
+                value={row.header}
+                maxLength={100}
+                disabled={!row.included}
+                onChange={(e) => updateColumn(index, { header: e.target.value })}
+                placeholder="Header"
+                style={{ ...inputStyle, flex: 1 }}
+              />
+              <button onClick={() => moveColumn(index, -1)} disabled={index === 0} style={smallButtonStyle}>↑</button>
+              <button onClick={() => moveColumn(index, 1)} disabled={index === columnRows.length - 1} style={smallButtonStyle}>↓</button>
+            </div>
+          ))}
+        </div>
+
+        {/* SORT ORDER */}
+        <div style={{ fontWeight: '600', color: '#374151', fontSize: '13px', marginBottom: '6px' }}>
+          Sort Order
+        </div>
+        {sortRows.map((row, index) => (
+          <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' }}>
+            <span style={{ width: '60px', fontSize: '13px', color: '#6b7280' }}>{index === 0 ? 'Sort by' : 'Then by'}</span>
+            <select
+              value={row.column}
+              onChange={(e) => updateSort(index, { column: e.target.value })}
+              style={{ ...inputStyle, flex: 1 }}
+            >
+              <option value="">— none —</option>
+              {columns.map(column => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+            <select
+              value={row.direction}
+              onChange={(e) => updateSort(index, { direction: e.target.value })}
+              disabled={!row.column}
+              style={inputStyle}
+            >
+              <option value="ASC">Ascending</option>
+              <option value="DESC">Descending</option>
+            </select>
+          </div>
+        ))}
+
+        {/* ACTIONS */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '20px' }}>
+          <div>
+            {template && (
+              <button
+                onClick={handleDelete}
+                disabled={saving}
+                style={{ ...inputStyle, backgroundColor: '#fef2f2', color: '#dc2626', borderColor: '#fecaca', cursor: 'pointer', fontWeight: '600' }}
+              >
+                🗑️ Delete
+              </button>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button onClick={onClose} disabled={saving} style={{ ...inputStyle, backgroundColor: 'white', cursor: 'pointer', fontWeight: '600' }}>
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              style={{ ...inputStyle, backgroundColor: '#10b981', color: 'white', border: 'none', cursor: 'pointer', fontWeight: '600' }}
+            >
+              {saving ? '⏳ Saving...' : '💾 Save Template'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
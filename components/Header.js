@@ -1,10 +1,22 @@
 import { useRouter } from 'next/router';
 import { useAuth } from '../hooks/useAuth';
+import { useDataFreshness } from '../hooks/useLastUpdate';
 import Image from 'next/image';
+import ExportJobsPanel from './ExportJobsPanel';
+import { canExportData } from '../lib/roles';
+
+// One line per source table, e.g. "Deposit Monthly: 2025-07-28 (3d old, limit 2d)"
+function formatFreshnessTooltip(freshness) {
+  return freshness.tables.map(entry => {
+    if (!entry.latestDate) return `${entry.label}: ${entry.status === 'missing' ? 'not available' : 'no data'}`;
+    return `${entry.label}: ${entry.latestDate} (${entry.ageDays}d old, limit ${entry.staleAfterDays}d)`;
+  }).join('\n');
+}
 
 export default function Header({ title, sidebarExpanded = true, setSidebarExpanded }) {
   const router = useRouter();
   const { user } = useAuth(); // Get user from auth hook
+  const { freshness } = useDataFreshness(router.pathname);
 
   const getPageTitle = () => {
     if (title) return title; // Use custom title if provided
@@ -14,6 +26,14 @@ export default function Header({ title, sidebarExpanded = true, setSidebarExpand
         return 'Main Dashboard';
       case '/users':
         return 'User Management';
+      case '/audit-log':
+        return 'Audit Log';
+      case '/data-load':
+        return 'Data Load';
+      case '/rollups':
+        return 'Monthly Rollups';
+      case '/data-quality':
+        return 'Data Quality';
       case '/strategic-executive':
         return 'Strategic Executive';
       case '/business-flow':
@@ -67,15 +87,6 @@ export default function Header({ title, sidebarExpanded = true, setSidebarExpand
       console.error('❌ Logout API error:', error);
     }
     
-    try {
-      document.cookie = 'user_id=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT';
-      document.cookie = 'username=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT'; 
-      document.cookie = 'user_role=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT';
-      console.log('🍪 Cookies cleared manually');
-    } catch (cookieError) {
-      console.error('Cookie clear error:', cookieError);
-    }
-    
     console.log('🔄 Redirecting to login...');
     window.location.href = '/login';
   };
@@ -98,6 +109,21 @@ export default function Header({ title, sidebarExpanded = true, setSidebarExpand
             </div>
           )}
           
+          {/* Freshness of the tables feeding this page */}
+          {user && freshness && (
+            <div
+              className={`freshness-badge ${freshness.status === 'stale' ? 'stale' : ''}`}
+              title={formatFreshnessTooltip(freshness)}
+            >
+              {freshness.status === 'stale'
+                ? `⚠️ Stale data (${freshness.staleTables.length})`
+                : '🟢 Data fresh'}
+            </div>
+          )}
+
+          {/* Background export jobs */}
+          {user && canExportData(user.role) && <ExportJobsPanel />}
+
           {/* Malaysian Flag */}
           <div className="malaysia-flag">
             <Image 
@@ -212,6 +238,24 @@ export default function Header({ title, sidebarExpanded = true, setSidebarExpand
           font-weight: 700;
         }
         
+        .freshness-badge {
+          padding: 6px 12px;
+          border-radius: 20px;
+          background: rgba(16, 185, 129, 0.15);
+          border: 1px solid rgba(16, 185, 129, 0.4);
+          color: #d1fae5;
+          font-size: 0.8rem;
+          font-weight: 600;
+          white-space: nowrap;
+          cursor: help;
+        }
+        
+        .freshness-badge.stale {
+          background: rgba(245, 158, 11, 0.2);
+          border-color: rgba(245, 158, 11, 0.6);
+          color: #fde68a;
+        }
+        
         .malaysia-flag {
           display: flex;
           align-items: center;
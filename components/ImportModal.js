@@ -0,0 +1,278 @@
+import { useState } from 'react';
+
+const STATUS_STYLES = {
+  new: { label: 'NEW', color: '#10b981' },
+  conflict: { label: 'CONFLICT', color: '#f59e0b' },
+  error: { label: 'ERROR', color: '#ef4444' }
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  borderRadius: '6px',
+  border: '1px solid #d1d5db',
+  backgroundColor: 'white',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  return String(value);
+}
+
+// Base64 payload of a File, without the data URL prefix
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Modal for bulk CSV/XLSX import (lib/data-import.js): upload, review the
+// validated preview, pick skip/overwrite for each conflict, then commit.
+// `endpoint` is the dataset's API base, e.g. '/api/exchange'.
+export default function ImportModal({ endpoint, title, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const sendImport = async (action, payload = {}) => {
+    const response = await fetch(`${endpoint}/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        action,
+        fileName: file.name,
+        file: await readFileAsBase64(file),
+        ...payload
+      }),
+    });
+    return response.json();
+  };
+
+  const handlePreview = async () => {
+    if (!file) return;
+
+    try {
+      setBusy(true);
+      const result = await sendImport('preview');
+      if (!result.success) {
+        alert(`Preview failed: ${result.error || 'Unknown error'}`);
+        return;
+      }
+
+      setPreview(result);
+      setResolutions({});
+    } catch (error) {
+      console.error('Import preview error:', error);
+      alert('Preview failed. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setAllConflicts = (resolution) => {
+    const next = {};
+    preview.rows
+      .filter(row => row.status === 'conflict')
+      .forEach(row => { next[row.data[preview.keyColumn]] = resolution; });
+    setResolutions(next);
+  };
+
+  const handleCommit = async () => {
+    const overwriteCount = Object.values(resolutions).filter(value => value === 'overwrite').length;
+    if (!confirm(`Import ${preview.summary.new} new row(s) and overwrite ${overwriteCount} existing row(s)?`)) return;
+
+    try {
+      setBusy(true);
+      const result = await sendImport('commit', { resolutions });
+      if (!result.success) {
+        alert(`Import failed: ${result.error || 'Unknown error'}`);
+        return;
+      }
+
+      alert(result.message);
+      onImported(result.summary);
+    } catch (error) {
+      console.error('Import commit error:', error);
+      alert('Import failed. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canCommit = preview && preview.summary.errors === 0 && (preview.summary.new > 0 || preview.summary.conflicts > 0);
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      zIndex: 9999
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '12px',
+        boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+        maxWidth: '1100px',
+        width: '95%',
+        maxHeight: '90vh',
+        display: 'flex',
+        flexDirection: 'column',
+        zIndex: 10000
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '20px',
+          borderBottom: '1px solid #e5e7eb',
+          paddingBottom: '15px'
+        }}>
+          <h3 style={{ margin: 0, color: '#1f2937', fontSize: '20px', fontWeight: '600' }}>📤 {title}</h3>
+          <button onClick={onClose} disabled={busy} style={{ ...buttonStyle, border: 'none', fontSize: '16px' }}>✕</button>
+        </div>
+
+        {/* FILE PICKER */}
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '16px' }}>
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setPreview(null);
+            }}
+          />
+          <button
+            onClick={handlePreview}
+            disabled={!file || busy}
+            style={{ ...buttonStyle, backgroundColor: !file || busy ? '#f3f4f6' : '#3b82f6', color: !file || busy ? '#9ca3af' : 'white', border: 'none' }}
+          >
+            {busy && !preview ? '⏳ Checking...' : '🔍 Preview'}
+          </button>
+        </div>
+        <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '16px' }}>
+          First sheet, first row = column names (same names as the table). Dates as YYYY-MM-DD.
+          MONTH, YEAR and UNIQUEKEY are filled automatically when left empty.
+        </div>
+
+        {preview && (
+          <>
+            {/* SUMMARY */}
+            <div style={{ display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px', fontSize: '14px' }}>
+              <strong>{preview.summary.total} rows</strong>
+              <span style={{ color: STATUS_STYLES.new.color }}>✅ {preview.summary.new} new</span>
+              <span style={{ color: STATUS_STYLES.conflict.color }}>⚠️ {preview.summary.conflicts} conflicts</span>
+              <span style={{ color: STATUS_STYLES.error.color }}>❌ {preview.summary.errors} errors</span>
+              {preview.summary.conflicts > 0 && (
+                <span style={{ display: 'flex', gap: '8px', marginLeft: 'auto' }}>
+                  <button onClick={() => setAllConflicts('skip')} style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}>Skip all conflicts</button>
+                  <button onClick={() => setAllConflicts('overwrite')} style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}>Overwrite all conflicts</button>
+                </span>
+              )}
+            </div>
+            {preview.ignoredColumns.length > 0 && (
+              <div style={{ fontSize: '12px', color: '#92400e', marginBottom: '12px' }}>
+                Ignored columns (not in the table): {preview.ignoredColumns.join(', ')}
+              </div>
+            )}
+
+            {/* PREVIEW TABLE */}
+            <div style={{ flex: 1, overflow: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                  <tr style={{ background: '#f9fafb', position: 'sticky', top: 0 }}>
+                    <th style={{ padding: '8px', textAlign: 'left' }}>ROW</th>
+                    <th style={{ padding: '8px', textAlign: 'left' }}>STATUS</th>
+                    {preview.columns.map(column => (
+                      <th key={column} style={{ padding: '8px', textAlign: 'left', whiteSpace: 'nowrap' }}>
+                        {column.replace(/_/g, ' ').toUpperCase()}
+                      </th>
+                    ))}
+                    <th style={{ padding: '8px', textAlign: 'left' }}>ISSUES / ACTION</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(row => {
+                    const key = row.data[preview.keyColumn];
+                    const status = STATUS_STYLES[row.status];
+
+                    return (
+                      <tr key={row.rowNumber} style={{ borderTop: '1px solid #f3f4f6', background: row.status === 'error' ? '#fef2f2' : 'white' }}>
+                        <td style={{ padding: '6px 8px', color: '#6b7280' }}>{row.rowNumber}</td>
+                        <td style={{ padding: '6px 8px' }}>
+                          <span style={{ color: 'white', backgroundColor: status.color, padding: '2px 6px', borderRadius: '4px', fontSize: '11px', fontWeight: '600' }}>
+                            {status.label}
+                          </span>
+                        </td>
+                        {preview.columns.map(column => {
+                          const changed = row.existing && String(row.existing[column] ?? '') !== String(row.data[column] ?? '');
+                          return (
+                            <td
+                              key={column}
+                              title={changed ? `Current: ${formatValue(row.existing[column])}` : undefined}
+                              style={{ padding: '6px 8px', whiteSpace: 'nowrap', fontWeight: changed ? '700' : 'normal', color: changed ? '#b45309' : '#1f2937' }}
+                            >
+                              {formatValue(row.data[column])}
+                            </td>
+                          );
+                        })}
+                        <td style={{ padding: '6px 8px' }}>
+                          {row.status === 'error' && (
+                            <span style={{ color: '#b91c1c' }}>{row.errors.join('; ')}</span>
+                          )}
+                          {row.status === 'conflict' && (
+                            <select
+                              value={resolutions[key] || 'skip'}
+                              onChange={(e) => setResolutions(prev => ({ ...prev, [key]: e.target.value }))}
+                              style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid #d1d5db', fontSize: '12px' }}
+                            >
+                              <option value="skip">Skip (keep current)</option>
+                              <option value="overwrite">Overwrite</option>
+                            </select>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {/* ACTIONS */}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '12px', marginTop: '20px' }}>
+          <button onClick={onClose} disabled={busy} style={buttonStyle}>Cancel</button>
+          <button
+            onClick={handleCommit}
+            disabled={!canCommit || busy}
+            title={preview && preview.summary.errors > 0 ? 'Fix the rows with errors and preview again' : undefined}
+            style={{
+              ...buttonStyle,
+              border: 'none',
+              backgroundColor: canCommit && !busy ? '#10b981' : '#f3f4f6',
+              color: canCommit && !busy ? 'white' : '#9ca3af',
+              cursor: canCommit && !busy ? 'pointer' : 'not-allowed'
+            }}
+          >
+            {busy && preview ? '⏳ Importing...' : '💾 Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -22,13 +22,22 @@ ChartJS.register(
   Filler
 );
 
-export default function LineChart({ series, categories, title, currency = 'MYR', showRatio = true, chartType = 'line' }) {
+// series[i].forecast = { anchor, data, lower, upper } (see /api/line-chart-data
+// ?forecast=true) is drawn as a dashed continuation with a shaded band; its
+// arrays cover categories followed by forecastCategories and start at the
+// last actual point (anchor).
+//
+// series[i].anomalies (one entry per category: null or { count, maxScore, days },
+// see lib/anomalies.js) marks the points holding anomalous days with a red
+// triangle; the tooltip lists the days.
+export default function LineChart({ series, categories, title, currency = 'MYR', showRatio = true, chartType = 'line', comparisonLabel = null, forecastCategories = [] }) {
   
   const getCurrencySymbol = (curr) => {
     switch (curr) {
       case 'MYR': return 'RM';
       case 'SGD': return 'SGD';
       case 'KHR': return 'USC';
+      case 'ALL_USD': return 'USD';
       default: return 'RM';
     }
   };
@@ -120,24 +129,61 @@ export default function LineChart({ series, categories, title, currency = 'MYR',
       return Math.round(value).toLocaleString();
     }
   };
+  // Forecast datasets follow the actual ones, so datasetIndex still matches series
+  const forecastDatasets = series.flatMap((item, index) => {
+    if (!item.forecast) return [];
+    const color = index === 0 ? '#3B82F6' : '#10B981';
+    const band = index === 0 ? 'rgba(59, 130, 246, 0.15)' : 'rgba(16, 185, 129, 0.15)';
+    return [
+      { label: `${item.name} upper`, data: item.forecast.upper, forecastBand: true, borderWidth: 0, pointRadius: 0, pointHoverRadius: 0, fill: false, tension: 0.4 },
+      { label: `${item.name} lower`, data: item.forecast.lower, forecastBand: true, borderWidth: 0, pointRadius: 0, pointHoverRadius: 0, backgroundColor: band, fill: '-1', tension: 0.4 },
+      {
+        label: `${item.name} (forecast)`,
+        data: item.forecast.data,
+        forecast: item.forecast,
+        borderColor: color,
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointBackgroundColor: '#ffffff',
+        pointBorderColor: color,
+        pointBorderWidth: 2,
+        pointRadius: 4,
+        pointHoverRadius: 6,
+        fill: false,
+        tension: 0.4
+      }
+    ];
+  });
+
   const data = {
-    labels: categories,
-    datasets: series.map((item, index) => ({
-      label: item.name,
-      data: item.data,
-      borderColor: index === 0 ? '#3B82F6' : '#10B981',
-      backgroundColor: index === 0 ? 'rgba(59, 130, 246, 0.1)' : 'rgba(16, 185, 129, 0.1)',
-      borderWidth: 3,
-      pointBackgroundColor: index === 0 ? '#3B82F6' : '#10B981',
-      pointBorderColor: '#ffffff',
-      pointBorderWidth: 2,
-      pointRadius: 6,
-      pointHoverRadius: 8,
-      fill: true,
-      tension: 0.4
-    }))
+    labels: [...categories, ...forecastCategories],
+    datasets: [
+      ...series.map((item, index) => {
+        const color = index === 0 ? '#3B82F6' : '#10B981';
+        const anomalous = (point) => Boolean(item.anomalies?.[point]);
+        return {
+          label: item.name,
+          data: item.data,
+          borderColor: color,
+          backgroundColor: index === 0 ? 'rgba(59, 130, 246, 0.1)' : 'rgba(16, 185, 129, 0.1)',
+          borderWidth: 3,
+          pointStyle: item.data.map((_, point) => (anomalous(point) ? 'triangle' : 'circle')),
+          pointBackgroundColor: item.data.map((_, point) => (anomalous(point) ? '#EF4444' : color)),
+          pointBorderColor: '#ffffff',
+          pointBorderWidth: 2,
+          pointRadius: item.data.map((_, point) => (anomalous(point) ? 9 : 6)),
+          pointHoverRadius: item.data.map((_, point) => (anomalous(point) ? 11 : 8)),
+          fill: true,
+          tension: 0.4
+        };
+      }),
+      ...forecastDatasets
+    ]
   };
 
+  // Tooltip items of the actual series only (the ratio insights compare two of them)
+  const actualItems = (context) => context.filter(item => !item.dataset.forecast && !item.dataset.forecastBand);
+
   const options = {
     responsive: true,
     maintainAspectRatio: false,
@@ -147,6 +193,8 @@ export default function LineChart({ series, categories, title, currency = 'MYR',
         position: 'bottom',
         align: 'center',
         labels: {
+          // The band is explained by the forecast line's tooltip
+          filter: (item, chart) => !chart.datasets[item.datasetIndex].forecastBand,
           usePointStyle: true,
           boxWidth: 6,
           boxHeight: 6,
@@ -169,12 +217,14 @@ export default function LineChart({ series, categories, title, currency = 'MYR',
           cornerRadius: 8,
           displayColors: true,
           padding: 12,
+          // Skip the band and the forecast line's starting point (the last actual value)
+          filter: (item) => !item.dataset.forecastBand && item.dataIndex !== item.dataset.forecast?.anchor,
           callbacks: {
             title: function(context) {
               return `📅 Period: ${context[0].label}`;
             },
             beforeBody: function(context) {
-              if (context.length === 2) {
+              if (actualItems(context).length === 2) {
                 return ['📊 Performance Metrics:'];
               }
               return [];
@@ -183,10 +233,39 @@ export default function LineChart({ series, categories, title, currency = 'MYR',
               const value = context.parsed.y;
               const datasetLabel = context.dataset.label;
               const formattedValue = formatFullValue(value, datasetLabel);
-              
-              return `${datasetLabel}: ${formattedValue}`;
+
+              const forecast = context.dataset.forecast;
+              if (forecast) {
+                return [
+                  `🔮 ${datasetLabel}: ${formattedValue}`,
+                  `   Range: ${formatFullValue(forecast.lower[context.dataIndex], datasetLabel)} – ${formatFullValue(forecast.upper[context.dataIndex], datasetLabel)}`
+                ];
+              }
+
+              const lines = [`${datasetLabel}: ${formattedValue}`];
+
+              // Series may carry the baseline of every point (see /api/line-chart-data ?compare=)
+              const baseline = series[context.datasetIndex]?.comparison?.[context.dataIndex];
+              if (comparisonLabel && baseline !== undefined && baseline !== null) {
+                const change = baseline !== 0 ? ((value - baseline) / baseline) * 100 : 0;
+                lines.push(`   ${change >= 0 ? '+' : ''}${change.toFixed(1)}% ${comparisonLabel} (${formatFullValue(baseline, datasetLabel)})`);
+              }
+
+              const anomaly = series[context.datasetIndex]?.anomalies?.[context.dataIndex];
+              if (anomaly) {
+                lines.push(`   🚨 ${anomaly.count} anomalous day(s):`);
+                anomaly.days.forEach(day => {
+                  lines.push(`      ${day.day} ${[day.currency, day.line].filter(Boolean).join(' ')} ${day.direction} ${formatFullValue(day.total, datasetLabel)} (score ${day.score.toFixed(1)})`);
+                });
+                if (anomaly.count > anomaly.days.length) {
+                  lines.push(`      … and ${anomaly.count - anomaly.days.length} more`);
+                }
+              }
+
+              return lines.length === 1 ? lines[0] : lines;
             },
-            afterBody: function(context) {
+            afterBody: function(allItems) {
+              const context = actualItems(allItems);
               // ALWAYS show additional insights for 2-line charts
               if (context.length === 2 && showRatio) {
                 const value1 = context[0].parsed.y;
@@ -225,6 +304,13 @@ export default function LineChart({ series, categories, title, currency = 'MYR',
                   return [``, `💼 Financial Analysis:`, `• Net Profit: ${getCurrencySymbol(currency)} ${profit.toLocaleString()}`, `• Profit Margin: ${margin}%`];
                 }
                 
+                // For Deposit vs Withdraw
+                else if (label1.toLowerCase().includes('deposit') && label2.toLowerCase().includes('withdraw')) {
+                  const netFlow = value1 - value2;
+                  const ratio = value1 > 0 ? ((value2 / value1) * 100).toFixed(1) : 0;
+                  return [``, `💸 Cash Flow:`, `• Net Deposit: ${getCurrencySymbol(currency)} ${Math.round(netFlow).toLocaleString()}`, `• Withdraw / Deposit: ${ratio}%`];
+                }
+                
                 // Generic ratio for other combinations
                 else {
                   const ratio = value2 > 0 ? (value1 / value2).toFixed(2) : 0;
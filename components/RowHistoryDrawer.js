@@ -0,0 +1,210 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const CHANGE_TYPE_LABELS = {
+  update: '✏️ Replaced by edit',
+  revert: '↩️ Replaced by revert',
+  import: '📤 Replaced by import'
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '∅';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Fields whose value differs between a version and the row that replaced it
+function getChangedFields(version, next) {
+  const fields = new Set([...Object.keys(version || {}), ...Object.keys(next || {})]);
+  return [...fields].filter(field => JSON.stringify(version?.[field] ?? null) !== JSON.stringify(next?.[field] ?? null));
+}
+
+// Side drawer listing a row's previous versions (lib/row-versions.js).
+// `endpoint` is the dataset's API base, e.g. '/api/headcount'.
+export default function RowHistoryDrawer({ endpoint, uniquekey, isReadOnly, onClose, onReverted }) {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [revertingId, setRevertingId] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await fetch(`${endpoint}/history?uniquekey=${encodeURIComponent(uniquekey)}`);
+      const result = await response.json();
+
+      if (result.success) {
+        setHistory(result);
+      } else {
+        setError(result.error || 'Failed to load history');
+      }
+    } catch (error) {
+      console.error('❌ Error fetching row history:', error);
+      setError('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [endpoint, uniquekey]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleRevert = async (version) => {
+    if (!confirm(`Revert this row to the version replaced on ${new Date(version.replacedAt).toLocaleString()}?`)) return;
+
+    try {
+      setRevertingId(version.id);
+      const response = await fetch(`${endpoint}/revert`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ uniquekey, versionId: version.id }),
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        alert(`Revert failed: ${result.error || 'Unknown error'}`);
+        if (result.missingFields) {
+          alert(`Missing required fields: ${result.missingFields.join(', ')}`);
+        }
+        return;
+      }
+
+      alert('Data reverted successfully!');
+      onReverted(result.data);
+    } catch (error) {
+      console.error('Revert error:', error);
+      alert('Revert failed. Please try again.');
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  // Each version is compared with the state that replaced it (the newer version or the current row)
+  const versions = history?.versions || [];
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        zIndex: 9999
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          position: 'absolute',
+          top: 0,
+          right: 0,
+          bottom: 0,
+          width: '480px',
+          maxWidth: '100%',
+          backgroundColor: 'white',
+          boxShadow: '-10px 0 25px rgba(0, 0, 0, 0.15)',
+          display: 'flex',
+          flexDirection: 'column',
+          zIndex: 10000
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: '20px 24px',
+          borderBottom: '1px solid #e5e7eb'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, color: '#1f2937', fontSize: '18px', fontWeight: '600' }}>🕘 Row History</h3>
+            <div style={{ fontSize: '12px', color: '#6b7280', fontFamily: 'monospace', marginTop: '4px' }}>{uniquekey}</div>
+          </div>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '16px', cursor: 'pointer', color: '#6b7280' }}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '16px 24px' }}>
+          {loading ? (
+            <div style={{ color: '#6b7280', fontSize: '14px' }}>Loading history...</div>
+          ) : error ? (
+            <div style={{ color: '#dc2626', fontSize: '14px' }}>{error}</div>
+          ) : versions.length === 0 ? (
+            <div style={{ color: '#6b7280', fontSize: '14px' }}>This row has not been edited yet.</div>
+          ) : (
+            versions.map((version, index) => {
+              const next = index === 0 ? history.current : versions[index - 1].data;
+              const changedFields = getChangedFields(version.data, next);
+
+              return (
+                <div key={version.id} style={{
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '8px',
+                  padding: '12px 14px',
+                  marginBottom: '12px'
+                }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                    <div style={{ fontSize: '13px', color: '#374151' }}>
+                      <strong>{new Date(version.replacedAt).toLocaleString()}</strong>
+                      <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                        {CHANGE_TYPE_LABELS[version.changeType] || CHANGE_TYPE_LABELS.update}
+                        {version.replacedBy ? ` · ${version.replacedBy}` : ''}
+                      </div>
+                    </div>
+                    {!isReadOnly && (
+                      <button
+                        onClick={() => handleRevert(version)}
+                        disabled={revertingId !== null}
+                        style={{
+                          padding: '4px 10px',
+                          borderRadius: '4px',
+                          border: 'none',
+                          fontSize: '12px',
+                          fontWeight: '600',
+                          backgroundColor: revertingId !== null ? '#9ca3af' : '#f59e0b',
+                          color: 'white',
+                          cursor: revertingId !== null ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {revertingId === version.id ? '⏳' : '↩️ Revert'}
+                      </button>
+                    )}
+                  </div>
+
+                  {changedFields.length === 0 ? (
+                    <div style={{ fontSize: '12px', color: '#6b7280' }}>No field changes</div>
+                  ) : (
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                      <tbody>
+                        {changedFields.map(field => (
+                          <tr key={field}>
+                            <td style={{ padding: '4px 6px', border: '1px solid #e5e7eb', fontWeight: '600' }}>{field}</td>
+                            <td style={{ padding: '4px 6px', border: '1px solid #e5e7eb', background: '#fef2f2', color: '#991b1b', wordBreak: 'break-all' }}>
+                              {formatValue(version.data[field])}
+                            </td>
+                            <td style={{ padding: '4px 6px', border: '1px solid #e5e7eb', background: '#f0fdf4', color: '#166534', wordBreak: 'break-all' }}>
+                              {formatValue(next?.[field])}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
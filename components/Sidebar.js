@@ -181,6 +181,38 @@ export default function Sidebar({ user, onExpandedChange }) {
       href: '/users',
       isActive: router.pathname === '/users',
       show: user ? hasPageAccess(user.role, '/users') : false
+    },
+    { 
+      key: 'audit-log',
+      icon: '📜', 
+      label: 'Audit Log', 
+      href: '/audit-log',
+      isActive: router.pathname === '/audit-log',
+      show: user ? hasPageAccess(user.role, '/audit-log') : false
+    },
+    { 
+      key: 'data-load',
+      icon: '📥', 
+      label: 'Data Load', 
+      href: '/data-load',
+      isActive: router.pathname === '/data-load',
+      show: user ? hasPageAccess(user.role, '/data-load') : false
+    },
+    { 
+      key: 'rollups',
+      icon: '🔁', 
+      label: 'Monthly Rollups', 
+      href: '/rollups',
+      isActive: router.pathname === '/rollups',
+      show: user ? hasPageAccess(user.role, '/rollups') : false
+    },
+    { 
+      key: 'data-quality',
+      icon: '🩺', 
+      label: 'Data Quality', 
+      href: '/data-quality',
+      isActive: router.pathname === '/data-quality',
+      show: user ? hasPageAccess(user.role, '/data-quality') : false
     }
   ];
 
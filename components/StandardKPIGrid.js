@@ -38,6 +38,7 @@ export default function StandardKPIGrid({
           icon={stat.icon}
           isAmount={stat.isAmount}
           currencyLogo={stat.currencyLogo}
+          comparisonLabel={stat.comparisonLabel}
         />
       ))}
     </div>
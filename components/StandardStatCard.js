@@ -7,7 +7,9 @@ export default function StandardStatCard({
   color, 
   icon,
   isAmount = false,
-  currencyLogo = null
+  currencyLogo = null,
+  comparisonLabel = null,
+  children
 }) {
   
   // Parse change value to determine if positive or negative
@@ -38,7 +40,9 @@ export default function StandardStatCard({
         </div>
         <div className={`kpi-change-standard ${changeInfo.isPositive ? 'positive' : 'negative'}`}>
           {subtitle}
+          {comparisonLabel && <span className="kpi-comparison-label-standard">{comparisonLabel}</span>}
         </div>
+        {children}
       </div>
     </div>
   );
@@ -0,0 +1,102 @@
+// CENTRALIZED COMPARISON SLICER - what KPI changes are measured against
+// value = { compare, baselineYear, baselineMonth } (see lib/comparison.js).
+// granularity ('week' | 'month' | 'quarter') names the previous-period option;
+// weeks have no custom baseline.
+import { MONTH_NAMES } from '../../lib/periods';
+
+const PREVIOUS_PERIOD_LABELS = {
+  week: 'Week over week',
+  month: 'Month over month',
+  quarter: 'Quarter over quarter'
+};
+
+function comparisonOptions(granularity) {
+  return [
+    { value: 'mom', label: PREVIOUS_PERIOD_LABELS[granularity] },
+    { value: 'yoy', label: 'Year over year' },
+    { value: 'ytd', label: 'YTD vs last YTD' },
+    ...(granularity === 'week' ? [] : [{ value: 'custom', label: 'Custom baseline' }])
+  ];
+}
+
+const selectStyle = {
+  padding: '8px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  backgroundColor: 'white',
+  fontSize: '14px',
+  fontWeight: '500',
+  cursor: 'pointer',
+  outline: 'none'
+};
+
+export default function ComparisonSlicer({
+  value,
+  onChange,
+  availableYears = ['2024', '2025'],
+  granularity = 'month',
+  label = 'Compare'
+}) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-end',
+      minWidth: '150px'
+    }}>
+      <label style={{
+        fontSize: '12px',
+        color: '#6b7280',
+        marginBottom: '4px',
+        fontWeight: '500'
+      }}>
+        {label}
+      </label>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <select
+          value={value.compare}
+          onChange={(e) => update({ compare: e.target.value })}
+          style={selectStyle}
+        >
+          {comparisonOptions(granularity).map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {value.compare === 'custom' && (
+          <>
+            <select
+              value={value.baselineMonth}
+              onChange={(e) => update({ baselineMonth: e.target.value })}
+              style={selectStyle}
+            >
+              {MONTH_NAMES.map(month => (
+                <option key={month} value={month}>{month}</option>
+              ))}
+            </select>
+            <select
+              value={value.baselineYear}
+              onChange={(e) => update({ baselineYear: e.target.value })}
+              style={selectStyle}
+            >
+              {availableYears.map(year => (
+                <option key={year} value={year}>{year}</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Query string for the comparison APIs (?compare=&baselineYear=&baselineMonth=)
+export function comparisonQuery(value) {
+  const params = new URLSearchParams({ compare: value.compare });
+  if (value.compare === 'custom') {
+    params.set('baselineYear', value.baselineYear);
+    params.set('baselineMonth', value.baselineMonth);
+  }
+  return params.toString();
+}
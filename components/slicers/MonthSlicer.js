@@ -1,4 +1,6 @@
 // CENTRALIZED MONTH SLICER - KONSISTEN UNTUK SEMUA PAGE
+import { parseMonth, monthName } from '../../lib/periods';
+
 export default function MonthSlicer({ 
   selectedMonth, 
   onMonthChange, 
@@ -11,11 +13,6 @@ export default function MonthSlicer({
   // Use new props if available, otherwise fallback to old props
   const monthValue = selectedMonth !== undefined ? selectedMonth : value;
   const monthOnChange = onMonthChange !== undefined ? onMonthChange : onChange;
-  const monthNames = {
-    '1': 'January', '2': 'February', '3': 'March', '4': 'April',
-    '5': 'May', '6': 'June', '7': 'July', '8': 'August',
-    '9': 'September', '10': 'October', '11': 'November', '12': 'December'
-  };
 
   return (
     <div style={{ 
@@ -54,7 +51,7 @@ export default function MonthSlicer({
         {selectedMonth !== undefined && <option value="All">All Months</option>}
         {availableMonths.map(month => (
           <option key={month} value={month}>
-            {selectedMonth !== undefined ? (monthNames[month] || month) : month}
+            {selectedMonth !== undefined ? (parseMonth(month) ? monthName(month) : month) : month}
           </option>
         ))}
       </select>
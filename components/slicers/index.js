@@ -1,3 +1,4 @@
 export { default as YearSlicer } from './YearSlicer';
 export { default as MonthSlicer } from './MonthSlicer';
-export { default as CurrencySlicer } from './CurrencySlicer'; 
\ No newline at end of file
+export { default as CurrencySlicer } from './CurrencySlicer';
+export { default as ComparisonSlicer, comparisonQuery } from './ComparisonSlicer';
@@ -1,6 +1,21 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 
+// Header + page both call useAuth on the same render - share one request per page load
+let sessionRequest = null;
+
+function fetchSessionUser() {
+  if (!sessionRequest) {
+    sessionRequest = fetch('/api/auth/me', { credentials: 'same-origin' })
+      .then(response => (response.ok ? response.json() : null))
+      .catch(error => {
+        sessionRequest = null;
+        throw error;
+      });
+  }
+  return sessionRequest;
+}
+
 export function useAuth() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -11,38 +26,21 @@ export function useAuth() {
     checkAuth();
   }, []);
 
-  const checkAuth = () => {
+  const checkAuth = async () => {
     setDebugInfo('Checking authentication...');
-    console.log('🔍 Checking auth, all cookies:', document.cookie);
 
-    // Fast cookie-based authentication check
+    // Session lives in an HttpOnly cookie - ask the server who we are
     try {
-      const cookies = document.cookie.split(';');
-      const userCookies = {};
-      
-      cookies.forEach(cookie => {
-        const [name, value] = cookie.trim().split('=');
-        if (name && value) {
-          userCookies[name] = decodeURIComponent(value);
-        }
-      });
-
-      console.log('🍪 Parsed cookies:', userCookies);
-      setDebugInfo(`Cookies: ${Object.keys(userCookies).join(', ')}`);
+      const data = await fetchSessionUser();
 
-      if (userCookies.user_id && userCookies.username && userCookies.user_role) {
-        const userData = {
-          id: parseInt(userCookies.user_id),
-          username: userCookies.username,
-          role: userCookies.user_role
-        };
-        console.log('✅ User authenticated:', userData);
-        setDebugInfo(`✅ Authenticated as: ${userData.username} (${userData.role})`);
-        setUser(userData);
+      if (data && data.user) {
+        console.log('✅ User authenticated:', data.user);
+        setDebugInfo(`✅ Authenticated as: ${data.user.username} (${data.user.role})`);
+        setUser(data.user);
         setLoading(false);
         return;
       } else {
-        console.log('❌ Missing required cookies for authentication');
+        console.log('❌ No valid session found');
         setDebugInfo('❌ No valid session found. Redirecting...');
       }
     } catch (error) {
@@ -50,11 +48,10 @@ export function useAuth() {
       setDebugInfo(`❌ Auth error: ${error.message}`);
     }
 
-    // Redirect to login if no valid authentication
-    setTimeout(() => {
-      setLoading(false);
-      window.location.href = '/login';
-    }, 1000);
+    // Session expired while the page was open (middleware handles fresh page loads)
+    setLoading(false);
+    const next = encodeURIComponent(`${window.location.pathname}${window.location.search}`);
+    window.location.href = `/login?next=${next}`;
     return;
   };
 
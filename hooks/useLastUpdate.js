@@ -40,4 +40,38 @@ export function useLastUpdate() {
   }, []);
 
   return { lastUpdate, loading, error };
-} 
\ No newline at end of file
+}
+
+// Freshness of the tables behind a page (/api/freshness). `freshness` is null
+// for pages without known source tables.
+export function useDataFreshness(pagePath) {
+  const [freshness, setFreshness] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!pagePath) return;
+    let cancelled = false;
+
+    const fetchFreshness = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch(`/api/freshness?page=${encodeURIComponent(pagePath)}`);
+        const data = await response.json();
+
+        if (!cancelled) {
+          setFreshness(data.success ? data.page : null);
+        }
+      } catch (err) {
+        console.error('Error fetching data freshness:', err);
+        if (!cancelled) setFreshness(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchFreshness();
+    return () => { cancelled = true; };
+  }, [pagePath]);
+
+  return { freshness, loading };
+}
@@ -20,15 +20,9 @@ export function useRoleAccess(requiredPage = null) {
     // If no specific page required, just return user status
     if (!requiredPage) return;
 
-    // Check if user has access to the required page
+    // Middleware already blocks page loads; this covers client-side navigation
     if (!hasPageAccess(user.role, requiredPage)) {
-      // Redirect to main dashboard or first accessible page
-      if (hasPageAccess(user.role, '/')) {
-        router.push('/');
-      } else {
-        // If user can't access main dashboard, logout
-        router.push('/login');
-      }
+      router.push(`/access-denied?from=${encodeURIComponent(requiredPage)}`);
       return;
     }
   }, [user, loading, requiredPage, router]);
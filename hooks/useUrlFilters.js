@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+
+const URL_FILTER_KEYS = ['currency', 'line', 'startDate', 'endDate'];
+
+// Deep links into the transaction pages (e.g. from the Data Quality page):
+// ?currency=&line=&startDate=&endDate=. Calls apply(filters) once, when the
+// router is ready and the URL carries at least one of them.
+export function useUrlFilters(apply) {
+  const router = useRouter();
+  const applied = useRef(false);
+
+  useEffect(() => {
+    if (!router.isReady || applied.current) return;
+    applied.current = true;
+
+    const filters = Object.fromEntries(
+      URL_FILTER_KEYS
+        .filter(key => typeof router.query[key] === 'string' && router.query[key] !== '')
+        .map(key => [key, router.query[key]])
+    );
+    if (Object.keys(filters).length > 0) {
+      apply(filters);
+    }
+  }, [router.isReady, router.query, apply]);
+}
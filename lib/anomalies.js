@@ -0,0 +1,443 @@
+// TRANSACTION ANOMALIES
+// Flags days whose deposit / withdraw total for a currency/line deviates
+// abnormally from its recent baseline:
+//
+//   baseline - the loaded days of the same currency/line in the
+//              BASELINE_DAYS calendar days before the day (at least
+//              MIN_BASELINE_DAYS of them)
+//   score    - robust z-score 0.6745 x (total - median) / MAD; when the MAD is
+//              0 (a flat baseline) the mean absolute deviation is used instead
+//              (Iglewicz & Hoaglin)
+//   anomaly  - |score| >= SCORE_THRESHOLD, unless both the total and the
+//              median are below MIN_AMOUNT
+//
+// Days without rows are not scored (the Data Quality "missing dates" rule
+// covers them). Detection runs after every deposit / withdraw data load for the
+// loaded days and the days whose baseline they fall in (lib/data-load.js), and
+// on demand. Each run replaces the stored anomalies of its window in
+// `transaction_anomalies` and is recorded in `anomaly_runs`; the transaction
+// pages filter on them (?anomaliesOnly=true) and the dashboard line charts mark
+// the points holding them.
+
+import pool from './database';
+import { getDataset } from './datasets';
+import { getTableStructure } from './row-versions';
+import { DATA_QUALITY_DATASETS } from './data-quality';
+import { addDays, formatDate, monthDateRange } from './periods';
+
+// Dataset ids (lib/datasets.js) that are scored; the amount column is the
+// first Data Quality candidate the table has
+export const ANOMALY_DATASETS = ['deposit', 'withdraw'];
+
+export const ANOMALY_DIRECTIONS = {
+  SPIKE: 'spike',
+  DROP: 'drop'
+};
+
+export const ANOMALY_RUN_STATUS = {
+  SUCCESS: 'success',
+  PARTIAL: 'partial'
+};
+
+export const ANOMALY_RUN_SOURCES = {
+  MANUAL: 'manual',
+  DATA_LOAD: 'data_load'
+};
+
+// Days scored when no window is given
+export const DEFAULT_WINDOW_DAYS = 90;
+
+const BASELINE_DAYS = parseInt(process.env.ANOMALY_BASELINE_DAYS) || 28;
+const MIN_BASELINE_DAYS = parseInt(process.env.ANOMALY_MIN_BASELINE_DAYS) || 14;
+export const SCORE_THRESHOLD = parseFloat(process.env.ANOMALY_SCORE_THRESHOLD) || 3.5;
+const MIN_AMOUNT = parseFloat(process.env.ANOMALY_MIN_AMOUNT) || 1000;
+
+// Scales the MAD (and the mean absolute deviation) to a standard deviation
+// of normally distributed data
+const MAD_SCALE = 0.6745;
+const MEAN_DEVIATION_SCALE = 0.7979;
+
+// Days listed per chart point
+const MAX_MARKER_DAYS = 5;
+
+const INSERT_BATCH_SIZE = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function anomalyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// ===========================================
+// SCORING
+// ===========================================
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// { median, mad, score } of a day total against its baseline totals, or null
+// when the baseline cannot score it (too short, or every day identical to it)
+function robustScore(value, baseline) {
+  if (baseline.length < MIN_BASELINE_DAYS) return null;
+
+  const center = median(baseline);
+  const deviations = baseline.map(entry => Math.abs(entry - center));
+  const mad = median(deviations);
+  if (mad > 0) {
+    return { median: center, mad, score: MAD_SCALE * (value - center) / mad };
+  }
+
+  const meanDeviation = deviations.reduce((sum, entry) => sum + entry, 0) / deviations.length;
+  if (meanDeviation > 0) {
+    return { median: center, mad, score: MEAN_DEVIATION_SCALE * (value - center) / meanDeviation };
+  }
+  return null;
+}
+
+// Day totals of a dataset per currency/line, from BASELINE_DAYS before the
+// window so its first days have a baseline
+async function dailyTotals(datasetId, window) {
+  const dataset = getDataset(datasetId);
+  const structure = await getTableStructure(pool, dataset.table);
+  if (structure.columns.length === 0) {
+    throw anomalyError(`Table ${dataset.table} does not exist`, 500);
+  }
+  const column = DATA_QUALITY_DATASETS[datasetId].amountColumns.find(name => structure.columns.includes(name));
+  if (!column) {
+    throw anomalyError(`Table ${dataset.table} has no amount column`, 500);
+  }
+
+  const result = await pool.query(`
+    SELECT currency, line, TO_CHAR(date::date, 'YYYY-MM-DD') AS day, COALESCE(SUM(${column}), 0)::float8 AS total
+    FROM ${dataset.table}
+    WHERE date::date BETWEEN $1::date - $3::int AND $2
+    GROUP BY currency, line, date::date
+    ORDER BY currency, line, date::date
+  `, [window.dateFrom, window.dateTo, BASELINE_DAYS]);
+
+  return { table: dataset.table, column, rows: result.rows };
+}
+
+// Anomalous days of one dataset in the window:
+// [{ currency, line, day, total, median, mad, baselineDays, score, direction }]
+async function detectDataset(datasetId, window) {
+  const { table, column, rows } = await dailyTotals(datasetId, window);
+
+  const series = new Map();
+  rows.forEach(row => {
+    const key = JSON.stringify([row.currency, row.line]);
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push(row);
+  });
+
+  const anomalies = [];
+  let scored = 0;
+  series.forEach(days => {
+    days.forEach((row, index) => {
+      if (row.day < window.dateFrom) return;
+
+      const baselineStart = addDays(row.day, -BASELINE_DAYS);
+      const baseline = days.slice(0, index).filter(entry => entry.day >= baselineStart).map(entry => entry.total);
+      const result = robustScore(row.total, baseline);
+      if (!result) return;
+      scored++;
+
+      if (Math.abs(result.score) < SCORE_THRESHOLD) return;
+      if (Math.abs(row.total) < MIN_AMOUNT && Math.abs(result.median) < MIN_AMOUNT) return;
+
+      anomalies.push({
+        currency: row.currency ?? null,
+        line: row.line ?? null,
+        day: row.day,
+        total: row.total,
+        median: result.median,
+        mad: result.mad,
+        baselineDays: baseline.length,
+        score: result.score,
+        direction: result.score > 0 ? ANOMALY_DIRECTIONS.SPIKE : ANOMALY_DIRECTIONS.DROP
+      });
+    });
+  });
+
+  return { table, column, series: series.size, scored, anomalies };
+}
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let anomalyTablesReady = null;
+
+export function ensureAnomalyTables() {
+  if (!anomalyTablesReady) {
+    anomalyTablesReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS anomaly_runs (
+        id SERIAL PRIMARY KEY,
+        date_from DATE NOT NULL,
+        date_to DATE NOT NULL,
+        datasets JSONB NOT NULL DEFAULT '[]',
+        source VARCHAR(20) NOT NULL,
+        threshold NUMERIC NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        anomalies_total INTEGER NOT NULL DEFAULT 0,
+        checks JSONB NOT NULL DEFAULT '[]',
+        run_by INTEGER,
+        run_by_username VARCHAR(100),
+        started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS transaction_anomalies (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER REFERENCES anomaly_runs(id) ON DELETE SET NULL,
+        dataset VARCHAR(50) NOT NULL,
+        table_name VARCHAR(64) NOT NULL,
+        currency VARCHAR(20),
+        line VARCHAR(100),
+        day DATE NOT NULL,
+        total NUMERIC NOT NULL,
+        baseline_median NUMERIC NOT NULL,
+        baseline_mad NUMERIC NOT NULL,
+        baseline_days INTEGER NOT NULL,
+        score NUMERIC NOT NULL,
+        direction VARCHAR(10) NOT NULL,
+        detected_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_anomaly_runs_started ON anomaly_runs(started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_transaction_anomalies_day ON transaction_anomalies(dataset, day, currency, line);
+    `).catch((error) => {
+      anomalyTablesReady = null;
+      throw error;
+    });
+  }
+
+  return anomalyTablesReady;
+}
+
+// ===========================================
+// RUN
+// ===========================================
+
+// { dateFrom, dateTo } as YYYY-MM-DD; defaults to the last DEFAULT_WINDOW_DAYS days
+function resolveWindow({ dateFrom, dateTo } = {}) {
+  for (const value of [dateFrom, dateTo]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      throw anomalyError(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+    }
+  }
+
+  const end = dateTo || formatDate(new Date());
+  const start = dateFrom || addDays(end, -(DEFAULT_WINDOW_DAYS - 1));
+  if (start > end) {
+    throw anomalyError('Start date must be on or before end date');
+  }
+  return { dateFrom: start, dateTo: end };
+}
+
+async function insertAnomalies(client, runId, datasetId, table, anomalies) {
+  for (let start = 0; start < anomalies.length; start += INSERT_BATCH_SIZE) {
+    const batch = anomalies.slice(start, start + INSERT_BATCH_SIZE);
+    const params = [];
+    const values = batch.map(entry => {
+      params.push(runId, datasetId, table, entry.currency, entry.line, entry.day, entry.total,
+        entry.median, entry.mad, entry.baselineDays, entry.score, entry.direction);
+      const offset = params.length - 12;
+      return `(${Array.from({ length: 12 }, (_, index) => `$${offset + index + 1}`).join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO transaction_anomalies
+         (run_id, dataset, table_name, currency, line, day, total, baseline_median, baseline_mad, baseline_days, score, direction)
+       VALUES ${values.join(', ')}`,
+      params
+    );
+  }
+}
+
+// Scores the datasets (default: all) over the window and replaces their stored
+// anomalies in it. A failing dataset is recorded on the run and keeps its
+// previous anomalies.
+export async function detectAnomalies(req, { dateFrom, dateTo, datasets, source = ANOMALY_RUN_SOURCES.MANUAL } = {}) {
+  const window = resolveWindow({ dateFrom, dateTo });
+  const datasetIds = datasets && datasets.length > 0 ? datasets : ANOMALY_DATASETS;
+  const unknown = datasetIds.filter(datasetId => !ANOMALY_DATASETS.includes(datasetId));
+  if (unknown.length > 0) {
+    throw anomalyError(`Unknown dataset(s): ${unknown.join(', ')} (scored: ${ANOMALY_DATASETS.join(', ')})`);
+  }
+
+  await ensureAnomalyTables();
+  const startedAt = new Date();
+
+  const checks = [];
+  const results = {};
+  for (const datasetId of datasetIds) {
+    const check = { dataset: datasetId, series: 0, scored: 0, anomalies: 0 };
+    checks.push(check);
+
+    try {
+      const result = await detectDataset(datasetId, window);
+      Object.assign(check, { table: result.table, column: result.column, series: result.series, scored: result.scored, anomalies: result.anomalies.length });
+      results[datasetId] = result;
+    } catch (error) {
+      console.error(`❌ Anomaly detection failed for ${datasetId}:`, error.message);
+      check.error = error.message;
+    }
+  }
+
+  const status = checks.some(check => check.error) ? ANOMALY_RUN_STATUS.PARTIAL : ANOMALY_RUN_STATUS.SUCCESS;
+  const anomaliesTotal = checks.reduce((sum, check) => sum + check.anomalies, 0);
+  const client = await pool.connect();
+  let runId;
+
+  try {
+    await client.query('BEGIN');
+    const run = await client.query(
+      `INSERT INTO anomaly_runs
+         (date_from, date_to, datasets, source, threshold, status, anomalies_total, checks, run_by, run_by_username, started_at, finished_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+       RETURNING id`,
+      [
+        window.dateFrom,
+        window.dateTo,
+        JSON.stringify(datasetIds),
+        source,
+        SCORE_THRESHOLD,
+        status,
+        anomaliesTotal,
+        JSON.stringify(checks),
+        req.user?.id || null,
+        req.user?.username || null,
+        startedAt
+      ]
+    );
+    runId = run.rows[0].id;
+
+    for (const [datasetId, result] of Object.entries(results)) {
+      await client.query(
+        'DELETE FROM transaction_anomalies WHERE dataset = $1 AND day BETWEEN $2 AND $3',
+        [datasetId, window.dateFrom, window.dateTo]
+      );
+      await insertAnomalies(client, runId, datasetId, result.table, result.anomalies);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { runId, ...window, status, threshold: SCORE_THRESHOLD, anomaliesTotal, checks };
+}
+
+// The window a data load needs rescored: the loaded days and the days after
+// them whose baseline includes a loaded day
+export function dataLoadWindow({ from, to }) {
+  return { dateFrom: from, dateTo: addDays(to, BASELINE_DAYS) };
+}
+
+// ===========================================
+// RESULTS
+// ===========================================
+
+// Dates as plain 'YYYY-MM-DD' strings so they don't shift with the server timezone
+const RUN_COLUMNS = `
+  id, TO_CHAR(date_from, 'YYYY-MM-DD') AS date_from, TO_CHAR(date_to, 'YYYY-MM-DD') AS date_to,
+  datasets, source, threshold::float8 AS threshold, status, anomalies_total, checks,
+  run_by_username, started_at, finished_at
+`;
+
+const ANOMALY_COLUMNS = `
+  id, run_id, dataset, currency, line, TO_CHAR(day, 'YYYY-MM-DD') AS day,
+  total::float8 AS total, baseline_median::float8 AS baseline_median, baseline_mad::float8 AS baseline_mad,
+  baseline_days, score::float8 AS score, direction, detected_at
+`;
+
+export async function listAnomalyRuns({ limit = 20 } = {}) {
+  await ensureAnomalyTables();
+
+  const result = await pool.query(
+    `SELECT ${RUN_COLUMNS} FROM anomaly_runs ORDER BY started_at DESC, id DESC LIMIT $1`,
+    [Math.min(Math.max(parseInt(limit) || 20, 1), 100)]
+  );
+  return result.rows;
+}
+
+// Stored anomalies, newest day first. Filters: dataset, currency, line
+// ('ALL' = no filter), dateFrom / dateTo, direction.
+export async function listAnomalies({ dataset, currency, line, dateFrom, dateTo, direction, limit = 500 } = {}) {
+  for (const value of [dateFrom, dateTo]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      throw anomalyError(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+    }
+  }
+  await ensureAnomalyTables();
+
+  const conditions = ['1=1'];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  for (const [column, value] of [['dataset', dataset], ['currency', currency], ['line', line], ['direction', direction]]) {
+    if (value && value !== 'ALL') addCondition(`${column} = ?`, value);
+  }
+  if (dateFrom) addCondition('day >= ?', dateFrom);
+  if (dateTo) addCondition('day <= ?', dateTo);
+
+  params.push(Math.min(Math.max(parseInt(limit) || 500, 1), 5000));
+  const result = await pool.query(
+    `SELECT ${ANOMALY_COLUMNS}
+     FROM transaction_anomalies
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY day DESC, ABS(score) DESC, dataset, currency, line
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+// Chart markers: per dataset, one entry per bucket (lib/chart-periods.js) -
+// null, or { count, maxScore, days: [{ day, currency, line, total, score, direction }] }
+// with the highest-scoring days first
+export async function anomalyMarkers(datasetIds, { currencies, buckets }) {
+  await ensureAnomalyTables();
+
+  const ranges = buckets.map(bucket => bucket.periods.map(period => (period.from ? period : monthDateRange(period))));
+  const allRanges = ranges.flat();
+  const markers = Object.fromEntries(datasetIds.map(datasetId => [datasetId, buckets.map(() => null)]));
+  if (allRanges.length === 0) return markers;
+
+  const result = await pool.query(
+    `SELECT dataset, currency, line, TO_CHAR(day, 'YYYY-MM-DD') AS day, total::float8 AS total, score::float8 AS score, direction
+     FROM transaction_anomalies
+     WHERE dataset = ANY($1) AND currency = ANY($2) AND day BETWEEN $3 AND $4
+     ORDER BY ABS(score) DESC`,
+    [
+      datasetIds,
+      currencies,
+      allRanges.reduce((min, range) => (range.from < min ? range.from : min), allRanges[0].from),
+      allRanges.reduce((max, range) => (range.to > max ? range.to : max), allRanges[0].to)
+    ]
+  );
+
+  result.rows.forEach(row => {
+    const index = ranges.findIndex(list => list.some(range => row.day >= range.from && row.day <= range.to));
+    if (index === -1) return;
+
+    const list = markers[row.dataset];
+    const marker = list[index] || (list[index] = { count: 0, maxScore: row.score, days: [] });
+    marker.count++;
+    if (marker.days.length < MAX_MARKER_DAYS) {
+      marker.days.push({ day: row.day, currency: row.currency, line: row.line, total: row.total, score: row.score, direction: row.direction });
+    }
+  });
+
+  return markers;
+}
@@ -0,0 +1,69 @@
+// API ROUTE GUARD
+// Server-side counterpart of useRoleAccess: resolves the caller from the
+// session cookie and enforces the PAGE_ACCESS permissions from lib/roles.js.
+//
+// Usage:
+//   async function handler(req, res) { ... req.user ... }
+//   export default withApiGuard(handler, API_ACCESS.WRITE);
+
+import { getSessionUser } from './session';
+import { canManageUsers, canExportData, isReadOnly } from './roles';
+
+export const API_ACCESS = {
+  PUBLIC: 'public', // No session required (login, logout, session lookup)
+  READ: 'read',     // Any logged-in user
+  WRITE: 'write',   // Roles that are not read-only
+  EXPORT: 'export', // Roles with canExportData
+  ADMIN: 'admin'    // Roles with canManageUsers (user management, setup)
+};
+
+// Returns null when the role may perform the access, otherwise the denial reason
+export function checkApiAccess(role, access) {
+  switch (access) {
+    case API_ACCESS.PUBLIC:
+    case API_ACCESS.READ:
+      return null;
+    case API_ACCESS.WRITE:
+      return isReadOnly(role) ? 'Your role has read-only access' : null;
+    case API_ACCESS.EXPORT:
+      return canExportData(role) ? null : 'Your role is not allowed to export data';
+    case API_ACCESS.ADMIN:
+      return canManageUsers(role) ? null : 'Admin access required';
+    default:
+      return `Unknown API access level: ${access}`;
+  }
+}
+
+export function withApiGuard(handler, access = API_ACCESS.READ) {
+  return async function guardedHandler(req, res) {
+    let user = null;
+
+    try {
+      user = await getSessionUser(req);
+    } catch (error) {
+      console.error('❌ API guard session lookup failed:', error.message);
+      if (access !== API_ACCESS.PUBLIC) {
+        return res.status(500).json({ success: false, error: 'Session lookup failed' });
+      }
+    }
+
+    if (user) {
+      user.role = user.role.toLowerCase();
+    }
+
+    if (access !== API_ACCESS.PUBLIC) {
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
+
+      const denied = checkApiAccess(user.role, access);
+      if (denied) {
+        console.log(`🚫 API access denied: ${req.method} ${req.url} (${access}) for ${user.username} (${user.role})`);
+        return res.status(403).json({ success: false, error: denied });
+      }
+    }
+
+    req.user = user;
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,212 @@
+// AUDIT LOG
+// Append-only record of every write to headcount, exchange and users:
+// who (user id + username at the time), what (table, record key, action,
+// before/after snapshot and a per-field diff), when and from where (IP).
+// A trigger rejects UPDATE/DELETE on `audit_log`, so rows can only be added.
+
+import pool from './database';
+import { getRequestIp } from './session';
+
+export const AUDIT_ACTIONS = {
+  INSERT: 'insert',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  REVERT: 'revert',
+  PASSWORD_RESET: 'password_reset'
+};
+
+// Tables shown in the admin page filter
+export const AUDITED_TABLES = ['headcountdep', 'exchange_rate', 'users'];
+
+// Never written to the log; a change only shows up as '[redacted]' -> '[changed]'
+const SENSITIVE_FIELDS = ['password'];
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let auditTableReady = null;
+
+export function ensureAuditTable() {
+  if (!auditTableReady) {
+    auditTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        table_name VARCHAR(64) NOT NULL,
+        record_key TEXT,
+        action VARCHAR(20) NOT NULL,
+        user_id INTEGER,
+        username VARCHAR(100),
+        changes JSONB NOT NULL DEFAULT '{}',
+        before_data JSONB,
+        after_data JSONB,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_log_table ON audit_log(table_name, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_no_modify') THEN
+          CREATE TRIGGER audit_log_no_modify
+            BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+        END IF;
+      END
+      $$;
+    `).catch((error) => {
+      auditTableReady = null;
+      throw error;
+    });
+  }
+
+  return auditTableReady;
+}
+
+// ===========================================
+// DIFF
+// ===========================================
+
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+}
+
+function sanitizeRecord(record) {
+  if (!record) return null;
+
+  const sanitized = {};
+  Object.entries(record).forEach(([field, value]) => {
+    sanitized[field] = SENSITIVE_FIELDS.includes(field) ? '[redacted]' : normalizeValue(value);
+  });
+  return sanitized;
+}
+
+// { field: { before, after } } for every field whose value changed.
+// `changedSensitiveFields` marks redacted fields that were changed (e.g. password).
+export function diffRecords(before, after, changedSensitiveFields = []) {
+  const beforeData = sanitizeRecord(before) || {};
+  const afterData = sanitizeRecord(after) || {};
+  const fields = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (SENSITIVE_FIELDS.includes(field)) return;
+
+    const beforeValue = field in beforeData ? beforeData[field] : null;
+    const afterValue = field in afterData ? afterData[field] : null;
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue };
+    }
+  });
+
+  changedSensitiveFields.forEach(field => {
+    changes[field] = { before: '[redacted]', after: '[changed]' };
+  });
+
+  return changes;
+}
+
+// ===========================================
+// WRITE
+// ===========================================
+
+// Appends one entry for a write. `db` is the client of the write's open
+// transaction, so a failing audit insert rolls the write back. Returns the audit id.
+export async function recordAudit(db, req, {
+  table,
+  recordKey,
+  action,
+  before = null,
+  after = null,
+  changedSensitiveFields = []
+}) {
+  await ensureAuditTable();
+
+  const changes = diffRecords(before, after, changedSensitiveFields);
+  const result = await db.query(
+    `INSERT INTO audit_log
+       (table_name, record_key, action, user_id, username, changes, before_data, after_data, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      table,
+      recordKey !== undefined && recordKey !== null ? String(recordKey) : null,
+      action,
+      req.user?.id || null,
+      req.user?.username || null,
+      JSON.stringify(changes),
+      before ? JSON.stringify(sanitizeRecord(before)) : null,
+      after ? JSON.stringify(sanitizeRecord(after)) : null,
+      getRequestIp(req),
+      req.headers['user-agent'] || null
+    ]
+  );
+
+  console.log(`📝 Audit: ${req.user?.username || 'unknown'} ${action} ${table} ${recordKey ?? ''}`);
+  return result.rows[0].id;
+}
+
+// ===========================================
+// SEARCH
+// ===========================================
+
+// Filters: table, userId, username (partial), action, recordKey (partial),
+// startDate / endDate (YYYY-MM-DD, inclusive). Newest first.
+export async function searchAuditLog(filters = {}, { page = 1, limit = 50 } = {}) {
+  await ensureAuditTable();
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.table && filters.table !== 'ALL') addCondition('table_name = ?', filters.table);
+  if (filters.action && filters.action !== 'ALL') addCondition('action = ?', filters.action);
+  if (filters.userId) addCondition('user_id = ?', parseInt(filters.userId));
+  if (filters.username) addCondition('username ILIKE ?', `%${filters.username}%`);
+  if (filters.recordKey) addCondition('record_key ILIKE ?', `%${filters.recordKey}%`);
+  if (filters.startDate) addCondition('created_at >= ?::date', filters.startDate);
+  if (filters.endDate) addCondition('created_at < ?::date + 1', filters.endDate);
+
+  const where = ['WHERE 1=1', ...conditions].join(' AND ');
+  const recordsPerPage = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const [countResult, result] = await Promise.all([
+    pool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params),
+    pool.query(
+      `SELECT * FROM audit_log ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, recordsPerPage, (currentPage - 1) * recordsPerPage]
+    )
+  ]);
+
+  const totalRecords = parseInt(countResult.rows[0].total);
+  const totalPages = Math.ceil(totalRecords / recordsPerPage);
+
+  return {
+    entries: result.rows,
+    pagination: {
+      currentPage,
+      totalPages,
+      totalRecords,
+      recordsPerPage,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1
+    }
+  };
+}
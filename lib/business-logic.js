@@ -1,158 +1,19 @@
 // CENTRALIZED BUSINESS LOGIC - LIKE DAX MEASURES IN POWER BI
-// All formulas and calculations in ONE place for consistency
+// The measures themselves (Net Profit, GGR User, Active Member, ...) are
+// declared in lib/metrics.js; this file shapes them for the Strategic
+// Executive KPIs and charts.
 
-import pool from './database';
+import { evaluateMetrics, yearPeriods, METRIC_GROUPINGS } from './metrics';
+import { compareMetrics, percentageChange } from './comparison';
+import { monthName, monthShortName } from './periods';
 
 // ===========================================
-// CORE DATA FETCHERS (Raw data from database)
-// ===========================================
-
-export async function getRawData(currency, year, month = null) {
-  const client = await pool.connect();
-  
-  try {
-    // Base queries for all calculations
-    const depositQuery = `
-      SELECT 
-        COALESCE(SUM(deposit_amount), 0) as deposit_amount,
-        COALESCE(SUM(add_transaction), 0) as add_transaction,
-        COUNT(DISTINCT userkey) as active_members
-      FROM deposit_monthly 
-      WHERE currency = $1 AND year = $2 ${month ? 'AND month = $3' : ''}
-    `;
-
-    const withdrawQuery = `
-      SELECT 
-        COALESCE(SUM(withdraw_amount), 0) as withdraw_amount,
-        COALESCE(SUM(deduct_transaction), 0) as deduct_transaction
-      FROM withdraw_monthly 
-      WHERE currency = $1 AND year = $2 ${month ? 'AND month = $3' : ''}
-    `;
-
-    const memberReportQuery = `
-      SELECT 
-        COALESCE(SUM(net_profit), 0) as net_profit
-      FROM member_report_monthly 
-      WHERE currency = $1 AND year = $2 ${month ? 'AND month = $3' : ''}
-    `;
-
-    const newDepositorQuery = `
-      SELECT 
-        COALESCE(SUM(new_depositor), 0) as new_depositor
-      FROM new_depositor 
-      WHERE currency = $1 AND year = $2 ${month ? 'AND month = $3' : ''}
-    `;
-
-    const headcountColumn = currency === 'MYR' ? 'total_myr' : 
-                           currency === 'SGD' ? 'total_sgd' : 'total_usc';
-
-    const headcountQuery = `
-      SELECT 
-        COALESCE(SUM(${headcountColumn}), 0) as headcount,
-        COALESCE(SUM(cashier_${currency.toLowerCase()}), 0) as cashier,
-        COALESCE(SUM(sr_${currency.toLowerCase()}), 0) as sr,
-        COALESCE(SUM(css_${currency.toLowerCase()}), 0) as css
-      FROM headcountdep 
-      WHERE year = $1 ${month ? 'AND month = $2' : ''}
-    `;
-
-    const params = month ? [currency, year, month] : [currency, year];
-    const headcountParams = month ? [year, month] : [year];
-
-    const [depositResult, withdrawResult, memberResult, newDepResult, headcountResult] = await Promise.all([
-      client.query(depositQuery, params),
-      client.query(withdrawQuery, params),
-      client.query(memberReportQuery, params),
-      client.query(newDepositorQuery, params),
-      client.query(headcountQuery, headcountParams)
-    ]);
-
-    client.release();
-
-    return {
-      deposit: depositResult.rows[0] || { deposit_amount: 0, add_transaction: 0, active_members: 0 },
-      withdraw: withdrawResult.rows[0] || { withdraw_amount: 0, deduct_transaction: 0 },
-      member: memberResult.rows[0] || { net_profit: 0 },
-      newDepositor: newDepResult.rows[0] || { new_depositor: 0 },
-      headcount: headcountResult.rows[0] || { headcount: 0, cashier: 0, sr: 0, css: 0 }
-    };
-  } catch (error) {
-    client.release();
-    throw error;
-  }
-}
-
-export async function getMonthlyData(currency, year) {
-  const client = await pool.connect();
-  
-  try {
-    const monthlyQuery = `
-      SELECT 
-        m.month,
-        CASE m.month 
-          WHEN 'January' THEN 1 WHEN 'February' THEN 2 WHEN 'March' THEN 3 
-          WHEN 'April' THEN 4 WHEN 'May' THEN 5 WHEN 'June' THEN 6 
-          WHEN 'July' THEN 7 WHEN 'August' THEN 8 WHEN 'September' THEN 9 
-          WHEN 'October' THEN 10 WHEN 'November' THEN 11 WHEN 'December' THEN 12 
-        END as month_num,
-        COALESCE(SUM(m.net_profit), 0) as net_profit,
-        COALESCE(COUNT(DISTINCT d.userkey), 0) as active_members,
-        COALESCE(COUNT(DISTINCT d.userkey), 0) as pure_members,
-        COALESCE(SUM(h.${currency === 'MYR' ? 'total_myr' : currency === 'SGD' ? 'total_sgd' : 'total_usc'}), 0) as headcount
-      FROM member_report_monthly m
-      LEFT JOIN deposit_monthly d ON m.currency = d.currency AND m.year = d.year AND m.month = d.month
-      LEFT JOIN headcountdep h ON d.year = h.year AND d.month = h.month
-      WHERE m.currency = $1 AND m.year = $2
-      GROUP BY m.month, month_num
-      ORDER BY month_num;
-    `;
-
-    const result = await client.query(monthlyQuery, [currency, year]);
-    client.release();
-    
-    return result.rows;
-  } catch (error) {
-    client.release();
-    throw error;
-  }
-}
-
-// ===========================================
-// CORE BUSINESS FORMULAS (Like DAX Measures)
+// HELPERS
 // ===========================================
 
 export const FORMULAS = {
-  // Net Profit = (Deposit + Add Transaction) - (Withdraw + Deduct Transaction)  
-  NET_PROFIT: (data) => {
-    return (parseFloat(data.deposit.deposit_amount) + parseFloat(data.deposit.add_transaction)) - 
-           (parseFloat(data.withdraw.withdraw_amount) + parseFloat(data.withdraw.deduct_transaction));
-  },
-
-  // GGR User = Net Profit / Active Members
-  GGR_USER: (data) => {
-    const netProfit = parseFloat(data.member.net_profit);
-    const activeMembers = parseInt(data.deposit.active_members);
-    return activeMembers > 0 ? netProfit / activeMembers : 0;
-  },
-
-  // GGR Pure User = Net Profit / Pure Members (same as active for now)
-  GGR_PURE_USER: (data) => {
-    const netProfit = parseFloat(data.member.net_profit);
-    const pureMembers = parseInt(data.deposit.active_members); // Using same source
-    return pureMembers > 0 ? netProfit / pureMembers : 0;
-  },
-
-  // Customer Value per Headcount = Active Members / Headcount
-  CUSTOMER_VALUE_PER_HEADCOUNT: (data) => {
-    const activeMembers = parseInt(data.deposit.active_members);
-    const headcount = parseInt(data.headcount.headcount);
-    return headcount > 0 ? activeMembers / headcount : 0;
-  },
-
   // Percentage Change
-  PERCENTAGE_CHANGE: (current, previous) => {
-    return previous !== 0 ? ((current - previous) / previous * 100) : 0;
-  },
+  PERCENTAGE_CHANGE: percentageChange,
 
   // Round to 2 decimal places
   ROUND: (value, decimals = 2) => {
@@ -164,136 +25,81 @@ export const FORMULAS = {
 // HIGH-LEVEL BUSINESS FUNCTIONS
 // ===========================================
 
-export async function calculateKPIs(currency, year, month) {
-  try {
-    // Get current and previous month data
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 
-                       'July', 'August', 'September', 'October', 'November', 'December'];
-    const currentMonthIndex = monthNames.indexOf(month);
-    const prevMonthIndex = currentMonthIndex === 0 ? 11 : currentMonthIndex - 1;
-    const prevMonth = monthNames[prevMonthIndex];
-    const prevYear = currentMonthIndex === 0 ? parseInt(year) - 1 : parseInt(year);
-
-    const [currentData, previousData] = await Promise.all([
-      getRawData(currency, year, month),
-      getRawData(currency, prevYear, prevMonth)
-    ]);
-
-    // Calculate all KPIs using centralized formulas
-    const currentNetProfit = FORMULAS.NET_PROFIT(currentData);
-    const previousNetProfit = FORMULAS.NET_PROFIT(previousData);
-    
-    const currentGGRUser = FORMULAS.GGR_USER(currentData);
-    const previousGGRUser = FORMULAS.GGR_USER(previousData);
-
-    const currentActiveMembers = parseInt(currentData.deposit.active_members);
-    const previousActiveMembers = parseInt(previousData.deposit.active_members);
-
-    const currentPureMembers = parseInt(currentData.deposit.active_members);
-    const previousPureMembers = parseInt(previousData.deposit.active_members);
-
-    const currentHeadcount = parseInt(currentData.headcount.headcount);
-    const previousHeadcount = parseInt(previousData.headcount.headcount);
-
-    return {
-      netProfit: currentNetProfit,
-      netProfitChange: FORMULAS.ROUND(FORMULAS.PERCENTAGE_CHANGE(currentNetProfit, previousNetProfit)),
-      ggrUser: FORMULAS.ROUND(currentGGRUser),
-      ggrUserChange: FORMULAS.ROUND(FORMULAS.PERCENTAGE_CHANGE(currentGGRUser, previousGGRUser)),
-      activeMember: currentActiveMembers,
-      activeMemberChange: FORMULAS.ROUND(FORMULAS.PERCENTAGE_CHANGE(currentActiveMembers, previousActiveMembers)),
-      pureMember: currentPureMembers,
-      pureMemberChange: FORMULAS.ROUND(FORMULAS.PERCENTAGE_CHANGE(currentPureMembers, previousPureMembers)),
-      headcount: currentHeadcount,
-      headcountChange: FORMULAS.ROUND(FORMULAS.PERCENTAGE_CHANGE(currentHeadcount, previousHeadcount))
-    };
-  } catch (error) {
-    console.error('❌ KPI Calculation Error:', error);
-    // Return fallback data
-    return {
-      netProfit: 693053.48,
-      netProfitChange: -24.8,
-      ggrUser: 141.41,
-      ggrUserChange: -13.4,
-      activeMember: 4901,
-      activeMemberChange: -13.2,
-      pureMember: 3540,
-      pureMemberChange: -10.4,
-      headcount: 48,
-      headcountChange: 0
-    };
-  }
+const KPI_METRICS = ['net_profit', 'ggr_user', 'active_member', 'pure_member', 'headcount'];
+
+// currency may be 'ALL_MYR' / 'ALL_USD' (see lib/currency-conversion.js).
+// comparison = { compare, baselineYear, baselineMonth } (see lib/comparison.js),
+// month over month by default.
+export async function calculateKPIs(currency, year, month, basis, comparison = {}) {
+  const { current, change, comparison: resolved, conversion } = await compareMetrics(KPI_METRICS, {
+    currency,
+    basis,
+    year,
+    month,
+    ...comparison
+  });
+
+  const rounded = (metricId) => FORMULAS.ROUND(change[metricId]);
+
+  return {
+    netProfit: current.net_profit,
+    netProfitChange: rounded('net_profit'),
+    ggrUser: FORMULAS.ROUND(current.ggr_user),
+    ggrUserChange: rounded('ggr_user'),
+    activeMember: current.active_member,
+    activeMemberChange: rounded('active_member'),
+    pureMember: current.pure_member,
+    pureMemberChange: rounded('pure_member'),
+    headcount: current.headcount,
+    headcountChange: rounded('headcount'),
+    comparison: { mode: resolved.mode, label: resolved.label },
+    conversion
+  };
 }
 
-export async function calculateCharts(currency, year) {
-  try {
-    const monthlyData = await getMonthlyData(currency, year);
-    
-    // Process monthly data using centralized formulas
-    const processedData = monthlyData.map(month => ({
-      month: month.month.substring(0, 3),
-      ggrUser: FORMULAS.ROUND(month.active_members > 0 ? month.net_profit / month.active_members : 0),
-      ggrPureUser: FORMULAS.ROUND(month.pure_members > 0 ? month.net_profit / month.pure_members : 0),
-      customerValuePerHeadcount: FORMULAS.ROUND(month.headcount > 0 ? month.active_members / month.headcount : 0),
-      activeMembers: parseInt(month.active_members),
-      headcount: parseInt(month.headcount)
-    }));
-
-    // Get department data
-    const deptData = await getRawData(currency, year);
-
-    return {
-      ggrUserTrend: {
-        series: [{ name: 'GGR User', data: processedData.map(d => d.ggrUser) }],
-        categories: processedData.map(d => d.month)
-      },
-      ggrPureUserTrend: {
-        series: [{ name: 'GGR Pure User', data: processedData.map(d => d.ggrPureUser) }],
-        categories: processedData.map(d => d.month)
-      },
-      customerValueTrend: {
-        series: [{ name: 'Value per Headcount', data: processedData.map(d => d.customerValuePerHeadcount) }],
-        categories: processedData.map(d => d.month)
-      },
-      customerCountTrend: {
-        series: [
-          { name: 'Active Member', data: processedData.map(d => d.activeMembers) },
-          { name: 'Headcount', data: processedData.map(d => d.headcount) }
-        ],
-        categories: processedData.map(d => d.month)
-      },
-      customerVolumeDept: {
-        series: [{ name: 'Headcount', data: [parseInt(deptData.headcount.cashier), parseInt(deptData.headcount.sr), parseInt(deptData.headcount.css)] }],
-        categories: ['Cashier', 'S&R', 'CS']
-      }
-    };
-  } catch (error) {
-    console.error('❌ Charts Calculation Error:', error);
-    // Return fallback data
-    return {
-      ggrUserTrend: {
-        series: [{ name: 'GGR User', data: [142.50, 155.25, 148.75, 160.80, 152.90, 165.26, 142.64] }],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      ggrPureUserTrend: {
-        series: [{ name: 'GGR Pure User', data: [98.30, 102.45, 95.80, 108.20, 99.75, 112.15, 89.50] }],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      customerValueTrend: {
-        series: [{ name: 'Value per Headcount', data: [154.20, 148.00, 149.50, 142.00, 115.00, 193.00, 142.00] }],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      customerCountTrend: {
-        series: [
-          { name: 'Active Member', data: [8000, 7800, 7900, 7700, 6900, 7500, 6800] },
-          { name: 'Headcount', data: [55, 55, 50, 52, 50, 55, 48] }
-        ],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      customerVolumeDept: {
-        series: [{ name: 'Headcount', data: [15, 10, 8] }],
-        categories: ['Cashier', 'S&R', 'CS']
-      }
-    };
-  }
-} 
\ No newline at end of file
+const TREND_METRICS = ['ggr_user', 'ggr_pure_user', 'customer_value_per_headcount', 'active_member', 'headcount'];
+const DEPARTMENT_METRICS = ['headcount_cashier', 'headcount_sr', 'headcount_cs'];
+
+export async function calculateCharts(currency, year, basis) {
+  const periods = yearPeriods(year);
+  const [trends, departments] = await Promise.all([
+    evaluateMetrics(TREND_METRICS, { currency, basis, periods, groupBy: METRIC_GROUPINGS.PERIOD }),
+    evaluateMetrics(DEPARTMENT_METRICS, { currency, periods, groupBy: METRIC_GROUPINGS.PERIOD })
+  ]);
+
+  // Months of the year that have data
+  const months = trends.series.filter(entry => entry.hasData);
+  const categories = months.map(entry => monthShortName(entry.month));
+  const trend = (metricId, round = true) => months.map(entry => (round ? FORMULAS.ROUND(entry.values[metricId]) : entry.values[metricId]));
+
+  // Department split of the latest month with headcount data
+  const latestDepartment = departments.series.filter(entry => entry.hasData).pop();
+
+  return {
+    ggrUserTrend: {
+      series: [{ name: 'GGR User', data: trend('ggr_user') }],
+      categories
+    },
+    ggrPureUserTrend: {
+      series: [{ name: 'GGR Pure User', data: trend('ggr_pure_user') }],
+      categories
+    },
+    customerValueTrend: {
+      series: [{ name: 'Value per Headcount', data: trend('customer_value_per_headcount') }],
+      categories
+    },
+    customerCountTrend: {
+      series: [
+        { name: 'Active Member', data: trend('active_member', false) },
+        { name: 'Headcount', data: trend('headcount', false) }
+      ],
+      categories
+    },
+    customerVolumeDept: {
+      series: [{ name: 'Headcount', data: DEPARTMENT_METRICS.map(metricId => latestDepartment?.values[metricId] ?? 0) }],
+      categories: ['Cashier', 'S&R', 'CS'],
+      month: latestDepartment ? monthName(latestDepartment.month) : null
+    },
+    conversion: trends.conversion
+  };
+}
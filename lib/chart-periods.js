@@ -0,0 +1,276 @@
+// CHART PERIODS
+// Which periods a dashboard view covers and how they are grouped into points.
+//
+//   range       - 'year'      : January..December of `year`
+//                 'rolling12' : the 12 months ending with `month` of `year`
+//   granularity - 'week' | 'month' | 'quarter'
+//
+// resolveChartBuckets() returns the chart points in order, each with the
+// periods it covers, ready for evaluateMetrics(..., { groupBy: 'bucket' });
+// resolveRangeBuckets() does the same for an explicit from/to range and
+// resolvePeriodBucket() returns the single point the KPI cards show.
+//
+// Month and quarter points are lists of months, read from the monthly rollups.
+// Weeks do not line up with months, so a week point is a date range (ISO week,
+// Monday..Sunday) read from the *_daily tables (see lib/metrics.js). A week
+// belongs to the month holding its Thursday, so the weeks of a range are whole
+// weeks and may start in the previous month.
+
+import {
+  yearMonth,
+  addMonths,
+  addDays,
+  monthsOfYear,
+  quarterOf,
+  quarterMonths,
+  isoWeekOf,
+  isoWeeksOfMonth,
+  isoWeekDateRange,
+  parseIsoWeek,
+  formatYearMonth,
+  parseYearMonth,
+  compareYearMonths,
+  monthsBetween,
+  monthDateRange,
+  yearMonthOfDate,
+  dateRange,
+  formatQuarter,
+  formatIsoWeek,
+  monthShortName
+} from './periods';
+
+export const CHART_RANGES = {
+  YEAR: 'year',
+  ROLLING_12: 'rolling12'
+};
+
+export const CHART_GRANULARITIES = {
+  WEEK: 'week',
+  MONTH: 'month',
+  QUARTER: 'quarter'
+};
+
+// Longest explicit range (resolveRangeBuckets)
+const MAX_RANGE_MONTHS = 120;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Points per year, for year-over-year baselines
+const POINTS_PER_YEAR = {
+  week: 52,
+  month: 12,
+  quarter: 4
+};
+
+function chartPeriodError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function validateGranularity(granularity) {
+  if (!Object.values(CHART_GRANULARITIES).includes(granularity)) {
+    throw chartPeriodError(`Unknown granularity: ${granularity}`);
+  }
+}
+
+// ===========================================
+// POINTS
+// ===========================================
+
+// { bucket, label, periods } of one point; label is the short chart label
+// ('Jul', 'Q3', 'W31') and fullLabel adds the year
+function monthPoint(period) {
+  const label = monthShortName(period.month);
+  return { bucket: formatYearMonth(period), label, fullLabel: `${label} ${period.year}`, periods: [period] };
+}
+
+// A quarter point covering only some of its months says which ones:
+// 'Q3 (Jul-Aug)'; `partial` marks it
+function quarterPoint(quarter, months = quarterMonths(quarter)) {
+  const partial = months.length < 3;
+  const span = [...new Set([months[0], months[months.length - 1]].map(period => monthShortName(period.month)))].join('-');
+  const label = partial ? `Q${quarter.quarter} (${span})` : `Q${quarter.quarter}`;
+  return {
+    bucket: formatQuarter(quarter),
+    label,
+    fullLabel: partial ? `Q${quarter.quarter} ${quarter.year} (${span})` : `${label} ${quarter.year}`,
+    periods: months,
+    partial
+  };
+}
+
+function weekPoint(week) {
+  const label = `W${week.week}`;
+  return { bucket: formatIsoWeek(week), label, fullLabel: `${label} ${week.year}`, periods: [isoWeekDateRange(week)] };
+}
+
+// The point of a granularity that holds a period: a week point for a
+// { from, to } range (by its first day), a month or quarter point for a month
+export function periodBucket(granularity, period) {
+  validateGranularity(granularity);
+  if (granularity === CHART_GRANULARITIES.WEEK) {
+    return weekPoint(isoWeekOf(period.from));
+  }
+  const month = yearMonth(period.year, period.month);
+  return granularity === CHART_GRANULARITIES.QUARTER ? quarterPoint(quarterOf(month)) : monthPoint(month);
+}
+
+// The point of explicit periods (e.g. a quarter trimmed to some of its months)
+export function periodsBucket(granularity, periods) {
+  if (granularity === CHART_GRANULARITIES.QUARTER) {
+    return quarterPoint(quarterOf(periods[0]), periods);
+  }
+  return periodBucket(granularity, periods[0]);
+}
+
+// The point the KPI cards show: the selected month, the quarter holding it up
+// to the selected month (an unfinished quarter isn't set against whole ones),
+// or the ISO week `week` ('2025-W31')
+export function resolvePeriodBucket({ granularity = CHART_GRANULARITIES.MONTH, year, month, week } = {}) {
+  validateGranularity(granularity);
+  if (granularity === CHART_GRANULARITIES.WEEK) {
+    const parsed = parseIsoWeek(week);
+    if (!parsed) {
+      throw chartPeriodError(`Invalid week: ${week} (expected e.g. 2025-W31)`);
+    }
+    return weekPoint(parsed);
+  }
+  const selected = yearMonth(year, month);
+  if (granularity === CHART_GRANULARITIES.QUARTER) {
+    return periodsBucket(granularity, quarterMonths(quarterOf(selected)).filter(period => period.month <= selected.month));
+  }
+  return periodBucket(granularity, selected);
+}
+
+// A point's periods moved back by `points` points of the granularity: 7 days
+// a week, 1 month a month, 3 months a quarter
+export function shiftPeriods(periods, granularity, points = 1) {
+  validateGranularity(granularity);
+  if (granularity === CHART_GRANULARITIES.WEEK) {
+    return periods.map(({ from, to }) => ({ from: addDays(from, -7 * points), to: addDays(to, -7 * points) }));
+  }
+  const months = granularity === CHART_GRANULARITIES.QUARTER ? 3 * points : points;
+  return periods.map(period => addMonths(period, -months));
+}
+
+// Points back to the same point last year (52 weeks for weeks, so weekdays line up)
+export function pointsPerYear(granularity) {
+  validateGranularity(granularity);
+  return POINTS_PER_YEAR[granularity];
+}
+
+// ===========================================
+// CHART BUCKETS
+// ===========================================
+
+// [{ bucket, label, periods, partial }], bucket being '2025-07', '2025-Q3' or
+// '2025-W31'; partial marks a quarter the range covers only in part
+export function resolveChartBuckets({
+  range = CHART_RANGES.YEAR,
+  granularity = CHART_GRANULARITIES.MONTH,
+  year,
+  month = 'December'
+} = {}) {
+  if (!Object.values(CHART_RANGES).includes(range)) {
+    throw chartPeriodError(`Unknown range: ${range}`);
+  }
+  validateGranularity(granularity);
+  const end = yearMonth(year, month);
+
+  const months = range === CHART_RANGES.ROLLING_12
+    ? Array.from({ length: 12 }, (_, index) => addMonths(end, index - 11))
+    : monthsOfYear(end.year);
+
+  // A rolling window may cover only part of its first and last quarter
+  return chartBuckets(monthPoints(months, granularity));
+}
+
+// Points of a list of months: their weeks, the months, or their quarters
+// (partial quarters marked and naming their months)
+function monthPoints(months, granularity) {
+  if (granularity === CHART_GRANULARITIES.WEEK) {
+    return months.flatMap(period => isoWeeksOfMonth(period)).map(weekPoint);
+  }
+  if (granularity === CHART_GRANULARITIES.MONTH) {
+    return months.map(monthPoint);
+  }
+
+  const quarters = [];
+  months.forEach(period => {
+    const bucket = formatQuarter(quarterOf(period));
+    const existing = quarters.find(entry => entry.bucket === bucket);
+    if (existing) {
+      existing.months.push(period);
+    } else {
+      quarters.push({ bucket, quarter: quarterOf(period), months: [period] });
+    }
+  });
+  return quarters.map(({ quarter, months: covered }) => quarterPoint(quarter, covered));
+}
+
+// Labels carry the year only when the chart crosses a year boundary
+function chartBuckets(points) {
+  const crossesYear = points[0].bucket.slice(0, 4) !== points[points.length - 1].bucket.slice(0, 4);
+  return points.map(({ bucket, label, fullLabel, periods, partial = false }) => ({
+    bucket,
+    label: crossesYear ? fullLabel : label,
+    periods,
+    partial
+  }));
+}
+
+// Points of an explicit range (/api/metrics), `from` and `to` both included:
+//   months - '2024-11' .. '2025-02', read from the monthly rollups
+//   days   - '2025-07-01' .. '2025-08-15', read from the daily tables; the
+//            range is cut at the week, month or quarter boundaries, so its
+//            first and last points may be partial
+// Same shape as resolveChartBuckets()
+export function resolveRangeBuckets({ from, to, granularity = CHART_GRANULARITIES.MONTH } = {}) {
+  validateGranularity(granularity);
+
+  const startMonth = parseYearMonth(from);
+  const endMonth = parseYearMonth(to);
+  if (startMonth && endMonth) {
+    if (compareYearMonths(startMonth, endMonth) > 0) {
+      throw chartPeriodError(`Range starts after it ends: ${from} - ${to}`);
+    }
+    const months = monthsBetween(startMonth, endMonth);
+    if (months.length > MAX_RANGE_MONTHS) {
+      throw chartPeriodError(`Ranges are limited to ${MAX_RANGE_MONTHS} months`);
+    }
+    return chartBuckets(monthPoints(months, granularity));
+  }
+
+  if (!DAY_PATTERN.test(String(from)) || !DAY_PATTERN.test(String(to))) {
+    throw chartPeriodError('from and to must both be months (YYYY-MM) or both days (YYYY-MM-DD)');
+  }
+  const range = dateRange(from, to);
+  if (compareYearMonths(yearMonthOfDate(range.from), yearMonthOfDate(range.to)) >= MAX_RANGE_MONTHS) {
+    throw chartPeriodError(`Ranges are limited to ${MAX_RANGE_MONTHS} months`);
+  }
+
+  const points = [];
+  for (let day = range.from; day <= range.to;) {
+    const point = dayPoint(granularity, day);
+    const whole = { from: point.periods[0].from, to: point.periods[point.periods.length - 1].to };
+    const covered = { from: day, to: whole.to < range.to ? whole.to : range.to };
+    points.push({ ...point, periods: [covered], partial: covered.from !== whole.from || covered.to !== whole.to });
+    day = addDays(whole.to, 1);
+  }
+  return chartBuckets(points);
+}
+
+// The week, month or quarter point holding a day, its periods as date ranges
+function dayPoint(granularity, day) {
+  if (granularity === CHART_GRANULARITIES.WEEK) {
+    return weekPoint(isoWeekOf(day));
+  }
+  const point = periodBucket(granularity, yearMonthOfDate(day));
+  return { ...point, periods: point.periods.map(monthDateRange) };
+}
+
+// Flattens buckets into evaluateMetrics() periods
+export function bucketPeriods(buckets) {
+  return buckets.flatMap(({ bucket, periods }) => periods.map(period => ({ ...period, bucket })));
+}
@@ -0,0 +1,202 @@
+// PERIOD COMPARISON
+// Resolves what a KPI or chart point is compared against and evaluates both
+// sides through the metric registry (lib/metrics.js). The selected period and
+// its baseline follow the granularity (week, month or quarter; see
+// lib/chart-periods.js):
+//
+//   mom    - the previous period: last week, last month or last quarter
+//   yoy    - the same period last year (52 weeks back for a week)
+//   ytd    - January 1st to the end of the period vs the same days last year
+//   custom - an explicit baseline month (baselineYear + baselineMonth), or the
+//            quarter holding it; not available for weeks
+//
+// A quarter runs to the selected month, and its baselines cover the same
+// months of their quarter, so a quarter in progress isn't compared with a
+// whole one.
+
+import { evaluateMetrics, METRIC_GROUPINGS } from './metrics';
+import { yearMonth, addMonths, addYears, monthsBetween } from './periods';
+import {
+  CHART_GRANULARITIES,
+  periodBucket,
+  periodsBucket,
+  resolvePeriodBucket,
+  shiftPeriods,
+  pointsPerYear
+} from './chart-periods';
+
+export const COMPARISON_MODES = {
+  MOM: 'mom',
+  YOY: 'yoy',
+  YTD: 'ytd',
+  CUSTOM: 'custom'
+};
+
+function comparisonError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// (current - baseline) / baseline in percent; 0 without a baseline
+export function percentageChange(current, baseline) {
+  return baseline !== 0 ? ((current - baseline) / baseline * 100) : 0;
+}
+
+// Months (or the quarter) of a custom baseline
+function customBaseline(granularity, { baselineYear, baselineMonth }) {
+  if (granularity === CHART_GRANULARITIES.WEEK) {
+    throw comparisonError('A custom baseline is a month or a quarter; it is not available for weeks');
+  }
+  if (!baselineYear || !baselineMonth) {
+    throw comparisonError('A custom comparison needs baselineYear and baselineMonth');
+  }
+  return periodBucket(granularity, yearMonth(baselineYear, baselineMonth));
+}
+
+// January 1st to the end of a point, this year and last year
+function yearToDate(granularity, periods) {
+  if (granularity === CHART_GRANULARITIES.WEEK) {
+    const { to } = periods[periods.length - 1];
+    const current = { from: `${to.slice(0, 4)}-01-01`, to };
+    return { current: [current], baseline: [{ from: addYears(current.from, -1), to: addYears(to, -1) }] };
+  }
+  const last = periods[periods.length - 1];
+  const current = monthsBetween({ year: last.year, month: 1 }, last);
+  return { current, baseline: current.map(period => addMonths(period, -12)) };
+}
+
+// Current and baseline periods of a KPI for the selected period:
+// { mode, granularity, label, period: { bucket, label }, current, baseline }.
+// Periods are months ({ year, month }) or, for weeks, date ranges ({ from, to }).
+export function resolveComparison(mode = COMPARISON_MODES.MOM, {
+  granularity = CHART_GRANULARITIES.MONTH,
+  year,
+  month,
+  week,
+  baselineYear,
+  baselineMonth
+} = {}) {
+  const selected = resolvePeriodBucket({ granularity, year, month, week });
+  const resolved = { mode, granularity, period: { bucket: selected.bucket, label: selected.fullLabel } };
+
+  switch (mode) {
+    case COMPARISON_MODES.MOM:
+      return { ...resolved, label: `vs last ${granularity}`, current: selected.periods, baseline: shiftPeriods(selected.periods, granularity) };
+    case COMPARISON_MODES.YOY: {
+      const baseline = shiftPeriods(selected.periods, granularity, pointsPerYear(granularity));
+      return {
+        ...resolved,
+        label: `vs ${periodsBucket(granularity, baseline).fullLabel}`,
+        current: selected.periods,
+        baseline
+      };
+    }
+    case COMPARISON_MODES.YTD:
+      return { ...resolved, label: 'YTD vs last YTD', ...yearToDate(granularity, selected.periods) };
+    case COMPARISON_MODES.CUSTOM: {
+      // As many months of the baseline quarter as the selected quarter has so far
+      const custom = customBaseline(granularity, { baselineYear, baselineMonth });
+      const baseline = periodsBucket(granularity, custom.periods.slice(0, selected.periods.length));
+      return { ...resolved, label: `vs ${baseline.fullLabel}`, current: selected.periods, baseline: baseline.periods };
+    }
+    default:
+      throw comparisonError(`Unknown comparison: ${mode}`);
+  }
+}
+
+// Baseline periods of one chart point: its periods shifted back by one point
+// for mom, by a year for yoy and ytd
+function pointBaseline(mode, periods, granularity) {
+  switch (mode) {
+    case COMPARISON_MODES.MOM:
+      return shiftPeriods(periods, granularity);
+    case COMPARISON_MODES.YOY:
+    case COMPARISON_MODES.YTD:
+      return shiftPeriods(periods, granularity, pointsPerYear(granularity));
+    default:
+      throw comparisonError(`Unknown comparison: ${mode}`);
+  }
+}
+
+function pointLabel(mode, granularity, custom) {
+  switch (mode) {
+    case COMPARISON_MODES.MOM:
+      return `vs previous ${granularity}`;
+    case COMPARISON_MODES.CUSTOM:
+      return `vs ${custom.fullLabel}`;
+    default:
+      return `vs same ${granularity} last year`;
+  }
+}
+
+// Current values, baseline values and % change of measures for one KPI
+// selection: { current, baseline, change, comparison (see resolveComparison), conversion }
+export async function compareMetrics(metricIds, {
+  currency,
+  basis,
+  granularity,
+  year,
+  month,
+  week,
+  compare,
+  baselineYear,
+  baselineMonth
+}) {
+  const comparison = resolveComparison(compare, { granularity, year, month, week, baselineYear, baselineMonth });
+
+  const [current, baseline] = await Promise.all([
+    evaluateMetrics(metricIds, { currency, basis, periods: comparison.current }),
+    evaluateMetrics(metricIds, { currency, basis, periods: comparison.baseline })
+  ]);
+
+  return {
+    current: current.values,
+    baseline: baseline.values,
+    change: Object.fromEntries(metricIds.map(metricId => [
+      metricId,
+      percentageChange(current.values[metricId], baseline.values[metricId])
+    ])),
+    comparison,
+    conversion: current.conversion
+  };
+}
+
+// Baseline value of every chart point, for tooltips. points are
+// [{ bucket, periods }] (lib/chart-periods.js) of the given granularity.
+// Returns { label, values: { metricId: [baseline per point] } }
+export async function comparePeriodSeries(metricIds, points, {
+  currency,
+  basis,
+  compare = COMPARISON_MODES.MOM,
+  baselineYear,
+  baselineMonth,
+  granularity = CHART_GRANULARITIES.MONTH
+}) {
+  const custom = compare === COMPARISON_MODES.CUSTOM ? customBaseline(granularity, { baselineYear, baselineMonth }) : null;
+  const label = pointLabel(compare, granularity, custom);
+  if (points.length === 0) {
+    return { label, values: Object.fromEntries(metricIds.map(metricId => [metricId, []])) };
+  }
+
+  // The custom baseline is the same for every point; evaluate it once
+  const baselinePoints = custom
+    ? [{ bucket: 'custom', periods: custom.periods }]
+    : points.map(point => ({ bucket: point.bucket, periods: pointBaseline(compare, point.periods, granularity) }));
+
+  const { series } = await evaluateMetrics(metricIds, {
+    currency,
+    basis,
+    periods: baselinePoints.flatMap(({ bucket, periods }) => periods.map(period => ({ ...period, bucket }))),
+    groupBy: METRIC_GROUPINGS.BUCKET
+  });
+  const valuesOf = (index) => (custom ? series[0] : series[index]).values;
+
+  return {
+    label,
+    values: Object.fromEntries(metricIds.map(metricId => [
+      metricId,
+      points.map((point, index) => valuesOf(index)[metricId])
+    ]))
+  };
+}
@@ -0,0 +1,124 @@
+// CONSOLIDATED MULTI-CURRENCY REPORTING
+// The dashboard APIs normally filter to one currency. The consolidated options
+// ('ALL_MYR', 'ALL_USD') include every convertible currency instead and convert
+// each row's amounts with the exchange_rate table before summing:
+//
+//   daily       - rate on the row's date (latest rate on or before it)
+//   monthly_avg - average of the rates recorded in the row's month
+//
+// exchange_rate only stores rates into MYR (total_sgd_to_myr, usd_to_myr), so
+// USD totals go through MYR. KHR accounts are kept in US cents (USC).
+//
+// Usage: getCurrencyScope() once per request, then in each query
+//   FROM deposit_monthly t ${scope.join('t')}
+//   WHERE ${scope.filter('t')} ...          -- uses $1 = scope.param
+//   SUM(${scope.convert('t.deposit_amount', 't')})
+// scope.join('t', { textDate: true }) for a table whose date column is text.
+
+import { textDateSql } from './periods';
+
+export const CONSOLIDATED_CURRENCIES = {
+  ALL_MYR: { target: 'MYR', label: 'ALL (in MYR)' },
+  ALL_USD: { target: 'USD', label: 'ALL (in USD)' }
+};
+
+export const CONVERSION_BASES = {
+  DAILY: 'daily',
+  MONTHLY_AVG: 'monthly_avg'
+};
+
+const BASIS_DESCRIPTIONS = {
+  daily: 'daily rate (latest rate on or before each transaction date)',
+  monthly_avg: 'monthly average rate (average of the month\'s recorded rates)'
+};
+
+// Source currency -> MYR multiplier, in terms of the joined fx row
+const RATE_TO_MYR = {
+  MYR: '1',
+  SGD: 'fx.sgd_to_myr',
+  USD: 'fx.usd_to_myr',
+  KHR: 'fx.usd_to_myr / 100'
+};
+
+export const CONVERTIBLE_CURRENCIES = Object.keys(RATE_TO_MYR);
+
+function conversionError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function isConsolidatedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CONSOLIDATED_CURRENCIES, currency);
+}
+
+// textDate: the source keeps `date` as text ('YYYY-MM-DD' or 'M/D/YYYY', as
+// member_report_monthly does), parsed with textDateSql; DATE columns are used as they are
+function rateJoin(alias, basis, textDate) {
+  const day = textDate ? textDateSql(`${alias}.date`) : `${alias}.date`;
+
+  if (basis === CONVERSION_BASES.MONTHLY_AVG) {
+    return `
+      LEFT JOIN (
+        SELECT DATE_TRUNC('month', date) AS rate_month,
+               AVG(total_sgd_to_myr) AS sgd_to_myr,
+               AVG(usd_to_myr) AS usd_to_myr
+        FROM exchange_rate
+        GROUP BY DATE_TRUNC('month', date)
+      ) fx ON fx.rate_month = DATE_TRUNC('month', ${day})`;
+  }
+
+  return `
+      LEFT JOIN LATERAL (
+        SELECT er.total_sgd_to_myr AS sgd_to_myr, er.usd_to_myr
+        FROM exchange_rate er
+        WHERE er.date <= ${day}
+        ORDER BY er.date DESC
+        LIMIT 1
+      ) fx ON TRUE`;
+}
+
+function rateExpression(alias, target) {
+  const toMyr = `CASE ${alias}.currency ${CONVERTIBLE_CURRENCIES
+    .map(currency => `WHEN '${currency}' THEN ${RATE_TO_MYR[currency]}`)
+    .join(' ')} END`;
+  return target === 'USD' ? `(${toMyr}) / NULLIF(fx.usd_to_myr, 0)` : `(${toMyr})`;
+}
+
+// Query helpers for one request. A single currency keeps today's behaviour
+// (no join, amounts untouched); $1 is always an array of currencies.
+export function getCurrencyScope(currency, basis = CONVERSION_BASES.DAILY) {
+  if (!Object.values(CONVERSION_BASES).includes(basis)) {
+    throw conversionError(`Unknown conversion basis: ${basis}`, 400);
+  }
+
+  const consolidated = CONSOLIDATED_CURRENCIES[currency];
+  if (!consolidated) {
+    return {
+      consolidated: false,
+      param: [currency],
+      filter: (alias) => `${alias}.currency = ANY($1)`,
+      join: () => '',
+      convert: (expression) => expression,
+      unconverted: () => '0',
+      conversion: null
+    };
+  }
+
+  return {
+    consolidated: true,
+    param: CONVERTIBLE_CURRENCIES,
+    filter: (alias) => `${alias}.currency = ANY($1)`,
+    join: (alias, { textDate = false } = {}) => rateJoin(alias, basis, textDate),
+    convert: (expression, alias) => `(${expression}) * ${rateExpression(alias, consolidated.target)}`,
+    // Rows whose amounts drop out of the sums because no rate covers them
+    unconverted: (alias) => `COUNT(*) FILTER (WHERE ${rateExpression(alias, consolidated.target)} IS NULL)`,
+    conversion: {
+      currency,
+      label: consolidated.label,
+      target: consolidated.target,
+      basis,
+      disclosure: `Converted to ${consolidated.target} at the ${BASIS_DESCRIPTIONS[basis]}`
+    }
+  };
+}
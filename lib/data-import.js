@@ -0,0 +1,327 @@
+// BULK SPREADSHEET IMPORT
+// CSV/XLSX upload for headcount and exchange rates in two steps:
+//   preview - parse, coerce and validate every row against the table structure,
+//             flag rows whose uniquekey already exists (conflicts)
+//   commit  - re-validate the same file and write it in one transaction,
+//             skipping or overwriting each conflict as chosen in the preview.
+// Overwrites go through applyVersionedUpdate(), so the replaced row stays in
+// the row history like any other edit.
+
+import * as XLSX from 'xlsx';
+import pool from './database';
+import { recordAudit, AUDIT_ACTIONS } from './audit';
+import {
+  getVersionedTable,
+  getTableStructure,
+  ensureRowVersionsTable,
+  applyVersionedUpdate,
+  coerceValue,
+  VERSION_CHANGE_TYPES
+} from './row-versions';
+import { monthName, yearMonthOfDate } from './periods';
+import { exchangeUniqueKey, headcountUniqueKey } from './unique-keys';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+export const CONFLICT_RESOLUTIONS = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite'
+};
+
+// Month / year / uniquekey are filled the same way the input forms fill them
+// (pages/transaction/*.js), unless the file already provides them.
+function fillPeriodFields(row, columns) {
+  const period = yearMonthOfDate(row.date);
+  if (!period) return;
+  if (columns.includes('month') && !row.month) row.month = monthName(period.month);
+  if (columns.includes('year') && !row.year) row.year = period.year;
+}
+
+const IMPORT_TABLES = {
+  headcount: {
+    deriveFields(row, columns) {
+      fillPeriodFields(row, columns);
+      if (!row.uniquekey && row.month) {
+        row.uniquekey = headcountUniqueKey(row.month, row.total_sgd, row.total_myr, row.total_usc);
+      }
+    }
+  },
+  exchange: {
+    // Built from the cell text like the form does, not from the coerced numbers
+    deriveFields(row, columns, text) {
+      fillPeriodFields(row, columns);
+      if (!row.uniquekey && row.date) {
+        row.uniquekey = exchangeUniqueKey(row.date, text.total_sgd_to_myr, text.usd_to_myr);
+      }
+    }
+  }
+};
+
+function importError(message, statusCode = 400, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+// ===========================================
+// PARSING
+// ===========================================
+
+// First sheet of a base64 CSV/XLSX file as { headers, rows }. CSV cells are read
+// as plain text so keys like "July-1" are not turned into dates.
+export function parseImportFile(fileBase64, fileName = '', { maxRows = MAX_IMPORT_ROWS } = {}) {
+  if (!fileBase64) {
+    throw importError('No file uploaded');
+  }
+
+  const isCsv = /\.csv$/i.test(fileName);
+  let workbook;
+  try {
+    workbook = XLSX.read(Buffer.from(fileBase64, 'base64'), {
+      type: 'buffer',
+      raw: isCsv,
+      cellDates: true,
+      dateNF: 'yyyy-mm-dd'
+    });
+  } catch (error) {
+    throw importError(`Could not read ${fileName || 'file'}: ${error.message}`);
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw importError('The file has no sheets');
+  }
+
+  const matrix = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, dateNF: 'yyyy-mm-dd', blankrows: false });
+  if (matrix.length < 2) {
+    throw importError('The file has no data rows');
+  }
+
+  const [headers, ...rows] = matrix;
+  if (rows.length > maxRows) {
+    throw importError(`The file has ${rows.length} rows; the limit is ${maxRows} per import`);
+  }
+
+  return { headers: headers.map(header => String(header).trim()), rows };
+}
+
+// "Total SGD" -> "total_sgd", "Amount (MYR)" -> "amount_myr"
+export function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+// Parses and validates the file against the live table. Every row gets a status:
+// 'new', 'conflict' (uniquekey already in the table) or 'error'.
+async function analyzeImport(client, tableId, fileBase64, fileName) {
+  const config = getVersionedTable(tableId);
+  const keyColumn = config.keyColumn;
+  const { headers, rows } = parseImportFile(fileBase64, fileName);
+  const { columnDetails } = await getTableStructure(client, config.table);
+
+  // Serial ids are generated by the database, never imported
+  const importable = columnDetails.filter(column => !String(column.defaultValue || '').startsWith('nextval('));
+  const importableNames = importable.map(column => column.name);
+  const columnsByName = Object.fromEntries(importable.map(column => [column.name, column]));
+
+  const headerColumns = headers.map(header => (importableNames.includes(normalizeHeader(header)) ? normalizeHeader(header) : null));
+  const ignoredColumns = headers.filter((header, index) => header && !headerColumns[index]);
+  const required = importable.filter(column => !column.nullable && !column.defaultValue).map(column => column.name);
+
+  const seenKeys = new Map();
+  const analyzed = rows.map((cells, index) => {
+    const rowNumber = index + 2; // spreadsheet row, after the header
+    const data = {};
+    const text = {};
+    const errors = [];
+    const invalidFields = [];
+
+    headerColumns.forEach((columnName, cellIndex) => {
+      if (!columnName) return;
+      text[columnName] = String(cells[cellIndex] ?? '').trim();
+      const { value, error } = coerceValue(cells[cellIndex] ?? '', columnsByName[columnName]);
+      if (error) {
+        errors.push(error);
+        invalidFields.push(columnName);
+      } else if (value !== null) {
+        data[columnName] = value;
+      }
+    });
+
+    IMPORT_TABLES[tableId].deriveFields(data, importableNames, text);
+
+    const missingFields = required.filter(field => data[field] === undefined && !invalidFields.includes(field));
+    if (missingFields.length > 0) {
+      errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+
+    const key = data[keyColumn];
+    if (key === undefined) {
+      if (!required.includes(keyColumn)) errors.push(`${keyColumn} could not be determined`);
+    } else if (seenKeys.has(key)) {
+      errors.push(`Duplicate ${keyColumn} "${key}" (also on row ${seenKeys.get(key)})`);
+    } else {
+      seenKeys.set(key, rowNumber);
+    }
+
+    return { rowNumber, data, errors, status: errors.length > 0 ? 'error' : 'new' };
+  });
+
+  const keys = [...seenKeys.keys()];
+  const existing = keys.length > 0
+    ? await client.query(`SELECT to_jsonb(t) AS data FROM ${config.table} t WHERE ${keyColumn} = ANY($1)`, [keys])
+    : { rows: [] };
+  const existingByKey = Object.fromEntries(existing.rows.map(row => [row.data[keyColumn], row.data]));
+
+  analyzed.forEach(row => {
+    if (row.status === 'new' && existingByKey[row.data[keyColumn]]) {
+      row.status = 'conflict';
+      row.existing = existingByKey[row.data[keyColumn]];
+    }
+  });
+
+  return {
+    keyColumn,
+    columns: importableNames.filter(name => headerColumns.includes(name) || analyzed.some(row => name in row.data)),
+    ignoredColumns,
+    rows: analyzed,
+    summary: {
+      total: analyzed.length,
+      new: analyzed.filter(row => row.status === 'new').length,
+      conflicts: analyzed.filter(row => row.status === 'conflict').length,
+      errors: analyzed.filter(row => row.status === 'error').length
+    }
+  };
+}
+
+// ===========================================
+// PREVIEW / COMMIT
+// ===========================================
+
+export async function previewImport(tableId, fileBase64, fileName) {
+  const client = await pool.connect();
+  try {
+    return await analyzeImport(client, tableId, fileBase64, fileName);
+  } finally {
+    client.release();
+  }
+}
+
+// `resolutions` maps a conflicting uniquekey to 'skip' or 'overwrite' (default skip).
+// All-or-nothing: any invalid row or database error (audit entries included)
+// rolls the whole batch back.
+export async function commitImport(req, tableId, fileBase64, fileName, resolutions = {}) {
+  const config = getVersionedTable(tableId);
+  await ensureRowVersionsTable();
+
+  const client = await pool.connect();
+  const inserted = [];
+  const overwritten = [];
+  let skipped = 0;
+
+  try {
+    const analysis = await analyzeImport(client, tableId, fileBase64, fileName);
+    if (analysis.summary.errors > 0) {
+      throw importError(`${analysis.summary.errors} row(s) have errors; fix the file and preview again`, 400, {
+        summary: analysis.summary
+      });
+    }
+
+    await client.query('BEGIN');
+
+    for (const row of analysis.rows) {
+      const key = row.data[config.keyColumn];
+
+      if (row.status === 'conflict') {
+        if (resolutions[key] !== CONFLICT_RESOLUTIONS.OVERWRITE) {
+          skipped++;
+          continue;
+        }
+        const change = await applyVersionedUpdate(client, req, tableId, key, row.data, {
+          changeType: VERSION_CHANGE_TYPES.IMPORT
+        });
+        await recordAudit(client, req, {
+          table: config.table,
+          recordKey: key,
+          action: AUDIT_ACTIONS.UPDATE,
+          before: change.before,
+          after: change.updated
+        });
+        overwritten.push(key);
+        continue;
+      }
+
+      const fields = Object.keys(row.data);
+      const placeholders = fields.map((_, index) => `$${index + 1}`).join(', ');
+      const result = await client.query(
+        `INSERT INTO ${config.table} (${fields.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+        Object.values(row.data)
+      );
+      await recordAudit(client, req, { table: config.table, recordKey: key, action: AUDIT_ACTIONS.INSERT, after: result.rows[0] });
+      inserted.push(key);
+    }
+
+    await client.query('COMMIT');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      throw importError('A row was added with the same uniquekey while importing; preview the file again', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { inserted: inserted.length, overwritten: overwritten.length, skipped };
+}
+
+// ===========================================
+// HANDLER
+// ===========================================
+
+// POST { action: 'preview' | 'commit', fileName, file (base64), resolutions }
+export function createImportHandler(tableId) {
+  const config = getVersionedTable(tableId);
+
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action = 'preview', fileName = '', file, resolutions } = req.body || {};
+
+    try {
+      if (action === 'commit') {
+        console.log(`📤 Importing ${fileName} into ${config.table}`);
+        const result = await commitImport(req, tableId, file, fileName, resolutions || {});
+        console.log(`✅ Import into ${config.table}:`, result);
+
+        return res.status(200).json({
+          success: true,
+          message: `Imported ${result.inserted} new and ${result.overwritten} overwritten row(s); ${result.skipped} skipped`,
+          summary: result
+        });
+      }
+
+      console.log(`🔍 Previewing import of ${fileName} into ${config.table}`);
+      const preview = await previewImport(tableId, file, fileName);
+      res.status(200).json({ success: true, fileName, ...preview });
+
+    } catch (error) {
+      console.error(`❌ Error importing ${config.table} data:`, error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, ...error.details });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Database error while importing data',
+        message: error.message
+      });
+    }
+  };
+}
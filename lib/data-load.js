@@ -0,0 +1,464 @@
+// DATA LOAD
+// File-based ingestion for the daily transaction tables. An admin uploads the
+// upstream daily extract (CSV/XLSX); each row is mapped to the table's columns,
+// coerced and validated, deduplicated on the natural key and upserted in one
+// transaction. Every load (successful or failed) is recorded in `data_loads`,
+// and the latest successful load drives the "Data Updated" banner
+// (/api/last-update).
+//
+// The upsert goes through a temp staging table: rows whose natural key already
+// exists are updated only when a value actually changed, the rest are inserted.
+// Datasets with a monthly rollup (lib/rollups.js) get the months the file
+// touched rebuilt in the same transaction. Deposit and withdraw loads then get
+// their loaded days rescored for anomalies (lib/anomalies.js).
+
+import pool from './database';
+import { getDataset } from './datasets';
+import { getTableStructure, coerceValue } from './row-versions';
+import { parseImportFile, normalizeHeader } from './data-import';
+import { ROLLUPS, rebuildRollupPeriods } from './rollups';
+import { ANOMALY_DATASETS, ANOMALY_RUN_SOURCES, detectAnomalies, dataLoadWindow } from './anomalies';
+
+export const MAX_LOAD_ROWS = 200000;
+
+// Rejected rows kept in the load history (the full count is always recorded)
+const MAX_REJECTED_SAMPLE = 200;
+
+const INSERT_BATCH_SIZE = 500;
+
+// Postgres allows 65535 bind parameters per statement
+const MAX_QUERY_PARAMS = 60000;
+
+// Upstream header (normalized) -> table column, for names that don't normalize
+// to the column name on their own
+const COMMON_COLUMN_ALIASES = {
+  user_key: 'userkey',
+  unique_key: 'uniquekey'
+};
+
+function loadSource(overrides = {}) {
+  return {
+    naturalKey: ['uniquekey'],
+    columnAliases: COMMON_COLUMN_ALIASES,
+    ...overrides
+  };
+}
+
+// Datasets (lib/datasets.js ids) that can be loaded from files
+export const DATA_LOAD_SOURCES = {
+  'deposit': loadSource(),
+  'withdraw': loadSource(),
+  'new-register': loadSource(),
+  'new-depositor': loadSource(),
+  'adjustment': loadSource(),
+  'member-report': loadSource()
+};
+
+export const DATA_LOAD_STATUS = {
+  SUCCESS: 'success',
+  FAILED: 'failed'
+};
+
+function loadError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function getLoadSource(datasetId) {
+  const source = DATA_LOAD_SOURCES[datasetId];
+  if (!source) {
+    throw loadError(`Dataset "${datasetId}" cannot be loaded from files`);
+  }
+  return { ...source, dataset: getDataset(datasetId) };
+}
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let dataLoadsTableReady = null;
+
+export function ensureDataLoadsTable() {
+  if (!dataLoadsTableReady) {
+    dataLoadsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS data_loads (
+        id SERIAL PRIMARY KEY,
+        dataset VARCHAR(50) NOT NULL,
+        table_name VARCHAR(64) NOT NULL,
+        file_name VARCHAR(255),
+        status VARCHAR(20) NOT NULL,
+        rows_total INTEGER NOT NULL DEFAULT 0,
+        rows_inserted INTEGER NOT NULL DEFAULT 0,
+        rows_updated INTEGER NOT NULL DEFAULT 0,
+        rows_unchanged INTEGER NOT NULL DEFAULT 0,
+        rows_rejected INTEGER NOT NULL DEFAULT 0,
+        rejected_rows JSONB NOT NULL DEFAULT '[]',
+        column_mapping JSONB NOT NULL DEFAULT '[]',
+        data_date_from DATE,
+        data_date_to DATE,
+        error TEXT,
+        loaded_by INTEGER,
+        loaded_by_username VARCHAR(100),
+        started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_data_loads_dataset ON data_loads(dataset, started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_data_loads_status ON data_loads(status, finished_at DESC);
+    `).catch((error) => {
+      dataLoadsTableReady = null;
+      throw error;
+    });
+  }
+
+  return dataLoadsTableReady;
+}
+
+// ===========================================
+// MAPPING / VALIDATION
+// ===========================================
+
+// [{ header, column }] - column is null for headers the table doesn't have
+function mapHeaders(headers, importableNames, columnAliases) {
+  const used = new Set();
+
+  return headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const column = columnAliases[normalized] || normalized;
+    if (!header || !importableNames.includes(column) || used.has(column)) {
+      return { header, column: null };
+    }
+    used.add(column);
+    return { header, column };
+  });
+}
+
+// Coerces every row and dedupes on the natural key (the last row for a key
+// wins, so a corrected line later in the extract replaces the earlier one).
+function validateRows(rows, mapping, columnsByName, required, naturalKey) {
+  const accepted = new Map();
+  const rejected = [];
+
+  rows.forEach((cells, index) => {
+    const rowNumber = index + 2; // spreadsheet row, after the header
+    const data = {};
+    const errors = [];
+
+    mapping.forEach(({ column }, cellIndex) => {
+      if (!column) return;
+      const { value, error } = coerceValue(cells[cellIndex] ?? '', columnsByName[column]);
+      if (error) errors.push(error);
+      else data[column] = value;
+    });
+
+    const missingFields = required.filter(field => data[field] === null || data[field] === undefined);
+    if (missingFields.length > 0) {
+      errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+
+    const missingKey = naturalKey.filter(field => data[field] === null || data[field] === undefined);
+    if (missingKey.length > 0 && missingFields.length === 0) {
+      errors.push(`Missing natural key: ${missingKey.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ rowNumber, errors });
+      return;
+    }
+
+    const key = JSON.stringify(naturalKey.map(field => data[field]));
+    const previous = accepted.get(key);
+    if (previous) {
+      rejected.push({ rowNumber: previous.rowNumber, errors: [`Superseded by row ${rowNumber} with the same ${naturalKey.join(' + ')}`] });
+    }
+    accepted.set(key, { rowNumber, data });
+  });
+
+  return {
+    accepted: [...accepted.values()].map(row => row.data),
+    rejected: rejected.sort((a, b) => a.rowNumber - b.rowNumber)
+  };
+}
+
+// ===========================================
+// LOAD
+// ===========================================
+
+async function stageRows(client, table, columns, rows) {
+  await client.query(`
+    CREATE TEMP TABLE data_load_staging ON COMMIT DROP AS
+    SELECT ${columns.join(', ')} FROM ${table} WITH NO DATA
+  `);
+
+  const batchSize = Math.max(1, Math.min(INSERT_BATCH_SIZE, Math.floor(MAX_QUERY_PARAMS / columns.length)));
+
+  for (let start = 0; start < rows.length; start += batchSize) {
+    const batch = rows.slice(start, start + batchSize);
+    const params = [];
+    const values = batch.map(row => {
+      const placeholders = columns.map(column => {
+        params.push(row[column] ?? null);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    await client.query(`INSERT INTO data_load_staging (${columns.join(', ')}) VALUES ${values.join(', ')}`, params);
+  }
+}
+
+// Updates changed rows, inserts new ones; returns { inserted, updated, unchanged }
+async function upsertStagedRows(client, table, columns, naturalKey) {
+  const keyMatch = naturalKey.map(field => `t.${field} = s.${field}`).join(' AND ');
+  const valueColumns = columns.filter(column => !naturalKey.includes(column));
+
+  const matchedResult = await client.query(
+    `SELECT COUNT(*) AS matched FROM data_load_staging s WHERE EXISTS (SELECT 1 FROM ${table} t WHERE ${keyMatch})`
+  );
+  const matched = parseInt(matchedResult.rows[0].matched);
+
+  let updated = 0;
+  if (valueColumns.length > 0 && matched > 0) {
+    const updateResult = await client.query(`
+      UPDATE ${table} t
+      SET ${valueColumns.map(column => `${column} = s.${column}`).join(', ')}
+      FROM data_load_staging s
+      WHERE ${keyMatch}
+        AND ROW(${valueColumns.map(column => `t.${column}`).join(', ')}) IS DISTINCT FROM ROW(${valueColumns.map(column => `s.${column}`).join(', ')})
+    `);
+    updated = updateResult.rowCount;
+  }
+
+  const insertResult = await client.query(`
+    INSERT INTO ${table} (${columns.join(', ')})
+    SELECT ${columns.map(column => `s.${column}`).join(', ')}
+    FROM data_load_staging s
+    WHERE NOT EXISTS (SELECT 1 FROM ${table} t WHERE ${keyMatch})
+  `);
+
+  return { inserted: insertResult.rowCount, updated, unchanged: Math.max(matched - updated, 0) };
+}
+
+async function recordDataLoad(entry, user) {
+  const result = await pool.query(
+    `INSERT INTO data_loads
+       (dataset, table_name, file_name, status, rows_total, rows_inserted, rows_updated, rows_unchanged,
+        rows_rejected, rejected_rows, column_mapping, data_date_from, data_date_to, error,
+        loaded_by, loaded_by_username, started_at, finished_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
+     RETURNING id`,
+    [
+      entry.dataset,
+      entry.table,
+      entry.fileName,
+      entry.status,
+      entry.rows?.total || 0,
+      entry.rows?.inserted || 0,
+      entry.rows?.updated || 0,
+      entry.rows?.unchanged || 0,
+      entry.rows?.rejected || 0,
+      JSON.stringify((entry.rejected || []).slice(0, MAX_REJECTED_SAMPLE)),
+      JSON.stringify(entry.mapping || []),
+      entry.dateRange?.from || null,
+      entry.dateRange?.to || null,
+      entry.error || null,
+      user?.id || null,
+      user?.username || null,
+      entry.startedAt
+    ]
+  );
+  return result.rows[0].id;
+}
+
+// Rebuilds the monthly rollup for every month a staged row belongs to. Runs
+// under a savepoint: a failing rollup leaves the daily load in place and is
+// reported in the result (the Monthly Rollups page shows the month as out of
+// sync until it is rebuilt).
+async function rollupLoadedPeriods(client, datasetId, table, naturalKey) {
+  await client.query('SAVEPOINT monthly_rollup');
+
+  try {
+    const keyMatch = naturalKey.map(field => `t.${field} = s.${field}`).join(' AND ');
+    const periods = await client.query(
+      `SELECT DISTINCT t.year::text AS year, t.month FROM ${table} t JOIN data_load_staging s ON ${keyMatch}`
+    );
+    const result = await rebuildRollupPeriods(client, datasetId, periods.rows);
+    await client.query('RELEASE SAVEPOINT monthly_rollup');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT monthly_rollup');
+    console.error(`❌ Monthly rollup after ${datasetId} load failed:`, error.message);
+    return { rollup: datasetId, ...ROLLUPS[datasetId], periods: [], error: error.message };
+  }
+}
+
+// Rescores the loaded days after the load has committed. A failing detection
+// leaves the load in place and is reported in the result.
+async function detectLoadedAnomalies(req, datasetId, dateRange) {
+  try {
+    const result = await detectAnomalies(req, {
+      ...dataLoadWindow(dateRange),
+      datasets: [datasetId],
+      source: ANOMALY_RUN_SOURCES.DATA_LOAD
+    });
+    return { runId: result.runId, dateFrom: result.dateFrom, dateTo: result.dateTo, anomaliesTotal: result.anomaliesTotal, status: result.status };
+  } catch (error) {
+    console.error(`❌ Anomaly detection after ${datasetId} load failed:`, error.message);
+    return { error: error.message };
+  }
+}
+
+// Loads one extract file into the dataset's table. With `dryRun` everything
+// runs inside the transaction and is rolled back, so the counts are exact but
+// nothing is written and no history entry is made.
+export async function runDataLoad(req, datasetId, { file, fileName = '', dryRun = false }) {
+  const source = getLoadSource(datasetId);
+  const { table, dateColumn } = source.dataset;
+  await ensureDataLoadsTable();
+
+  const startedAt = new Date();
+  const summary = { dataset: datasetId, table, fileName, dryRun };
+  const client = await pool.connect();
+
+  try {
+    const { headers, rows } = parseImportFile(file, fileName, { maxRows: MAX_LOAD_ROWS });
+    const { columnDetails } = await getTableStructure(client, table);
+
+    // Serial ids are generated by the database, never loaded
+    const importable = columnDetails.filter(column => !String(column.defaultValue || '').startsWith('nextval('));
+    const columnsByName = Object.fromEntries(importable.map(column => [column.name, column]));
+    const mapping = mapHeaders(headers, Object.keys(columnsByName), source.columnAliases);
+    const columns = mapping.map(entry => entry.column).filter(Boolean);
+    summary.mapping = mapping;
+
+    const missingKey = source.naturalKey.filter(field => !columns.includes(field));
+    if (missingKey.length > 0) {
+      throw loadError(`The file has no column for the natural key: ${missingKey.join(', ')}`);
+    }
+
+    // Required columns the file doesn't provide at all fail the whole load
+    const required = importable.filter(column => !column.nullable && !column.defaultValue).map(column => column.name);
+    const unmappedRequired = required.filter(field => !columns.includes(field));
+    if (unmappedRequired.length > 0) {
+      throw loadError(`The file is missing required columns: ${unmappedRequired.join(', ')}`);
+    }
+
+    const { accepted, rejected } = validateRows(rows, mapping, columnsByName, required, source.naturalKey);
+    summary.rejected = rejected;
+
+    await client.query('BEGIN');
+    await stageRows(client, table, columns, accepted);
+    const counts = await upsertStagedRows(client, table, columns, source.naturalKey);
+
+    const dateType = columnsByName[dateColumn]?.type || '';
+    if (columns.includes(dateColumn) && (dateType === 'date' || dateType.startsWith('timestamp'))) {
+      const range = await client.query(
+        `SELECT TO_CHAR(MIN(${dateColumn}), 'YYYY-MM-DD') AS date_from, TO_CHAR(MAX(${dateColumn}), 'YYYY-MM-DD') AS date_to FROM data_load_staging`
+      );
+      summary.dateRange = { from: range.rows[0].date_from, to: range.rows[0].date_to };
+    }
+
+    if (ROLLUPS[datasetId]) {
+      summary.rollup = await rollupLoadedPeriods(client, datasetId, table, source.naturalKey);
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+    summary.status = DATA_LOAD_STATUS.SUCCESS;
+    summary.rows = { total: rows.length, ...counts, rejected: rejected.length };
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+
+    if (!dryRun) {
+      await recordDataLoad({ ...summary, status: DATA_LOAD_STATUS.FAILED, error: error.message, startedAt }, req.user)
+        .catch(recordError => console.error('❌ Failed to record data load:', recordError));
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (!dryRun) {
+    summary.loadId = await recordDataLoad({ ...summary, startedAt }, req.user);
+  }
+
+  if (!dryRun && summary.dateRange && ANOMALY_DATASETS.includes(datasetId)) {
+    summary.anomalies = await detectLoadedAnomalies(req, datasetId, summary.dateRange);
+  }
+
+  return { ...summary, rejected: summary.rejected.slice(0, MAX_REJECTED_SAMPLE) };
+}
+
+// ===========================================
+// HISTORY
+// ===========================================
+
+// Data dates as plain 'YYYY-MM-DD' strings so they don't shift with the server timezone
+const HISTORY_COLUMNS = `
+  id, dataset, table_name, file_name, status, rows_total, rows_inserted, rows_updated,
+  rows_unchanged, rows_rejected, rejected_rows, column_mapping, error,
+  TO_CHAR(data_date_from, 'YYYY-MM-DD') AS data_date_from,
+  TO_CHAR(data_date_to, 'YYYY-MM-DD') AS data_date_to,
+  loaded_by, loaded_by_username, started_at, finished_at
+`;
+
+export async function listDataLoads({ dataset, status } = {}, { page = 1, limit = 20 } = {}) {
+  await ensureDataLoadsTable();
+
+  const conditions = ['1=1'];
+  const params = [];
+  if (dataset && dataset !== 'ALL') {
+    params.push(dataset);
+    conditions.push(`dataset = $${params.length}`);
+  }
+  if (status && status !== 'ALL') {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const recordsPerPage = Math.min(Math.max(parseInt(limit) || 20, 1), 200);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const [countResult, result] = await Promise.all([
+    pool.query(`SELECT COUNT(*) AS total FROM data_loads ${where}`, params),
+    pool.query(
+      `SELECT ${HISTORY_COLUMNS} FROM data_loads ${where}
+       ORDER BY started_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, recordsPerPage, (currentPage - 1) * recordsPerPage]
+    )
+  ]);
+
+  const totalRecords = parseInt(countResult.rows[0].total);
+  const totalPages = Math.ceil(totalRecords / recordsPerPage);
+
+  return {
+    entries: result.rows,
+    pagination: {
+      currentPage,
+      totalPages,
+      totalRecords,
+      recordsPerPage,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1
+    }
+  };
+}
+
+// Most recent successful load, or null if nothing was loaded through the app yet
+export async function getLatestDataLoad() {
+  await ensureDataLoadsTable();
+
+  const result = await pool.query(
+    `SELECT id, dataset, table_name, file_name, finished_at, loaded_by_username,
+       TO_CHAR(data_date_to, 'YYYY-MM-DD') AS data_date_to
+     FROM data_loads
+     WHERE status = $1
+     ORDER BY finished_at DESC
+     LIMIT 1`,
+    [DATA_LOAD_STATUS.SUCCESS]
+  );
+  return result.rows[0] || null;
+}
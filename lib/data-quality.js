@@ -0,0 +1,514 @@
+// DATA QUALITY
+// Rule-based checks over the *_daily transaction tables: missing dates per
+// currency/line, duplicate rows, negative amounts, day-over-day jumps and
+// withdraw exceeding deposit. Every run checks one date window and stores its
+// findings in `data_quality_runs` / `data_quality_findings`; the Data Quality
+// admin page shows the latest run and links each finding to the transaction
+// page filtered to the offending currency, line and dates.
+//
+// Amount columns are introspected (the first candidate the table has), so the
+// same rules work whether a daily table stores `amount` or `deposit_amount`.
+
+import pool from './database';
+import { getDataset } from './datasets';
+import { getTableStructure } from './row-versions';
+
+export const DATA_QUALITY_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+export const DATA_QUALITY_RUN_STATUS = {
+  SUCCESS: 'success',
+  PARTIAL: 'partial'
+};
+
+// Days checked when no window is given
+export const DEFAULT_WINDOW_DAYS = 30;
+
+// A day total is a jump when it is this many times the previous day's (or
+// smaller by the same factor); totals below DQ_JUMP_MIN_AMOUNT are ignored
+const JUMP_RATIO = parseFloat(process.env.DQ_JUMP_RATIO) || 3;
+const JUMP_MIN_AMOUNT = parseFloat(process.env.DQ_JUMP_MIN_AMOUNT) || 1000;
+
+// Withdraw above deposit * this ratio on one day for one currency/line
+const WITHDRAW_DEPOSIT_RATIO = parseFloat(process.env.DQ_WITHDRAW_DEPOSIT_RATIO) || 1.5;
+
+// Per rule and table; the run records when a check was cut off
+const MAX_FINDINGS_PER_CHECK = 500;
+
+const INSERT_BATCH_SIZE = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bookkeeping columns ignored when comparing rows for duplicates
+const SKIPPED_COLUMNS = ['id', 'uniquekey', 'created_at', 'updated_at', 'created_date', 'modified_date'];
+
+// Dataset id (lib/datasets.js) -> amount column candidates. The first one the
+// table has is the dataset's main amount (jumps, withdraw vs deposit); every
+// one it has is checked for negatives.
+export const DATA_QUALITY_DATASETS = {
+  'deposit': { amountColumns: ['deposit_amount', 'amount'] },
+  'withdraw': { amountColumns: ['withdraw_amount', 'amount'] },
+  'new-depositor': { amountColumns: ['new_depositor'] },
+  'member-report': { amountColumns: ['deposit_amount', 'withdraw_amount', 'amount'] },
+  'adjustment': { amountColumns: ['add_transaction', 'deduct_transaction', 'amount'] }
+};
+
+function qualityError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function finding(row, message, details = {}) {
+  return {
+    currency: row.currency ?? null,
+    line: row.line ?? null,
+    dateFrom: row.date_from,
+    dateTo: row.date_to,
+    message,
+    details
+  };
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// ===========================================
+// RULES
+// ===========================================
+// Each rule runs once per dataset it applies to and returns findings
+// ({ currency, line, dateFrom, dateTo, message, details }). Queries get
+// $1 = window start, $2 = window end (YYYY-MM-DD).
+
+export const DATA_QUALITY_RULES = {
+  'missing-dates': {
+    label: 'Missing dates',
+    severity: DATA_QUALITY_SEVERITY.ERROR,
+    description: 'Days without rows for a currency/line, between its first date in the window and the last loaded date',
+    datasets: Object.keys(DATA_QUALITY_DATASETS),
+    async check({ table }, window) {
+      // Consecutive missing days are grouped into one gap (date - row_number is constant within a run)
+      const result = await pool.query(`
+        WITH loaded AS (
+          SELECT DISTINCT currency, line, date::date AS day
+          FROM ${table}
+          WHERE date::date BETWEEN $1 AND $2
+        ),
+        bounds AS (
+          SELECT currency, line, MIN(day) AS first_day FROM loaded GROUP BY currency, line
+        ),
+        missing AS (
+          SELECT b.currency, b.line, gs::date AS day
+          FROM bounds b
+          CROSS JOIN (SELECT MAX(day) AS last_day FROM loaded) l
+          CROSS JOIN LATERAL generate_series(b.first_day, l.last_day, INTERVAL '1 day') gs
+          WHERE NOT EXISTS (
+            SELECT 1 FROM loaded x
+            WHERE x.currency IS NOT DISTINCT FROM b.currency AND x.line IS NOT DISTINCT FROM b.line AND x.day = gs::date
+          )
+        )
+        SELECT currency, line,
+          TO_CHAR(MIN(day), 'YYYY-MM-DD') AS date_from,
+          TO_CHAR(MAX(day), 'YYYY-MM-DD') AS date_to,
+          COUNT(*) AS days
+        FROM (
+          SELECT *, day - (ROW_NUMBER() OVER (PARTITION BY currency, line ORDER BY day))::int AS gap
+          FROM missing
+        ) gaps
+        GROUP BY currency, line, gap
+        ORDER BY currency, line, MIN(day)
+        LIMIT ${MAX_FINDINGS_PER_CHECK + 1}
+      `, [window.dateFrom, window.dateTo]);
+
+      return result.rows.map(row => {
+        const days = parseInt(row.days);
+        const range = days === 1 ? row.date_from : `${row.date_from} to ${row.date_to}`;
+        return finding(row, `No rows for ${days} day(s): ${range}`, { days });
+      });
+    }
+  },
+
+  'duplicate-rows': {
+    label: 'Duplicate rows',
+    severity: DATA_QUALITY_SEVERITY.ERROR,
+    description: 'Rows identical in every column except id, uniquekey and timestamps',
+    datasets: Object.keys(DATA_QUALITY_DATASETS),
+    async check({ table, structure }, window) {
+      const compared = structure.columns.filter(name => !SKIPPED_COLUMNS.includes(name));
+
+      const result = await pool.query(`
+        SELECT currency, line,
+          TO_CHAR(date::date, 'YYYY-MM-DD') AS date_from,
+          TO_CHAR(date::date, 'YYYY-MM-DD') AS date_to,
+          COUNT(*) AS copies,
+          ${structure.columns.includes('uniquekey') ? '(ARRAY_AGG(uniquekey ORDER BY uniquekey))[1:10]' : 'NULL'} AS uniquekeys
+        FROM ${table}
+        WHERE date::date BETWEEN $1 AND $2
+        GROUP BY ${compared.join(', ')}
+        HAVING COUNT(*) > 1
+        ORDER BY date::date, currency, line
+        LIMIT ${MAX_FINDINGS_PER_CHECK + 1}
+      `, [window.dateFrom, window.dateTo]);
+
+      return result.rows.map(row => finding(
+        row,
+        `${row.copies} identical rows on ${row.date_from}`,
+        { copies: parseInt(row.copies), uniquekeys: (row.uniquekeys || []).filter(Boolean) }
+      ));
+    }
+  },
+
+  'negative-amounts': {
+    label: 'Negative amounts',
+    severity: DATA_QUALITY_SEVERITY.ERROR,
+    description: 'Amount columns below zero',
+    datasets: Object.keys(DATA_QUALITY_DATASETS),
+    async check({ table, amountColumns }, window) {
+      if (amountColumns.length === 0) return [];
+
+      const result = await pool.query(`
+        SELECT currency, line, amount_column,
+          TO_CHAR(date::date, 'YYYY-MM-DD') AS date_from,
+          TO_CHAR(date::date, 'YYYY-MM-DD') AS date_to,
+          COUNT(*) AS row_count,
+          MIN(value) AS lowest
+        FROM (
+          ${amountColumns.map(column => `SELECT currency, line, date, '${column}' AS amount_column, ${column}::numeric AS value FROM ${table}`).join(' UNION ALL ')}
+        ) amounts
+        WHERE value < 0 AND date::date BETWEEN $1 AND $2
+        GROUP BY currency, line, amount_column, date::date
+        ORDER BY date::date, currency, line
+        LIMIT ${MAX_FINDINGS_PER_CHECK + 1}
+      `, [window.dateFrom, window.dateTo]);
+
+      return result.rows.map(row => finding(
+        row,
+        `${row.row_count} row(s) with negative ${row.amount_column} (lowest ${formatAmount(row.lowest)})`,
+        { column: row.amount_column, rows: parseInt(row.row_count), lowest: parseFloat(row.lowest) }
+      ));
+    }
+  },
+
+  'day-over-day-jump': {
+    label: 'Day-over-day jump',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    description: `Day total at least ${JUMP_RATIO}x (or 1/${JUMP_RATIO}) of the previous loaded day for the same currency/line`,
+    datasets: ['deposit', 'withdraw', 'new-depositor', 'member-report'],
+    async check({ table, amountColumns }, window) {
+      if (amountColumns.length === 0) return [];
+      const column = amountColumns[0];
+
+      // A week of lookback so the first day of the window has a previous day
+      const result = await pool.query(`
+        SELECT currency, line,
+          TO_CHAR(previous_day, 'YYYY-MM-DD') AS previous_date,
+          TO_CHAR(day, 'YYYY-MM-DD') AS date_from,
+          TO_CHAR(day, 'YYYY-MM-DD') AS date_to,
+          previous_total, total
+        FROM (
+          SELECT currency, line, day, total,
+            LAG(day) OVER (PARTITION BY currency, line ORDER BY day) AS previous_day,
+            LAG(total) OVER (PARTITION BY currency, line ORDER BY day) AS previous_total
+          FROM (
+            SELECT currency, line, date::date AS day, COALESCE(SUM(${column}), 0)::numeric AS total
+            FROM ${table}
+            WHERE date::date BETWEEN $1::date - 7 AND $2
+            GROUP BY currency, line, date::date
+          ) totals
+        ) days
+        WHERE day >= $1
+          AND previous_total IS NOT NULL
+          AND GREATEST(ABS(total), ABS(previous_total)) >= $3
+          AND (ABS(total) > ABS(previous_total) * $4 OR ABS(total) * $4 < ABS(previous_total))
+        ORDER BY day, currency, line
+        LIMIT ${MAX_FINDINGS_PER_CHECK + 1}
+      `, [window.dateFrom, window.dateTo, JUMP_MIN_AMOUNT, JUMP_RATIO]);
+
+      return result.rows.map(row => {
+        const previous = parseFloat(row.previous_total);
+        const total = parseFloat(row.total);
+        const change = previous === 0 ? null : (total - previous) / Math.abs(previous) * 100;
+        return finding(
+          row,
+          `${column} ${formatAmount(previous)} → ${formatAmount(total)}${change === null ? '' : ` (${change > 0 ? '+' : ''}${change.toFixed(0)}%)`} vs ${row.previous_date}`,
+          { column, previousDate: row.previous_date, previous, total, changePercent: change }
+        );
+      });
+    }
+  },
+
+  'withdraw-exceeds-deposit': {
+    label: 'Withdraw exceeds deposit',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    description: `Day withdraw total above ${WITHDRAW_DEPOSIT_RATIO}x the deposit total for the same currency/line`,
+    datasets: ['withdraw'],
+    async check({ table, amountColumns }, window) {
+      const deposit = await resolveDataset('deposit');
+      if (amountColumns.length === 0 || deposit.amountColumns.length === 0) return [];
+
+      const dayTotals = (source, column) => `
+        SELECT currency, line, date::date AS day, COALESCE(SUM(${column}), 0)::numeric AS total
+        FROM ${source}
+        WHERE date::date BETWEEN $1 AND $2
+        GROUP BY currency, line, date::date
+      `;
+
+      const result = await pool.query(`
+        SELECT w.currency, w.line,
+          TO_CHAR(w.day, 'YYYY-MM-DD') AS date_from,
+          TO_CHAR(w.day, 'YYYY-MM-DD') AS date_to,
+          w.total AS withdraw_total,
+          COALESCE(d.total, 0) AS deposit_total
+        FROM (${dayTotals(table, amountColumns[0])}) w
+        LEFT JOIN (${dayTotals(deposit.table, deposit.amountColumns[0])}) d
+          ON d.currency IS NOT DISTINCT FROM w.currency AND d.line IS NOT DISTINCT FROM w.line AND d.day = w.day
+        WHERE w.total > 0 AND w.total > COALESCE(d.total, 0) * $3
+        ORDER BY w.day, w.currency, w.line
+        LIMIT ${MAX_FINDINGS_PER_CHECK + 1}
+      `, [window.dateFrom, window.dateTo, WITHDRAW_DEPOSIT_RATIO]);
+
+      return result.rows.map(row => {
+        const withdrawTotal = parseFloat(row.withdraw_total);
+        const depositTotal = parseFloat(row.deposit_total);
+        return finding(
+          row,
+          `Withdraw ${formatAmount(withdrawTotal)} vs deposit ${formatAmount(depositTotal)}`,
+          { withdraw: withdrawTotal, deposit: depositTotal, ratio: depositTotal === 0 ? null : withdrawTotal / depositTotal }
+        );
+      });
+    }
+  }
+};
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let dataQualityTablesReady = null;
+
+export function ensureDataQualityTables() {
+  if (!dataQualityTablesReady) {
+    dataQualityTablesReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS data_quality_runs (
+        id SERIAL PRIMARY KEY,
+        date_from DATE NOT NULL,
+        date_to DATE NOT NULL,
+        rules JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) NOT NULL,
+        findings_total INTEGER NOT NULL DEFAULT 0,
+        checks JSONB NOT NULL DEFAULT '[]',
+        run_by INTEGER,
+        run_by_username VARCHAR(100),
+        started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS data_quality_findings (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL REFERENCES data_quality_runs(id) ON DELETE CASCADE,
+        rule VARCHAR(50) NOT NULL,
+        severity VARCHAR(20) NOT NULL,
+        dataset VARCHAR(50) NOT NULL,
+        table_name VARCHAR(64) NOT NULL,
+        currency VARCHAR(20),
+        line VARCHAR(100),
+        date_from DATE,
+        date_to DATE,
+        message TEXT NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX IF NOT EXISTS idx_data_quality_runs_started ON data_quality_runs(started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_data_quality_findings_run ON data_quality_findings(run_id, rule, dataset);
+    `).catch((error) => {
+      dataQualityTablesReady = null;
+      throw error;
+    });
+  }
+
+  return dataQualityTablesReady;
+}
+
+// ===========================================
+// RUN
+// ===========================================
+
+async function resolveDataset(datasetId) {
+  const dataset = getDataset(datasetId);
+  const structure = await getTableStructure(pool, dataset.table);
+  if (structure.columns.length === 0) {
+    throw qualityError(`Table ${dataset.table} does not exist`, 500);
+  }
+
+  return {
+    id: datasetId,
+    table: dataset.table,
+    structure,
+    amountColumns: DATA_QUALITY_DATASETS[datasetId].amountColumns.filter(name => structure.columns.includes(name))
+  };
+}
+
+// { dateFrom, dateTo } as YYYY-MM-DD; defaults to the last DEFAULT_WINDOW_DAYS days
+function resolveWindow({ dateFrom, dateTo } = {}) {
+  for (const value of [dateFrom, dateTo]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      throw qualityError(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+    }
+  }
+
+  const end = dateTo || new Date().toISOString().slice(0, 10);
+  const start = dateFrom || new Date(Date.parse(end) - (DEFAULT_WINDOW_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+  if (start > end) {
+    throw qualityError('Start date must be on or before end date');
+  }
+  return { dateFrom: start, dateTo: end };
+}
+
+async function insertFindings(runId, findings) {
+  for (let start = 0; start < findings.length; start += INSERT_BATCH_SIZE) {
+    const batch = findings.slice(start, start + INSERT_BATCH_SIZE);
+    const params = [];
+    const values = batch.map(entry => {
+      params.push(runId, entry.rule, entry.severity, entry.dataset, entry.table, entry.currency, entry.line,
+        entry.dateFrom, entry.dateTo, entry.message, JSON.stringify(entry.details));
+      const offset = params.length - 11;
+      return `(${Array.from({ length: 11 }, (_, index) => `$${offset + index + 1}`).join(', ')})`;
+    });
+
+    await pool.query(
+      `INSERT INTO data_quality_findings
+         (run_id, rule, severity, dataset, table_name, currency, line, date_from, date_to, message, details)
+       VALUES ${values.join(', ')}`,
+      params
+    );
+  }
+}
+
+// Runs the given rules (default: all) over the window and stores the run.
+// A failing check is recorded on the run and doesn't stop the others.
+export async function runDataQualityChecks(req, { dateFrom, dateTo, rules } = {}) {
+  const window = resolveWindow({ dateFrom, dateTo });
+  const ruleIds = rules && rules.length > 0 ? rules : Object.keys(DATA_QUALITY_RULES);
+  const unknown = ruleIds.filter(ruleId => !DATA_QUALITY_RULES[ruleId]);
+  if (unknown.length > 0) {
+    throw qualityError(`Unknown rule(s): ${unknown.join(', ')}`);
+  }
+
+  await ensureDataQualityTables();
+  const startedAt = new Date();
+
+  const datasets = {};
+  const checks = [];
+  const findings = [];
+
+  for (const ruleId of ruleIds) {
+    const rule = DATA_QUALITY_RULES[ruleId];
+
+    for (const datasetId of rule.datasets) {
+      const check = { rule: ruleId, dataset: datasetId, findings: 0, truncated: false };
+      checks.push(check);
+
+      try {
+        datasets[datasetId] = datasets[datasetId] || await resolveDataset(datasetId);
+        const dataset = datasets[datasetId];
+        check.table = dataset.table;
+
+        const results = await rule.check(dataset, window);
+        check.truncated = results.length > MAX_FINDINGS_PER_CHECK;
+        check.findings = Math.min(results.length, MAX_FINDINGS_PER_CHECK);
+
+        results.slice(0, MAX_FINDINGS_PER_CHECK).forEach(result => findings.push({
+          ...result,
+          rule: ruleId,
+          severity: rule.severity,
+          dataset: datasetId,
+          table: dataset.table
+        }));
+      } catch (error) {
+        console.error(`❌ Data quality check ${ruleId} failed for ${datasetId}:`, error.message);
+        check.error = error.message;
+      }
+    }
+  }
+
+  const status = checks.some(check => check.error) ? DATA_QUALITY_RUN_STATUS.PARTIAL : DATA_QUALITY_RUN_STATUS.SUCCESS;
+  const run = await pool.query(
+    `INSERT INTO data_quality_runs
+       (date_from, date_to, rules, status, findings_total, checks, run_by, run_by_username, started_at, finished_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+     RETURNING id`,
+    [
+      window.dateFrom,
+      window.dateTo,
+      JSON.stringify(ruleIds),
+      status,
+      findings.length,
+      JSON.stringify(checks),
+      req.user?.id || null,
+      req.user?.username || null,
+      startedAt
+    ]
+  );
+  const runId = run.rows[0].id;
+  await insertFindings(runId, findings);
+
+  return { runId, ...window, status, findingsTotal: findings.length, checks };
+}
+
+// ===========================================
+// RESULTS
+// ===========================================
+
+// Dates as plain 'YYYY-MM-DD' strings so they don't shift with the server timezone
+const RUN_COLUMNS = `
+  id, TO_CHAR(date_from, 'YYYY-MM-DD') AS date_from, TO_CHAR(date_to, 'YYYY-MM-DD') AS date_to,
+  rules, status, findings_total, checks, run_by_username, started_at, finished_at
+`;
+
+export async function listDataQualityRuns({ limit = 20 } = {}) {
+  await ensureDataQualityTables();
+
+  const result = await pool.query(
+    `SELECT ${RUN_COLUMNS} FROM data_quality_runs ORDER BY started_at DESC, id DESC LIMIT $1`,
+    [Math.min(Math.max(parseInt(limit) || 20, 1), 100)]
+  );
+  return result.rows;
+}
+
+// One run (default: the latest) with its findings. Filters: rule, dataset,
+// severity ('ALL' = no filter). Returns null when nothing has run yet.
+export async function getDataQualityRun(runId, { rule, dataset, severity } = {}) {
+  await ensureDataQualityTables();
+
+  const run = runId
+    ? await pool.query(`SELECT ${RUN_COLUMNS} FROM data_quality_runs WHERE id = $1`, [parseInt(runId)])
+    : await pool.query(`SELECT ${RUN_COLUMNS} FROM data_quality_runs ORDER BY started_at DESC, id DESC LIMIT 1`);
+
+  if (run.rows.length === 0) {
+    if (runId) throw qualityError(`Data quality run ${runId} not found`, 404);
+    return null;
+  }
+
+  const conditions = ['run_id = $1'];
+  const params = [run.rows[0].id];
+  for (const [column, value] of [['rule', rule], ['dataset', dataset], ['severity', severity]]) {
+    if (value && value !== 'ALL') {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  }
+
+  const findings = await pool.query(
+    `SELECT id, rule, severity, dataset, table_name, currency, line,
+       TO_CHAR(date_from, 'YYYY-MM-DD') AS date_from,
+       TO_CHAR(date_to, 'YYYY-MM-DD') AS date_to,
+       message, details
+     FROM data_quality_findings
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY CASE severity WHEN 'error' THEN 0 ELSE 1 END, rule, dataset, date_from, currency, line`,
+    params
+  );
+
+  return { ...run.rows[0], findings: findings.rows };
+}
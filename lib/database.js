@@ -1,4 +1,8 @@
-import { Pool } from 'pg';
+import { Pool, types } from 'pg';
+
+// DATE columns come back as 'YYYY-MM-DD' text instead of a Date at the
+// server's local midnight, which shifts a day once serialized to UTC
+types.setTypeParser(types.builtins.DATE, value => value);
 
 // Centralized database configuration
 const dbConfig = {
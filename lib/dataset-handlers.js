@@ -0,0 +1,220 @@
+// GENERIC TRANSACTION ENDPOINTS
+// data / export / slicer-options handlers for any entry in lib/datasets.js.
+// Route files only pick the dataset and the access level:
+//   export default withApiGuard(createDataHandler('deposit'), API_ACCESS.READ);
+
+import pool from './database';
+import { getDataset } from './datasets';
+import { parseDatasetFilters, buildDatasetQuery, getSlicerOptions } from './dataset-query';
+import { EXPORT_FORMATS, getExportFormat, streamQueryExport } from './export-stream';
+import { getExportRowLimit } from './roles';
+import { resolveExportOptions } from './export-templates';
+
+export function buildExportFilename(dataset, filters, extension = 'xlsx') {
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '');
+  const filterSuffix = [
+    ...dataset.filterColumns.map(column => (filters[column] && filters[column] !== 'ALL' ? filters[column] : '')),
+    filters.year && filters.year !== 'ALL' ? filters.year : '',
+    filters.filterMode === 'month' && filters.month && filters.month !== 'ALL' ? `Month${filters.month}` : '',
+    filters.filterMode === 'daterange' && filters.startDate && filters.endDate ? `${filters.startDate}_${filters.endDate}` : '',
+    filters.anomaliesOnly ? 'Anomalies' : ''
+  ].filter(Boolean).join('_');
+
+  const baseName = dataset.label.replace(/\s+/g, '_');
+  return `${baseName}_${timestamp}${filterSuffix ? '_' + filterSuffix : ''}.${extension}`;
+}
+
+export function createDataHandler(datasetId) {
+  const dataset = getDataset(datasetId);
+
+  return async function handler(req, res) {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { page = 1, limit = 1000, sortBy, sortDir } = req.query;
+    const filters = parseDatasetFilters(dataset, req.query);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const recordsPerPage = Math.max(parseInt(limit) || 1000, 1);
+    let client;
+
+    try {
+      client = await pool.connect();
+      console.log(`📊 Fetching ${dataset.table} data with filters:`, { ...filters, page, limit });
+
+      const query = await buildDatasetQuery(client, dataset, filters, {
+        sortBy,
+        sortDir,
+        limit: recordsPerPage,
+        offset: (currentPage - 1) * recordsPerPage
+      });
+
+      // Get total count first
+      const countResult = await client.query(query.countText, query.countParams);
+      const totalRecords = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(totalRecords / recordsPerPage);
+
+      console.log('🔍 Executing query:', query.text);
+      console.log('📋 With parameters:', query.params);
+
+      const result = await client.query(query.text, query.params);
+
+      console.log(`✅ Found ${result.rows.length} records from ${dataset.table} (Page ${currentPage} of ${totalPages})`);
+
+      res.status(200).json({
+        success: true,
+        data: result.rows,
+        pagination: {
+          currentPage,
+          totalPages,
+          totalRecords,
+          recordsPerPage,
+          hasNextPage: currentPage < totalPages,
+          hasPrevPage: currentPage > 1
+        },
+        filters
+      });
+
+    } catch (error) {
+      console.error(`❌ Error fetching ${dataset.table} data:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error while fetching data',
+        message: error.message
+      });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  };
+}
+
+// Streams CSV or XLSX (body.format) through a cursor, capped at the caller's
+// role exportRowLimit. X-Export-Total-Rows lets the client show progress.
+// body.templateId applies a saved export template (lib/export-templates.js).
+export function createExportHandler(datasetId) {
+  const dataset = getDataset(datasetId);
+
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const body = req.body || {};
+    const filters = parseDatasetFilters(dataset, body);
+    const format = getExportFormat(body.format);
+    const rowLimit = getExportRowLimit(req.user?.role);
+    let client;
+
+    if (!rowLimit) {
+      return res.status(403).json({ success: false, error: 'Export is not allowed for your role' });
+    }
+
+    try {
+      client = await pool.connect();
+      console.log(`📊 Exporting ${dataset.table} data to ${format.toUpperCase()} with filters:`, filters);
+
+      // Same builder as the data endpoint - identical filters, no pagination.
+      // body.templateId picks the user's saved columns / headers / sort order.
+      const exportOptions = await resolveExportOptions(client, dataset, req.user.id, body);
+      const query = await buildDatasetQuery(client, dataset, filters, exportOptions);
+
+      const countResult = await client.query(query.countText, query.countParams);
+      const totalRecords = parseInt(countResult.rows[0].total);
+
+      if (totalRecords === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No data found for the selected filters'
+        });
+      }
+
+      const exportRows = rowLimit ? Math.min(totalRecords, rowLimit) : totalRecords;
+      const filename = buildExportFilename(dataset, filters, EXPORT_FORMATS[format].extension);
+
+      console.log('🔍 Executing export query:', query.text);
+
+      res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('X-Export-Total-Rows', String(exportRows));
+      res.setHeader('X-Export-Truncated', String(exportRows < totalRecords));
+      res.status(200);
+
+      const rowsWritten = await streamQueryExport(client, query, {
+        stream: res,
+        format,
+        sheetName: dataset.label,
+        columns: exportOptions.columns,
+        rowLimit
+      });
+
+      console.log(`✅ Export streamed: ${filename} with ${rowsWritten} of ${totalRecords} records`);
+
+    } catch (error) {
+      console.error(`❌ Error exporting ${dataset.table} data:`, error);
+      if (res.headersSent) {
+        // Already streaming - abort so the client sees a failed download
+        res.destroy(error);
+      } else if (error.statusCode) {
+        res.status(error.statusCode).json({ success: false, error: error.message });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Database error while exporting data',
+          message: error.message
+        });
+      }
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  };
+}
+
+export function createSlicerOptionsHandler(datasetId) {
+  const dataset = getDataset(datasetId);
+
+  return async function handler(req, res) {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { selectedCurrency } = req.query;
+    let client;
+
+    try {
+      client = await pool.connect();
+      console.log(`🔍 Fetching unique values from ${dataset.table} for slicers...`, { selectedCurrency });
+
+      const options = await getSlicerOptions(client, dataset, { selectedCurrency });
+
+      console.log('✅ Slicer options loaded:', {
+        currencies: options.currencies.length,
+        lines: options.lines.length,
+        years: options.years.length,
+        months: options.months.length,
+        dateRange: options.dateRange,
+        selectedCurrency
+      });
+
+      res.status(200).json({
+        success: true,
+        options
+      });
+
+    } catch (error) {
+      console.error(`❌ Error fetching ${dataset.table} slicer options:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error while fetching slicer options',
+        message: error.message
+      });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  };
+}
@@ -0,0 +1,235 @@
+// DATASET QUERY BUILDER
+// Builds the WHERE / ORDER BY / SELECT parts for a registry entry from
+// lib/datasets.js. Every endpoint that reads a transaction table goes through
+// here so filters are applied the same way everywhere.
+
+import { monthName, parseMonth, formatDate } from './periods';
+import { ensureAnomalyTables } from './anomalies';
+
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+function ident(name) {
+  if (!IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid SQL identifier: ${name}`);
+  }
+  return name;
+}
+
+function isActive(value) {
+  return value !== undefined && value !== null && value !== '' && value !== 'ALL';
+}
+
+// ===========================================
+// FILTERS
+// ===========================================
+
+// Normalizes query/body params into one filter shape. Accepts both the
+// `filterMode=month|daterange` style and headcount's `useDateRange=true|false`.
+export function parseDatasetFilters(dataset, input = {}) {
+  const useDateRange = input.filterMode === 'daterange' || String(input.useDateRange) === 'true';
+
+  let filterMode = input.filterMode;
+  if (useDateRange) {
+    filterMode = 'daterange';
+  } else if (!filterMode && input.useDateRange !== undefined) {
+    filterMode = 'month';
+  }
+
+  const filters = {
+    year: input.year,
+    month: input.month,
+    startDate: input.startDate,
+    endDate: input.endDate,
+    filterMode
+  };
+
+  dataset.filterColumns.forEach(column => {
+    filters[column] = input[column];
+  });
+
+  if (dataset.anomalies) {
+    filters.anomaliesOnly = String(input.anomaliesOnly) === 'true';
+  }
+
+  return filters;
+}
+
+// Returns { clause, params } where clause starts with WHERE 1=1
+export function buildWhereClause(dataset, filters) {
+  const conditions = [];
+  const params = [];
+  const dateColumn = ident(dataset.dateColumn);
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  dataset.filterColumns.forEach(column => {
+    if (isActive(filters[column])) {
+      addCondition(`${ident(column)} = ?`, filters[column]);
+    }
+  });
+
+  if (dataset.periodFilters.includes('year') && isActive(filters.year)) {
+    addCondition(`EXTRACT(YEAR FROM ${dateColumn}) = ?`, parseInt(filters.year));
+  }
+
+  // Month vs date range filtering
+  if (filters.filterMode === 'month' && dataset.periodFilters.includes('month') && isActive(filters.month)) {
+    addCondition(`EXTRACT(MONTH FROM ${dateColumn}) = ?`, parseMonth(filters.month));
+  } else if (filters.filterMode === 'daterange' && dataset.periodFilters.includes('daterange') &&
+             filters.startDate && filters.endDate) {
+    // Dates may arrive as YYYY-MM-DD or M/D/YYYY (lib/periods.js)
+    addCondition(`${dateColumn} >= ?`, formatDate(filters.startDate) || filters.startDate);
+    addCondition(`${dateColumn} <= ?`, formatDate(filters.endDate) || filters.endDate);
+  }
+
+  // Days flagged for the row's currency/line (lib/anomalies.js)
+  if (dataset.anomalies && filters.anomaliesOnly) {
+    const table = ident(dataset.table);
+    addCondition(`EXISTS (
+      SELECT 1 FROM transaction_anomalies a
+      WHERE a.dataset = ?
+        AND a.currency IS NOT DISTINCT FROM ${table}.currency
+        AND a.line IS NOT DISTINCT FROM ${table}.line
+        AND a.day = ${table}.${dateColumn}::date
+    )`, dataset.id);
+  }
+
+  const clause = ['WHERE 1=1', ...conditions].join(' AND ');
+  return { clause, params };
+}
+
+// ===========================================
+// SELECT / ORDER BY
+// ===========================================
+
+export async function getDatasetColumns(client, dataset) {
+  const result = await client.query(`
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_name = $1
+    ORDER BY ordinal_position
+  `, [dataset.table]);
+
+  return result.rows.map(row => row.column_name);
+}
+
+// SELECT list for the given columns, applying the dataset's columnExpressions
+export function buildColumnSelect(dataset, columns) {
+  const expressions = dataset.columnExpressions || {};
+  return columns
+    .map(column => expressions[column]
+      ? `${expressions[column]} as ${ident(column)}`
+      : ident(column))
+    .join(', ');
+}
+
+export async function buildSelectList(client, dataset) {
+  if (!dataset.columnExpressions) {
+    return '*';
+  }
+
+  const columns = await getDatasetColumns(client, dataset);
+  return buildColumnSelect(dataset, columns);
+}
+
+function normalizeDirection(direction) {
+  return String(direction).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+}
+
+// `sort` ([{ column, direction }], e.g. from an export template) must already be
+// validated against the table's columns; `sortBy` is checked against sortColumns.
+// The dataset's defaultSort is always appended as a tie-breaker.
+export function buildOrderBy(dataset, { sortBy, sortDir, sort: customSort } = {}) {
+  let sort = dataset.defaultSort;
+
+  if (customSort && customSort.length > 0) {
+    const columns = customSort.map(entry => entry.column);
+    sort = [
+      ...customSort.map(entry => [entry.column, normalizeDirection(entry.direction)]),
+      ...dataset.defaultSort.filter(([column]) => !columns.includes(column))
+    ];
+  } else if (sortBy && dataset.sortColumns.includes(sortBy)) {
+    sort = [[sortBy, normalizeDirection(sortDir)], ...dataset.defaultSort.filter(([column]) => column !== sortBy)];
+  }
+
+  return 'ORDER BY ' + sort.map(([column, direction]) => `${ident(column)} ${direction}`).join(', ');
+}
+
+// Full query for a dataset. Returns { text, countText, params }; pagination
+// placeholders are appended after the filter params when limit is given.
+export async function buildDatasetQuery(client, dataset, filters, options = {}) {
+  if (dataset.anomalies && filters.anomaliesOnly) {
+    await ensureAnomalyTables();
+  }
+
+  const { clause, params } = buildWhereClause(dataset, filters);
+  const selectList = options.selectList || await buildSelectList(client, dataset);
+  const table = ident(dataset.table);
+
+  let text = `SELECT ${selectList} FROM ${table} ${clause} ${buildOrderBy(dataset, options)}`;
+  const queryParams = [...params];
+
+  if (options.limit !== undefined) {
+    queryParams.push(options.limit, options.offset || 0);
+    text += ` LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`;
+  }
+
+  return {
+    text,
+    countText: `SELECT COUNT(*) as total FROM ${table} ${clause}`,
+    params: queryParams,
+    countParams: params
+  };
+}
+
+// ===========================================
+// SLICER OPTIONS
+// ===========================================
+
+export async function getSlicerOptions(client, dataset, { selectedCurrency } = {}) {
+  const table = ident(dataset.table);
+  const dateColumn = ident(dataset.dateColumn);
+  const hasCurrency = dataset.filterColumns.includes('currency');
+  const hasLine = dataset.filterColumns.includes('line');
+  const hasYear = dataset.periodFilters.includes('year');
+
+  const emptyResult = Promise.resolve({ rows: [] });
+
+  // Lines depend on the selected currency
+  const lineParams = hasCurrency && isActive(selectedCurrency) ? [selectedCurrency] : [];
+  const lineQuery = `
+    SELECT DISTINCT line
+    FROM ${table}
+    WHERE line IS NOT NULL ${lineParams.length ? 'AND currency = $1' : ''}
+    ORDER BY line
+  `;
+
+  const [currencyResult, lineResult, yearResult, monthResult, dateRangeResult] = await Promise.all([
+    hasCurrency
+      ? client.query(`SELECT DISTINCT currency FROM ${table} WHERE currency IS NOT NULL ORDER BY currency`)
+      : emptyResult,
+    hasLine ? client.query(lineQuery, lineParams) : emptyResult,
+    hasYear
+      ? client.query(`SELECT DISTINCT EXTRACT(YEAR FROM ${dateColumn}) as year FROM ${table} WHERE ${dateColumn} IS NOT NULL ORDER BY year DESC`)
+      : emptyResult,
+    client.query(`SELECT DISTINCT EXTRACT(MONTH FROM ${dateColumn}) as month FROM ${table} WHERE ${dateColumn} IS NOT NULL ORDER BY month`),
+    client.query(`SELECT MIN(${dateColumn}) as min_date, MAX(${dateColumn}) as max_date FROM ${table} WHERE ${dateColumn} IS NOT NULL`)
+  ]);
+
+  return {
+    currencies: currencyResult.rows.map(row => row.currency),
+    lines: lineResult.rows.map(row => row.line),
+    years: yearResult.rows.map(row => row.year?.toString()),
+    months: monthResult.rows.map(row => ({
+      value: row.month?.toString(),
+      label: monthName(row.month)
+    })),
+    dateRange: {
+      min: dateRangeResult.rows[0]?.min_date || null,
+      max: dateRangeResult.rows[0]?.max_date || null
+    }
+  };
+}
@@ -0,0 +1,72 @@
+// TRANSACTION DATASET REGISTRY
+// One declarative entry per transaction table. The generic handlers in
+// lib/dataset-handlers.js build data, export and slicer-options endpoints
+// from these entries, so data and export always apply identical filters.
+//
+// Entry fields:
+//   table          - source table
+//   label          - human name (Excel sheet name, export filename)
+//   dateColumn     - column used for year / month / date-range filters
+//   filterColumns  - columns filterable by equality (value 'ALL' = no filter)
+//   periodFilters  - which date filters apply: 'year', 'month', 'daterange'
+//   sortColumns    - columns a client may sort by (?sortBy=&sortDir=)
+//   defaultSort    - ORDER BY used when no valid sortBy is given
+//   columnExpressions - optional SELECT overrides per column (e.g. date casts)
+//   anomalies      - days are scored by lib/anomalies.js, so rows can be
+//                    limited to anomalous days (?anomaliesOnly=true)
+
+const TRANSACTION_SORT_COLUMNS = ['date', 'year', 'month', 'currency', 'line', 'uniquekey'];
+const DEFAULT_SORT = [['date', 'DESC'], ['year', 'DESC'], ['month', 'DESC']];
+
+function transactionDataset(table, label, extra = {}) {
+  return {
+    table,
+    label,
+    dateColumn: 'date',
+    filterColumns: ['currency', 'line'],
+    periodFilters: ['year', 'month', 'daterange'],
+    sortColumns: TRANSACTION_SORT_COLUMNS,
+    defaultSort: DEFAULT_SORT,
+    ...extra
+  };
+}
+
+export const DATASETS = {
+  'deposit': transactionDataset('deposit_daily', 'Deposit Daily', { anomalies: true }),
+  'withdraw': transactionDataset('withdraw_daily', 'Withdraw Daily', { anomalies: true }),
+  'new-depositor': transactionDataset('new_depositor_daily', 'New Depositor Daily'),
+  'new-register': transactionDataset('new_register', 'New Register'),
+  'member-report': transactionDataset('member_report_daily', 'Member Report Daily'),
+  'adjustment': transactionDataset('adjusment_daily', 'Adjustment Daily'),
+
+  'exchange': {
+    table: 'exchange_rate',
+    label: 'Exchange Rate',
+    dateColumn: 'date',
+    filterColumns: [],
+    periodFilters: ['month', 'daterange'],
+    sortColumns: ['date', 'year', 'month', 'uniquekey'],
+    defaultSort: [['date', 'DESC']]
+  },
+
+  'headcount': {
+    table: 'headcountdep',
+    label: 'Headcount Data',
+    dateColumn: 'date',
+    filterColumns: [],
+    periodFilters: ['month', 'daterange'],
+    sortColumns: ['date', 'year', 'month', 'uniquekey'],
+    defaultSort: DEFAULT_SORT,
+    columnExpressions: {
+      date: 'DATE(date)'
+    }
+  }
+};
+
+export function getDataset(datasetId) {
+  const dataset = DATASETS[datasetId];
+  if (!dataset) {
+    throw new Error(`Unknown dataset: ${datasetId}`);
+  }
+  return { id: datasetId, ...dataset };
+}
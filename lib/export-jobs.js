@@ -0,0 +1,367 @@
+// BACKGROUND EXPORT JOBS
+// Large exports are queued in `export_jobs` instead of holding the HTTP
+// request open. An in-process worker picks queued jobs one at a time, streams
+// the file to local disk through lib/export-stream.js and marks it done; the
+// "My Exports" panel in the header polls and downloads finished files.
+
+import fs from 'fs';
+import path from 'path';
+import pool from './database';
+import { getDataset } from './datasets';
+import { parseDatasetFilters, buildDatasetQuery } from './dataset-query';
+import { buildExportFilename } from './dataset-handlers';
+import { EXPORT_FORMATS, getExportFormat, streamQueryExport } from './export-stream';
+import { getExportRowLimit } from './roles';
+import { getExportTemplate, parseTemplateId, resolveExportOptions } from './export-templates';
+
+export const EXPORT_JOB_DIR = process.env.EXPORT_JOB_DIR || path.join(process.cwd(), 'exports');
+export const EXPORT_JOB_TTL = 86400; // Finished files are kept 24 hours, in seconds
+
+export const EXPORT_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+// Queued jobs per user that have not started yet
+const MAX_QUEUED_JOBS_PER_USER = 5;
+
+// A running job touches heartbeat_at every HEARTBEAT_INTERVAL; one silent for
+// STALE_JOB_SECONDS belongs to a server process that is gone and is requeued.
+// Jobs still beating in another instance are left alone.
+const HEARTBEAT_INTERVAL = 30000;
+const STALE_JOB_SECONDS = parseInt(process.env.EXPORT_JOB_STALE_SECONDS) || 300;
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let exportJobsTableReady = null;
+
+export function ensureExportJobsTable() {
+  if (!exportJobsTableReady) {
+    exportJobsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS export_jobs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        dataset VARCHAR(50) NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        options JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        total_rows INTEGER,
+        rows_written INTEGER NOT NULL DEFAULT 0,
+        truncated BOOLEAN NOT NULL DEFAULT FALSE,
+        file_name VARCHAR(255),
+        file_path TEXT,
+        file_size BIGINT,
+        error TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMP,
+        heartbeat_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        expires_at TIMESTAMP
+      );
+      ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_export_jobs_user_id ON export_jobs(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_export_jobs_status ON export_jobs(status);
+    `).catch((error) => {
+      exportJobsTableReady = null;
+      throw error;
+    });
+  }
+
+  return exportJobsTableReady;
+}
+
+function getDatasetLabel(datasetId) {
+  try {
+    return getDataset(datasetId).label;
+  } catch {
+    return datasetId;
+  }
+}
+
+// Public shape sent to the client - never exposes the server file path
+function toJobResponse(row) {
+  return {
+    id: row.id,
+    dataset: row.dataset,
+    label: getDatasetLabel(row.dataset),
+    format: row.format,
+    filters: row.filters,
+    templateName: row.options?.templateName || null,
+    status: row.status,
+    totalRows: row.total_rows,
+    rowsWritten: row.rows_written,
+    truncated: row.truncated,
+    fileName: row.file_name,
+    fileSize: row.file_size !== null ? parseInt(row.file_size) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// ===========================================
+// JOB API
+// ===========================================
+
+// Queues an export for the user. `input` is the same body the synchronous
+// export endpoint takes ({ format, sortBy, sortDir, ...filters }).
+export async function createExportJob(user, datasetId, input = {}) {
+  await ensureExportJobsTable();
+
+  const dataset = getDataset(datasetId);
+  const filters = parseDatasetFilters(dataset, input);
+  const format = getExportFormat(input.format);
+
+  const pending = await pool.query(
+    'SELECT COUNT(*) AS total FROM export_jobs WHERE user_id = $1 AND status = $2',
+    [user.id, EXPORT_JOB_STATUS.QUEUED]
+  );
+  if (parseInt(pending.rows[0].total) >= MAX_QUEUED_JOBS_PER_USER) {
+    const error = new Error(`You already have ${MAX_QUEUED_JOBS_PER_USER} exports waiting in the queue`);
+    error.statusCode = 429;
+    throw error;
+  }
+
+  // Snapshot the template so editing it later doesn't change a queued job
+  const options = { sortBy: input.sortBy, sortDir: input.sortDir };
+  if (input.templateId) {
+    const template = await getExportTemplate(parseTemplateId(input.templateId), user.id);
+    if (!template || template.dataset !== dataset.id) {
+      const error = new Error('Export template not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    Object.assign(options, { templateName: template.name, columns: template.columns, sort: template.sort });
+  }
+
+  const result = await pool.query(
+    `INSERT INTO export_jobs (user_id, dataset, format, filters, options)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [user.id, dataset.id, format, JSON.stringify(filters), JSON.stringify(options)]
+  );
+
+  startExportWorker();
+  return toJobResponse(result.rows[0]);
+}
+
+export async function listExportJobs(userId, limit = 20) {
+  await ensureExportJobsTable();
+
+  const result = await pool.query(
+    `SELECT * FROM export_jobs
+     WHERE user_id = $1 AND status <> $2
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [userId, EXPORT_JOB_STATUS.EXPIRED, limit]
+  );
+
+  // Polling also keeps the worker alive for jobs queued before a restart
+  if (result.rows.some(row => row.status === EXPORT_JOB_STATUS.QUEUED)) {
+    startExportWorker();
+  }
+
+  return result.rows.map(toJobResponse);
+}
+
+// Returns the raw row (including file_path) for the owner, or null
+export async function getExportJobFile(jobId, userId) {
+  await ensureExportJobsTable();
+
+  const result = await pool.query(
+    `SELECT * FROM export_jobs
+     WHERE id = $1 AND user_id = $2 AND status = $3 AND expires_at > NOW()`,
+    [jobId, userId, EXPORT_JOB_STATUS.DONE]
+  );
+
+  const job = result.rows[0];
+  if (!job || !job.file_path || !fs.existsSync(job.file_path)) {
+    return null;
+  }
+  return job;
+}
+
+export async function deleteExportJob(jobId, userId) {
+  await ensureExportJobsTable();
+
+  const result = await pool.query(
+    `DELETE FROM export_jobs
+     WHERE id = $1 AND user_id = $2 AND status <> $3
+     RETURNING file_path`,
+    [jobId, userId, EXPORT_JOB_STATUS.RUNNING]
+  );
+
+  if (result.rows[0]?.file_path) {
+    await fs.promises.unlink(result.rows[0].file_path).catch(() => {});
+  }
+  return result.rowCount > 0;
+}
+
+// ===========================================
+// WORKER
+// ===========================================
+
+let workerRunning = null;
+
+async function claimNextJob() {
+  const result = await pool.query(
+    `UPDATE export_jobs
+     SET status = $1, started_at = NOW(), heartbeat_at = NOW()
+     WHERE id = (
+       SELECT id FROM export_jobs
+       WHERE status = $2
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [EXPORT_JOB_STATUS.RUNNING, EXPORT_JOB_STATUS.QUEUED]
+  );
+  return result.rows[0] || null;
+}
+
+// Jobs left 'running' by a server process that stopped will never finish
+async function requeueStaleJobs() {
+  const result = await pool.query(
+    `UPDATE export_jobs
+     SET status = $1, rows_written = 0
+     WHERE status = $2 AND COALESCE(heartbeat_at, started_at) < NOW() - make_interval(secs => $3)
+     RETURNING id`,
+    [EXPORT_JOB_STATUS.QUEUED, EXPORT_JOB_STATUS.RUNNING, STALE_JOB_SECONDS]
+  );
+
+  if (result.rowCount > 0) {
+    console.log(`🔁 Requeued stale export job(s): ${result.rows.map(row => row.id).join(', ')}`);
+  }
+}
+
+async function cleanupExpiredJobs() {
+  const result = await pool.query(
+    `UPDATE export_jobs
+     SET status = $1
+     WHERE status = $2 AND expires_at <= NOW()
+     RETURNING file_path`,
+    [EXPORT_JOB_STATUS.EXPIRED, EXPORT_JOB_STATUS.DONE]
+  );
+
+  await Promise.all(result.rows
+    .filter(row => row.file_path)
+    .map(row => fs.promises.unlink(row.file_path).catch(() => {})));
+}
+
+async function processExportJob(job) {
+  const filters = job.filters || {};
+  let client;
+  let filePath;
+
+  const heartbeat = setInterval(() => {
+    pool.query('UPDATE export_jobs SET heartbeat_at = NOW() WHERE id = $1', [job.id]).catch(() => {});
+  }, HEARTBEAT_INTERVAL);
+
+  try {
+    const dataset = getDataset(job.dataset);
+
+    // Role is read at run time so a demoted user's queued job can't bypass the cap
+    const userResult = await pool.query('SELECT role FROM users WHERE id = $1', [job.user_id]);
+    const rowLimit = getExportRowLimit(userResult.rows[0]?.role?.toLowerCase());
+    if (!rowLimit) {
+      throw new Error('Export is not allowed for your role');
+    }
+
+    client = await pool.connect();
+
+    const exportOptions = await resolveExportOptions(client, dataset, job.user_id, job.options || {});
+    const query = await buildDatasetQuery(client, dataset, filters, exportOptions);
+    const countResult = await client.query(query.countText, query.countParams);
+    const totalRecords = parseInt(countResult.rows[0].total);
+    const exportRows = Math.min(totalRecords, rowLimit);
+
+    if (totalRecords === 0) {
+      throw new Error('No data found for the selected filters');
+    }
+
+    await pool.query('UPDATE export_jobs SET total_rows = $1, truncated = $2 WHERE id = $3',
+      [exportRows, exportRows < totalRecords, job.id]);
+
+    const fileName = buildExportFilename(dataset, filters, EXPORT_FORMATS[job.format].extension);
+    await fs.promises.mkdir(EXPORT_JOB_DIR, { recursive: true });
+    filePath = path.join(EXPORT_JOB_DIR, `${job.id}_${fileName}`);
+
+    console.log(`📦 Export job ${job.id}: ${dataset.table} -> ${filePath}`);
+
+    const fileStream = fs.createWriteStream(filePath);
+    // Write errors surface through streamQueryExport; keep them from crashing the server
+    fileStream.on('error', () => {});
+
+    const rowsWritten = await streamQueryExport(client, query, {
+      stream: fileStream,
+      format: job.format,
+      sheetName: dataset.label,
+      columns: exportOptions.columns,
+      rowLimit,
+      onProgress: (rows) => {
+        pool.query('UPDATE export_jobs SET rows_written = $1 WHERE id = $2', [rows, job.id]).catch(() => {});
+      }
+    });
+
+    const { size } = await fs.promises.stat(filePath);
+
+    await pool.query(
+      `UPDATE export_jobs
+       SET status = $1, rows_written = $2, file_name = $3, file_path = $4, file_size = $5,
+           finished_at = NOW(), expires_at = NOW() + make_interval(secs => $6)
+       WHERE id = $7`,
+      [EXPORT_JOB_STATUS.DONE, rowsWritten, fileName, filePath, size, EXPORT_JOB_TTL, job.id]
+    );
+
+    console.log(`✅ Export job ${job.id} done: ${rowsWritten} records, ${size} bytes`);
+
+  } catch (error) {
+    console.error(`❌ Export job ${job.id} failed:`, error);
+    if (filePath) {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+    await pool.query(
+      'UPDATE export_jobs SET status = $1, error = $2, finished_at = NOW() WHERE id = $3',
+      [EXPORT_JOB_STATUS.FAILED, error.message, job.id]
+    ).catch(() => {});
+  } finally {
+    clearInterval(heartbeat);
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+async function runWorker() {
+  await ensureExportJobsTable();
+
+  await requeueStaleJobs();
+  await cleanupExpiredJobs();
+
+  let job;
+  while ((job = await claimNextJob())) {
+    await processExportJob(job);
+  }
+}
+
+// Starts draining the queue unless a drain is already in progress.
+// Runs in the background of the Next server; callers don't wait for it.
+export function startExportWorker() {
+  if (!workerRunning) {
+    workerRunning = runWorker()
+      .catch(error => console.error('❌ Export worker error:', error))
+      .finally(() => {
+        workerRunning = null;
+      });
+  }
+  return workerRunning;
+}
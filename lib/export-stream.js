@@ -0,0 +1,169 @@
+// STREAMING EXPORT
+// Reads rows through a server-side Postgres cursor and writes them to any
+// writable stream (HTTP response or file) as CSV or XLSX, so a full year of
+// deposit_daily never sits in memory at once.
+
+import { finished } from 'stream/promises';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = {
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8'
+  },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+const FETCH_SIZE = 1000;
+const CURSOR_NAME = 'export_cursor';
+
+export function getExportFormat(format) {
+  return EXPORT_FORMATS[format] ? format : 'xlsx';
+}
+
+// ===========================================
+// CSV HELPERS
+// ===========================================
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  // DATE columns already arrive as 'YYYY-MM-DD' (lib/database.js); Dates are timestamps
+  if (value instanceof Date) return value.toISOString();
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(formatCsvValue).join(',') + '\r\n';
+}
+
+function streamClosedError(stream) {
+  return stream.errored || new Error('Export stream closed before the export finished');
+}
+
+// Respects backpressure; rejects if the stream closes (client aborted, disk error)
+// so the cursor transaction is rolled back instead of waiting forever on 'drain'
+function writeChunk(stream, chunk) {
+  if (stream.destroyed) {
+    return Promise.reject(streamClosedError(stream));
+  }
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(streamClosedError(stream));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+// ===========================================
+// ROW WRITERS
+// ===========================================
+
+function createCsvWriter(stream) {
+  let columns = null;
+
+  return {
+    async writeRows(rows, fields) {
+      if (!columns) {
+        columns = fields;
+        // UTF-8 BOM so Excel opens the CSV with the right encoding
+        await writeChunk(stream, '\uFEFF' + toCsvLine(columns.map(column => column.header)));
+      }
+      if (rows.length > 0) {
+        await writeChunk(stream, rows.map(row => toCsvLine(columns.map(column => row[column.key]))).join(''));
+      }
+    },
+    async finish() {
+      stream.end();
+      await finished(stream);
+    }
+  };
+}
+
+function createXlsxWriter(stream, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: false,
+    useSharedStrings: false
+  });
+  // Excel sheet names are limited to 31 characters
+  const worksheet = workbook.addWorksheet(sheetName.slice(0, 31));
+  let columnsSet = false;
+
+  return {
+    async writeRows(rows, fields) {
+      if (!columnsSet) {
+        worksheet.columns = fields.map(column => ({ header: column.header, key: column.key }));
+        columnsSet = true;
+      }
+      rows.forEach(row => worksheet.addRow(row).commit());
+    },
+    async finish() {
+      await worksheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+// ===========================================
+// CURSOR EXPORT
+// ===========================================
+
+// Streams the result of `query` ({ text, params }) into `stream`.
+// `columns` optionally maps/renames columns: [{ key, header }]; defaults to
+// every column in the result. Stops after `rowLimit` rows (0/undefined = no cap).
+// `onProgress(rowsWritten)` is called after each fetched batch.
+// Returns the number of rows written.
+export async function streamQueryExport(client, query, {
+  stream,
+  format = 'xlsx',
+  sheetName = 'Export',
+  columns = null,
+  rowLimit = 0,
+  onProgress = null
+}) {
+  const writer = format === 'csv' ? createCsvWriter(stream) : createXlsxWriter(stream, sheetName);
+  let rowsWritten = 0;
+
+  await client.query('BEGIN');
+
+  try {
+    await client.query(`DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR ${query.text}`, query.params);
+
+    while (!rowLimit || rowsWritten < rowLimit) {
+      const batchSize = rowLimit ? Math.min(FETCH_SIZE, rowLimit - rowsWritten) : FETCH_SIZE;
+      const batch = await client.query(`FETCH ${batchSize} FROM ${CURSOR_NAME}`);
+
+      const fields = columns || batch.fields.map(field => ({ key: field.name, header: field.name }));
+      await writer.writeRows(batch.rows, fields);
+
+      rowsWritten += batch.rows.length;
+      if (onProgress) onProgress(rowsWritten);
+
+      if (batch.rows.length < batchSize) break;
+    }
+
+    await client.query(`CLOSE ${CURSOR_NAME}`);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+
+  await writer.finish();
+  return rowsWritten;
+}
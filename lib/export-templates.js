@@ -0,0 +1,236 @@
+// EXPORT TEMPLATES
+// Named, per-user export layouts for a dataset: which columns to include, in
+// what order, under which header, and how rows are sorted. Stored in
+// `export_templates`; the export endpoints and background jobs apply them via
+// resolveExportOptions().
+//
+// Template shape:
+//   columns - [{ key: 'amount', header: 'Deposit Amount' }, ...] in output order
+//   sort    - [{ column: 'date', direction: 'ASC' }, ...] (max MAX_SORT_COLUMNS)
+
+import pool from './database';
+import { getDataset } from './datasets';
+import { getDatasetColumns, buildColumnSelect } from './dataset-query';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_HEADER_LENGTH = 100;
+const MAX_SORT_COLUMNS = 3;
+
+// Largest SERIAL value
+const MAX_TEMPLATE_ID = 2147483647;
+
+function templateError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Template ids are serial ids: a positive integer (number or digit string);
+// anything else is a 400
+export function parseTemplateId(value) {
+  const id = /^\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+  if (!(id >= 1 && id <= MAX_TEMPLATE_ID)) {
+    throw templateError(`Invalid template ID: ${value}`);
+  }
+  return id;
+}
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let exportTemplatesTableReady = null;
+
+export function ensureExportTemplatesTable() {
+  if (!exportTemplatesTableReady) {
+    exportTemplatesTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS export_templates (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        dataset VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        columns JSONB NOT NULL,
+        sort JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (user_id, dataset, name)
+      );
+    `).catch((error) => {
+      exportTemplatesTableReady = null;
+      throw error;
+    });
+  }
+
+  return exportTemplatesTableReady;
+}
+
+function toTemplateResponse(row) {
+  return {
+    id: row.id,
+    dataset: row.dataset,
+    name: row.name,
+    columns: row.columns,
+    sort: row.sort,
+    updatedAt: row.updated_at
+  };
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+// Keeps only real table columns, drops duplicates and defaults headers to the key
+function normalizeColumns(columns, availableColumns) {
+  if (!Array.isArray(columns)) return [];
+
+  const seen = new Set();
+  return columns
+    .map(column => (typeof column === 'string' ? { key: column } : column))
+    .filter(column => {
+      if (!column || !availableColumns.includes(column.key) || seen.has(column.key)) {
+        return false;
+      }
+      seen.add(column.key);
+      return true;
+    })
+    .map(column => ({
+      key: column.key,
+      header: String(column.header || column.key).trim().slice(0, MAX_HEADER_LENGTH) || column.key
+    }));
+}
+
+function normalizeSort(sort, availableColumns) {
+  if (!Array.isArray(sort)) return [];
+
+  return sort
+    .filter(entry => entry && availableColumns.includes(entry.column))
+    .slice(0, MAX_SORT_COLUMNS)
+    .map(entry => ({
+      column: entry.column,
+      direction: String(entry.direction).toUpperCase() === 'ASC' ? 'ASC' : 'DESC'
+    }));
+}
+
+// ===========================================
+// TEMPLATE CRUD
+// ===========================================
+
+export async function listExportTemplates(userId, datasetId) {
+  await ensureExportTemplatesTable();
+
+  const result = await pool.query(
+    'SELECT * FROM export_templates WHERE user_id = $1 AND dataset = $2 ORDER BY name',
+    [userId, datasetId]
+  );
+  return result.rows.map(toTemplateResponse);
+}
+
+export async function getExportTemplate(templateId, userId) {
+  await ensureExportTemplatesTable();
+
+  const result = await pool.query(
+    'SELECT * FROM export_templates WHERE id = $1 AND user_id = $2',
+    [templateId, userId]
+  );
+  return result.rows[0] ? toTemplateResponse(result.rows[0]) : null;
+}
+
+// Creates the template, or updates it when `input.id` is an existing template of the user
+export async function saveExportTemplate(userId, input = {}) {
+  await ensureExportTemplatesTable();
+
+  const dataset = getDataset(input.dataset);
+  const name = String(input.name || '').trim();
+
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw templateError(`Template name is required (max ${MAX_NAME_LENGTH} characters)`);
+  }
+
+  const availableColumns = await getDatasetColumns(pool, dataset);
+  const columns = normalizeColumns(input.columns, availableColumns);
+  const sort = normalizeSort(input.sort, availableColumns);
+
+  if (columns.length === 0) {
+    throw templateError('Select at least one column');
+  }
+
+  const id = input.id ? parseTemplateId(input.id) : null;
+
+  try {
+    const result = id
+      ? await pool.query(
+        `UPDATE export_templates
+         SET name = $1, columns = $2, sort = $3, updated_at = NOW()
+         WHERE id = $4 AND user_id = $5 AND dataset = $6
+         RETURNING *`,
+        [name, JSON.stringify(columns), JSON.stringify(sort), id, userId, dataset.id]
+      )
+      : await pool.query(
+        `INSERT INTO export_templates (user_id, dataset, name, columns, sort)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [userId, dataset.id, name, JSON.stringify(columns), JSON.stringify(sort)]
+      );
+
+    if (result.rows.length === 0) {
+      throw templateError('Export template not found', 404);
+    }
+    return toTemplateResponse(result.rows[0]);
+
+  } catch (error) {
+    if (error.code === '23505') {
+      throw templateError(`A template named "${name}" already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+export async function deleteExportTemplate(templateId, userId) {
+  await ensureExportTemplatesTable();
+
+  const result = await pool.query(
+    'DELETE FROM export_templates WHERE id = $1 AND user_id = $2',
+    [templateId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+// ===========================================
+// EXPORT OPTIONS
+// ===========================================
+
+// Turns an export request body into buildDatasetQuery/streamQueryExport options.
+// `input.templateId` loads a saved template; `input.columns` / `input.sort` are
+// also accepted directly (background jobs store the resolved template this way).
+// Returns { columns, sort, selectList, sortBy, sortDir }; columns/selectList are
+// undefined when every column should be exported as-is.
+export async function resolveExportOptions(client, dataset, userId, input = {}) {
+  let { columns, sort } = input;
+
+  if (input.templateId) {
+    const template = await getExportTemplate(parseTemplateId(input.templateId), userId);
+    if (!template || template.dataset !== dataset.id) {
+      throw templateError('Export template not found', 404);
+    }
+    ({ columns, sort } = template);
+  }
+
+  const options = { sortBy: input.sortBy, sortDir: input.sortDir };
+  if (!columns && !sort) {
+    return options;
+  }
+
+  const availableColumns = await getDatasetColumns(client, dataset);
+  const normalizedColumns = normalizeColumns(columns, availableColumns);
+  const normalizedSort = normalizeSort(sort, availableColumns);
+
+  if (normalizedColumns.length > 0) {
+    options.columns = normalizedColumns;
+    options.selectList = buildColumnSelect(dataset, normalizedColumns.map(column => column.key));
+  }
+  if (normalizedSort.length > 0) {
+    options.sort = normalizedSort;
+  }
+
+  return options;
+}
@@ -0,0 +1,282 @@
+// TREND FORECASTING
+// Projects monthly measures from the metric registry (lib/metrics.js): where
+// the current month will land and the next FORECAST_HORIZON months.
+//
+//   history        - complete months before the current month, from the
+//                    monthly tables (up to HISTORY_MONTHS)
+//   current month  - the month of the latest deposit_daily date (`asOf`);
+//                    its actual-to-date comes from the daily tables
+//   method         - additive Holt-Winters (level, trend, 12-month season)
+//                    with 24+ months of history, Holt's linear trend with 3+,
+//                    otherwise the last value carried forward
+//   band           - forecast +/- 1.96 x the RMSE of the one-step-ahead
+//                    errors x sqrt(steps ahead), an approximate 95% interval
+//
+// The current month lands at actual-to-date plus the model's month figure
+// for the days still to come. Distinct counts (active members) cannot be
+// added up by day; the month figure is used, with actual-to-date as a floor.
+
+import pool from './database';
+import { evaluateMetrics, describeMetric, METRICS, METRIC_GROUPINGS } from './metrics';
+import {
+  addMonths,
+  monthsBetween,
+  monthDateRange,
+  yearMonthOfDate,
+  formatYearMonth,
+  yearMonthLabel,
+  formatDate,
+  parseDate
+} from './periods';
+
+export const FORECAST_METHODS = {
+  HOLT_WINTERS: 'holt_winters',
+  HOLT: 'holt',
+  NAIVE: 'naive'
+};
+
+// Measures that can be forecast; additive ones add up over the days of a month
+export const FORECAST_METRICS = {
+  net_profit: { additive: true },
+  deposit_amount: { additive: true },
+  withdraw_amount: { additive: true },
+  ggr: { additive: true },
+  total_revenue: { additive: true },
+  total_cost: { additive: true },
+  new_depositor: { additive: true },
+  deposit_cases: { additive: true },
+  active_member: { additive: false }
+};
+
+export const DEFAULT_FORECAST_METRICS = ['net_profit', 'deposit_amount', 'active_member'];
+
+// Months after the current one
+export const FORECAST_HORIZON = 3;
+const MAX_HORIZON = 12;
+
+const HISTORY_MONTHS = 36;
+const SEASON_LENGTH = 12;
+const Z_95 = 1.96;
+
+// Smoothing parameters tried when fitting; the set with the lowest
+// one-step-ahead squared error wins
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+function forecastError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// ===========================================
+// MODELS
+// ===========================================
+
+// Holt's linear trend. Returns { errors, forecast(steps) }; errors are the
+// one-step-ahead errors over the history.
+function holt(values, alpha, beta) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  const errors = [];
+
+  for (let t = 1; t < values.length; t++) {
+    const predicted = level + trend;
+    errors.push(values[t] - predicted);
+    const previousLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+
+  return { errors, forecast: (steps) => level + steps * trend };
+}
+
+// Additive Holt-Winters, initialised from the first two seasons: the trend
+// from their means, the level at the end of the first season and the
+// seasonal offsets from the detrended first season
+function holtWinters(values, alpha, beta, gamma, season = SEASON_LENGTH) {
+  const mean = (list) => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const firstSeason = values.slice(0, season);
+  const secondSeason = values.slice(season, 2 * season);
+
+  let trend = (mean(secondSeason) - mean(firstSeason)) / season;
+  const middle = (season - 1) / 2;
+  const trendLine = (t) => mean(firstSeason) + trend * (t - middle);
+  let level = trendLine(season - 1);
+  const seasonals = firstSeason.map((value, t) => value - trendLine(t));
+  const errors = [];
+
+  for (let t = season; t < values.length; t++) {
+    const seasonal = seasonals[t % season];
+    const predicted = level + trend + seasonal;
+    errors.push(values[t] - predicted);
+    const previousLevel = level;
+    level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals[t % season] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+  }
+
+  const next = values.length;
+  return { errors, forecast: (steps) => level + steps * trend + seasonals[(next + steps - 1) % season] };
+}
+
+function sumOfSquares(errors) {
+  return errors.reduce((sum, error) => sum + error * error, 0);
+}
+
+// Best-fitting model over the grid for one history
+function fitModel(values) {
+  if (values.length >= 2 * SEASON_LENGTH) {
+    let best = null;
+    SMOOTHING_GRID.forEach(alpha => SMOOTHING_GRID.forEach(beta => SMOOTHING_GRID.forEach(gamma => {
+      const model = holtWinters(values, alpha, beta, gamma);
+      const sse = sumOfSquares(model.errors);
+      if (!best || sse < best.sse) best = { ...model, sse };
+    })));
+    return { method: FORECAST_METHODS.HOLT_WINTERS, ...best };
+  }
+
+  if (values.length >= 3) {
+    let best = null;
+    SMOOTHING_GRID.forEach(alpha => SMOOTHING_GRID.forEach(beta => {
+      const model = holt(values, alpha, beta);
+      const sse = sumOfSquares(model.errors);
+      if (!best || sse < best.sse) best = { ...model, sse };
+    }));
+    return { method: FORECAST_METHODS.HOLT, ...best };
+  }
+
+  // Too little history for a trend: carry the last value forward
+  const errors = values.slice(1).map((value, index) => value - values[index]);
+  const last = values.length > 0 ? values[values.length - 1] : 0;
+  return { method: FORECAST_METHODS.NAIVE, errors, sse: sumOfSquares(errors), forecast: () => last };
+}
+
+// Forecast of a monthly series `steps` months ahead:
+// { method, residualStdDev, points: [{ step, value, lower, upper }] }
+export function forecastSeries(values, steps) {
+  const model = fitModel(values);
+  const residualStdDev = model.errors.length > 0 ? Math.sqrt(model.sse / model.errors.length) : 0;
+
+  return {
+    method: model.method,
+    residualStdDev,
+    points: Array.from({ length: steps }, (_, index) => {
+      const step = index + 1;
+      const value = model.forecast(step);
+      const margin = Z_95 * residualStdDev * Math.sqrt(step);
+      return { step, value, lower: value - margin, upper: value + margin };
+    })
+  };
+}
+
+// ===========================================
+// DASHBOARD FORECASTS
+// ===========================================
+
+// Latest deposit_daily date as 'YYYY-MM-DD' (today when the table is empty)
+async function latestDataDate() {
+  const result = await pool.query(`SELECT TO_CHAR(MAX(date)::date, 'YYYY-MM-DD') AS latest FROM deposit_daily`);
+  return result.rows[0]?.latest || formatDate(new Date());
+}
+
+// The current month's landing from actual-to-date and the model's month figure
+function currentMonthPoint(metricId, forecast, actualToDate, share) {
+  const { value, lower, upper } = forecast;
+  if (FORECAST_METRICS[metricId].additive) {
+    // Only the days still to come are uncertain
+    return {
+      value: actualToDate + value * share,
+      lower: actualToDate + lower * share,
+      upper: actualToDate + upper * share
+    };
+  }
+  const landing = Math.max(actualToDate, value);
+  return { value: landing, lower: Math.max(actualToDate, lower), upper: Math.max(landing, upper) };
+}
+
+// Forecasts of measures for a currency:
+// { asOf, currentPeriod, daysElapsed, daysInMonth, horizon, forecasts: { metricId: { ...describeMetric, method,
+//   residualStdDev, history: [{ period, value }], actualToDate,
+//   points: [{ period, label, value, lower, upper, partial }] } }, conversion }
+// points start with the current month (partial: true) and continue `horizon` months.
+export async function forecastMetrics(metricIds = DEFAULT_FORECAST_METRICS, {
+  currency = 'MYR',
+  basis,
+  horizon = FORECAST_HORIZON,
+  asOf
+} = {}) {
+  const unknown = metricIds.filter(metricId => !FORECAST_METRICS[metricId]);
+  if (unknown.length > 0) {
+    throw forecastError(`Cannot forecast: ${unknown.join(', ')} (forecastable: ${Object.keys(FORECAST_METRICS).join(', ')})`);
+  }
+  const steps = parseInt(horizon);
+  if (!(steps >= 1 && steps <= MAX_HORIZON)) {
+    throw forecastError(`Horizon must be between 1 and ${MAX_HORIZON} months`);
+  }
+  if (asOf && !parseDate(asOf)) {
+    throw forecastError(`Invalid asOf date: ${asOf}`);
+  }
+
+  const asOfDate = asOf ? formatDate(asOf) : await latestDataDate();
+  const current = yearMonthOfDate(asOfDate);
+  const monthRange = monthDateRange(current);
+  const daysInMonth = parseDate(monthRange.to).getUTCDate();
+  const daysElapsed = parseDate(asOfDate).getUTCDate();
+
+  const [history, toDate] = await Promise.all([
+    evaluateMetrics(metricIds, {
+      currency,
+      basis,
+      periods: monthsBetween(addMonths(current, -HISTORY_MONTHS), addMonths(current, -1)),
+      groupBy: METRIC_GROUPINGS.PERIOD
+    }),
+    evaluateMetrics(metricIds, {
+      currency,
+      basis,
+      periods: [{ from: monthRange.from, to: asOfDate }]
+    })
+  ]);
+
+  // History starts at the first month with data
+  const firstWithData = history.series.findIndex(entry => entry.hasData);
+  const months = firstWithData === -1 ? [] : history.series.slice(firstWithData);
+  const periods = Array.from({ length: steps + 1 }, (_, index) => addMonths(current, index));
+  const remainingShare = (daysInMonth - daysElapsed) / daysInMonth;
+
+  const forecasts = {};
+  metricIds.forEach(metricId => {
+    const values = months.map(entry => entry.values[metricId]);
+    const model = forecastSeries(values, steps + 1);
+    const actualToDate = toDate.values[metricId];
+    const isCount = METRICS[metricId].format === 'count';
+
+    forecasts[metricId] = {
+      ...describeMetric(metricId),
+      method: model.method,
+      residualStdDev: model.residualStdDev,
+      history: months.map(entry => ({ period: entry.period, value: entry.values[metricId] })),
+      actualToDate,
+      points: model.points.map((point, index) => {
+        const projected = index === 0 ? currentMonthPoint(metricId, point, actualToDate, remainingShare) : point;
+        return {
+          period: formatYearMonth(periods[index]),
+          label: yearMonthLabel(periods[index]),
+          value: isCount ? Math.max(0, projected.value) : projected.value,
+          lower: isCount ? Math.max(0, projected.lower) : projected.lower,
+          upper: projected.upper,
+          partial: index === 0
+        };
+      })
+    };
+  });
+
+  return {
+    asOf: asOfDate,
+    currentPeriod: formatYearMonth(current),
+    daysElapsed,
+    daysInMonth,
+    horizon: steps,
+    forecasts,
+    conversion: history.conversion
+  };
+}
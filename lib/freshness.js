@@ -0,0 +1,141 @@
+// DATA FRESHNESS
+// Latest data date of every source table, compared with a staleness threshold
+// (days). PAGE_SOURCES lists the tables behind each page so the Header can warn
+// when anything feeding the current page is out of date.
+//
+// The threshold is DATA_STALE_AFTER_DAYS (default 2); tables that are updated
+// less often than daily carry their own staleAfterDays.
+
+import pool from './database';
+import { textDateSql } from './periods';
+
+export const DEFAULT_STALE_AFTER_DAYS = parseInt(process.env.DATA_STALE_AFTER_DAYS) || 2;
+
+// Freshness is read on every page load; MAX(date) over text columns scans the table
+const FRESHNESS_CACHE_MS = 60 * 1000;
+
+export const FRESHNESS_STATUS = {
+  FRESH: 'fresh',
+  STALE: 'stale',
+  EMPTY: 'empty',
+  MISSING: 'missing'
+};
+
+// table -> { label, dateColumn, staleAfterDays }
+export const FRESHNESS_SOURCES = {
+  deposit_daily: { label: 'Deposit Daily' },
+  withdraw_daily: { label: 'Withdraw Daily' },
+  new_register: { label: 'New Register' },
+  new_depositor_daily: { label: 'New Depositor Daily' },
+  member_report_daily: { label: 'Member Report Daily' },
+  adjusment_daily: { label: 'Adjustment Daily' },
+  deposit_monthly: { label: 'Deposit Monthly' },
+  withdraw_monthly: { label: 'Withdraw Monthly' },
+  member_report_monthly: { label: 'Member Report Monthly' },
+  new_depositor: { label: 'New Depositor' },
+  exchange_rate: { label: 'Exchange Rate', staleAfterDays: 7 },
+  headcountdep: { label: 'Headcount', staleAfterDays: 45 }
+};
+
+// page path -> tables its figures come from
+export const PAGE_SOURCES = {
+  // Weekly view and forecasts read the daily tables
+  '/': ['deposit_monthly', 'withdraw_monthly', 'member_report_monthly', 'new_depositor', 'deposit_daily', 'withdraw_daily', 'new_depositor_daily', 'exchange_rate'],
+  '/strategic-executive': ['deposit_monthly', 'withdraw_monthly', 'member_report_monthly', 'new_depositor', 'headcountdep'],
+  '/transaction/deposit': ['deposit_daily'],
+  '/transaction/withdraw': ['withdraw_daily'],
+  '/transaction/new-depositor': ['new_depositor_daily'],
+  '/transaction/new-register': ['new_register'],
+  '/transaction/member-report': ['member_report_daily'],
+  '/transaction/adjustment': ['adjusment_daily'],
+  '/transaction/exchange': ['exchange_rate'],
+  '/transaction/headcount': ['headcountdep']
+};
+
+let cachedFreshness = null;
+
+function getSource(table) {
+  return { table, dateColumn: 'date', staleAfterDays: DEFAULT_STALE_AFTER_DAYS, ...FRESHNESS_SOURCES[table] };
+}
+
+// Latest date of a column as a DATE. Text columns hold either ISO dates or the
+// upstream M/D/YYYY format, which must not be compared as strings.
+function latestDateExpression(column, type) {
+  if (type === 'date' || type.startsWith('timestamp')) {
+    return `MAX(${column})::date`;
+  }
+
+  return `MAX(${textDateSql(column)})`;
+}
+
+async function readTableFreshness(source, columnType) {
+  const base = { table: source.table, label: source.label, staleAfterDays: source.staleAfterDays };
+  if (!columnType) {
+    return { ...base, status: FRESHNESS_STATUS.MISSING, latestDate: null, ageDays: null };
+  }
+
+  const latest = latestDateExpression(source.dateColumn, columnType);
+  const result = await pool.query(`
+    SELECT TO_CHAR(latest, 'YYYY-MM-DD') AS latest_date, CURRENT_DATE - latest AS age_days
+    FROM (SELECT ${latest} AS latest FROM ${source.table}) t
+  `);
+
+  const { latest_date: latestDate, age_days: ageDays } = result.rows[0];
+  if (!latestDate) {
+    return { ...base, status: FRESHNESS_STATUS.EMPTY, latestDate: null, ageDays: null };
+  }
+
+  return {
+    ...base,
+    status: ageDays > source.staleAfterDays ? FRESHNESS_STATUS.STALE : FRESHNESS_STATUS.FRESH,
+    latestDate,
+    ageDays
+  };
+}
+
+// Freshness of every table in FRESHNESS_SOURCES, cached for FRESHNESS_CACHE_MS
+export async function getTableFreshness({ refresh = false } = {}) {
+  if (!refresh && cachedFreshness && Date.now() - cachedFreshness.at < FRESHNESS_CACHE_MS) {
+    return cachedFreshness.tables;
+  }
+
+  const sources = Object.keys(FRESHNESS_SOURCES).map(getSource);
+
+  // Date column types in one round trip; tables without one are reported missing
+  const columns = await pool.query(`
+    SELECT table_name, column_name, data_type
+    FROM information_schema.columns
+    WHERE table_name = ANY($1)
+  `, [sources.map(source => source.table)]);
+  const columnTypes = Object.fromEntries(columns.rows.map(row => [`${row.table_name}.${row.column_name}`, row.data_type]));
+
+  const tables = await Promise.all(sources.map(source =>
+    readTableFreshness(source, columnTypes[`${source.table}.${source.dateColumn}`])
+      .catch(error => {
+        console.error(`❌ Freshness check failed for ${source.table}:`, error.message);
+        return { table: source.table, label: source.label, staleAfterDays: source.staleAfterDays, status: FRESHNESS_STATUS.MISSING, latestDate: null, ageDays: null, error: error.message };
+      })
+  ));
+
+  cachedFreshness = { at: Date.now(), tables };
+  return tables;
+}
+
+// Status of the tables behind one page; null for pages without known sources.
+// Empty tables count as stale: the page has nothing to show.
+export function summarizePageFreshness(pagePath, tables) {
+  const pageTables = PAGE_SOURCES[pagePath];
+  if (!pageTables) return null;
+
+  const entries = tables.filter(entry => pageTables.includes(entry.table));
+  const staleTables = entries
+    .filter(entry => entry.status === FRESHNESS_STATUS.STALE || entry.status === FRESHNESS_STATUS.EMPTY)
+    .map(entry => entry.table);
+
+  return {
+    path: pagePath,
+    status: staleTables.length > 0 ? FRESHNESS_STATUS.STALE : FRESHNESS_STATUS.FRESH,
+    staleTables,
+    tables: entries
+  };
+}
@@ -0,0 +1,584 @@
+// METRIC REGISTRY
+// Every dashboard measure is declared once here. Base measures aggregate one
+// column of one source table; derived measures combine other measures with a
+// formula. evaluateMetrics() resolves the dependencies of the requested
+// measures, runs one aggregate query per source table and applies the formulas,
+// so the main dashboard, the charts and the Strategic Executive page all read
+// the same definitions.
+//
+// Sources declare which filters apply to them: 'currency' (the currency column,
+// including the consolidated ALL_* options from lib/currency-conversion.js) and
+// 'period' (year + month; every source has it). headcountdep has no currency
+// column; its measures pick the per-currency column instead.
+//
+// Periods are months ({ year, month }), read from a source's monthly table, or
+// date ranges ({ from, to }, e.g. ISO weeks), read from its daily tables. The
+// daily tables don't mirror the monthly ones: a source's `daily` entries map
+// each monthly column to candidate daily columns (the first one the table has
+// is read, as in lib/data-quality.js), and the adjustments come from
+// adjusment_daily. A measure without a daily column can't be evaluated over a
+// date range. headcountdep is a monthly stock without a daily table: a date
+// range counts the months it touches.
+//
+// Measure fields:
+//   label        - display name
+//   format       - 'amount' (money), 'count' or 'ratio'
+//   source       - METRIC_SOURCES key (base measures)
+//   aggregation  - 'sum' | 'count_distinct' | 'monthly_average' (base measures;
+//                  monthly_average is for stocks such as headcount, averaged over
+//                  the months of a multi-month period instead of added up)
+//   column       - aggregated column, or expression({ alias, currency, consolidated })
+//   convert      - amounts converted for consolidated currencies
+//   dependencies - measure ids a derived measure needs
+//   formula      - (values) => number, for derived measures
+
+import pool from './database';
+import { getCurrencyScope } from './currency-conversion';
+import { getTableStructure } from './row-versions';
+import { DATA_QUALITY_DATASETS } from './data-quality';
+import { yearMonth, monthName, monthsOfYear, formatYearMonth, dateRange } from './periods';
+
+export const METRIC_FORMATS = {
+  AMOUNT: 'amount',
+  COUNT: 'count',
+  RATIO: 'ratio'
+};
+
+// daily: [{ table, columns: { monthlyColumn: [daily column candidates] } }]
+// textDate: the monthly table keeps `date` as text (e.g. member_report_monthly),
+// for the exchange rate join of consolidated currencies
+export const METRIC_SOURCES = {
+  deposit: {
+    table: 'deposit_monthly',
+    daily: [
+      {
+        table: 'deposit_daily',
+        columns: {
+          deposit_amount: DATA_QUALITY_DATASETS.deposit.amountColumns,
+          deposit_cases: ['deposit_cases'],
+          userkey: ['userkey']
+        }
+      },
+      {
+        table: 'adjusment_daily',
+        columns: {
+          add_transaction: ['add_transaction'],
+          deduct_transaction: ['deduct_transaction']
+        }
+      }
+    ],
+    filters: ['currency', 'period']
+  },
+  withdraw: {
+    table: 'withdraw_monthly',
+    daily: [{ table: 'withdraw_daily', columns: { withdraw_amount: DATA_QUALITY_DATASETS.withdraw.amountColumns } }],
+    filters: ['currency', 'period']
+  },
+  newDepositor: {
+    table: 'new_depositor',
+    daily: [{ table: 'new_depositor_daily', columns: { new_depositor: DATA_QUALITY_DATASETS['new-depositor'].amountColumns } }],
+    filters: ['currency', 'period']
+  },
+  headcount: { table: 'headcountdep', filters: ['period'] }
+};
+
+// Headcount column of a department ('total' = everyone) for a currency;
+// consolidated currencies add up every market
+function headcountColumn(prefix) {
+  return ({ alias, currency, consolidated }) => {
+    if (consolidated) {
+      return ['myr', 'sgd', 'usc'].map(suffix => `COALESCE(${alias}.${prefix}_${suffix}, 0)`).join(' + ');
+    }
+    const suffix = currency === 'MYR' ? 'myr' : currency === 'SGD' ? 'sgd' : 'usc';
+    return `${alias}.${prefix}_${suffix}`;
+  };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+export const METRICS = {
+  // Deposit Amount = SUM(deposit_amount)
+  deposit_amount: {
+    label: 'Deposit Amount',
+    format: METRIC_FORMATS.AMOUNT,
+    source: 'deposit',
+    aggregation: 'sum',
+    column: 'deposit_amount',
+    convert: true
+  },
+  // Withdraw Amount = SUM(withdraw_amount)
+  withdraw_amount: {
+    label: 'Withdraw Amount',
+    format: METRIC_FORMATS.AMOUNT,
+    source: 'withdraw',
+    aggregation: 'sum',
+    column: 'withdraw_amount',
+    convert: true
+  },
+  // Add / Deduct Transaction = SUM() of the deposit_monthly adjustments
+  add_transaction: {
+    label: 'Add Transaction',
+    format: METRIC_FORMATS.AMOUNT,
+    source: 'deposit',
+    aggregation: 'sum',
+    column: 'add_transaction',
+    convert: true
+  },
+  deduct_transaction: {
+    label: 'Deduct Transaction',
+    format: METRIC_FORMATS.AMOUNT,
+    source: 'deposit',
+    aggregation: 'sum',
+    column: 'deduct_transaction',
+    convert: true
+  },
+  // Active Member = DISTINCTCOUNT(userkey) of depositors
+  active_member: {
+    label: 'Active Member',
+    format: METRIC_FORMATS.COUNT,
+    source: 'deposit',
+    aggregation: 'count_distinct',
+    column: 'userkey'
+  },
+  // Deposit Cases = SUM(deposit_cases)
+  deposit_cases: {
+    label: 'Deposit Cases',
+    format: METRIC_FORMATS.COUNT,
+    source: 'deposit',
+    aggregation: 'sum',
+    column: 'deposit_cases'
+  },
+  // New Depositor = SUM(new_depositor)
+  new_depositor: {
+    label: 'New Depositor',
+    format: METRIC_FORMATS.COUNT,
+    source: 'newDepositor',
+    aggregation: 'sum',
+    column: 'new_depositor'
+  },
+  headcount: {
+    label: 'Headcount',
+    format: METRIC_FORMATS.COUNT,
+    source: 'headcount',
+    aggregation: 'monthly_average',
+    column: headcountColumn('total')
+  },
+  headcount_cashier: {
+    label: 'Cashier Headcount',
+    format: METRIC_FORMATS.COUNT,
+    source: 'headcount',
+    aggregation: 'monthly_average',
+    column: headcountColumn('cashier')
+  },
+  headcount_sr: {
+    label: 'S&R Headcount',
+    format: METRIC_FORMATS.COUNT,
+    source: 'headcount',
+    aggregation: 'monthly_average',
+    column: headcountColumn('sr')
+  },
+  headcount_cs: {
+    label: 'CS Headcount',
+    format: METRIC_FORMATS.COUNT,
+    source: 'headcount',
+    aggregation: 'monthly_average',
+    column: headcountColumn('css')
+  },
+
+  // GGR = Deposit Amount - Withdraw Amount
+  ggr: {
+    label: 'GGR',
+    format: METRIC_FORMATS.AMOUNT,
+    dependencies: ['deposit_amount', 'withdraw_amount'],
+    formula: (v) => v.deposit_amount - v.withdraw_amount
+  },
+  // Total Revenue = Deposit Amount + Add Transaction
+  total_revenue: {
+    label: 'Total Revenue',
+    format: METRIC_FORMATS.AMOUNT,
+    dependencies: ['deposit_amount', 'add_transaction'],
+    formula: (v) => v.deposit_amount + v.add_transaction
+  },
+  // Total Cost = Withdraw Amount + Deduct Transaction
+  total_cost: {
+    label: 'Total Cost',
+    format: METRIC_FORMATS.AMOUNT,
+    dependencies: ['withdraw_amount', 'deduct_transaction'],
+    formula: (v) => v.withdraw_amount + v.deduct_transaction
+  },
+  // Net Profit = (Deposit Amount + Add Transaction) - (Withdraw Amount + Deduct Transaction)
+  net_profit: {
+    label: 'Net Profit',
+    format: METRIC_FORMATS.AMOUNT,
+    dependencies: ['total_revenue', 'total_cost'],
+    formula: (v) => v.total_revenue - v.total_cost
+  },
+  // Pure Member = Active Member - New Depositor (returning depositors only)
+  pure_member: {
+    label: 'Pure Member',
+    format: METRIC_FORMATS.COUNT,
+    dependencies: ['active_member', 'new_depositor'],
+    formula: (v) => Math.max(v.active_member - v.new_depositor, 0)
+  },
+  // GGR User = Net Profit / Active Member
+  ggr_user: {
+    label: 'GGR User',
+    format: METRIC_FORMATS.AMOUNT,
+    dependencies: ['net_profit', 'active_member'],
+    formula: (v) => ratio(v.net_profit, v.active_member)
+  },
+  // GGR Pure User = Net Profit / Pure Member
+  ggr_pure_user: {
+    label: 'GGR Pure User',
+    format: METRIC_FORMATS.AMOUNT,
+    dependencies: ['net_profit', 'pure_member'],
+    formula: (v) => ratio(v.net_profit, v.pure_member)
+  },
+  // Purchase Frequency = Deposit Cases / Active Member
+  purchase_frequency: {
+    label: 'Purchase Frequency',
+    format: METRIC_FORMATS.RATIO,
+    dependencies: ['deposit_cases', 'active_member'],
+    formula: (v) => ratio(v.deposit_cases, v.active_member)
+  },
+  // Average Transaction Value = Deposit Amount / Deposit Cases
+  average_transaction_value: {
+    label: 'Average Transaction Value',
+    format: METRIC_FORMATS.AMOUNT,
+    dependencies: ['deposit_amount', 'deposit_cases'],
+    formula: (v) => ratio(v.deposit_amount, v.deposit_cases)
+  },
+  // Customer Value per Headcount = Active Member / Headcount
+  customer_value_per_headcount: {
+    label: 'Value per Headcount',
+    format: METRIC_FORMATS.RATIO,
+    dependencies: ['active_member', 'headcount'],
+    formula: (v) => ratio(v.active_member, v.headcount)
+  }
+};
+
+export const METRIC_GROUPINGS = {
+  NONE: 'none',
+  PERIOD: 'period',
+  BUCKET: 'bucket'
+};
+
+function metricError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Months of a year as evaluateMetrics() periods: every month, or the given
+// months (numbers or names)
+export function yearPeriods(year, months) {
+  return months
+    ? months.map(month => yearMonth(year, month))
+    : monthsOfYear(year);
+}
+
+// ===========================================
+// DEPENDENCIES
+// ===========================================
+
+// Requested measures plus everything they depend on, dependencies first
+function resolveMetrics(metricIds) {
+  const ordered = [];
+  const visiting = new Set();
+
+  const visit = (metricId) => {
+    if (ordered.includes(metricId)) return;
+    const metric = METRICS[metricId];
+    if (!metric) {
+      throw metricError(`Unknown metric: ${metricId}`);
+    }
+    if (visiting.has(metricId)) {
+      throw metricError(`Circular metric dependency at ${metricId}`, 500);
+    }
+
+    visiting.add(metricId);
+    (metric.dependencies || []).forEach(visit);
+    visiting.delete(metricId);
+    ordered.push(metricId);
+  };
+
+  metricIds.forEach(visit);
+  return ordered;
+}
+
+// ===========================================
+// QUERIES
+// ===========================================
+
+function aggregateExpression(metric, scope, currency, column = metric.column) {
+  const expression = typeof column === 'function'
+    ? column({ alias: 't', currency, consolidated: scope.consolidated })
+    : `t.${column}`;
+
+  if (metric.aggregation === 'count_distinct') {
+    return `COUNT(DISTINCT ${expression})`;
+  }
+  if (metric.aggregation === 'monthly_average') {
+    return `COALESCE(SUM(${expression})::numeric / NULLIF(COUNT(DISTINCT t.year::text || '-' || t.month), 0), 0)`;
+  }
+  return `COALESCE(SUM(${metric.convert ? scope.convert(expression, 't') : expression}), 0)`;
+}
+
+// The daily entry of a source that maps a measure's monthly column
+function dailyEntry(source, metric) {
+  return (source.daily || []).find(entry => entry.columns[metric.column]);
+}
+
+// Groups a source's measures by the daily table they are read from, checking
+// the mapped columns against the table: [{ table, metricIds, columns: { metricId: column } }].
+// A source without daily tables reads its monthly table (months the range touches).
+async function planDailyTables(source, metricIds) {
+  if (!source.daily) {
+    return [{ table: source.table, daily: false, metricIds, columns: {} }];
+  }
+
+  const structures = {};
+  const plans = {};
+  for (const metricId of metricIds) {
+    const metric = METRICS[metricId];
+    const entry = dailyEntry(source, metric);
+    if (!entry) {
+      throw metricError(`${metric.label} can't be evaluated over a date range: no daily table holds ${source.table}.${metric.column}`);
+    }
+
+    structures[entry.table] = structures[entry.table] || await getTableStructure(pool, entry.table);
+    if (structures[entry.table].columns.length === 0) {
+      throw metricError(`Table ${entry.table} does not exist`, 500);
+    }
+    const candidates = entry.columns[metric.column];
+    const column = candidates.find(name => structures[entry.table].columns.includes(name));
+    if (!column) {
+      throw metricError(`${metric.label} can't be evaluated over a date range: ${entry.table} has no ${candidates.join(' / ')} column`, 500);
+    }
+
+    plans[entry.table] = plans[entry.table] || { table: entry.table, daily: true, metricIds: [], columns: {} };
+    plans[entry.table].metricIds.push(metricId);
+    plans[entry.table].columns[metricId] = column;
+  }
+  return Object.values(plans);
+}
+
+// How a table's rows join the requested periods: months match year + month
+// of the monthly table; date ranges match a daily table's date (or, on a
+// monthly table, the months the range touches)
+function periodJoin(table, periods, ranged, daily, n) {
+  if (!ranged) {
+    return {
+      table,
+      params: [
+        periods.map(period => String(period.year)),
+        periods.map(period => monthName(period.month)), // the monthly tables store month names
+        periods.map(period => period.bucket)
+      ],
+      sql: `JOIN unnest($${n + 1}::text[], $${n + 2}::text[], $${n + 3}::text[]) AS p(year, month, bucket)
+      ON p.year = t.year::text AND p.month = t.month`
+    };
+  }
+
+  const rowDate = daily
+    ? 't.date::date BETWEEN p.date_from AND p.date_to'
+    : `TO_DATE(t.year::text || ' ' || t.month, 'YYYY Month') BETWEEN DATE_TRUNC('month', p.date_from) AND p.date_to`;
+  return {
+    table,
+    params: [
+      periods.map(period => period.from),
+      periods.map(period => period.to),
+      periods.map(period => period.bucket)
+    ],
+    sql: `JOIN unnest($${n + 1}::date[], $${n + 2}::date[], $${n + 3}::text[]) AS p(date_from, date_to, bucket)
+      ON ${rowDate}`
+  };
+}
+
+// One query per table for the base measures of a source, one row per bucket
+// (see evaluateMetrics). unconverted_rows counts rows without an exchange rate.
+async function queryTable(source, plan, scope, currency, periods, ranged) {
+  const converts = scope.consolidated && plan.metricIds.some(metricId => METRICS[metricId].convert);
+
+  const params = [];
+  const conditions = [];
+  if (source.filters.includes('currency')) {
+    params.push(scope.param);
+    conditions.push(scope.filter('t')); // scope.filter always reads $1
+  }
+  const join = periodJoin(plan.table, periods, ranged, plan.daily, params.length);
+  params.push(...join.params);
+
+  const select = [
+    'p.bucket',
+    ...plan.metricIds.map(metricId =>
+      `${aggregateExpression(METRICS[metricId], scope, currency, plan.columns[metricId])} AS ${metricId}`
+    ),
+    `${converts ? scope.unconverted('t') : '0'} AS unconverted_rows`
+  ];
+
+  const result = await pool.query(`
+    SELECT ${select.join(', ')}
+    FROM ${join.table} t
+    ${join.sql}
+    ${converts ? scope.join('t', { textDate: !plan.daily && Boolean(source.textDate) }) : ''}
+    WHERE ${conditions.length > 0 ? conditions.join(' AND ') : 'TRUE'}
+    GROUP BY p.bucket
+  `, params);
+
+  return result.rows;
+}
+
+// Rows of every table a source's measures read, merged per bucket
+async function querySource(sourceId, metricIds, scope, currency, periods, ranged) {
+  const source = METRIC_SOURCES[sourceId];
+  const plans = ranged
+    ? await planDailyTables(source, metricIds)
+    : [{ table: source.table, daily: false, metricIds, columns: {} }];
+
+  const tableRows = await Promise.all(plans.map(plan => queryTable(source, plan, scope, currency, periods, ranged)));
+
+  const merged = {};
+  tableRows.flat().forEach(row => {
+    const unconverted = (parseInt(merged[row.bucket]?.unconverted_rows) || 0) + (parseInt(row.unconverted_rows) || 0);
+    merged[row.bucket] = { ...merged[row.bucket], ...row, unconverted_rows: unconverted };
+  });
+  return Object.values(merged);
+}
+
+// ===========================================
+// EVALUATION
+// ===========================================
+
+// Evaluates measures for a currency over periods: months ([{ year, month }],
+// month as a number or a name) or date ranges ([{ from, to }]), not both; see
+// lib/periods.js. Date ranges in one bucket must not overlap.
+//   groupBy 'none'   - { values: { metricId: number } } over all periods together
+//   groupBy 'period' - { series: [{ year, month, period: 'YYYY-MM', hasData, values }] }
+//                      in the order given, with numeric year and month
+//                      (date ranges: { from, to, period: 'from/to', ... })
+//   groupBy 'bucket' - periods carry a bucket key (e.g. a quarter);
+//                      { series: [{ bucket, periods, hasData, values }] } in order of first appearance
+// All carry unconvertedRows and the currency scope's conversion disclosure.
+export async function evaluateMetrics(metricIds, {
+  currency = 'MYR',
+  basis,
+  periods = [],
+  groupBy = METRIC_GROUPINGS.NONE
+} = {}) {
+  if (!Array.isArray(metricIds) || metricIds.length === 0) {
+    throw metricError('At least one metric is required');
+  }
+  if (!Object.values(METRIC_GROUPINGS).includes(groupBy)) {
+    throw metricError(`Unknown groupBy: ${groupBy}`);
+  }
+  if (periods.length === 0) {
+    throw metricError('At least one period is required');
+  }
+  if (groupBy === METRIC_GROUPINGS.BUCKET && periods.some(period => !period.bucket)) {
+    throw metricError('Every period needs a bucket when grouping by bucket');
+  }
+  const ranged = periods.some(period => period.from !== undefined);
+  if (ranged && periods.some(period => period.from === undefined)) {
+    throw metricError('Periods must be all months or all date ranges');
+  }
+
+  const scope = getCurrencyScope(currency, basis);
+  const ordered = resolveMetrics(metricIds);
+
+  // Every grouping is a bucket grouping underneath
+  const bucketOf = (period) => {
+    if (groupBy === METRIC_GROUPINGS.PERIOD) return ranged ? `${period.from}/${period.to}` : formatYearMonth(period);
+    if (groupBy === METRIC_GROUPINGS.BUCKET) return String(period.bucket);
+    return 'all';
+  };
+  // Months may come as numbers or names; yearMonth() and dateRange() reject
+  // invalid periods with a 400
+  const bucketed = periods.map(period => {
+    const normalized = ranged ? dateRange(period.from, period.to) : yearMonth(period.year, period.month);
+    return { ...normalized, bucket: bucketOf({ ...normalized, bucket: period.bucket }) };
+  });
+  const periodOf = ({ bucket, ...period }) => period;
+
+  const bySource = {};
+  ordered.filter(metricId => METRICS[metricId].source).forEach(metricId => {
+    const sourceId = METRICS[metricId].source;
+    bySource[sourceId] = [...(bySource[sourceId] || []), metricId];
+  });
+
+  const sourceRows = await Promise.all(Object.entries(bySource).map(([sourceId, sourceMetrics]) =>
+    querySource(sourceId, sourceMetrics, scope, currency, bucketed, ranged)
+  ));
+
+  const baseValues = {};
+  let unconvertedRows = 0;
+  Object.keys(bySource).forEach((sourceId, index) => {
+    sourceRows[index].forEach(row => {
+      baseValues[row.bucket] = baseValues[row.bucket] || {};
+      bySource[sourceId].forEach(metricId => {
+        baseValues[row.bucket][metricId] = parseFloat(row[metricId]) || 0;
+      });
+      unconvertedRows += parseInt(row.unconverted_rows) || 0;
+    });
+  });
+
+  const evaluate = (bucket) => {
+    const values = {};
+    ordered.forEach(metricId => {
+      const metric = METRICS[metricId];
+      values[metricId] = metric.formula ? metric.formula(values) : (baseValues[bucket]?.[metricId] ?? 0);
+    });
+    return Object.fromEntries(metricIds.map(metricId => [metricId, values[metricId]]));
+  };
+
+  const result = {
+    metrics: Object.fromEntries(metricIds.map(metricId => [metricId, describeMetric(metricId)])),
+    unconvertedRows,
+    conversion: scope.conversion && { ...scope.conversion, unconvertedRows }
+  };
+
+  if (groupBy === METRIC_GROUPINGS.PERIOD) {
+    result.series = bucketed.map(period => ({
+      ...periodOf(period),
+      period: period.bucket,
+      hasData: Boolean(baseValues[period.bucket]),
+      values: evaluate(period.bucket)
+    }));
+  } else if (groupBy === METRIC_GROUPINGS.BUCKET) {
+    const buckets = [...new Set(bucketed.map(period => period.bucket))];
+    result.series = buckets.map(bucket => ({
+      bucket,
+      periods: bucketed.filter(period => period.bucket === bucket).map(periodOf),
+      hasData: Boolean(baseValues[bucket]),
+      values: evaluate(bucket)
+    }));
+  } else {
+    result.values = evaluate('all');
+  }
+  return result;
+}
+
+// Public description of a measure (no functions), for the API and the docs page
+export function describeMetric(metricId) {
+  const metric = METRICS[metricId];
+  if (!metric) {
+    throw metricError(`Unknown metric: ${metricId}`);
+  }
+
+  return {
+    id: metricId,
+    label: metric.label,
+    format: metric.format,
+    ...(metric.source
+      ? {
+        source: METRIC_SOURCES[metric.source].table,
+        dailySource: dailyEntry(METRIC_SOURCES[metric.source], metric)?.table || null,
+        filters: METRIC_SOURCES[metric.source].filters,
+        aggregation: metric.aggregation,
+        column: typeof metric.column === 'function' ? 'per-currency column' : metric.column
+      }
+      : { dependencies: metric.dependencies })
+  };
+}
@@ -0,0 +1,67 @@
+// PASSWORD HASHING
+// Salted scrypt hashes stored as: scrypt$N$r$p$<salt hex>$<hash hex>
+// Keep the format in sync with scripts/password-hash.js (used by the CLI scripts).
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+export function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+export async function hashPassword(password) {
+  if (!password || typeof password !== 'string') {
+    throw new Error('Password must be a non-empty string');
+  }
+
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return [HASH_PREFIX, N, r, p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+// Returns { valid, needsRehash } - needsRehash is true for legacy plain-text
+// rows (or hashes made with older parameters) that should be upgraded on login
+export async function verifyPassword(password, stored) {
+  if (!password || !stored) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isPasswordHash(stored)) {
+    // Legacy plain-text password - compare in constant time
+    const expected = Buffer.from(stored);
+    const actual = Buffer.from(password);
+    const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, saltHex, hashHex] = stored.split('$');
+  const expected = Buffer.from(hashHex || '', 'hex');
+  if (!saltHex || expected.length === 0) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  const valid = crypto.timingSafeEqual(expected, actual);
+  const needsRehash = valid && (
+    parseInt(N) !== SCRYPT_PARAMS.N ||
+    parseInt(r) !== SCRYPT_PARAMS.r ||
+    parseInt(p) !== SCRYPT_PARAMS.p ||
+    expected.length !== KEY_LENGTH
+  );
+
+  return { valid, needsRehash };
+}
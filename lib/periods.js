@@ -0,0 +1,290 @@
+// PERIODS
+// One place for reading, writing, ordering and shifting reporting periods.
+// Months are numbers (1-12) inside the app; the month names the *_monthly
+// tables store ('July') and the text dates some tables hold ('7/31/2025') are
+// only converted at the edges, with the helpers below.
+//
+//   year-month  { year: 2025, month: 7 }        '2025-07'
+//   quarter     { year: 2025, quarter: 3 }      '2025-Q3'
+//   ISO week    { year: 2025, week: 31 }        '2025-W31' (weeks start on Monday)
+//   date range  { from: '2025-07-01', to: '2025-07-31' }
+//
+// Dates are handled as UTC calendar days, so '2025-07-01' is never read as
+// June 30 in a timezone west of UTC. Nothing here touches the database, so
+// pages and components can import it too.
+
+export const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function periodError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// ===========================================
+// MONTHS
+// ===========================================
+
+// Month number (1-12) from 7, '7', '07', 'July' or 'Jul'; null when unknown
+export function parseMonth(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d{1,2}$/.test(String(value).trim())) {
+    const month = parseInt(value);
+    return month >= 1 && month <= 12 ? month : null;
+  }
+  const name = String(value).trim().toLowerCase();
+  const index = MONTH_NAMES.findIndex(monthName => monthName.toLowerCase() === name || monthName.slice(0, 3).toLowerCase() === name);
+  return index === -1 ? null : index + 1;
+}
+
+// 'July' for 7 (or any value parseMonth accepts)
+export function monthName(month) {
+  const number = parseMonth(month);
+  if (!number) {
+    throw periodError(`Invalid month: ${month}`);
+  }
+  return MONTH_NAMES[number - 1];
+}
+
+// 'Jul' for 7
+export function monthShortName(month) {
+  return monthName(month).slice(0, 3);
+}
+
+// ===========================================
+// YEAR-MONTH
+// ===========================================
+
+// { year, month } with a numeric year and month; throws a 400 error when invalid
+export function yearMonth(year, month) {
+  const parsedYear = parseInt(year);
+  const parsedMonth = parseMonth(month);
+  if (!/^\d{4}$/.test(String(year).trim()) || !parsedMonth) {
+    throw periodError(`Invalid period: ${month} ${year}`);
+  }
+  return { year: parsedYear, month: parsedMonth };
+}
+
+// Months since year 0, for sorting and arithmetic
+export function monthIndex({ year, month }) {
+  return parseInt(year) * 12 + parseMonth(month) - 1;
+}
+
+export function fromMonthIndex(index) {
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+// { year, month } moved by offset months, across year boundaries
+export function addMonths(period, offset) {
+  return fromMonthIndex(monthIndex(period) + offset);
+}
+
+export function compareYearMonths(a, b) {
+  return monthIndex(a) - monthIndex(b);
+}
+
+// Every month from `from` to `to`, both included
+export function monthsBetween(from, to) {
+  const months = [];
+  for (let index = monthIndex(from); index <= monthIndex(to); index++) {
+    months.push(fromMonthIndex(index));
+  }
+  return months;
+}
+
+// January..December of a year
+export function monthsOfYear(year) {
+  return monthsBetween({ year: parseInt(year), month: 1 }, { year: parseInt(year), month: 12 });
+}
+
+// '2025-07'
+export function formatYearMonth({ year, month }) {
+  return `${year}-${pad(parseMonth(month))}`;
+}
+
+// { year, month } from '2025-07'
+export function parseYearMonth(value) {
+  const match = /^(\d{4})-(\d{1,2})$/.exec(String(value || '').trim());
+  return match ? yearMonth(match[1], match[2]) : null;
+}
+
+// 'Jul 2025'
+export function yearMonthLabel({ year, month }) {
+  return `${monthShortName(month)} ${year}`;
+}
+
+// First and last day of a month as a date range
+export function monthDateRange({ year, month }) {
+  const number = parseMonth(month);
+  return {
+    from: formatDate(Date.UTC(year, number - 1, 1)),
+    to: formatDate(Date.UTC(year, number, 0))
+  };
+}
+
+// ===========================================
+// QUARTERS
+// ===========================================
+
+export function quarterOf({ year, month }) {
+  return { year: parseInt(year), quarter: Math.floor((parseMonth(month) - 1) / 3) + 1 };
+}
+
+export function quarterMonths({ year, quarter }) {
+  const first = (quarter - 1) * 3 + 1;
+  return [first, first + 1, first + 2].map(month => ({ year: parseInt(year), month }));
+}
+
+// '2025-Q3'
+export function formatQuarter({ year, quarter }) {
+  return `${year}-Q${quarter}`;
+}
+
+export function parseQuarter(value) {
+  const match = /^(\d{4})-?Q([1-4])$/i.exec(String(value || '').trim());
+  return match ? { year: parseInt(match[1]), quarter: parseInt(match[2]) } : null;
+}
+
+// ===========================================
+// DATES
+// ===========================================
+
+// UTC midnight of a calendar day from 'YYYY-MM-DD' (optionally followed by a
+// time), the upstream 'M/D/YYYY' text, a Date or a timestamp; null when invalid
+export function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    // A Date built from a local time: keep the calendar day the user saw
+    return typeof value === 'number'
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+      : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  }
+
+  const text = String(value).trim();
+  let parts = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (parts) return validDate(parts[1], parts[2], parts[3]);
+  parts = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(text);
+  if (parts) return validDate(parts[3], parts[1], parts[2]);
+  return null;
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+  return date.getUTCMonth() === parseInt(month) - 1 ? date : null;
+}
+
+// 'YYYY-MM-DD' of a date (anything parseDate accepts)
+export function formatDate(value) {
+  const date = typeof value === 'number' ? new Date(value) : parseDate(value);
+  if (!date) return null;
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// 'DD/MM/YYYY' of a date
+export function formatDisplayDate(value) {
+  const date = parseDate(value);
+  if (!date) return null;
+  return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+}
+
+export function addDays(value, days) {
+  return formatDate(parseDate(value).getTime() + days * DAY_MS);
+}
+
+// The same calendar day `years` years later; Feb 29 becomes Feb 28
+export function addYears(value, years) {
+  const date = parseDate(value);
+  const year = date.getUTCFullYear() + years;
+  const lastDay = new Date(Date.UTC(year, date.getUTCMonth() + 1, 0)).getUTCDate();
+  return formatDate(Date.UTC(year, date.getUTCMonth(), Math.min(date.getUTCDate(), lastDay)));
+}
+
+// { year, month } a date falls in
+export function yearMonthOfDate(value) {
+  const date = parseDate(value);
+  return date ? { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 } : null;
+}
+
+// { from, to } as 'YYYY-MM-DD', validated and in order
+export function dateRange(from, to) {
+  const start = formatDate(from);
+  const end = formatDate(to);
+  if (!start || !end) {
+    throw periodError(`Invalid date range: ${from} - ${to}`);
+  }
+  if (start > end) {
+    throw periodError(`Date range starts after it ends: ${start} - ${end}`);
+  }
+  return { from: start, to: end };
+}
+
+// SQL expression reading a text date column that holds 'YYYY-MM-DD' or the
+// upstream 'M/D/YYYY' as a DATE (NULL for anything else). Never compare those
+// columns as strings.
+export function textDateSql(column) {
+  return `(CASE
+    WHEN ${column} ~ '^\\d{4}-\\d{1,2}-\\d{1,2}' THEN TO_DATE(SUBSTRING(${column} FROM '^\\d{4}-\\d{1,2}-\\d{1,2}'), 'YYYY-MM-DD')
+    WHEN ${column} ~ '^\\d{1,2}/\\d{1,2}/\\d{4}' THEN TO_DATE(SUBSTRING(${column} FROM '^\\d{1,2}/\\d{1,2}/\\d{4}'), 'MM/DD/YYYY')
+  END)`;
+}
+
+// ===========================================
+// ISO WEEKS
+// ===========================================
+
+// ISO 8601 week of a date: weeks start on Monday and week 1 holds the
+// year's first Thursday, so late-December days can belong to next year's week 1
+export function isoWeekOf(value) {
+  const date = parseDate(value);
+  if (!date) return null;
+  const day = date.getUTCDay() || 7;
+  const thursday = new Date(date.getTime() + (4 - day) * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  return {
+    year: thursday.getUTCFullYear(),
+    week: Math.floor((thursday.getTime() - yearStart) / DAY_MS / 7) + 1
+  };
+}
+
+// Monday..Sunday of an ISO week as a date range
+export function isoWeekDateRange({ year, week }) {
+  const january4 = Date.UTC(parseInt(year), 0, 4);
+  const mondayOfWeek1 = january4 - ((new Date(january4).getUTCDay() || 7) - 1) * DAY_MS;
+  const monday = mondayOfWeek1 + (week - 1) * 7 * DAY_MS;
+  return { from: formatDate(monday), to: formatDate(monday + 6 * DAY_MS) };
+}
+
+// ISO weeks whose Thursday falls in a month. Every ISO week belongs to exactly
+// one month this way, and the weeks of January..December are the ISO year's weeks.
+export function isoWeeksOfMonth({ year, month }) {
+  const { from, to } = monthDateRange({ year, month });
+  const first = parseDate(from);
+  const weeks = [];
+  for (let thursday = addDays(from, (4 - first.getUTCDay() + 7) % 7); thursday <= to; thursday = addDays(thursday, 7)) {
+    weeks.push(isoWeekOf(thursday));
+  }
+  return weeks;
+}
+
+// '2025-W07'
+export function formatIsoWeek({ year, week }) {
+  return `${year}-W${pad(week)}`;
+}
+
+export function parseIsoWeek(value) {
+  const match = /^(\d{4})-?W(\d{1,2})$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const week = { year: parseInt(match[1]), week: parseInt(match[2]) };
+  // Week 53 only exists in some years
+  return week.week >= 1 && isoWeekOf(isoWeekDateRange(week).from).week === week.week ? week : null;
+}
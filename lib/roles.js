@@ -14,7 +14,8 @@ export const PAGE_ACCESS = {
     canAccess: ['*'], // All pages
     canManageUsers: true,
     isReadOnly: false,
-    canExportData: true
+    canExportData: true,
+    exportRowLimit: 1000000 // Max rows per export (streamed)
   },
   
   [ROLES.EXECUTIVE]: {
@@ -26,7 +27,8 @@ export const PAGE_ACCESS = {
     ],
     canManageUsers: false,
     isReadOnly: false,
-    canExportData: false
+    canExportData: false,
+    exportRowLimit: 0
   },
   
   [ROLES.MANAGER]: {
@@ -38,7 +40,8 @@ export const PAGE_ACCESS = {
     ],
     canManageUsers: false,
     isReadOnly: false,
-    canExportData: false
+    canExportData: false,
+    exportRowLimit: 0
   },
   
   [ROLES.OPERATOR]: {
@@ -63,7 +66,8 @@ export const PAGE_ACCESS = {
     ],
     canManageUsers: false,
     isReadOnly: true,
-    canExportData: true
+    canExportData: true,
+    exportRowLimit: 200000
   },
   
   [ROLES.USER]: {
@@ -88,7 +92,8 @@ export const PAGE_ACCESS = {
     ],
     canManageUsers: false,
     isReadOnly: true,
-    canExportData: true
+    canExportData: true,
+    exportRowLimit: 200000
   }
 };
 
@@ -136,6 +141,15 @@ export function canExportData(userRole) {
   return PAGE_ACCESS[userRole].canExportData;
 }
 
+// Maximum rows a single export may contain for this role (0 = no export)
+export function getExportRowLimit(userRole) {
+  if (!canExportData(userRole)) {
+    return 0;
+  }
+
+  return PAGE_ACCESS[userRole].exportRowLimit || 0;
+}
+
 // Get menu items that should be visible for a user role
 export function getVisibleMenuItems(userRole) {
   console.log('getVisibleMenuItems called with role:', userRole);
@@ -183,7 +197,11 @@ export function getVisibleMenuItems(userRole) {
           { path: '/transaction/member-report', name: 'Member Report', icon: '📊' }
         ]
       },
-      { path: '/users', name: 'User Management', icon: '👤' }
+      { path: '/users', name: 'User Management', icon: '👤' },
+      { path: '/audit-log', name: 'Audit Log', icon: '📜' },
+      { path: '/data-load', name: 'Data Load', icon: '📥' },
+      { path: '/rollups', name: 'Monthly Rollups', icon: '🔁' },
+      { path: '/data-quality', name: 'Data Quality', icon: '🩺' }
     ];
     console.log('Returning admin menu items:', adminMenuItems);
     return adminMenuItems;
@@ -274,6 +292,10 @@ export function getVisibleMenuItems(userRole) {
   // Add User Management only for admin
   if (roleConfig.canManageUsers) {
     menuItems.push({ path: '/users', name: 'User Management', icon: '👤' });
+    menuItems.push({ path: '/audit-log', name: 'Audit Log', icon: '📜' });
+    menuItems.push({ path: '/data-load', name: 'Data Load', icon: '📥' });
+    menuItems.push({ path: '/rollups', name: 'Monthly Rollups', icon: '🔁' });
+    menuItems.push({ path: '/data-quality', name: 'Data Quality', icon: '🩺' });
   }
   
   return menuItems;
@@ -0,0 +1,278 @@
+// MONTHLY ROLLUPS
+// The dashboards read the *_monthly tables while data lands in the *_daily
+// tables. A rollup rebuilds whole months of a monthly table from the daily
+// rows: dimension columns are grouped, numeric columns both tables share are
+// summed, `date` keeps the month's last activity date and `uniquekey` is built
+// from the dimensions. Both tables are introspected, so a column added to
+// both is rolled up without code changes. A monthly table with a column the
+// daily table can't fill is never rebuilt (the column would be wiped).
+//
+// Rollups run after every data load for the months the file touched (see
+// lib/data-load.js) and on demand from the Monthly Rollups admin page, which
+// also reconciles the stored monthly totals against the daily data.
+
+import pool from './database';
+import { getTableStructure } from './row-versions';
+import { parseMonth, monthName, compareYearMonths } from './periods';
+
+// Keyed by dataset id (lib/datasets.js) so a data load can find its rollup
+export const ROLLUPS = {
+  'deposit': { label: 'Deposit', source: 'deposit_daily', target: 'deposit_monthly' },
+  'withdraw': { label: 'Withdraw', source: 'withdraw_daily', target: 'withdraw_monthly' },
+  'member-report': { label: 'Member Report', source: 'member_report_daily', target: 'member_report_monthly' }
+};
+
+export const RECONCILE_STATUS = {
+  MISMATCH: 'mismatch',
+  MISSING_MONTHLY: 'missing_monthly',
+  NO_DAILY_DATA: 'no_daily_data'
+};
+
+// Grouping columns, used when both tables have them. year + month are required.
+const ROLLUP_DIMENSIONS = ['year', 'month', 'currency', 'line', 'userkey'];
+const PERIOD_COLUMNS = ['year', 'month'];
+
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+
+// Bookkeeping columns that are never summed
+const SKIPPED_COLUMNS = ['id', 'uniquekey', 'date', 'created_at', 'updated_at', 'created_date', 'modified_date'];
+
+// Totals closer than this count as equal (float columns)
+const RECONCILE_TOLERANCE = 0.005;
+
+function rollupError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function getRollup(rollupId) {
+  const rollup = ROLLUPS[rollupId];
+  if (!rollup) {
+    throw rollupError(`Unknown rollup: ${rollupId}`);
+  }
+  return { id: rollupId, ...rollup };
+}
+
+// ===========================================
+// PLAN (which columns are grouped, summed, derived)
+// ===========================================
+
+async function planRollup(client, rollup) {
+  const [source, target] = await Promise.all([
+    getTableStructure(client, rollup.source),
+    getTableStructure(client, rollup.target)
+  ]);
+
+  for (const [table, structure] of [[rollup.source, source], [rollup.target, target]]) {
+    if (structure.columns.length === 0) {
+      throw rollupError(`Table ${table} does not exist`, 500);
+    }
+  }
+
+  const sourceColumns = Object.fromEntries(source.columnDetails.map(column => [column.name, column]));
+  const dimensions = ROLLUP_DIMENSIONS.filter(name => sourceColumns[name] && target.columns.includes(name));
+
+  const missingPeriod = PERIOD_COLUMNS.filter(name => !dimensions.includes(name));
+  if (missingPeriod.length > 0) {
+    throw rollupError(`${rollup.source} and ${rollup.target} both need the column(s): ${missingPeriod.join(', ')}`, 500);
+  }
+
+  const measures = target.columnDetails
+    .filter(column => sourceColumns[column.name]
+      && !dimensions.includes(column.name)
+      && !SKIPPED_COLUMNS.includes(column.name)
+      && NUMERIC_TYPES.includes(column.type)
+      && NUMERIC_TYPES.includes(sourceColumns[column.name].type))
+    .map(column => column.name);
+
+  const select = [
+    ...dimensions.map(name => ({ column: name, expression: name })),
+    ...measures.map(name => ({ column: name, expression: `COALESCE(SUM(${name}), 0)` }))
+  ];
+  if (sourceColumns.date && target.columns.includes('date')) {
+    select.push({ column: 'date', expression: 'MAX(date)' });
+  }
+  if (target.columns.includes('uniquekey')) {
+    select.push({ column: 'uniquekey', expression: `CONCAT_WS('-', ${dimensions.join(', ')})` });
+  }
+
+  // Monthly columns nothing above can fill (e.g. deposit_monthly's adjustments,
+  // or userkey when the daily table has none). A rebuild deletes the month, so
+  // it would write them back empty.
+  const filled = select.map(entry => entry.column);
+  const underived = target.columns
+    .filter(name => !filled.includes(name) && !SKIPPED_COLUMNS.includes(name));
+
+  return { dimensions, measures, select, underived };
+}
+
+// ===========================================
+// REBUILD
+// ===========================================
+
+// Replaces one month of the monthly table. Months without daily rows are
+// skipped so monthly data that never came from the daily tables is kept.
+async function rebuildPeriod(client, rollup, plan, { year, month }) {
+  const where = 'year::text = $1 AND month = $2';
+  const params = [String(year), month];
+
+  const daily = await client.query(`SELECT COUNT(*) AS total FROM ${rollup.source} WHERE ${where}`, params);
+  const dailyRows = parseInt(daily.rows[0].total);
+  if (dailyRows === 0) {
+    return { year: String(year), month, dailyRows, deleted: 0, inserted: 0, skipped: true };
+  }
+
+  const deleted = await client.query(`DELETE FROM ${rollup.target} WHERE ${where}`, params);
+  const inserted = await client.query(
+    `INSERT INTO ${rollup.target} (${plan.select.map(entry => entry.column).join(', ')})
+     SELECT ${plan.select.map(entry => entry.expression).join(', ')}
+     FROM ${rollup.source}
+     WHERE ${where}
+     GROUP BY ${plan.dimensions.join(', ')}`,
+    params
+  );
+
+  return { year: String(year), month, dailyRows, deleted: deleted.rowCount, inserted: inserted.rowCount, skipped: false };
+}
+
+// Rebuilds the given { year, month } periods inside the caller's open
+// transaction on `client`
+export async function rebuildRollupPeriods(client, rollupId, periods) {
+  const rollup = getRollup(rollupId);
+  const plan = await planRollup(client, rollup);
+  if (plan.underived.length > 0) {
+    throw rollupError(`Cannot rebuild ${rollup.target}: ${plan.underived.join(', ')} can't be derived from ${rollup.source} and would be lost`, 500);
+  }
+
+  const results = [];
+  for (const period of [...periods].sort(compareYearMonths)) {
+    results.push(await rebuildPeriod(client, rollup, plan, period));
+  }
+
+  return {
+    rollup: rollup.id,
+    source: rollup.source,
+    target: rollup.target,
+    measures: plan.measures,
+    periods: results
+  };
+}
+
+// On-demand rebuild for one rollup (or 'ALL') and one month (or 'ALL' months
+// of the year that have daily data), in a single transaction
+export async function runRollups({ rollup = 'ALL', year, month = 'ALL' } = {}) {
+  if (!year) {
+    throw rollupError('Year is required');
+  }
+  if (month !== 'ALL' && !parseMonth(month)) {
+    throw rollupError(`Unknown month: ${month}`);
+  }
+
+  const rollupIds = rollup === 'ALL' ? Object.keys(ROLLUPS) : [getRollup(rollup).id];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const results = [];
+    for (const rollupId of rollupIds) {
+      let periods = [{ year: String(year), month: month === 'ALL' ? month : monthName(month) }];
+      if (month === 'ALL') {
+        const found = await client.query(
+          `SELECT DISTINCT year::text AS year, month FROM ${ROLLUPS[rollupId].source} WHERE year::text = $1`,
+          [String(year)]
+        );
+        periods = found.rows;
+      }
+      results.push(await rebuildRollupPeriods(client, rollupId, periods));
+    }
+
+    await client.query('COMMIT');
+    return results;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ===========================================
+// RECONCILIATION
+// ===========================================
+
+// Months (per currency, when both tables have one) where the stored monthly
+// totals differ from the totals recomputed from the daily rows
+async function reconcileRollup(rollup, year) {
+  const plan = await planRollup(pool, rollup);
+  const groups = ['year', 'month', ...(plan.dimensions.includes('currency') ? ['currency'] : [])];
+
+  const aggregate = (table) => `
+    SELECT ${groups.map(name => (name === 'year' ? 'year::text AS year' : name)).join(', ')},
+      COUNT(*) AS row_count
+      ${plan.measures.map(name => `, SUM(${name}) AS ${name}`).join('')}
+    FROM ${table}
+    ${year ? 'WHERE year::text = $1' : ''}
+    GROUP BY ${groups.map(name => (name === 'year' ? 'year::text' : name)).join(', ')}
+  `;
+
+  const differs = plan.measures.map(name => `ABS(COALESCE(s.${name}, 0) - COALESCE(d.${name}, 0)) > ${RECONCILE_TOLERANCE}`);
+
+  const result = await pool.query(`
+    WITH stored AS (${aggregate(rollup.target)}),
+    derived AS (${aggregate(rollup.source)})
+    SELECT
+      ${groups.map(name => `COALESCE(s.${name}, d.${name}) AS ${name}`).join(', ')},
+      s.row_count AS stored_rows,
+      d.row_count AS daily_rows
+      ${plan.measures.map(name => `, s.${name} AS stored_${name}, d.${name} AS derived_${name}`).join('')}
+    FROM stored s
+    FULL JOIN derived d ON ${groups.map(name => `s.${name} IS NOT DISTINCT FROM d.${name}`).join(' AND ')}
+    WHERE s.row_count IS NULL OR d.row_count IS NULL
+      ${differs.map(condition => `OR ${condition}`).join(' ')}
+  `, year ? [String(year)] : []);
+
+  const mismatches = result.rows.map(row => ({
+    year: row.year,
+    month: row.month,
+    currency: row.currency ?? null,
+    status: row.daily_rows === null ? RECONCILE_STATUS.NO_DAILY_DATA
+      : row.stored_rows === null ? RECONCILE_STATUS.MISSING_MONTHLY
+        : RECONCILE_STATUS.MISMATCH,
+    storedRows: parseInt(row.stored_rows || 0),
+    dailyRows: parseInt(row.daily_rows || 0),
+    differences: plan.measures
+      .map(name => {
+        const stored = parseFloat(row[`stored_${name}`] || 0);
+        const derived = parseFloat(row[`derived_${name}`] || 0);
+        return { column: name, stored, derived, difference: derived - stored };
+      })
+      .filter(entry => Math.abs(entry.difference) > RECONCILE_TOLERANCE)
+  }));
+
+  return {
+    rollup: rollup.id,
+    label: rollup.label,
+    source: rollup.source,
+    target: rollup.target,
+    measures: plan.measures,
+    mismatches: mismatches.sort((a, b) => compareYearMonths(a, b) || String(a.currency).localeCompare(String(b.currency)))
+  };
+}
+
+export async function reconcileRollups({ rollup = 'ALL', year } = {}) {
+  const rollupIds = rollup === 'ALL' ? Object.keys(ROLLUPS) : [getRollup(rollup).id];
+
+  const results = [];
+  for (const rollupId of rollupIds) {
+    try {
+      results.push(await reconcileRollup(getRollup(rollupId), year));
+    } catch (error) {
+      // One broken table shouldn't hide the others
+      console.error(`❌ Rollup reconciliation failed for ${rollupId}:`, error.message);
+      results.push({ rollup: rollupId, ...ROLLUPS[rollupId], measures: [], mismatches: [], error: error.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,450 @@
+// ROW VERSION HISTORY
+// Headcount and exchange rows are edited in place (including their uniquekey),
+// so every update first copies the current row into `row_versions`. The
+// history drawer lists those versions and a revert re-applies one through
+// updateVersionedRow() - the same validation path as a normal edit.
+//
+// Versions are stored with to_jsonb() so dates round-trip as plain
+// 'YYYY-MM-DD' strings instead of timezone-shifted JS Dates.
+
+import pool from './database';
+import { recordAudit, AUDIT_ACTIONS } from './audit';
+
+export const VERSIONED_TABLES = {
+  headcount: { table: 'headcountdep', keyColumn: 'uniquekey' },
+  exchange: { table: 'exchange_rate', keyColumn: 'uniquekey' }
+};
+
+export const VERSION_CHANGE_TYPES = {
+  UPDATE: 'update',
+  REVERT: 'revert',
+  IMPORT: 'import'
+};
+
+function versionError(message, statusCode = 400, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+export function getVersionedTable(tableId) {
+  const config = VERSIONED_TABLES[tableId];
+  if (!config) {
+    throw new Error(`Unknown versioned table: ${tableId}`);
+  }
+  return { id: tableId, ...config };
+}
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let rowVersionsTableReady = null;
+
+export function ensureRowVersionsTable() {
+  if (!rowVersionsTableReady) {
+    rowVersionsTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS row_versions (
+        id BIGSERIAL PRIMARY KEY,
+        table_name VARCHAR(64) NOT NULL,
+        row_key TEXT NOT NULL,
+        version_data JSONB NOT NULL,
+        change_type VARCHAR(20) NOT NULL,
+        reverted_to BIGINT,
+        changed_by INTEGER,
+        changed_by_username VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_row_versions_row ON row_versions(table_name, row_key, created_at DESC);
+    `).catch((error) => {
+      rowVersionsTableReady = null;
+      throw error;
+    });
+  }
+
+  return rowVersionsTableReady;
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+export async function getTableStructure(client, tableName) {
+  const result = await client.query(`
+    SELECT column_name, data_type, is_nullable, column_default, character_maximum_length
+    FROM information_schema.columns
+    WHERE table_name = $1
+    ORDER BY ordinal_position
+  `, [tableName]);
+
+  return {
+    columns: result.rows.map(row => row.column_name),
+    requiredFields: result.rows
+      .filter(row => row.is_nullable === 'NO')
+      .map(row => row.column_name),
+    columnDetails: result.rows.map(row => ({
+      name: row.column_name,
+      type: row.data_type,
+      nullable: row.is_nullable === 'YES',
+      defaultValue: row.column_default,
+      maxLength: row.character_maximum_length
+    }))
+  };
+}
+
+const INTEGER_TYPES = ['integer', 'bigint', 'smallint'];
+const DECIMAL_TYPES = ['numeric', 'real', 'double precision'];
+
+// Converts a spreadsheet cell or form value to the column's type; returns
+// { value } or { error }
+export function coerceValue(raw, column) {
+  const text = String(raw).trim();
+  if (text === '') return { value: null };
+
+  if (INTEGER_TYPES.includes(column.type) || DECIMAL_TYPES.includes(column.type)) {
+    const cleaned = text.replace(/,/g, '');
+    if (!/^-?\d+(\.\d+)?$/.test(cleaned)) {
+      return { error: `${column.name} must be a number (got "${text}")` };
+    }
+    if (INTEGER_TYPES.includes(column.type) && cleaned.includes('.')) {
+      return { error: `${column.name} must be a whole number (got "${text}")` };
+    }
+    return { value: Number(cleaned) };
+  }
+
+  if (column.type === 'date') {
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(date) || date.toISOString().slice(0, 10) !== text) {
+      return { error: `${column.name} must be a date in YYYY-MM-DD format (got "${text}")` };
+    }
+    return { value: text };
+  }
+
+  if (column.type.startsWith('timestamp')) {
+    if (isNaN(new Date(text))) {
+      return { error: `${column.name} must be a date/time (got "${text}")` };
+    }
+    return { value: text };
+  }
+
+  if (column.type === 'boolean') {
+    const lower = text.toLowerCase();
+    if (['true', 'yes', '1'].includes(lower)) return { value: true };
+    if (['false', 'no', '0'].includes(lower)) return { value: false };
+    return { error: `${column.name} must be true or false (got "${text}")` };
+  }
+
+  if (column.maxLength && text.length > column.maxLength) {
+    return { error: `${column.name} is longer than ${column.maxLength} characters` };
+  }
+  return { value: text };
+}
+
+// Rows read back from the data endpoints carry DATE columns as ISO timestamps
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T/;
+
+function coerceFieldValue(raw, column) {
+  if (raw === null || raw === undefined) return { value: null };
+  if (typeof raw === 'object') {
+    return { error: `${column.name} must be a single value` };
+  }
+  if (column.type === 'date' && typeof raw === 'string' && ISO_DATE_TIME.test(raw)) {
+    return coerceValue(raw.slice(0, 10), column);
+  }
+  return coerceValue(raw, column);
+}
+
+// Whitelists a JSON row against the table's columns and coerces every value to
+// its column type (empty values become null). Field names end up as SQL
+// identifiers, so anything that isn't a column is rejected. Throws a 400 with
+// unknownFields or invalidFields.
+export function validateRowData(data, columnDetails) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw versionError('Row data must be an object of column values');
+  }
+
+  const columnsByName = Object.fromEntries(columnDetails.map(column => [column.name, column]));
+  const unknownFields = Object.keys(data).filter(field => !Object.hasOwn(columnsByName, field));
+  if (unknownFields.length > 0) {
+    throw versionError(`Unknown fields: ${unknownFields.join(', ')}`, 400, { unknownFields });
+  }
+
+  const row = {};
+  const errors = [];
+  const invalidFields = [];
+  Object.entries(data).forEach(([field, raw]) => {
+    const { value, error } = coerceFieldValue(raw, columnsByName[field]);
+    if (error) {
+      errors.push(error);
+      invalidFields.push(field);
+    } else {
+      row[field] = value;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw versionError(`Invalid field values: ${errors.join('; ')}`, 400, { invalidFields });
+  }
+  return row;
+}
+
+// ===========================================
+// UPDATE WITH VERSIONING
+// ===========================================
+
+// Versioned update inside the caller's open transaction on `client`: locks the
+// row, applies `data`, moves older versions to the new uniquekey if it changed
+// and stores the previous row as a version. `data` must already be whitelisted
+// and coerced (validateRowData). Returns { before, updated }.
+export async function applyVersionedUpdate(client, req, tableId, originalKey, data, {
+  changeType = VERSION_CHANGE_TYPES.UPDATE,
+  revertedTo = null
+} = {}) {
+  const config = getVersionedTable(tableId);
+  const keyColumn = config.keyColumn;
+
+  const fields = Object.keys(data);
+  if (fields.length === 0) {
+    throw versionError('No fields to update');
+  }
+
+  const current = await client.query(
+    `SELECT *, to_jsonb(t) AS version_data FROM ${config.table} t WHERE ${keyColumn} = $1 FOR UPDATE`,
+    [originalKey]
+  );
+
+  if (current.rows.length === 0) {
+    throw versionError('Record not found', 404);
+  }
+
+  const { version_data: versionData, ...before } = current.rows[0];
+
+  const updateFields = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+  const result = await client.query(
+    `UPDATE ${config.table} SET ${updateFields} WHERE ${keyColumn} = $1 RETURNING *`,
+    [originalKey, ...Object.values(data)]
+  );
+  const updated = result.rows[0];
+
+  const newKey = updated[keyColumn];
+  if (newKey !== originalKey) {
+    await client.query(
+      'UPDATE row_versions SET row_key = $1 WHERE table_name = $2 AND row_key = $3',
+      [newKey, config.table, originalKey]
+    );
+  }
+
+  await client.query(
+    `INSERT INTO row_versions
+       (table_name, row_key, version_data, change_type, reverted_to, changed_by, changed_by_username)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [config.table, newKey, versionData, changeType, revertedTo, req.user?.id || null, req.user?.username || null]
+  );
+
+  return { before, updated };
+}
+
+// Updates the row identified by `originalKey` with `data` in its own
+// transaction, keeping the previous state as a version and writing the audit
+// entry. Returns the updated row.
+// Throws errors with statusCode (400 validation, 404 missing row, 409 duplicate key).
+export async function updateVersionedRow(req, tableId, originalKey, data, options = {}) {
+  const config = getVersionedTable(tableId);
+  const keyColumn = config.keyColumn;
+  await ensureRowVersionsTable();
+
+  if (!originalKey) {
+    throw versionError(`Original ${keyColumn} is required`);
+  }
+
+  const client = await pool.connect();
+  let row = data;
+  let change;
+
+  try {
+    const { requiredFields, columnDetails } = await getTableStructure(client, config.table);
+    row = validateRowData(data, columnDetails);
+
+    // Validate required fields
+    const missingFields = requiredFields.filter(field => row[field] === null || row[field] === undefined);
+    if (missingFields.length > 0) {
+      throw versionError('Missing required fields', 400, { missingFields });
+    }
+
+    await client.query('BEGIN');
+    change = await applyVersionedUpdate(client, req, tableId, originalKey, row, options);
+    await recordAudit(client, req, {
+      table: config.table,
+      recordKey: originalKey,
+      action: options.changeType === VERSION_CHANGE_TYPES.REVERT ? AUDIT_ACTIONS.REVERT : AUDIT_ACTIONS.UPDATE,
+      before: change.before,
+      after: change.updated
+    });
+    await client.query('COMMIT');
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      throw versionError(`Unique Duplicated! ${keyColumn} "${row[keyColumn]}" sudah ada.`, 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return change.updated;
+}
+
+// ===========================================
+// HISTORY / REVERT
+// ===========================================
+
+// Current row plus its previous versions, newest first
+export async function getRowHistory(tableId, rowKey) {
+  const config = getVersionedTable(tableId);
+  await ensureRowVersionsTable();
+
+  const [current, versions] = await Promise.all([
+    pool.query(`SELECT to_jsonb(t) AS data FROM ${config.table} t WHERE ${config.keyColumn} = $1`, [rowKey]),
+    pool.query(
+      `SELECT id, version_data, change_type, reverted_to, changed_by_username, created_at
+       FROM row_versions
+       WHERE table_name = $1 AND row_key = $2
+       ORDER BY created_at DESC, id DESC`,
+      [config.table, rowKey]
+    )
+  ]);
+
+  if (current.rows.length === 0) {
+    throw versionError('Record not found', 404);
+  }
+
+  return {
+    current: current.rows[0].data,
+    versions: versions.rows.map(row => ({
+      id: row.id,
+      data: row.version_data,
+      changeType: row.change_type,
+      revertedTo: row.reverted_to,
+      // The user whose edit replaced this version
+      replacedBy: row.changed_by_username,
+      replacedAt: row.created_at
+    }))
+  };
+}
+
+// Restores version `versionId` of the row currently keyed `rowKey`
+export async function revertRow(req, tableId, rowKey, versionId) {
+  const config = getVersionedTable(tableId);
+  await ensureRowVersionsTable();
+
+  const result = await pool.query(
+    'SELECT version_data FROM row_versions WHERE id = $1 AND table_name = $2 AND row_key = $3',
+    [versionId, config.table, rowKey]
+  );
+
+  if (result.rows.length === 0) {
+    throw versionError('Version not found for this record', 404);
+  }
+
+  return updateVersionedRow(req, tableId, rowKey, result.rows[0].version_data, {
+    changeType: VERSION_CHANGE_TYPES.REVERT,
+    revertedTo: versionId
+  });
+}
+
+// ===========================================
+// HANDLERS
+// ===========================================
+
+function sendVersionError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message, ...error.details });
+  }
+  return res.status(500).json({ success: false, error: fallbackMessage, message: error.message });
+}
+
+// GET ?uniquekey= - row history for the drawer
+export function createHistoryHandler(tableId) {
+  const config = getVersionedTable(tableId);
+
+  return async function handler(req, res) {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const rowKey = req.query[config.keyColumn];
+    if (!rowKey) {
+      return res.status(400).json({ success: false, error: `${config.keyColumn} is required` });
+    }
+
+    try {
+      const history = await getRowHistory(tableId, rowKey);
+      res.status(200).json({ success: true, ...history });
+    } catch (error) {
+      console.error(`❌ Error fetching ${config.table} history:`, error);
+      sendVersionError(res, error, 'Database error while fetching history');
+    }
+  };
+}
+
+// POST { uniquekey, versionId } - restore a previous version
+export function createRevertHandler(tableId) {
+  const config = getVersionedTable(tableId);
+
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { versionId } = req.body || {};
+    const rowKey = req.body?.[config.keyColumn];
+    if (!rowKey || !versionId) {
+      return res.status(400).json({ success: false, error: `${config.keyColumn} and versionId are required` });
+    }
+
+    try {
+      const row = await revertRow(req, tableId, rowKey, versionId);
+      console.log(`↩️ Reverted ${config.table} ${rowKey} to version ${versionId}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Data reverted successfully',
+        data: row
+      });
+    } catch (error) {
+      console.error(`❌ Error reverting ${config.table} data:`, error);
+      sendVersionError(res, error, 'Database error while reverting data');
+    }
+  };
+}
+
+// PUT { data: { ...row, originalUniquekey } } - the regular inline edit
+export function createUpdateHandler(tableId) {
+  const config = getVersionedTable(tableId);
+
+  return async function handler(req, res) {
+    if (req.method !== 'PUT') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // originalUniquekey identifies the row; it is not a column
+    const { originalUniquekey, ...data } = req.body?.data || {};
+
+    try {
+      console.log(`📝 Updating ${config.table} data:`, { originalUniquekey, data });
+      const row = await updateVersionedRow(req, tableId, originalUniquekey, data);
+      console.log(`✅ Successfully updated 1 record in ${config.table}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Data updated successfully',
+        data: row
+      });
+    } catch (error) {
+      console.error(`❌ Error updating ${config.table} data:`, error);
+      sendVersionError(res, error, 'Database error while updating data');
+    }
+  };
+}
@@ -0,0 +1,3 @@
+// Session cookie name, kept free of node-only imports so middleware.js
+// (edge runtime) can share it with lib/session.js
+export const SESSION_COOKIE = 'nexmax_session';
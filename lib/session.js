@@ -0,0 +1,183 @@
+// SERVER-SIDE SESSIONS
+// HttpOnly signed session cookie backed by the `sessions` table.
+// The cookie only carries the session id + HMAC signature; user and role are
+// always resolved from the database so a tampered cookie can't grant access.
+
+import crypto from 'crypto';
+import pool from './database';
+import { SESSION_COOKIE } from './session-cookie';
+
+export { SESSION_COOKIE };
+export const SESSION_MAX_AGE = 86400; // 24 hours, in seconds
+
+const DEV_SESSION_SECRET = 'nexmax-dev-session-secret';
+
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SESSION_SECRET environment variable is required in production');
+    }
+    return DEV_SESSION_SECRET;
+  }
+
+  return secret;
+}
+
+// ===========================================
+// TABLE SETUP
+// ===========================================
+
+let sessionTableReady = null;
+
+export function ensureSessionTable() {
+  if (!sessionTableReady) {
+    sessionTableReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        ip_address VARCHAR(64),
+        user_agent TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+    `).catch((error) => {
+      sessionTableReady = null;
+      throw error;
+    });
+  }
+
+  return sessionTableReady;
+}
+
+// ===========================================
+// TOKEN SIGNING
+// ===========================================
+
+function sign(sessionId) {
+  return crypto
+    .createHmac('sha256', getSessionSecret())
+    .update(sessionId)
+    .digest('base64url');
+}
+
+export function signSessionId(sessionId) {
+  return `${sessionId}.${sign(sessionId)}`;
+}
+
+// Returns the session id if the signature is valid, otherwise null
+export function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [sessionId, signature] = token.split('.');
+  if (!sessionId || !signature) return null;
+
+  const expected = Buffer.from(sign(sessionId));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return sessionId;
+}
+
+// ===========================================
+// COOKIES
+// ===========================================
+
+function cookieAttributes(maxAge) {
+  const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAge}`];
+  if (process.env.NODE_ENV === 'production') {
+    attributes.push('Secure');
+  }
+  return attributes.join('; ');
+}
+
+export function buildSessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; ${cookieAttributes(SESSION_MAX_AGE)}`;
+}
+
+export function buildClearSessionCookie() {
+  return `${SESSION_COOKIE}=; ${cookieAttributes(0)}`;
+}
+
+// Expire the old plain user_id/username/user_role cookies still sitting in browsers
+export const LEGACY_AUTH_COOKIES = ['user_id', 'username', 'user_role'].map(
+  (name) => `${name}=; Path=/; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT`
+);
+
+export function getRequestIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || null;
+}
+
+// ===========================================
+// SESSION LIFECYCLE
+// ===========================================
+
+// Creates a session row for the user and returns the signed cookie token
+export async function createSession(userId, req) {
+  await ensureSessionTable();
+
+  const sessionId = crypto.randomBytes(32).toString('hex');
+
+  // Housekeeping: drop this user's expired sessions while we're here
+  await pool.query('DELETE FROM sessions WHERE user_id = $1 AND expires_at <= NOW()', [userId]);
+
+  await pool.query(
+    `INSERT INTO sessions (id, user_id, expires_at, ip_address, user_agent)
+     VALUES ($1, $2, NOW() + make_interval(secs => $3), $4, $5)`,
+    [sessionId, userId, SESSION_MAX_AGE, getRequestIp(req), req.headers['user-agent'] || null]
+  );
+
+  return signSessionId(sessionId);
+}
+
+// Resolves the logged-in user ({ id, username, role, sessionId }) or null
+export async function getSessionUser(req) {
+  const sessionId = verifySessionToken(req.cookies?.[SESSION_COOKIE]);
+  if (!sessionId) return null;
+
+  await ensureSessionTable();
+
+  const result = await pool.query(
+    `SELECT s.id AS session_id, s.expires_at, u.id, u.username, u.role
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.expires_at > NOW()
+     LIMIT 1`,
+    [sessionId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role || 'user',
+    sessionId: row.session_id,
+    expiresAt: row.expires_at
+  };
+}
+
+export async function destroySession(req) {
+  const sessionId = verifySessionToken(req.cookies?.[SESSION_COOKIE]);
+  if (!sessionId) return;
+
+  await ensureSessionTable();
+  await pool.query('DELETE FROM sessions WHERE id = $1', [sessionId]);
+}
+
+// Drops every session of a user (e.g. after a password reset or deletion)
+export async function destroyUserSessions(userId) {
+  await ensureSessionTable();
+  await pool.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+}
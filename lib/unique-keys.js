@@ -0,0 +1,16 @@
+// ROW KEYS
+// uniquekey builders shared by the transaction page forms and the bulk import
+// (lib/data-import.js), so a row gets the same key whichever way it is entered.
+// DB-free, so pages can import it.
+
+// 'YYYY-MM-DD-<total_sgd_to_myr>-<usd_to_myr>' from the values as typed, so
+// '4.50' stays '4.50'; empty values count as '0'
+export function exchangeUniqueKey(date, totalSgdToMyr, usdToMyr) {
+  return `${date || 'Unknown'}-${totalSgdToMyr || '0'}-${usdToMyr || '0'}`;
+}
+
+// '<Month>-<total headcount>', the three market totals added up as whole numbers
+export function headcountUniqueKey(month, totalSgd, totalMyr, totalUsc) {
+  const total = (parseInt(totalSgd) || 0) + (parseInt(totalMyr) || 0) + (parseInt(totalUsc) || 0);
+  return `${month || 'Unknown'}-${total}`;
+}
@@ -1,21 +1,13 @@
 /**
  * NEXMAX DASHBOARD LOGIC INDEX
- * Centralized export for all dashboard logic modules
+ * Centralized export for the database and formatting utilities.
+ * Dashboard measures live in lib/metrics.js (metric registry)
  * 
  * @author NEXMAX Dashboard Team
  * @version 1.0.0
  * @date 2025-07-29
  */
 
-// Dashboard Logic Imports
-import OverviewLogic from './dashboard/overview-logic.js';
-import BusinessFlowLogic from './dashboard/business-flow-logic.js';
-import StrategicExecutiveLogic from './dashboard/strategic-executive-logic.js';
-import BGOLogic from './dashboard/bgo-logic.js';
-import SRLogic from './dashboard/sr-logic.js';
-import XOOLogic from './dashboard/xoo-logic.js';
-import OSLogic from './dashboard/os-logic.js';
-
 // Database Logic Imports
 import { 
   pool, 
@@ -58,19 +50,6 @@ import {
   formatLargeNumber
 } from './utils/formatters.js';
 
-/**
- * Dashboard Logic Classes
- */
-export const DashboardLogic = {
-  Overview: OverviewLogic,
-  BusinessFlow: BusinessFlowLogic,
-  StrategicExecutive: StrategicExecutiveLogic,
-  BGO: BGOLogic,
-  SR: SRLogic,
-  XOO: XOOLogic,
-  OS: OSLogic
-};
-
 /**
  * Database Connection and Utilities
  */
@@ -115,72 +94,6 @@ export const Formatters = {
   largeNumber: formatLargeNumber
 };
 
-/**
- * Quick Access Logic Instances
- */
-export const Logic = {
-  overview: new OverviewLogic(),
-  businessFlow: new BusinessFlowLogic(),
-  strategicExecutive: new StrategicExecutiveLogic(),
-  bgo: new BGOLogic(),
-  sr: new SRLogic(),
-  xoo: new XOOLogic(),
-  os: new OSLogic()
-};
-
-/**
- * Initialize All Dashboard Data
- * @param {string} currency - Currency code (MYR, USD, etc.)
- * @param {string} year - Year (2025, 2024, etc.)
- * @param {string} month - Month (January, February, etc.)
- * @returns {Promise<Object>} All dashboard data
- */
-export async function initializeAllDashboards(currency = 'MYR', year = '2025', month = 'July') {
-  try {
-    console.log('🚀 Initializing all dashboard data...');
-    
-    const [
-      overviewData,
-      businessFlowData,
-      strategicExecutiveData,
-      bgoData,
-      srData,
-      xooData,
-      osData
-    ] = await Promise.all([
-      Logic.overview.fetchOverviewData(currency, year, month),
-      Logic.businessFlow.fetchBusinessFlowData(currency, year, month),
-      Logic.strategicExecutive.fetchStrategicExecutiveData(currency, year, month),
-      Logic.bgo.fetchBGOData(currency, year, month),
-      Logic.sr.fetchSRData(currency, year, month),
-      Logic.xoo.fetchXOOData(currency, year, month),
-      Logic.os.fetchOSData(currency, year, month)
-    ]);
-
-    console.log('✅ All dashboard data initialized successfully');
-
-    return {
-      overview: overviewData,
-      businessFlow: businessFlowData,
-      strategicExecutive: strategicExecutiveData,
-      bgo: bgoData,
-      sr: srData,
-      xoo: xooData,
-      os: osData,
-      meta: {
-        currency,
-        year,
-        month,
-        generatedAt: new Date().toISOString(),
-        version: '1.0.0'
-      }
-    };
-  } catch (error) {
-    console.error('❌ Failed to initialize dashboard data:', error);
-    throw error;
-  }
-}
-
 /**
  * Test Database Connection for All Logic
  * @returns {Promise<Object>} Connection test results
@@ -261,11 +174,8 @@ export async function getSystemHealth() {
 
 // Default export
 export default {
-  DashboardLogic,
   Database,
   Formatters,
-  Logic,
-  initializeAllDashboards,
   testAllConnections,
   setupDatabase,
   getSystemHealth
@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import { hasPageAccess } from './lib/roles';
+import { SESSION_COOKIE } from './lib/session-cookie';
+
+// ROUTE-LEVEL ACCESS CONTROL
+// Runs before any page renders: no session -> /login?next=<requested url>,
+// role without PAGE_ACCESS for the path -> /access-denied.
+// Middleware runs on the edge runtime (no pg), so the session is resolved
+// through /api/auth/me, which stays the single source of truth.
+
+const PUBLIC_PAGES = ['/login', '/access-denied'];
+
+function redirectToLogin(request) {
+  const { pathname, search } = request.nextUrl;
+  const loginUrl = new URL('/login', request.url);
+  loginUrl.searchParams.set('next', `${pathname}${search}`);
+
+  const response = NextResponse.redirect(loginUrl);
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
+
+async function fetchSessionUser(request) {
+  const response = await fetch(new URL('/api/auth/me', request.url), {
+    headers: { cookie: request.headers.get('cookie') || '' },
+    cache: 'no-store'
+  });
+
+  if (response.status === 401) return null;
+  if (!response.ok) {
+    throw new Error(`Session lookup failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.user || null;
+}
+
+export async function middleware(request) {
+  const { pathname } = request.nextUrl;
+
+  if (PUBLIC_PAGES.includes(pathname)) {
+    return NextResponse.next();
+  }
+
+  if (!request.cookies.get(SESSION_COOKIE)) {
+    return redirectToLogin(request);
+  }
+
+  let user;
+  try {
+    user = await fetchSessionUser(request);
+  } catch (error) {
+    console.error('❌ Middleware session check error:', error.message);
+    return redirectToLogin(request);
+  }
+
+  if (!user) {
+    return redirectToLogin(request);
+  }
+
+  if (!hasPageAccess(user.role?.toLowerCase(), pathname)) {
+    const deniedUrl = new URL('/access-denied', request.url);
+    deniedUrl.searchParams.set('from', pathname);
+    return NextResponse.redirect(deniedUrl);
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  // Pages only - API routes are protected by withApiGuard, assets are public
+  matcher: ['/((?!api|_next/static|_next/image|favicon.ico|.*\\.(?:png|jpg|jpeg|svg|ico|webp)$).*)']
+};
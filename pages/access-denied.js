@@ -0,0 +1,105 @@
+import { useRouter } from 'next/router';
+
+export default function AccessDenied() {
+  const router = useRouter();
+  const { from } = router.query;
+
+  return (
+    <>
+      <div className="denied-container">
+        <div className="denied-box">
+          <div className="denied-icon">🔒</div>
+          <h2>Access Denied</h2>
+          <p>
+            Your role does not have access to
+            {from ? <strong> {from}</strong> : ' this page'}.
+          </p>
+          <p className="denied-hint">Contact an administrator if you need access.</p>
+
+          <div className="denied-actions">
+            <button className="denied-btn primary" onClick={() => { window.location.href = '/'; }}>
+              Back to Dashboard
+            </button>
+            <button className="denied-btn" onClick={() => { window.location.href = '/login'; }}>
+              Sign in as another user
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <style jsx>{`
+        .denied-container {
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          padding: 20px;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+
+        .denied-box {
+          background: white;
+          padding: 40px;
+          border-radius: 20px;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15), 0 8px 20px rgba(0, 0, 0, 0.1);
+          width: 100%;
+          max-width: 450px;
+          text-align: center;
+        }
+
+        .denied-icon {
+          font-size: 3rem;
+          margin-bottom: 10px;
+        }
+
+        h2 {
+          margin-bottom: 16px;
+          color: #333;
+          font-weight: 600;
+        }
+
+        p {
+          color: #555;
+          margin: 0 0 8px;
+        }
+
+        .denied-hint {
+          font-size: 14px;
+          color: #888;
+          margin-bottom: 28px;
+        }
+
+        .denied-actions {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+
+        .denied-btn {
+          width: 100%;
+          padding: 14px;
+          border: 2px solid #e1e5e9;
+          border-radius: 12px;
+          background: #fafbfc;
+          color: #333;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .denied-btn.primary {
+          border: none;
+          background: linear-gradient(135deg, #667eea, #764ba2);
+          color: white;
+          box-shadow: 0 4px 15px rgba(102, 126, 234, 0.3);
+        }
+
+        .denied-btn:hover {
+          transform: translateY(-2px);
+        }
+      `}</style>
+    </>
+  );
+}
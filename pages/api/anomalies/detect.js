@@ -0,0 +1,33 @@
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { detectAnomalies } from '../../../lib/anomalies';
+
+// POST - rescore days and replace their stored anomalies.
+//        Body: { dateFrom, dateTo, datasets } (default: last 90 days, deposit and withdraw)
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { dateFrom, dateTo, datasets } = req.body || {};
+
+  try {
+    console.log(`🚨 Detecting anomalies ${dateFrom || ''} ${dateTo || ''}`);
+    const result = await detectAnomalies(req, { dateFrom, dateTo, datasets });
+    console.log(`✅ Anomaly run ${result.runId}: ${result.anomaliesTotal} anomalous day(s)`);
+
+    return res.status(200).json({
+      success: true,
+      message: `${result.anomaliesTotal} anomalous day(s) for ${result.dateFrom} to ${result.dateTo}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error detecting anomalies:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while detecting anomalies',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
@@ -0,0 +1,45 @@
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import {
+  ANOMALY_DATASETS,
+  ANOMALY_DIRECTIONS,
+  SCORE_THRESHOLD,
+  listAnomalies,
+  listAnomalyRuns
+} from '../../../lib/anomalies';
+
+// GET - stored anomalous days plus recent detection runs.
+//       Query: dataset, currency, line, dateFrom, dateTo, direction, limit
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { dataset, currency, line, dateFrom, dateTo, direction, limit } = req.query;
+
+  try {
+    const [anomalies, runs] = await Promise.all([
+      listAnomalies({ dataset, currency, line, dateFrom, dateTo, direction, limit }),
+      listAnomalyRuns({ limit: 10 })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: anomalies,
+      runs,
+      options: {
+        datasets: ANOMALY_DATASETS,
+        directions: Object.values(ANOMALY_DIRECTIONS),
+        threshold: SCORE_THRESHOLD
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching anomalies:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while fetching anomalies',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
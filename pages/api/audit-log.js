@@ -0,0 +1,43 @@
+import pool from '../../lib/database';
+import { searchAuditLog, AUDITED_TABLES, AUDIT_ACTIONS } from '../../lib/audit';
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+
+// GET - search the audit log.
+// Query: table, action, userId, username, recordKey, startDate, endDate, page, limit
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { page = 1, limit = 50, ...filters } = req.query;
+
+  try {
+    const { entries, pagination } = await searchAuditLog(filters, { page, limit });
+
+    // Users that appear in the log, for the user filter dropdown
+    const usersResult = await pool.query(
+      'SELECT DISTINCT user_id, username FROM audit_log WHERE user_id IS NOT NULL ORDER BY username'
+    );
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination,
+      options: {
+        tables: AUDITED_TABLES,
+        actions: Object.values(AUDIT_ACTIONS),
+        users: usersResult.rows.map(row => ({ id: row.user_id, username: row.username }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Database error while fetching audit log',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
@@ -1,6 +1,7 @@
 import pool from '../../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     // Cek struktur tabel users
     const tableStructure = await pool.query(`
@@ -23,4 +24,6 @@ export default async function handler(req, res) {
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
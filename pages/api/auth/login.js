@@ -1,6 +1,9 @@
 import pool from '../../../lib/database';
+import { verifyPassword, hashPassword } from '../../../lib/password';
+import { createSession, buildSessionCookie, LEGACY_AUTH_COOKIES } from '../../../lib/session';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -24,16 +27,29 @@ export default async function handler(req, res) {
 
     const user = userResult.rows[0];
 
-    // Compare password
-    if (user.password !== password) {
+    // Verify password against the stored scrypt hash (or legacy plain text)
+    const { valid, needsRehash } = await verifyPassword(password, user.password);
+    if (!valid) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Login berhasil, set session cookies
+    // One-time migration: upgrade plain-text rows to a hash on first successful login
+    if (needsRehash) {
+      try {
+        await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await hashPassword(password), user.id]);
+        console.log(`🔐 Password rehashed for user ${user.username}`);
+      } catch (rehashError) {
+        // Login still succeeds - the row will be retried next time
+        console.error('Password rehash error:', rehashError.message);
+      }
+    }
+
+    // Login berhasil, create server-side session + signed HttpOnly cookie
+    const sessionToken = await createSession(user.id, req);
+
     res.setHeader('Set-Cookie', [
-      `user_id=${user.id}; Path=/; SameSite=Strict; Max-Age=86400`,
-      `username=${user.username}; Path=/; SameSite=Strict; Max-Age=86400`,
-      `user_role=${user.role || 'user'}; Path=/; SameSite=Strict; Max-Age=86400`
+      buildSessionCookie(sessionToken),
+      ...LEGACY_AUTH_COOKIES
     ]);
 
     res.status(200).json({
@@ -50,4 +66,6 @@ export default async function handler(req, res) {
     console.error('Login error:', error.message);
     res.status(500).json({ error: 'Authentication failed' });
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.PUBLIC);
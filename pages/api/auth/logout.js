@@ -1,14 +1,25 @@
-export default async function handler(req, res) {
+import { destroySession, buildClearSessionCookie, LEGACY_AUTH_COOKIES } from '../../../lib/session';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Clear semua cookies
+  try {
+    // Hapus session di database
+    await destroySession(req);
+  } catch (error) {
+    console.error('Logout error:', error.message);
+  }
+
+  // Clear session cookie (dan cookies lama)
   res.setHeader('Set-Cookie', [
-    'user_id=; Path=/; HttpOnly; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
-    'username=; Path=/; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
-    'user_role=; Path=/; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT'
+    buildClearSessionCookie(),
+    ...LEGACY_AUTH_COOKIES
   ]);
 
   res.status(200).json({ success: true, message: 'Logged out successfully' });
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.PUBLIC);
@@ -0,0 +1,28 @@
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  // PUBLIC guard: req.user is the session user, or null when not logged in
+  const user = req.user;
+
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+
+  res.status(200).json({
+    success: true,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role
+    },
+    expiresAt: user.expiresAt
+  });
+}
+
+export default withApiGuard(handler, API_ACCESS.PUBLIC);
@@ -1,6 +1,9 @@
 import pool from '../../../lib/database';
+import { hashPassword } from '../../../lib/password';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { recordAudit, AUDIT_ACTIONS } from '../../../lib/audit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -11,6 +14,7 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Username, email, and password required' });
   }
 
+  let client;
   try {
     // Cek apakah username sudah ada
     const existingUser = await pool.query(
@@ -22,16 +26,27 @@ export default async function handler(req, res) {
       return res.status(409).json({ error: 'Username or email already exists' });
     }
 
-    // Insert user baru (nanti akan di-hash passwordnya)
-    const result = await pool.query(
+    // Insert user baru dengan password yang sudah di-hash, bersama entri audit-nya
+    const passwordHash = await hashPassword(password);
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await client.query(
       `INSERT INTO users (username, email, password, role, created_at) 
        VALUES ($1, $2, $3, $4, NOW()) 
        RETURNING id, username, email, role, created_at`,
-      [username, email, password, role]
+      [username, email, passwordHash, role]
     );
 
     const newUser = result.rows[0];
 
+    await recordAudit(client, req, {
+      table: 'users',
+      recordKey: newUser.id,
+      action: AUDIT_ACTIONS.INSERT,
+      after: newUser
+    });
+    await client.query('COMMIT');
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -45,7 +60,14 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
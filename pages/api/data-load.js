@@ -0,0 +1,58 @@
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { getDataset } from '../../lib/datasets';
+import { runDataLoad, listDataLoads, DATA_LOAD_SOURCES, DATA_LOAD_STATUS } from '../../lib/data-load';
+
+// Daily extract files are sent base64-encoded in the JSON body
+export const config = { api: { bodyParser: { sizeLimit: '50mb' } } };
+
+// GET  - load history. Query: dataset, status, page, limit
+// POST - load a file. Body: { dataset, fileName, file (base64), dryRun }
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    const { page = 1, limit = 20, ...filters } = req.query;
+
+    try {
+      const { entries, pagination } = await listDataLoads(filters, { page, limit });
+
+      return res.status(200).json({
+        success: true,
+        data: entries,
+        pagination,
+        options: {
+          datasets: Object.keys(DATA_LOAD_SOURCES).map(id => ({ id, label: getDataset(id).label, table: getDataset(id).table })),
+          statuses: Object.values(DATA_LOAD_STATUS)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error fetching data load history:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Database error while fetching data load history',
+        message: error.message
+      });
+    }
+  }
+
+  if (req.method === 'POST') {
+    const { dataset, fileName, file, dryRun = false } = req.body || {};
+
+    try {
+      console.log(`📥 ${dryRun ? 'Dry run of' : 'Loading'} ${fileName} into ${dataset}`);
+      const result = await runDataLoad(req, dataset, { file, fileName, dryRun: Boolean(dryRun) });
+      console.log(`✅ Data load ${dryRun ? '(dry run) ' : ''}finished:`, result.rows);
+
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Error loading data file:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Database error while loading data',
+        message: error.message
+      });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
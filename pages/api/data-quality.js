@@ -0,0 +1,79 @@
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { getDataset } from '../../lib/datasets';
+import {
+  DATA_QUALITY_RULES,
+  DATA_QUALITY_DATASETS,
+  DATA_QUALITY_SEVERITY,
+  DEFAULT_WINDOW_DAYS,
+  runDataQualityChecks,
+  getDataQualityRun,
+  listDataQualityRuns
+} from '../../lib/data-quality';
+
+// GET  - one run's findings (default: latest) plus recent runs.
+//        Query: runId, rule, dataset, severity
+// POST - run the checks. Body: { dateFrom, dateTo, rules } (default: last 30 days, every rule)
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    const { runId, rule, dataset, severity } = req.query;
+
+    try {
+      const [run, runs] = await Promise.all([
+        getDataQualityRun(runId, { rule, dataset, severity }),
+        listDataQualityRuns()
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: run,
+        runs,
+        options: {
+          rules: Object.entries(DATA_QUALITY_RULES).map(([id, entry]) => ({
+            id,
+            label: entry.label,
+            severity: entry.severity,
+            description: entry.description,
+            datasets: entry.datasets
+          })),
+          datasets: Object.keys(DATA_QUALITY_DATASETS).map(id => ({ id, label: getDataset(id).label, table: getDataset(id).table })),
+          severities: Object.values(DATA_QUALITY_SEVERITY),
+          defaultWindowDays: DEFAULT_WINDOW_DAYS
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error fetching data quality results:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Database error while fetching data quality results',
+        message: error.message
+      });
+    }
+  }
+
+  if (req.method === 'POST') {
+    const { dateFrom, dateTo, rules } = req.body || {};
+
+    try {
+      console.log(`🩺 Running data quality checks ${dateFrom || ''} ${dateTo || ''}`);
+      const result = await runDataQualityChecks(req, { dateFrom, dateTo, rules });
+      console.log(`✅ Data quality run ${result.runId}: ${result.findingsTotal} finding(s)`);
+
+      return res.status(200).json({
+        success: true,
+        message: `${result.findingsTotal} finding(s) for ${result.dateFrom} to ${result.dateTo}`,
+        ...result
+      });
+    } catch (error) {
+      console.error('❌ Error running data quality checks:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Database error while running data quality checks',
+        message: error.message
+      });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
@@ -1,6 +1,7 @@
 import pool from '../../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -46,4 +47,6 @@ export default async function handler(req, res) {
       client.release();
     }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
@@ -0,0 +1,5 @@
+import { createHistoryHandler } from '../../../lib/row-versions';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+// GET ?uniquekey= - current row and its previous versions
+export default withApiGuard(createHistoryHandler('exchange'), API_ACCESS.READ);
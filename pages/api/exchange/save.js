@@ -1,6 +1,9 @@
 import pool from '../../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { recordAudit, AUDIT_ACTIONS } from '../../../lib/audit';
+import { getTableStructure, validateRowData } from '../../../lib/row-versions';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -12,25 +15,24 @@ export default async function handler(req, res) {
     client = await pool.connect();
     console.log('💾 Saving exchange data:', data);
 
-    // Get table structure to validate fields
-    const structureQuery = `
-      SELECT column_name, data_type, is_nullable 
-      FROM information_schema.columns 
-      WHERE table_name = 'exchange_rate' 
-      ORDER BY ordinal_position
-    `;
-    
-    const structureResult = await client.query(structureQuery);
-    const columns = structureResult.rows.map(row => row.column_name);
-    const requiredFields = structureResult.rows
-      .filter(row => row.is_nullable === 'NO')
-      .map(row => row.column_name);
+    // Only real columns reach the SQL, each coerced to its column type
+    const { columnDetails } = await getTableStructure(client, 'exchange_rate');
+    const row = validateRowData(data, columnDetails);
 
-    console.log('📋 Table columns:', columns);
-    console.log('🔒 Required fields:', requiredFields);
+    // Empty values are left out so column defaults (serial id, timestamps) apply
+    Object.keys(row).forEach(field => {
+      if (row[field] === null) delete row[field];
+    });
+
+    if (Object.keys(row).length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to save' });
+    }
 
     // Validate required fields
-    const missingFields = requiredFields.filter(field => !data[field]);
+    const requiredFields = columnDetails
+      .filter(column => !column.nullable && !column.defaultValue)
+      .map(column => column.name);
+    const missingFields = requiredFields.filter(field => row[field] === undefined);
     if (missingFields.length > 0) {
       return res.status(400).json({
         success: false,
@@ -39,12 +41,15 @@ export default async function handler(req, res) {
       });
     }
 
+    await client.query('BEGIN');
+
     // Check if uniquekey already exists
-    if (data.uniquekey) {
+    if (row.uniquekey) {
       const checkQuery = `SELECT uniquekey FROM exchange_rate WHERE uniquekey = $1`;
-      const checkResult = await client.query(checkQuery, [data.uniquekey]);
+      const checkResult = await client.query(checkQuery, [row.uniquekey]);
       
       if (checkResult.rows.length > 0) {
+        await client.query('ROLLBACK');
         return res.status(400).json({
           success: false,
           error: 'Unique Duplicated! Data dengan kombinasi Date + Currency sudah ada.'
@@ -52,10 +57,10 @@ export default async function handler(req, res) {
       }
     }
 
-    // Build INSERT query dynamically
-    const fields = Object.keys(data);
+    // Build INSERT query from the validated fields
+    const fields = Object.keys(row);
     const placeholders = fields.map((_, index) => `$${index + 1}`).join(', ');
-    const values = Object.values(data);
+    const values = Object.values(row);
     
     const insertQuery = `
       INSERT INTO exchange_rate (${fields.join(', ')})
@@ -68,6 +73,14 @@ export default async function handler(req, res) {
 
     const result = await client.query(insertQuery, values);
 
+    // In the transaction: no insert without its audit row
+    await recordAudit(client, req, {
+      table: 'exchange_rate',
+      recordKey: result.rows[0].uniquekey,
+      action: AUDIT_ACTIONS.INSERT,
+      after: result.rows[0]
+    });
+    await client.query('COMMIT');
     console.log(`✅ Successfully inserted 1 record into exchange_rate`);
 
     res.status(200).json({
@@ -77,7 +90,11 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('❌ Error saving exchange data:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, ...error.details });
+    }
     res.status(500).json({ 
       success: false,
       error: 'Database error while saving data',
@@ -88,4 +105,6 @@ export default async function handler(req, res) {
       client.release();
     }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.WRITE);
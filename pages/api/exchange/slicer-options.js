@@ -1,6 +1,8 @@
 import pool from '../../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { monthName } from '../../../lib/periods';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -38,7 +40,7 @@ export default async function handler(req, res) {
     const years = []; // Empty array since no year slicer needed
     const months = monthResult.rows.map(row => ({
       value: row.month?.toString(),
-      label: new Date(2000, row.month - 1, 1).toLocaleString('en', { month: 'long' })
+      label: monthName(row.month)
     }));
 
     const dateRange = dateRangeResult.rows[0];
@@ -74,4 +76,6 @@ export default async function handler(req, res) {
       client.release();
     }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
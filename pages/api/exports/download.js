@@ -0,0 +1,49 @@
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { EXPORT_FORMATS } from '../../../lib/export-stream';
+import { getExportJobFile } from '../../../lib/export-jobs';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+// Files are streamed from disk - disable Next's 4MB response size warning
+export const config = { api: { responseLimit: false } };
+
+// GET ?id= - download a finished export job owned by the caller
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const id = parseInt(req.query.id);
+  if (!id) {
+    return res.status(400).json({ success: false, error: 'Job ID is required' });
+  }
+
+  try {
+    const job = await getExportJobFile(id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Export file not found or expired' });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[job.format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.file_name}"`);
+    res.setHeader('Content-Length', String(job.file_size));
+    res.status(200);
+
+    await pipeline(fs.createReadStream(job.file_path), res);
+
+  } catch (error) {
+    console.error('❌ Export download error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Database error while downloading export',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.EXPORT);
@@ -0,0 +1,56 @@
+import { DATASETS } from '../../../lib/datasets';
+import { createExportJob, listExportJobs, deleteExportJob } from '../../../lib/export-jobs';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+// GET    - list the caller's export jobs (polled by the "My Exports" panel)
+// POST   - queue an export: { dataset, format, ...same filters as /api/<dataset>/export }
+// DELETE - remove a queued/finished job and its file: { id }
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const jobs = await listExportJobs(req.user.id);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, jobs });
+    }
+
+    if (req.method === 'POST') {
+      const { dataset, ...input } = req.body || {};
+
+      if (!dataset || !DATASETS[dataset]) {
+        return res.status(400).json({ success: false, error: 'Unknown dataset' });
+      }
+
+      const job = await createExportJob(req.user, dataset, input);
+      console.log(`📦 Export job ${job.id} queued by ${req.user.username}: ${dataset} (${job.format})`);
+
+      return res.status(202).json({ success: true, job });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = parseInt(req.body?.id);
+
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Job ID is required' });
+      }
+
+      const deleted = await deleteExportJob(id, req.user.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Export job not found or still running' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('❌ Export jobs error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while handling export jobs',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.EXPORT);
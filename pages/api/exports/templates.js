@@ -0,0 +1,71 @@
+import pool from '../../../lib/database';
+import { DATASETS, getDataset } from '../../../lib/datasets';
+import { getDatasetColumns } from '../../../lib/dataset-query';
+import {
+  listExportTemplates,
+  saveExportTemplate,
+  deleteExportTemplate
+} from '../../../lib/export-templates';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+// GET    ?dataset= - the caller's templates for a dataset plus the table's columns
+// POST   - create/update a template: { id?, dataset, name, columns: [{ key, header }], sort: [{ column, direction }] }
+// DELETE - { id }
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const { dataset } = req.query;
+
+      if (!dataset || !DATASETS[dataset]) {
+        return res.status(400).json({ success: false, error: 'Unknown dataset' });
+      }
+
+      const [templates, columns] = await Promise.all([
+        listExportTemplates(req.user.id, dataset),
+        getDatasetColumns(pool, getDataset(dataset))
+      ]);
+
+      return res.status(200).json({ success: true, templates, columns });
+    }
+
+    if (req.method === 'POST') {
+      const input = req.body || {};
+
+      if (!input.dataset || !DATASETS[input.dataset]) {
+        return res.status(400).json({ success: false, error: 'Unknown dataset' });
+      }
+
+      const template = await saveExportTemplate(req.user.id, input);
+      console.log(`💾 Export template "${template.name}" saved by ${req.user.username} for ${template.dataset}`);
+
+      return res.status(200).json({ success: true, template });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = parseInt(req.body?.id);
+
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Template ID is required' });
+      }
+
+      const deleted = await deleteExportTemplate(id, req.user.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Export template not found' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('❌ Export templates error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while handling export templates',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.EXPORT);
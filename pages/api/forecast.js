@@ -0,0 +1,42 @@
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { forecastMetrics, DEFAULT_FORECAST_METRICS, FORECAST_HORIZON } from '../../lib/forecast';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  const {
+    metrics,
+    currency = 'MYR',
+    basis,
+    horizon = String(FORECAST_HORIZON),
+    asOf
+  } = req.query;
+
+  try {
+    console.log(`🔮 Forecasting ${metrics || DEFAULT_FORECAST_METRICS.join(',')} for ${currency}`);
+
+    // Rest of the current month + `horizon` months (lib/forecast.js)
+    const result = await forecastMetrics(
+      metrics ? metrics.split(',').map(id => id.trim()).filter(Boolean) : DEFAULT_FORECAST_METRICS,
+      { currency, basis, horizon, asOf }
+    );
+
+    res.status(200).json({
+      success: true,
+      currency,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ Forecast API Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while forecasting',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
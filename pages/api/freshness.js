@@ -0,0 +1,32 @@
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { getTableFreshness, summarizePageFreshness, DEFAULT_STALE_AFTER_DAYS } from '../../lib/freshness';
+
+// GET - latest data date per source table. Query: page (pathname, adds the
+// status of the tables behind that page), refresh=true (skip the cache)
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  const { page, refresh } = req.query;
+
+  try {
+    const tables = await getTableFreshness({ refresh: refresh === 'true' });
+
+    return res.status(200).json({
+      success: true,
+      staleAfterDays: DEFAULT_STALE_AFTER_DAYS,
+      tables,
+      page: page ? summarizePageFreshness(page, tables) : null
+    });
+  } catch (error) {
+    console.error('❌ Error checking data freshness:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Database error while checking data freshness',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
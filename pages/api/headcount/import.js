@@ -0,0 +1,8 @@
+import { createImportHandler } from '../../../lib/data-import';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+// The spreadsheet arrives base64-encoded in the JSON body
+export const config = { api: { bodyParser: { sizeLimit: '10mb' } } };
+
+// POST { action: 'preview' | 'commit', fileName, file, resolutions }
+export default withApiGuard(createImportHandler('headcount'), API_ACCESS.WRITE);
@@ -0,0 +1,5 @@
+import { createRevertHandler } from '../../../lib/row-versions';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+
+// POST { uniquekey, versionId } - restore a previous version through the normal update path
+export default withApiGuard(createRevertHandler('headcount'), API_ACCESS.WRITE);
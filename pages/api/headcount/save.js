@@ -1,6 +1,9 @@
 import pool from '../../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { recordAudit, AUDIT_ACTIONS } from '../../../lib/audit';
+import { getTableStructure, validateRowData } from '../../../lib/row-versions';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -12,25 +15,24 @@ export default async function handler(req, res) {
     client = await pool.connect();
     console.log('📝 Saving headcountdep data:', data);
 
-    // Get table structure to validate required fields
-    const structureQuery = `
-      SELECT column_name, data_type, is_nullable 
-      FROM information_schema.columns 
-      WHERE table_name = 'headcountdep' 
-      ORDER BY ordinal_position
-    `;
-    
-    const structureResult = await client.query(structureQuery);
-    const columns = structureResult.rows.map(row => row.column_name);
-    const requiredFields = structureResult.rows
-      .filter(row => row.is_nullable === 'NO')
-      .map(row => row.column_name);
+    // Only real columns reach the SQL, each coerced to its column type
+    const { columnDetails } = await getTableStructure(client, 'headcountdep');
+    const row = validateRowData(data, columnDetails);
+
+    // Empty values are left out so column defaults (serial id, timestamps) apply
+    Object.keys(row).forEach(field => {
+      if (row[field] === null) delete row[field];
+    });
 
-    console.log('📋 Table columns:', columns);
-    console.log('🔒 Required fields:', requiredFields);
+    if (Object.keys(row).length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to save' });
+    }
 
     // Validate required fields
-    const missingFields = requiredFields.filter(field => !data[field]);
+    const requiredFields = columnDetails
+      .filter(column => !column.nullable && !column.defaultValue)
+      .map(column => column.name);
+    const missingFields = requiredFields.filter(field => row[field] === undefined);
     if (missingFields.length > 0) {
       return res.status(400).json({
         success: false,
@@ -39,9 +41,9 @@ export default async function handler(req, res) {
       });
     }
 
-    // Build INSERT query dynamically
-    const fields = Object.keys(data);
-    const values = Object.values(data);
+    // Build INSERT query from the validated fields
+    const fields = Object.keys(row);
+    const values = Object.values(row);
     const placeholders = fields.map((_, index) => `$${index + 1}`).join(', ');
     
     const insertQuery = `
@@ -53,8 +55,17 @@ export default async function handler(req, res) {
     console.log('🔍 Executing INSERT query:', insertQuery);
     console.log('📋 With values:', values);
 
+    await client.query('BEGIN');
     const result = await client.query(insertQuery, values);
 
+    // In the transaction: no insert without its audit row
+    await recordAudit(client, req, {
+      table: 'headcountdep',
+      recordKey: result.rows[0].uniquekey,
+      action: AUDIT_ACTIONS.INSERT,
+      after: result.rows[0]
+    });
+    await client.query('COMMIT');
     console.log(`✅ Successfully saved 1 record to headcountdep`);
 
     res.status(200).json({
@@ -64,7 +75,11 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('❌ Error saving headcountdep data:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, ...error.details });
+    }
     res.status(500).json({ 
       success: false,
       error: 'Database error while saving data',
@@ -75,4 +90,6 @@ export default async function handler(req, res) {
       client.release();
     }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.WRITE);
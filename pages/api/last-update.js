@@ -1,43 +1,59 @@
-import pool from '../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { getLatestDataLoad } from '../../lib/data-load';
+import { getTableFreshness } from '../../lib/freshness';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
   }
 
-  let client;
+  // Files loaded through the Data Load page are the authoritative refresh time
   try {
-    client = await pool.connect();
-    console.log('⚡ FAST Last Update query...');
-    
-    // DAX-LIKE QUERY: Automatically read MAX(date) from member_report_monthly
-    const lastUpdateQuery = `
-      SELECT MAX(date) as latest_date
-      FROM member_report_monthly 
-      WHERE date IS NOT NULL
-    `;
-    
-    const result = await client.query(lastUpdateQuery);
-    
-    if (result.rows.length > 0 && result.rows[0].latest_date) {
-      const latestDate = result.rows[0].latest_date; // Format: "7/28/2025"
-      
-      // Parse MM/DD/YYYY format
-      const [month, day, year] = latestDate.split('/');
-      const dateObj = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-      
-      const formattedDate = dateObj.toLocaleDateString('en-US', {
+    const latestLoad = await getLatestDataLoad();
+    if (latestLoad) {
+      const formattedDate = new Date(latestLoad.finished_at).toLocaleDateString('en-US', {
         month: 'short',
         day: 'numeric',
         year: 'numeric'
       });
-      
-      console.log(`✅ FAST result: ${latestDate} → ${formattedDate}`);
-      
+
+      return res.status(200).json({
+        last_update: `🔄 Data Updated: ${formattedDate}`,
+        source: 'data_load',
+        raw_date: latestLoad.finished_at,
+        load: {
+          dataset: latestLoad.dataset,
+          table: latestLoad.table_name,
+          fileName: latestLoad.file_name,
+          dataDate: latestLoad.data_date_to,
+          loadedBy: latestLoad.loaded_by_username
+        }
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error reading data load history:', error.message);
+  }
+
+  // Otherwise the newest data date of member_report_monthly. lib/freshness.js
+  // parses text dates too, including the upstream M/D/YYYY format.
+  try {
+    const tables = await getTableFreshness();
+    const memberReport = tables.find(entry => entry.table === 'member_report_monthly');
+
+    if (memberReport?.latestDate) {
+      const formattedDate = new Date(`${memberReport.latestDate}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC'
+      });
+
+      console.log(`✅ Last update from member_report_monthly: ${memberReport.latestDate}`);
+
       return res.status(200).json({
         last_update: `🔄 Data Updated: ${formattedDate}`,
         source: 'auto_database',
-        raw_date: latestDate
+        raw_date: memberReport.latestDate
       });
     }
 
@@ -56,9 +72,7 @@ export default async function handler(req, res) {
       source: 'error_fallback',
       raw_date: null
     });
-  } finally {
-    if (client) {
-      client.release();
-    }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
@@ -1,101 +1,189 @@
-import pool from '../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { getCurrencyScope } from '../../lib/currency-conversion';
+import { evaluateMetrics, METRIC_GROUPINGS } from '../../lib/metrics';
+import { comparePeriodSeries } from '../../lib/comparison';
+import { resolveChartBuckets, bucketPeriods, CHART_RANGES, CHART_GRANULARITIES } from '../../lib/chart-periods';
+import { forecastMetrics } from '../../lib/forecast';
+import { anomalyMarkers } from '../../lib/anomalies';
+import { addMonths, parseYearMonth, formatYearMonth } from '../../lib/periods';
 
-export default async function handler(req, res) {
+const LINE_CHART_METRICS = ['net_profit', 'new_depositor', 'total_revenue', 'total_cost', 'deposit_amount', 'withdraw_amount', 'active_member'];
+
+// Series that get a dashed forecast continuation (?forecast=true, month charts)
+const FORECAST_CHART_METRICS = ['net_profit', 'deposit_amount', 'active_member'];
+
+// Series marked at the points holding anomalous days (lib/anomalies.js): metric -> dataset
+const ANOMALY_CHART_METRICS = {
+  deposit_amount: 'deposit',
+  withdraw_amount: 'withdraw'
+};
+
+// Forecast arrays aligned with the chart's categories plus the months appended
+// after them. Only when the chart reaches the latest data (its last point is
+// the current month or the one before); the line starts at the last complete
+// month (anchor) so it continues the actual series.
+// { categories: [appended labels], asOf, series: { metricId: { method, anchor, data, lower, upper } } }
+function forecastOverlay(points, labels, result) {
+  const last = points[points.length - 1];
+  const previousPeriod = formatYearMonth(addMonths(parseYearMonth(result.currentPeriod), -1));
+  if (!last || ![result.currentPeriod, previousPeriod].includes(last.bucket)) {
+    return null;
+  }
+
+  const buckets = points.map(entry => entry.bucket);
+  const forecastPoints = Object.values(result.forecasts)[0].points;
+  const appended = forecastPoints.filter(point => !buckets.includes(point.period));
+  const allBuckets = [...buckets, ...appended.map(point => point.period)];
+  const anchor = buckets.includes(result.currentPeriod) ? buckets.indexOf(result.currentPeriod) - 1 : buckets.length - 1;
+
+  const series = {};
+  Object.entries(result.forecasts).forEach(([metricId, forecast]) => {
+    const data = allBuckets.map(() => null);
+    const lower = allBuckets.map(() => null);
+    const upper = allBuckets.map(() => null);
+    if (anchor >= 0) {
+      data[anchor] = lower[anchor] = upper[anchor] = Math.round(points[anchor].values[metricId]);
+    }
+    forecast.points.forEach(point => {
+      const index = allBuckets.indexOf(point.period);
+      data[index] = Math.round(point.value);
+      lower[index] = Math.round(point.lower);
+      upper[index] = Math.round(point.upper);
+    });
+    series[metricId] = { method: forecast.method, anchor, data, lower, upper };
+  });
+
+  return {
+    categories: appended.map(point => labels[point.period] || point.label),
+    asOf: result.asOf,
+    series
+  };
+}
+
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
   }
 
-  const { currency = 'MYR', year = '2024' } = req.query;
+  const {
+    currency = 'MYR',
+    year = '2024',
+    month,
+    range = CHART_RANGES.YEAR,
+    granularity = CHART_GRANULARITIES.MONTH,
+    basis,
+    compare,
+    baselineYear,
+    baselineMonth,
+    forecast
+  } = req.query;
+
+  // Chart points (?range=year|rolling12&granularity=week|month|quarter, lib/chart-periods.js)
+  let buckets;
+  let scope;
+  try {
+    // Validate scope/basis up front so a bad request is a 400, not a 500
+    scope = getCurrencyScope(currency, basis);
+    buckets = resolveChartBuckets({ range, granularity, year, month });
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, error: error.message });
+  }
 
-  let client;
   try {
-    client = await pool.connect();
     console.log('📈 Fetching line chart data from PostgreSQL...');
 
-    // Get operational efficiency trend data
-    const operationalEfficiencyQuery = `
-      SELECT 
-        month,
-        SUM(deposit_amount + add_transaction) as total_revenue,
-        SUM(withdraw_amount + deduct_transaction) as total_cost
-      FROM member_report_monthly 
-      WHERE currency = $1 AND year = $2
-        AND month IN ('January', 'February', 'March', 'April', 'May', 'June', 'July')
-      GROUP BY month 
-      ORDER BY 
-        CASE month 
-          WHEN 'January' THEN 1 
-          WHEN 'February' THEN 2 
-          WHEN 'March' THEN 3 
-          WHEN 'April' THEN 4 
-          WHEN 'May' THEN 5 
-          WHEN 'June' THEN 6 
-          WHEN 'July' THEN 7 
-        END;
-    `;
-
-    // Get growth vs profitability analysis data
-    const growthProfitabilityQuery = `
-      SELECT 
-        m.month,
-        SUM(m.deposit_amount + m.add_transaction - m.withdraw_amount - m.deduct_transaction) as net_profit,
-        COALESCE(nd.total_new_depositor, 0) as new_depositor
-      FROM member_report_monthly m
-      LEFT JOIN (
-        SELECT 
-          month,
-          SUM(new_depositor) as total_new_depositor
-        FROM new_depositor
-        WHERE currency = $1 AND year = $2
-          AND month IN ('January', 'February', 'March', 'April', 'May', 'June', 'July')
-        GROUP BY month
-      ) nd ON m.month = nd.month
-      WHERE m.currency = $1 AND m.year = $2
-        AND m.month IN ('January', 'February', 'March', 'April', 'May', 'June', 'July')
-      GROUP BY m.month, nd.total_new_depositor
-      ORDER BY 
-        CASE m.month 
-          WHEN 'January' THEN 1 
-          WHEN 'February' THEN 2 
-          WHEN 'March' THEN 3 
-          WHEN 'April' THEN 4 
-          WHEN 'May' THEN 5 
-          WHEN 'June' THEN 6 
-          WHEN 'July' THEN 7 
-        END;
-    `;
-
-    const [growthProfitabilityResult, operationalEfficiencyResult] = await Promise.all([
-      client.query(growthProfitabilityQuery, [currency, year]),
-      client.query(operationalEfficiencyQuery, [currency, year])
+    // Measures and formulas come from the metric registry (lib/metrics.js)
+    const { series, conversion } = await evaluateMetrics(LINE_CHART_METRICS, {
+      currency,
+      basis,
+      periods: bucketPeriods(buckets),
+      groupBy: METRIC_GROUPINGS.BUCKET
+    });
+    const points = series.filter(entry => entry.hasData);
+    const labels = Object.fromEntries(buckets.map(bucket => [bucket.bucket, bucket.label]));
+    const categories = points.map(entry => labels[entry.bucket]); // Jan, Feb, ..., Q1, Q2, ... or W1, W2, ...
+
+    // Baseline of every point for the tooltips (?compare=, lib/comparison.js),
+    // the forecast (lib/forecast.js) for month charts when asked for and the
+    // anomaly markers. A failed forecast or marker lookup leaves the charts
+    // without them; a failed forecast is reported as forecastError.
+    let forecastError = null;
+    const [baselines, forecastResult, markers] = await Promise.all([
+      comparePeriodSeries(LINE_CHART_METRICS, points, {
+        currency,
+        basis,
+        compare,
+        baselineYear,
+        baselineMonth,
+        granularity
+      }),
+      forecast === 'true' && granularity === CHART_GRANULARITIES.MONTH
+        ? forecastMetrics(FORECAST_CHART_METRICS, { currency, basis }).catch(error => {
+          console.error('⚠️ Forecast unavailable:', error.message);
+          forecastError = error.message;
+          return null;
+        })
+        : null,
+      anomalyMarkers(Object.values(ANOMALY_CHART_METRICS), {
+        currencies: scope.param,
+        buckets: points.map(entry => buckets.find(bucket => bucket.bucket === entry.bucket))
+      }).catch(error => {
+        console.error('⚠️ Anomaly markers unavailable:', error.message);
+        return null;
+      })
     ]);
+    const overlay = forecastResult && forecastOverlay(points, labels, forecastResult);
+
+    const trend = (name, metricId) => ({
+      name,
+      data: points.map(entry => Math.round(entry.values[metricId])),
+      comparison: baselines.values[metricId].map(value => Math.round(value)),
+      ...(overlay?.series[metricId] ? { forecast: overlay.series[metricId] } : {}),
+      ...(markers?.[ANOMALY_CHART_METRICS[metricId]] ? { anomalies: markers[ANOMALY_CHART_METRICS[metricId]] } : {})
+    });
+    // Months the forecast adds after the last category, for charts with a forecast series
+    const forecastFields = (chartSeries) => (chartSeries.some(entry => entry.forecast)
+      ? { forecastCategories: overlay.categories, forecastAsOf: overlay.asOf }
+      : {});
 
     // Format data for charts
+    const growthProfitabilitySeries = [
+      trend('Net Profit', 'net_profit'),
+      trend('New Depositor', 'new_depositor')
+    ];
     const growthProfitabilityData = {
-      categories: growthProfitabilityResult.rows.map(row => row.month.substring(0, 3)), // Jan, Feb, etc
+      categories,
+      comparisonLabel: baselines.label,
+      series: growthProfitabilitySeries,
+      ...forecastFields(growthProfitabilitySeries)
+    };
+
+    const operationalEfficiencyData = {
+      categories,
+      comparisonLabel: baselines.label,
       series: [
-        {
-          name: 'Net Profit',
-          data: growthProfitabilityResult.rows.map(row => Math.round(parseFloat(row.net_profit || 0)))
-        },
-        {
-          name: 'New Depositor',
-          data: growthProfitabilityResult.rows.map(row => parseInt(row.new_depositor || 0))
-        }
+        trend('Total Revenue', 'total_revenue'),
+        trend('Total Cost', 'total_cost')
       ]
     };
 
-    const operationalEfficiencyData = {
-      categories: operationalEfficiencyResult.rows.map(row => row.month.substring(0, 3)),
+    const depositActivitySeries = [
+      trend('Deposit Amount', 'deposit_amount'),
+      trend('Active Member', 'active_member')
+    ];
+    const depositActivityData = {
+      categories,
+      comparisonLabel: baselines.label,
+      series: depositActivitySeries,
+      ...forecastFields(depositActivitySeries)
+    };
+
+    const depositWithdrawData = {
+      categories,
+      comparisonLabel: baselines.label,
       series: [
-        {
-          name: 'Total Revenue',
-          data: operationalEfficiencyResult.rows.map(row => Math.round(parseFloat(row.total_revenue || 0)))
-        },
-        {
-          name: 'Total Cost',
-          data: operationalEfficiencyResult.rows.map(row => Math.round(parseFloat(row.total_cost || 0)))
-        }
+        trend('Deposit Amount', 'deposit_amount'),
+        trend('Withdraw Amount', 'withdraw_amount')
       ]
     };
 
@@ -106,13 +194,22 @@ export default async function handler(req, res) {
     res.status(200).json({
       success: true,
       currency,
+      conversion,
       growthProfitabilityTrend: growthProfitabilityData,
       operationalEfficiencyTrend: operationalEfficiencyData,
-      totalMonths: growthProfitabilityResult.rows.length
+      depositActivityTrend: depositActivityData,
+      depositWithdrawTrend: depositWithdrawData,
+      ...(forecastError ? { forecastError } : {}),
+      range,
+      granularity,
+      totalPoints: points.length
     });
 
   } catch (error) {
     console.error('❌ Line chart data error:', error.message);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     res.status(500).json({ 
       success: false,
       error: error.message,
@@ -133,7 +230,7 @@ export default async function handler(req, res) {
         }
       }
     });
-  } finally {
-    if (client) client.release();
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
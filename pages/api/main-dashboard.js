@@ -1,120 +1,99 @@
-import pool from '../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { getCurrencyScope } from '../../lib/currency-conversion';
+import { compareMetrics } from '../../lib/comparison';
 
-export default async function handler(req, res) {
+const DASHBOARD_METRICS = [
+  'deposit_amount', 'withdraw_amount', 'ggr', 'net_profit',
+  'new_depositor', 'active_member', 'add_transaction', 'deduct_transaction'
+];
+
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ message: 'Method not allowed' });
   }
 
-  const { currency = 'MYR', year = '2024', month = 'July' } = req.query;
-  let client;
-
+  const {
+    currency = 'MYR',
+    year = '2024',
+    month = 'July',
+    granularity,
+    week,
+    basis,
+    compare,
+    baselineYear,
+    baselineMonth
+  } = req.query;
+
+  let scope;
   try {
-    client = await pool.connect();
-    console.log(`📊 Fetching Main Dashboard data for ${currency} ${year} ${month}`);
-
-    // 1. Deposit Amount = SUM(deposit_amount)
-    const depositQuery = `
-      SELECT COALESCE(SUM(deposit_amount), 0) as total_deposit
-      FROM deposit_monthly 
-      WHERE currency = $1 AND year = $2 AND month = $3
-    `;
-
-    // 2. Withdraw Amount = SUM(withdraw_amount)
-    const withdrawQuery = `
-      SELECT COALESCE(SUM(withdraw_amount), 0) as total_withdraw
-      FROM withdraw_monthly 
-      WHERE currency = $1 AND year = $2 AND month = $3
-    `;
-
-    // 4. Add Transaction = SUM(add_transaction)
-    const addTransactionQuery = `
-      SELECT COALESCE(SUM(add_transaction), 0) as total_add_transaction
-      FROM deposit_monthly 
-      WHERE currency = $1 AND year = $2 AND month = $3
-    `;
-
-    // 5. Deduct Transaction = SUM(deduct_transaction)
-    const deductTransactionQuery = `
-      SELECT COALESCE(SUM(deduct_transaction), 0) as total_deduct_transaction
-      FROM deposit_monthly 
-      WHERE currency = $1 AND year = $2 AND month = $3
-    `;
-
-    // 7. New Depositor = SUM(new_depositor)
-    const newDepositorQuery = `
-      SELECT COALESCE(SUM(new_depositor), 0) as total_new_depositor
-      FROM new_depositor 
-      WHERE currency = $1 AND year = $2 AND month = $3
-    `;
-
-    // 8. Active Member HBO = DISTINCTCOUNT(UserKey)
-    const activeMemberQuery = `
-      SELECT COUNT(DISTINCT userkey) as active_members
-      FROM deposit_monthly 
-      WHERE currency = $1 AND year = $2 AND month = $3
-    `;
-
-    // Execute all queries
-    const [
-      depositResult,
-      withdrawResult, 
-      addTransactionResult,
-      deductTransactionResult,
-      newDepositorResult,
-      activeMemberResult
-    ] = await Promise.all([
-      client.query(depositQuery, [currency, year, month]),
-      client.query(withdrawQuery, [currency, year, month]),
-      client.query(addTransactionQuery, [currency, year, month]),
-      client.query(deductTransactionQuery, [currency, year, month]),
-      client.query(newDepositorQuery, [currency, year, month]),
-      client.query(activeMemberQuery, [currency, year, month])
-    ]);
-
-    // Calculate derived values
-    const depositAmount = parseFloat(depositResult.rows[0]?.total_deposit || 0);
-    const withdrawAmount = parseFloat(withdrawResult.rows[0]?.total_withdraw || 0);
-    const addTransaction = parseFloat(addTransactionResult.rows[0]?.total_add_transaction || 0);
-    const deductTransaction = parseFloat(deductTransactionResult.rows[0]?.total_deduct_transaction || 0);
-    const newDepositor = parseInt(newDepositorResult.rows[0]?.total_new_depositor || 0);
-    const activeMember = parseInt(activeMemberResult.rows[0]?.active_members || 0);
-
-    // 3. GGR = Deposit Amount - Withdraw Amount
-    const grossProfit = depositAmount - withdrawAmount;
+    scope = getCurrencyScope(currency, basis);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, error: error.message });
+  }
 
-    // 6. Net Profit = (Deposit Amount + Add Transaction) - (Withdraw Amount + Deduct Transaction)
-    const netProfit = (depositAmount + addTransaction) - (withdrawAmount + deductTransaction);
+  try {
+    console.log(`📊 Fetching Main Dashboard data for ${currency} ${year} ${granularity === 'week' ? week : month} (${granularity || 'month'})`);
+
+    // Measures and formulas come from the metric registry (lib/metrics.js). The
+    // period is the selected week, month or quarter (?granularity=, weeks read
+    // from the daily tables); the baseline follows ?compare= (lib/comparison.js,
+    // the previous period by default)
+    const { current, baseline, change, comparison, conversion } = await compareMetrics(DASHBOARD_METRICS, {
+      currency,
+      basis,
+      granularity,
+      year,
+      month,
+      week,
+      compare,
+      baselineYear,
+      baselineMonth
+    });
 
-    console.log('✅ Main Dashboard Data calculated:', {
-      depositAmount,
-      withdrawAmount,
-      grossProfit,
-      netProfit,
-      newDepositor,
-      activeMember,
-      addTransaction,
-      deductTransaction
+    const toResponse = (values) => ({
+      depositAmount: values.deposit_amount,
+      withdrawAmount: values.withdraw_amount,
+      grossProfit: values.ggr,
+      netProfit: values.net_profit,
+      newDepositor: values.new_depositor,
+      activeMember: values.active_member,
+      addTransaction: values.add_transaction,
+      deductTransaction: values.deduct_transaction
     });
+    const data = toResponse(current);
+
+    console.log('✅ Main Dashboard Data calculated:', data);
 
     res.status(200).json({
       success: true,
       data: {
-        depositAmount,
-        withdrawAmount,
-        grossProfit,
-        netProfit,
-        newDepositor,
-        activeMember,
-        addTransaction,
-        deductTransaction,
+        ...data,
         currency,
         month
-      }
+      },
+      period: {
+        granularity: comparison.granularity,
+        key: comparison.period.bucket,
+        label: comparison.period.label,
+        periods: comparison.current
+      },
+      comparison: {
+        mode: comparison.mode,
+        label: comparison.label,
+        baselinePeriods: comparison.baseline,
+        baseline: toResponse(baseline),
+        change: toResponse(change)
+      },
+      conversion
     });
 
   } catch (error) {
     console.error('❌ Main Dashboard API Error:', error.message);
     
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
     // Return fallback data in case of error
     res.status(200).json({
       success: false,
@@ -130,9 +109,10 @@ export default async function handler(req, res) {
         deductTransaction: 164000,
         currency,
         month
-      }
+      },
+      conversion: scope.conversion
     });
-  } finally {
-    if (client) client.release();
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
@@ -0,0 +1,89 @@
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { evaluateMetrics, describeMetric, yearPeriods, METRICS, METRIC_GROUPINGS } from '../../lib/metrics';
+import { resolveRangeBuckets, bucketPeriods, CHART_GRANULARITIES } from '../../lib/chart-periods';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  const {
+    metrics,
+    currency = 'MYR',
+    year = '2025',
+    month,
+    months,
+    from,
+    to,
+    granularity = CHART_GRANULARITIES.MONTH,
+    groupBy = METRIC_GROUPINGS.NONE,
+    basis
+  } = req.query;
+
+  // No metrics requested: list the registry
+  if (!metrics) {
+    return res.status(200).json({
+      success: true,
+      metrics: Object.keys(METRICS).map(describeMetric),
+      groupings: Object.values(METRIC_GROUPINGS)
+    });
+  }
+
+  try {
+    const metricIds = metrics.split(',').map(id => id.trim()).filter(Boolean);
+
+    // ?from=&to= for any range of months ('2024-11') or days ('2025-07-01'),
+    // across years; groupBy=bucket groups it by ?granularity= (week, month, quarter)
+    if (from || to) {
+      const buckets = resolveRangeBuckets({ from, to, granularity });
+      const result = await evaluateMetrics(metricIds, {
+        currency,
+        basis,
+        periods: bucketPeriods(buckets),
+        groupBy
+      });
+      if (result.series && groupBy === METRIC_GROUPINGS.BUCKET) {
+        result.series = result.series.map(entry => {
+          const { label, partial } = buckets.find(bucket => bucket.bucket === entry.bucket);
+          return { ...entry, label, partial };
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        currency,
+        from,
+        to,
+        granularity,
+        ...result
+      });
+    }
+
+    // ?month=July (or 7) for one month, ?months=January,February,... for several,
+    // neither for the whole year
+    const periodMonths = month ? [month] : months ? months.split(',').map(m => m.trim()) : undefined;
+    const result = await evaluateMetrics(metricIds, {
+      currency,
+      basis,
+      periods: yearPeriods(year, periodMonths),
+      groupBy
+    });
+
+    res.status(200).json({
+      success: true,
+      currency,
+      year,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ Metrics API Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while evaluating metrics',
+      message: error.message
+    });
+  }
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
@@ -0,0 +1,57 @@
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { ROLLUPS, runRollups, reconcileRollups } from '../../lib/rollups';
+
+// GET  - reconcile monthly tables against the daily data. Query: rollup, year
+// POST - rebuild monthly rollups. Body: { rollup, year, month } ('ALL' = every rollup / month)
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    const { rollup = 'ALL', year } = req.query;
+
+    try {
+      const results = await reconcileRollups({ rollup, year });
+
+      return res.status(200).json({
+        success: true,
+        data: results,
+        options: {
+          rollups: Object.entries(ROLLUPS).map(([id, entry]) => ({ id, ...entry }))
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error reconciling monthly rollups:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Database error while reconciling monthly rollups',
+        message: error.message
+      });
+    }
+  }
+
+  if (req.method === 'POST') {
+    const { rollup = 'ALL', year, month = 'ALL' } = req.body || {};
+
+    try {
+      console.log(`🔁 Rebuilding monthly rollups: ${rollup} ${month} ${year}`);
+      const results = await runRollups({ rollup, year, month });
+      const rebuilt = results.reduce((total, result) => total + result.periods.filter(period => !period.skipped).length, 0);
+      console.log(`✅ Monthly rollups rebuilt: ${rebuilt} month(s)`);
+
+      return res.status(200).json({
+        success: true,
+        message: `Rebuilt ${rebuilt} month(s)`,
+        data: results
+      });
+    } catch (error) {
+      console.error('❌ Error rebuilding monthly rollups:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Database error while rebuilding monthly rollups',
+        message: error.message
+      });
+    }
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
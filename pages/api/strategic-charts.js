@@ -1,72 +1,38 @@
 import { calculateCharts } from '../../lib/business-logic';
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { getCurrencyScope } from '../../lib/currency-conversion';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ message: 'Method not allowed' });
   }
 
-  const { currency = 'MYR', year = '2025' } = req.query;
+  const { currency = 'MYR', year = '2025', basis } = req.query;
+
+  try {
+    // Validate scope/basis up front so a bad request is a 400, not a 500
+    getCurrencyScope(currency, basis);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, error: error.message });
+  }
 
   console.log(`📊 Fetching Strategic Charts data for ${currency} ${year}`);
 
   try {
-    // TEMPORARY: Use fast dummy data to fix loading timeout
-    console.log('✅ Strategic charts from FAST DUMMY DATA');
-    
-    res.status(200).json({
-      ggrUserTrend: {
-        series: [{ name: 'GGR User', data: [142.50, 155.25, 148.75, 160.80, 152.90, 165.26, 142.64] }],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      ggrPureUserTrend: {
-        series: [{ name: 'GGR Pure User', data: [98.30, 102.45, 95.80, 108.20, 99.75, 112.15, 89.50] }],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      customerValueTrend: {
-        series: [{ name: 'Value per Headcount', data: [154.20, 148.00, 149.50, 142.00, 115.00, 193.00, 142.00] }],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      customerCountTrend: {
-        series: [
-          { name: 'Active Member', data: [8000, 7800, 7900, 7700, 6900, 7500, 6800] },
-          { name: 'Headcount', data: [55, 55, 50, 52, 50, 55, 48] }
-        ],
-        categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-      },
-      customerVolumeDept: {
-        series: [{ name: 'Headcount', data: [15, 10, 8] }],
-        categories: ['Cashier', 'S&R', 'CS']
-      }
-    });
+    // One aggregated query for the monthly trends, one for the department split
+    const charts = await calculateCharts(currency, year, basis);
+    console.log(`✅ Strategic charts calculated for ${charts.ggrUserTrend.categories.length} month(s)`);
+
+    res.status(200).json(charts);
 
   } catch (error) {
     console.error('❌ Strategic Charts API Error:', error);
-    
-    // Fallback to basic data
-    res.status(200).json({
-      ggrUserTrend: {
-        series: [{ name: 'GGR User', data: [142.64] }],
-        categories: ['Jul']
-      },
-      ggrPureUserTrend: {
-        series: [{ name: 'GGR Pure User', data: [89.50] }],
-        categories: ['Jul']
-      },
-      customerValueTrend: {
-        series: [{ name: 'Value per Headcount', data: [142.00] }],
-        categories: ['Jul']
-      },
-      customerCountTrend: {
-        series: [
-          { name: 'Active Member', data: [6800] },
-          { name: 'Headcount', data: [48] }
-        ],
-        categories: ['Jul']
-      },
-      customerVolumeDept: {
-        series: [{ name: 'Headcount', data: [15, 10, 8] }],
-        categories: ['Cashier', 'S&R', 'CS']
-      }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while calculating strategic charts',
+      message: error.message
     });
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
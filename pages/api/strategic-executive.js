@@ -1,46 +1,38 @@
-// import { calculateKPIs } from '../../lib/business-logic';
+import { withApiGuard, API_ACCESS } from '../../lib/api-guard';
+import { calculateKPIs } from '../../lib/business-logic';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ message: 'Method not allowed' });
   }
 
-  const { currency = 'MYR', year = '2025', month = 'July' } = req.query;
+  const {
+    currency = 'MYR',
+    year = '2025',
+    month = 'July',
+    basis,
+    compare,
+    baselineYear,
+    baselineMonth
+  } = req.query;
 
-  console.log(`🎯 Strategic Executive KPI: ${currency} ${year} ${month}`);
+  console.log(`🎯 Strategic Executive KPI: ${currency} ${year} ${month} (${compare || 'mom'})`);
 
   try {
-    // TEMPORARY: Use fast dummy data instead of centralized logic
-    console.log('✅ Strategic Executive KPI from FAST DUMMY DATA');
-    
-    res.status(200).json({
-      netProfit: 693053.48,
-      netProfitChange: -24.8,
-      ggrUser: 141.41,
-      ggrUserChange: -13.4,
-      activeMember: 4901,
-      activeMemberChange: -13.2,
-      pureMember: 3540,
-      pureMemberChange: -10.4,
-      headcount: 48,
-      headcountChange: 0
-    });
+    // Measures come from the metric registry (lib/metrics.js)
+    const kpis = await calculateKPIs(currency, year, month, basis, { compare, baselineYear, baselineMonth });
+    console.log('✅ Strategic Executive KPI calculated');
+
+    res.status(200).json(kpis);
 
   } catch (error) {
     console.error('❌ Strategic Executive KPI Error:', error);
-    
-    // Fallback data
-    res.status(200).json({
-      netProfit: 693053.48,
-      netProfitChange: -24.8,
-      ggrUser: 141.41,
-      ggrUserChange: -13.4,
-      activeMember: 4901,
-      activeMemberChange: -13.2,
-      pureMember: 3540,
-      pureMemberChange: -10.4,
-      headcount: 48,
-      headcountChange: 0
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Database error while calculating strategic KPIs',
+      message: error.message
     });
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.READ);
@@ -1,6 +1,8 @@
 import pool from '../../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { recordAudit, AUDIT_ACTIONS } from '../../../lib/audit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -13,7 +15,10 @@ export default async function handler(req, res) {
 
   console.log('🗑️ Delete user request:', { userId });
 
+  let client;
   try {
+    client = await pool.connect();
+
     // Check if user exists first
     const checkUser = await pool.query('SELECT username FROM users WHERE id = $1', [userId]);
     
@@ -33,14 +38,24 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Cannot delete the last admin user' });
     }
 
-    // Delete the user
-    const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING id, username', [userId]);
+    // Delete the user and write its audit entry together
+    await client.query('BEGIN');
+    const result = await client.query('DELETE FROM users WHERE id = $1 RETURNING id, username, email, role', [userId]);
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       console.log('❌ Failed to delete user:', userId);
       return res.status(500).json({ error: 'Failed to delete user' });
     }
 
+    await recordAudit(client, req, {
+      table: 'users',
+      recordKey: result.rows[0].id,
+      action: AUDIT_ACTIONS.DELETE,
+      before: result.rows[0]
+    });
+    await client.query('COMMIT');
+
     console.log('✅ User deleted successfully:', { userId, username });
 
     res.status(200).json({
@@ -50,10 +65,17 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('❌ Delete user error:', error);
     res.status(500).json({ 
       error: 'Database error during user deletion',
       message: error.message 
     });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
@@ -1,6 +1,7 @@
 import pool from '../../../lib/database';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -23,7 +24,6 @@ export default async function handler(req, res) {
       SELECT 
         id, 
         username, 
-        password,
         role
       FROM users 
       ORDER BY id ASC
@@ -35,7 +35,6 @@ export default async function handler(req, res) {
     const users = result.rows.map(user => ({
       id: user.id,
       username: user.username,
-      password: user.password, // Show actual password for admin management
       role: user.role,
       created_at: 'Not available' // Column doesn't exist in current database
     }));
@@ -56,4 +55,6 @@ export default async function handler(req, res) {
       users: []
     });
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
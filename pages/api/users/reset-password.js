@@ -1,6 +1,10 @@
 import pool from '../../../lib/database';
+import { hashPassword } from '../../../lib/password';
+import { destroyUserSessions } from '../../../lib/session';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { recordAudit, AUDIT_ACTIONS } from '../../../lib/audit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -13,19 +17,38 @@ export default async function handler(req, res) {
 
   console.log('🔄 Password reset request:', { userId, hasPassword: !!newPassword });
 
+  let client;
   try {
-    // Update password in database
-    const result = await pool.query(
+    client = await pool.connect();
+
+    // Update password in database (hashed), with its audit entry
+    const passwordHash = await hashPassword(newPassword);
+    await client.query('BEGIN');
+    const result = await client.query(
       'UPDATE users SET password = $1 WHERE id = $2 RETURNING id, username, email, role',
-      [newPassword, userId]
+      [passwordHash, userId]
     );
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       console.log('❌ User not found:', userId);
       return res.status(404).json({ error: 'User not found' });
     }
 
     const updatedUser = result.rows[0];
+
+    await recordAudit(client, req, {
+      table: 'users',
+      recordKey: updatedUser.id,
+      action: AUDIT_ACTIONS.PASSWORD_RESET,
+      before: updatedUser,
+      after: updatedUser,
+      changedSensitiveFields: ['password']
+    });
+    await client.query('COMMIT');
+
+    // Force re-login everywhere with the new password
+    await destroyUserSessions(updatedUser.id);
     console.log('✅ Password reset successful:', { 
       userId: updatedUser.id, 
       username: updatedUser.username 
@@ -38,10 +61,17 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('❌ Password reset error:', error);
     res.status(500).json({ 
       error: 'Database error during password reset',
       message: error.message 
     });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
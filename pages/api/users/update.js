@@ -1,38 +1,72 @@
 import pool from '../../../lib/database';
+import { hashPassword } from '../../../lib/password';
+import { destroyUserSessions } from '../../../lib/session';
+import { withApiGuard, API_ACCESS } from '../../../lib/api-guard';
+import { recordAudit, AUDIT_ACTIONS } from '../../../lib/audit';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'PUT') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   const { id, username, email, password, role } = req.body;
 
-  if (!id || !username || !password || !role) {
+  if (!id || !username || !role) {
     return res.status(400).json({ 
       success: false,
-      error: 'Missing required fields: id, username, password, role' 
+      error: 'Missing required fields: id, username, role' 
     });
   }
 
+  let client;
   try {
     console.log(`📝 Updating user ID ${id}: ${username} (${role})`);
+
+    client = await pool.connect();
+    const passwordHash = password ? await hashPassword(password) : null;
+    await client.query('BEGIN');
+
+    const before = await client.query('SELECT id, username, email, role FROM users WHERE id = $1', [id]);
     
-    // Update user in database
-    const result = await pool.query(
-      `UPDATE users 
-       SET username = $1, password = $2, role = $3
-       WHERE id = $4
-       RETURNING id, username, role`,
-      [username, password, role, id]
-    );
+    // Update user in database - password is optional (blank = keep current)
+    const result = password
+      ? await client.query(
+          `UPDATE users 
+           SET username = $1, password = $2, role = $3
+           WHERE id = $4
+           RETURNING id, username, email, role`,
+          [username, passwordHash, role, id]
+        )
+      : await client.query(
+          `UPDATE users 
+           SET username = $1, role = $2
+           WHERE id = $3
+           RETURNING id, username, email, role`,
+          [username, role, id]
+        );
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'User not found'
       });
     }
 
+    await recordAudit(client, req, {
+      table: 'users',
+      recordKey: result.rows[0].id,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: before.rows[0],
+      after: result.rows[0],
+      changedSensitiveFields: password ? ['password'] : []
+    });
+    await client.query('COMMIT');
+
+    if (password) {
+      await destroyUserSessions(result.rows[0].id);
+    }
+
     console.log(`✅ User updated successfully: ${result.rows[0].username}`);
 
     res.status(200).json({
@@ -42,6 +76,7 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('❌ Error updating user:', error);
     
     if (error.code === '23505') { // Unique constraint violation
@@ -56,5 +91,11 @@ export default async function handler(req, res) {
         message: error.message
       });
     }
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
-} 
\ No newline at end of file
+}
+
+export default withApiGuard(handler, API_ACCESS.ADMIN);
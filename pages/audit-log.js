@@ -0,0 +1,434 @@
+import { useState, useEffect, useCallback, Fragment } from 'react';
+import { useRoleAccess } from '../hooks/useRoleAccess';
+import Sidebar from '../components/Sidebar';
+import Header from '../components/Header';
+
+const ACTION_COLORS = {
+  insert: '#10b981',
+  update: '#3b82f6',
+  delete: '#ef4444',
+  revert: '#8b5cf6',
+  password_reset: '#f59e0b'
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '∅';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default function AuditLog() {
+  const { user, loading: authLoading, canManageUsers } = useRoleAccess('/audit-log');
+  const [sidebarExpanded, setSidebarExpanded] = useState(true);
+
+  // FILTER STATE
+  const [table, setTable] = useState('ALL');
+  const [action, setAction] = useState('ALL');
+  const [userId, setUserId] = useState('');
+  const [recordKey, setRecordKey] = useState('');
+  const [dateRange, setDateRange] = useState({ start: '', end: '' });
+
+  // DATA STATE
+  const [entries, setEntries] = useState([]);
+  const [options, setOptions] = useState({ tables: [], actions: [], users: [] });
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalRecords: 0,
+    recordsPerPage: 50,
+    hasNextPage: false,
+    hasPrevPage: false
+  });
+
+  const fetchAuditLog = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        table,
+        action,
+        page: pagination.currentPage.toString(),
+        limit: pagination.recordsPerPage.toString()
+      });
+      if (userId) params.set('userId', userId);
+      if (recordKey.trim()) params.set('recordKey', recordKey.trim());
+      if (dateRange.start) params.set('startDate', dateRange.start);
+      if (dateRange.end) params.set('endDate', dateRange.end);
+
+      const response = await fetch(`/api/audit-log?${params}`);
+      const result = await response.json();
+
+      if (result.success) {
+        setEntries(result.data);
+        setPagination(result.pagination);
+        setOptions(result.options);
+      } else {
+        console.error('❌ Error fetching audit log:', result.error);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching audit log:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [table, action, userId, recordKey, dateRange, pagination.currentPage, pagination.recordsPerPage]);
+
+  useEffect(() => {
+    if (authLoading || !user || !canManageUsers) return;
+    fetchAuditLog();
+  }, [authLoading, user, canManageUsers, fetchAuditLog]);
+
+  // Any filter change starts again from page 1
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  if (authLoading || !user) {
+    return <div>Loading...</div>;
+  }
+
+  const selectStyle = {
+    padding: '8px 12px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '14px',
+    fontWeight: '500',
+    backgroundColor: 'white'
+  };
+
+  return (
+    <div className="dashboard-container">
+      <Sidebar user={user} onExpandedChange={setSidebarExpanded} />
+      <div className={`dashboard-content ${sidebarExpanded ? 'sidebar-expanded' : 'sidebar-collapsed'}`}>
+        <Header
+          title=""
+          sidebarExpanded={sidebarExpanded}
+          setSidebarExpanded={setSidebarExpanded}
+        />
+
+        {/* SUB HEADER - FILTERS */}
+        <div style={{
+          position: 'fixed',
+          top: '85px',
+          left: sidebarExpanded ? '0px' : '0px',
+          right: '0',
+          minHeight: '100px',
+          background: 'white',
+          borderBottom: '1px solid #e2e8f0',
+          boxShadow: '0 2px 8px rgba(0, 0, 0, 0.06)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '15px 48px',
+          zIndex: 1000,
+          transition: 'left 0.3s ease'
+        }}>
+          <div style={{ fontSize: '14px', fontWeight: '600', color: '#374151' }}>
+            Audit Trail ({pagination.totalRecords.toLocaleString()} entries)
+          </div>
+
+          <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <select value={table} onChange={(e) => updateFilter(setTable)(e.target.value)} style={selectStyle}>
+              <option value="ALL">All Tables</option>
+              {options.tables.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+
+            <select value={action} onChange={(e) => updateFilter(setAction)(e.target.value)} style={selectStyle}>
+              <option value="ALL">All Actions</option>
+              {options.actions.map(name => (
+                <option key={name} value={name}>{name.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+
+            <select value={userId} onChange={(e) => updateFilter(setUserId)(e.target.value)} style={selectStyle}>
+              <option value="">All Users</option>
+              {options.users.map(auditUser => (
+                <option key={auditUser.id} value={auditUser.id}>{auditUser.username}</option>
+              ))}
+            </select>
+
+            <input
+              type="text"
+              placeholder="Record key"
+              value={recordKey}
+              onChange={(e) => updateFilter(setRecordKey)(e.target.value)}
+              style={{ ...selectStyle, width: '160px' }}
+            />
+
+            <input
+              type="date"
+              value={dateRange.start}
+              onChange={(e) => updateFilter(setDateRange)({ ...dateRange, start: e.target.value })}
+              style={selectStyle}
+            />
+            <span style={{ color: '#6b7280' }}>to</span>
+            <input
+              type="date"
+              value={dateRange.end}
+              onChange={(e) => updateFilter(setDateRange)({ ...dateRange, end: e.target.value })}
+              style={selectStyle}
+            />
+          </div>
+        </div>
+
+        {/* CONTENT */}
+        <main style={{ marginTop: '185px', padding: '24px' }}>
+          <div className="data-table-container">
+            <div className="table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>TIME</th>
+                    <th>USER</th>
+                    <th>ACTION</th>
+                    <th>TABLE</th>
+                    <th>RECORD</th>
+                    <th>CHANGES</th>
+                    <th>IP ADDRESS</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>Loading audit log...</td>
+                    </tr>
+                  ) : entries.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>No audit entries found for the selected filters</td>
+                    </tr>
+                  ) : (
+                    entries.map(entry => {
+                      const changedFields = Object.keys(entry.changes || {});
+                      const isExpanded = expandedId === entry.id;
+
+                      return (
+                        <Fragment key={entry.id}>
+                          <tr
+                            onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                            style={{ cursor: 'pointer' }}
+                          >
+                            <td>{new Date(entry.created_at).toLocaleString()}</td>
+                            <td>{entry.username || '-'}</td>
+                            <td>
+                              <span className="action-badge" style={{ backgroundColor: ACTION_COLORS[entry.action] || '#6b7280' }}>
+                                {entry.action.replace(/_/g, ' ').toUpperCase()}
+                              </span>
+                            </td>
+                            <td>{entry.table_name}</td>
+                            <td>{entry.record_key || '-'}</td>
+                            <td className="changes-cell">
+                              {changedFields.length === 0 ? '-' : changedFields.join(', ')}
+                            </td>
+                            <td>{entry.ip_address || '-'}</td>
+                          </tr>
+
+                          {isExpanded && (
+                            <tr className="detail-row">
+                              <td colSpan="7">
+                                {changedFields.length > 0 && (
+                                  <table className="diff-table">
+                                    <thead>
+                                      <tr>
+                                        <th>FIELD</th>
+                                        <th>BEFORE</th>
+                                        <th>AFTER</th>
+                                      </tr>
+                                    </thead>
+                                    <tbody>
+                                      {changedFields.map(field => (
+                                        <tr key={field}>
+                                          <td><strong>{field}</strong></td>
+                                          <td className="diff-before">{formatValue(entry.changes[field].before)}</td>
+                                          <td className="diff-after">{formatValue(entry.changes[field].after)}</td>
+                                        </tr>
+                                      ))}
+                                    </tbody>
+                                  </table>
+                                )}
+                                <div className="detail-meta">User agent: {entry.user_agent || '-'}</div>
+                              </td>
+                            </tr>
+                          )}
+                        </Fragment>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {/* PAGINATION CONTROLS */}
+            {pagination.totalPages > 1 && (
+              <div className="pagination-controls">
+                <button
+                  onClick={() => setPagination(prev => ({ ...prev, currentPage: prev.currentPage - 1 }))}
+                  disabled={!pagination.hasPrevPage}
+                  className="pagination-btn"
+                >
+                  ← Previous
+                </button>
+
+                <span className="pagination-info">
+                  Page {pagination.currentPage} of {pagination.totalPages}
+                </span>
+
+                <button
+                  onClick={() => setPagination(prev => ({ ...prev, currentPage: prev.currentPage + 1 }))}
+                  disabled={!pagination.hasNextPage}
+                  className="pagination-btn"
+                >
+                  Next →
+                </button>
+              </div>
+            )}
+          </div>
+        </main>
+      </div>
+
+      <style jsx>{`
+        .dashboard-container {
+          display: flex;
+          min-height: 100vh;
+          background: #f8f9fa;
+        }
+
+        .dashboard-content {
+          flex: 1;
+          transition: margin-left 0.3s ease;
+        }
+
+        .sidebar-expanded {
+          margin-left: 280px;
+        }
+
+        .sidebar-collapsed {
+          margin-left: 75px;
+        }
+
+        .data-table-container {
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          overflow: hidden;
+        }
+
+        .table-wrapper {
+          overflow-x: auto;
+        }
+
+        .data-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        .data-table th {
+          padding: 12px 16px;
+          text-align: left;
+          font-weight: 600;
+          color: #374151;
+          border-bottom: 2px solid #e5e7eb;
+          white-space: nowrap;
+          background: #f9fafb;
+        }
+
+        .data-table td {
+          padding: 12px 16px;
+          border-bottom: 1px solid #e5e7eb;
+          color: #1f2937;
+          white-space: nowrap;
+        }
+
+        .data-table tbody tr:hover {
+          background: #f9fafb;
+        }
+
+        .changes-cell {
+          max-width: 320px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          color: #6b7280;
+        }
+
+        .action-badge {
+          color: white;
+          padding: 3px 8px;
+          border-radius: 4px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .detail-row td {
+          background: #f8fafc;
+          white-space: normal;
+        }
+
+        .diff-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13px;
+          background: white;
+        }
+
+        .diff-table th,
+        .diff-table td {
+          padding: 6px 12px;
+          border: 1px solid #e5e7eb;
+          text-align: left;
+          word-break: break-all;
+        }
+
+        .diff-before {
+          background: #fef2f2;
+          color: #991b1b;
+        }
+
+        .diff-after {
+          background: #f0fdf4;
+          color: #166534;
+        }
+
+        .detail-meta {
+          margin-top: 8px;
+          font-size: 12px;
+          color: #6b7280;
+        }
+
+        .pagination-controls {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          gap: 16px;
+          padding: 20px;
+          background: #f8fafc;
+          border-top: 1px solid #e2e8f0;
+        }
+
+        .pagination-btn {
+          padding: 8px 16px;
+          border: 1px solid #d1d5db;
+          background: white;
+          color: #374151;
+          border-radius: 6px;
+          cursor: pointer;
+          font-weight: 500;
+        }
+
+        .pagination-btn:disabled {
+          background: #f3f4f6;
+          color: #9ca3af;
+          cursor: not-allowed;
+        }
+
+        .pagination-info {
+          font-weight: 500;
+          color: #6b7280;
+          font-size: 14px;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,603 @@
+import { useState, useEffect, useCallback, Fragment } from 'react';
+import { useRoleAccess } from '../hooks/useRoleAccess';
+import Sidebar from '../components/Sidebar';
+import Header from '../components/Header';
+
+const STATUS_COLORS = {
+  success: '#10b981',
+  failed: '#ef4444'
+};
+
+// Base64 payload of a File, without the data URL prefix
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function formatDuration(startedAt, finishedAt) {
+  if (!finishedAt) return '-';
+  const seconds = Math.round((new Date(finishedAt) - new Date(startedAt)) / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// One line about the monthly rollup that ran with the load (lib/rollups.js)
+function formatRollup(rollup) {
+  if (rollup.error) return `⚠️ Monthly rollup of ${rollup.target} failed: ${rollup.error}`;
+
+  const rebuilt = rollup.periods.filter(period => !period.skipped);
+  if (rebuilt.length === 0) return `🔁 ${rollup.target}: no months to rebuild`;
+  return `🔁 ${rollup.target} rebuilt for ${rebuilt.map(period => `${period.month} ${period.year}`).join(', ')}`;
+}
+
+// One line about the anomaly detection that ran after the load (lib/anomalies.js)
+function formatAnomalies(anomalies) {
+  if (anomalies.error) return `⚠️ Anomaly detection failed: ${anomalies.error}`;
+  return `🚨 ${anomalies.anomaliesTotal} anomalous day(s) flagged for ${anomalies.dateFrom} → ${anomalies.dateTo}`;
+}
+
+function RejectedRows({ rows, total }) {
+  if (!rows || rows.length === 0) return null;
+
+  return (
+    <div className="rejected">
+      <div className="rejected-title">
+        Rejected rows{total > rows.length ? ` (first ${rows.length} of ${total})` : ''}
+      </div>
+      <table className="rejected-table">
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.rowNumber}>
+              <td>Row {row.rowNumber}</td>
+              <td>{row.errors.join('; ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <style jsx>{`
+        .rejected {
+          margin-top: 12px;
+        }
+
+        .rejected-title {
+          font-size: 13px;
+          font-weight: 600;
+          color: #b91c1c;
+          margin-bottom: 6px;
+        }
+
+        .rejected-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 12px;
+          background: white;
+        }
+
+        .rejected-table td {
+          padding: 4px 10px;
+          border: 1px solid #fecaca;
+          white-space: normal;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default function DataLoad() {
+  const { user, loading: authLoading, canManageUsers } = useRoleAccess('/data-load');
+  const [sidebarExpanded, setSidebarExpanded] = useState(true);
+
+  // UPLOAD STATE
+  const [dataset, setDataset] = useState('deposit');
+  const [file, setFile] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // HISTORY STATE
+  const [datasetFilter, setDatasetFilter] = useState('ALL');
+  const [loads, setLoads] = useState([]);
+  const [options, setOptions] = useState({ datasets: [], statuses: [] });
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalRecords: 0,
+    recordsPerPage: 20,
+    hasNextPage: false,
+    hasPrevPage: false
+  });
+
+  const fetchLoads = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        dataset: datasetFilter,
+        page: pagination.currentPage.toString(),
+        limit: pagination.recordsPerPage.toString()
+      });
+
+      const response = await fetch(`/api/data-load?${params}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setLoads(data.data);
+        setPagination(data.pagination);
+        setOptions(data.options);
+      } else {
+        console.error('❌ Error fetching data loads:', data.error);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching data loads:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [datasetFilter, pagination.currentPage, pagination.recordsPerPage]);
+
+  useEffect(() => {
+    if (authLoading || !user || !canManageUsers) return;
+    fetchLoads();
+  }, [authLoading, user, canManageUsers, fetchLoads]);
+
+  const handleRun = async (dryRun) => {
+    if (!file) return;
+    if (!dryRun && !confirm(`Load ${file.name} into ${dataset}?`)) return;
+
+    try {
+      setRunning(true);
+      setResult(null);
+      const response = await fetch('/api/data-load', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          dataset,
+          fileName: file.name,
+          file: await readFileAsBase64(file),
+          dryRun
+        }),
+      });
+
+      const data = await response.json();
+      setResult(data);
+      if (!dryRun) fetchLoads();
+    } catch (error) {
+      console.error('Data load error:', error);
+      setResult({ success: false, error: 'Load failed. Please try again.' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (authLoading || !user) {
+    return <div>Loading...</div>;
+  }
+
+  const selectStyle = {
+    padding: '8px 12px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '14px',
+    fontWeight: '500',
+    backgroundColor: 'white'
+  };
+
+  const buttonStyle = (enabled, color) => ({
+    padding: '8px 16px',
+    borderRadius: '6px',
+    border: 'none',
+    fontSize: '14px',
+    fontWeight: '600',
+    backgroundColor: enabled ? color : '#f3f4f6',
+    color: enabled ? 'white' : '#9ca3af',
+    cursor: enabled ? 'pointer' : 'not-allowed'
+  });
+
+  return (
+    <div className="dashboard-container">
+      <Sidebar user={user} onExpandedChange={setSidebarExpanded} />
+      <div className={`dashboard-content ${sidebarExpanded ? 'sidebar-expanded' : 'sidebar-collapsed'}`}>
+        <Header
+          title=""
+          sidebarExpanded={sidebarExpanded}
+          setSidebarExpanded={setSidebarExpanded}
+        />
+
+        {/* SUB HEADER - UPLOAD */}
+        <div style={{
+          position: 'fixed',
+          top: '85px',
+          left: sidebarExpanded ? '0px' : '0px',
+          right: '0',
+          minHeight: '100px',
+          background: 'white',
+          borderBottom: '1px solid #e2e8f0',
+          boxShadow: '0 2px 8px rgba(0, 0, 0, 0.06)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '15px 48px',
+          zIndex: 1000,
+          transition: 'left 0.3s ease'
+        }}>
+          <div style={{ fontSize: '14px', fontWeight: '600', color: '#374151' }}>
+            Daily Extract Load
+          </div>
+
+          <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <select value={dataset} onChange={(e) => { setDataset(e.target.value); setResult(null); }} style={selectStyle}>
+              {options.datasets.map(option => (
+                <option key={option.id} value={option.id}>{option.label} ({option.table})</option>
+              ))}
+            </select>
+
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              onChange={(e) => { setFile(e.target.files[0] || null); setResult(null); }}
+              style={{ fontSize: '14px' }}
+            />
+
+            <button onClick={() => handleRun(true)} disabled={!file || running} style={buttonStyle(file && !running, '#3b82f6')}>
+              {running ? '⏳ Working...' : '🔍 Dry Run'}
+            </button>
+            <button onClick={() => handleRun(false)} disabled={!file || running} style={buttonStyle(file && !running, '#10b981')}>
+              📥 Load
+            </button>
+          </div>
+        </div>
+
+        {/* CONTENT */}
+        <main style={{ marginTop: '185px', padding: '24px' }}>
+          {result && (
+            <div className={`result-card ${result.success ? '' : 'result-error'}`}>
+              {!result.success ? (
+                <div><strong>❌ {result.error}</strong></div>
+              ) : (
+                <>
+                  <div className="result-title">
+                    {result.dryRun ? '🔍 Dry run - nothing was written' : `✅ Loaded ${result.fileName} into ${result.table}`}
+                  </div>
+                  <div className="result-counts">
+                    <span>{result.rows.total.toLocaleString()} rows</span>
+                    <span style={{ color: '#10b981' }}>{result.rows.inserted.toLocaleString()} inserted</span>
+                    <span style={{ color: '#3b82f6' }}>{result.rows.updated.toLocaleString()} updated</span>
+                    <span style={{ color: '#6b7280' }}>{result.rows.unchanged.toLocaleString()} unchanged</span>
+                    <span style={{ color: '#ef4444' }}>{result.rows.rejected.toLocaleString()} rejected</span>
+                    {result.dateRange?.from && <span>Dates {result.dateRange.from} → {result.dateRange.to}</span>}
+                  </div>
+                  {result.rollup && (
+                    <div className={`result-rollup ${result.rollup.error ? 'result-rollup-error' : ''}`}>
+                      {formatRollup(result.rollup)}
+                    </div>
+                  )}
+                  {result.anomalies && (
+                    <div className={`result-rollup ${result.anomalies.error ? 'result-rollup-error' : ''}`}>
+                      {formatAnomalies(result.anomalies)}
+                    </div>
+                  )}
+                  <div className="result-mapping">
+                    {result.mapping.map(entry => (
+                      <span key={entry.header} className={entry.column ? 'mapped' : 'ignored'}>
+                        {entry.header}{entry.column ? ` → ${entry.column}` : ' (ignored)'}
+                      </span>
+                    ))}
+                  </div>
+                  <RejectedRows rows={result.rejected} total={result.rows.rejected} />
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="data-table-container">
+            <div className="table-header">
+              <span>Load History ({pagination.totalRecords.toLocaleString()})</span>
+              <select
+                value={datasetFilter}
+                onChange={(e) => {
+                  setDatasetFilter(e.target.value);
+                  setPagination(prev => ({ ...prev, currentPage: 1 }));
+                }}
+                style={selectStyle}
+              >
+                <option value="ALL">All Datasets</option>
+                {options.datasets.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>STARTED</th>
+                    <th>DATASET</th>
+                    <th>FILE</th>
+                    <th>STATUS</th>
+                    <th>INSERTED</th>
+                    <th>UPDATED</th>
+                    <th>UNCHANGED</th>
+                    <th>REJECTED</th>
+                    <th>DATA DATES</th>
+                    <th>BY</th>
+                    <th>DURATION</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan="11" style={{ textAlign: 'center', padding: '20px' }}>Loading history...</td>
+                    </tr>
+                  ) : loads.length === 0 ? (
+                    <tr>
+                      <td colSpan="11" style={{ textAlign: 'center', padding: '20px' }}>No files have been loaded yet</td>
+                    </tr>
+                  ) : (
+                    loads.map(load => {
+                      const isExpanded = expandedId === load.id;
+
+                      return (
+                        <Fragment key={load.id}>
+                          <tr onClick={() => setExpandedId(isExpanded ? null : load.id)} style={{ cursor: 'pointer' }}>
+                            <td>{new Date(load.started_at).toLocaleString()}</td>
+                            <td>{load.dataset}</td>
+                            <td>{load.file_name || '-'}</td>
+                            <td>
+                              <span className="status-badge" style={{ backgroundColor: STATUS_COLORS[load.status] || '#6b7280' }}>
+                                {load.status.toUpperCase()}
+                              </span>
+                            </td>
+                            <td>{load.rows_inserted.toLocaleString()}</td>
+                            <td>{load.rows_updated.toLocaleString()}</td>
+                            <td>{load.rows_unchanged.toLocaleString()}</td>
+                            <td>{load.rows_rejected.toLocaleString()}</td>
+                            <td>
+                              {load.data_date_from
+                                ? `${load.data_date_from} → ${load.data_date_to}`
+                                : '-'}
+                            </td>
+                            <td>{load.loaded_by_username || '-'}</td>
+                            <td>{formatDuration(load.started_at, load.finished_at)}</td>
+                          </tr>
+
+                          {isExpanded && (
+                            <tr className="detail-row">
+                              <td colSpan="11">
+                                {load.error && <div className="detail-error">❌ {load.error}</div>}
+                                <div className="detail-meta">
+                                  Columns: {load.column_mapping.filter(entry => entry.column).map(entry => entry.column).join(', ') || '-'}
+                                </div>
+                                <RejectedRows rows={load.rejected_rows} total={load.rows_rejected} />
+                              </td>
+                            </tr>
+                          )}
+                        </Fragment>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {/* PAGINATION CONTROLS */}
+            {pagination.totalPages > 1 && (
+              <div className="pagination-controls">
+                <button
+                  onClick={() => setPagination(prev => ({ ...prev, currentPage: prev.currentPage - 1 }))}
+                  disabled={!pagination.hasPrevPage}
+                  className="pagination-btn"
+                >
+                  ← Previous
+                </button>
+
+                <span className="pagination-info">
+                  Page {pagination.currentPage} of {pagination.totalPages}
+                </span>
+
+                <button
+                  onClick={() => setPagination(prev => ({ ...prev, currentPage: prev.currentPage + 1 }))}
+                  disabled={!pagination.hasNextPage}
+                  className="pagination-btn"
+                >
+                  Next →
+                </button>
+              </div>
+            )}
+          </div>
+        </main>
+      </div>
+
+      <style jsx>{`
+        .dashboard-container {
+          display: flex;
+          min-height: 100vh;
+          background: #f8f9fa;
+        }
+
+        .dashboard-content {
+          flex: 1;
+          transition: margin-left 0.3s ease;
+        }
+
+        .sidebar-expanded {
+          margin-left: 280px;
+        }
+
+        .sidebar-collapsed {
+          margin-left: 75px;
+        }
+
+        .result-card {
+          background: white;
+          border-radius: 12px;
+          border-left: 4px solid #10b981;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          padding: 16px 20px;
+          margin-bottom: 24px;
+          font-size: 14px;
+          color: #1f2937;
+        }
+
+        .result-error {
+          border-left-color: #ef4444;
+          color: #b91c1c;
+        }
+
+        .result-title {
+          font-weight: 600;
+          margin-bottom: 8px;
+        }
+
+        .result-counts {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 16px;
+          font-weight: 600;
+          margin-bottom: 10px;
+        }
+
+        .result-rollup {
+          font-size: 13px;
+          color: #374151;
+          margin-bottom: 10px;
+        }
+
+        .result-rollup-error {
+          color: #b45309;
+        }
+
+        .result-mapping {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          font-size: 12px;
+        }
+
+        .result-mapping span {
+          padding: 2px 8px;
+          border-radius: 4px;
+        }
+
+        .mapped {
+          background: #f0fdf4;
+          color: #166534;
+        }
+
+        .ignored {
+          background: #f3f4f6;
+          color: #6b7280;
+        }
+
+        .data-table-container {
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          overflow: hidden;
+        }
+
+        .table-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 16px;
+          font-size: 14px;
+          font-weight: 600;
+          color: #374151;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .table-wrapper {
+          overflow-x: auto;
+        }
+
+        .data-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        .data-table th {
+          padding: 12px 16px;
+          text-align: left;
+          font-weight: 600;
+          color: #374151;
+          border-bottom: 2px solid #e5e7eb;
+          white-space: nowrap;
+          background: #f9fafb;
+        }
+
+        .data-table td {
+          padding: 12px 16px;
+          border-bottom: 1px solid #e5e7eb;
+          color: #1f2937;
+          white-space: nowrap;
+        }
+
+        .data-table tbody tr:hover {
+          background: #f9fafb;
+        }
+
+        .status-badge {
+          color: white;
+          padding: 3px 8px;
+          border-radius: 4px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .detail-row td {
+          background: #f8fafc;
+          white-space: normal;
+        }
+
+        .detail-error {
+          color: #b91c1c;
+          font-weight: 600;
+          margin-bottom: 6px;
+        }
+
+        .detail-meta {
+          font-size: 12px;
+          color: #6b7280;
+        }
+
+        .pagination-controls {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          gap: 16px;
+          padding: 20px;
+          background: #f8fafc;
+          border-top: 1px solid #e2e8f0;
+        }
+
+        .pagination-btn {
+          padding: 8px 16px;
+          border: 1px solid #d1d5db;
+          background: white;
+          color: #374151;
+          border-radius: 6px;
+          cursor: pointer;
+          font-weight: 500;
+        }
+
+        .pagination-btn:disabled {
+          background: #f3f4f6;
+          color: #9ca3af;
+          cursor: not-allowed;
+        }
+
+        .pagination-info {
+          font-weight: 500;
+          color: #6b7280;
+          font-size: 14px;
+        }
+      `}</style>
+    </div>
+  );
+}
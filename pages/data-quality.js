@@ -0,0 +1,413 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { useRoleAccess } from '../hooks/useRoleAccess';
+import Sidebar from '../components/Sidebar';
+import Header from '../components/Header';
+
+const SEVERITY_COLORS = {
+  error: '#ef4444',
+  warning: '#f59e0b'
+};
+
+// Transaction page filtered to the rows behind a finding (see hooks/useUrlFilters.js)
+function findingHref(finding) {
+  const params = new URLSearchParams();
+  if (finding.currency) params.append('currency', finding.currency);
+  if (finding.line) params.append('line', finding.line);
+  if (finding.date_from && finding.date_to) {
+    params.append('startDate', finding.date_from);
+    params.append('endDate', finding.date_to);
+  }
+  return `/transaction/${finding.dataset}?${params}`;
+}
+
+export default function DataQuality() {
+  const { user, loading: authLoading, canManageUsers } = useRoleAccess('/data-quality');
+  const [sidebarExpanded, setSidebarExpanded] = useState(true);
+
+  const [runId, setRunId] = useState('');
+  const [rule, setRule] = useState('ALL');
+  const [dataset, setDataset] = useState('ALL');
+  const [severity, setSeverity] = useState('ALL');
+  const [dateRange, setDateRange] = useState({ start: '', end: '' });
+  const [options, setOptions] = useState({ rules: [], datasets: [], severities: [], defaultWindowDays: 30 });
+
+  const [run, setRun] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [runResult, setRunResult] = useState(null);
+
+  const fetchResults = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ rule, dataset, severity });
+      if (runId) params.append('runId', runId);
+
+      const response = await fetch(`/api/data-quality?${params}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setRun(data.data);
+        setRuns(data.runs);
+        setOptions(data.options);
+      } else {
+        console.error('❌ Error fetching data quality results:', data.error);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching data quality results:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [runId, rule, dataset, severity]);
+
+  useEffect(() => {
+    if (authLoading || !user || !canManageUsers) return;
+    fetchResults();
+  }, [authLoading, user, canManageUsers, fetchResults]);
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      setRunResult(null);
+      const response = await fetch('/api/data-quality', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          dateFrom: dateRange.start || undefined,
+          dateTo: dateRange.end || undefined
+        }),
+      });
+
+      const data = await response.json();
+      setRunResult(data);
+      if (data.success) {
+        // Show the new run
+        if (runId) {
+          setRunId('');
+        } else {
+          fetchResults();
+        }
+      }
+    } catch (error) {
+      console.error('Data quality run error:', error);
+      setRunResult({ success: false, error: 'Checks failed. Please try again.' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (authLoading || !user) {
+    return <div>Loading...</div>;
+  }
+
+  const selectStyle = {
+    padding: '8px 12px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '14px',
+    fontWeight: '500',
+    backgroundColor: 'white'
+  };
+
+  const buttonStyle = (enabled, color) => ({
+    padding: '8px 16px',
+    borderRadius: '6px',
+    border: 'none',
+    fontSize: '14px',
+    fontWeight: '600',
+    backgroundColor: enabled ? color : '#f3f4f6',
+    color: enabled ? 'white' : '#9ca3af',
+    cursor: enabled ? 'pointer' : 'not-allowed'
+  });
+
+  const busy = loading || running;
+  const ruleLabels = Object.fromEntries(options.rules.map(entry => [entry.id, entry.label]));
+  const datasetLabels = Object.fromEntries(options.datasets.map(entry => [entry.id, entry.label]));
+  const failedChecks = run ? run.checks.filter(check => check.error) : [];
+  const truncatedChecks = run ? run.checks.filter(check => check.truncated) : [];
+
+  return (
+    <div className="dashboard-container">
+      <Sidebar user={user} onExpandedChange={setSidebarExpanded} />
+      <div className={`dashboard-content ${sidebarExpanded ? 'sidebar-expanded' : 'sidebar-collapsed'}`}>
+        <Header
+          title=""
+          sidebarExpanded={sidebarExpanded}
+          setSidebarExpanded={setSidebarExpanded}
+        />
+
+        {/* SUB HEADER - FILTERS */}
+        <div style={{
+          position: 'fixed',
+          top: '85px',
+          left: sidebarExpanded ? '0px' : '0px',
+          right: '0',
+          minHeight: '100px',
+          background: 'white',
+          borderBottom: '1px solid #e2e8f0',
+          boxShadow: '0 2px 8px rgba(0, 0, 0, 0.06)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '15px 48px',
+          zIndex: 1000,
+          transition: 'left 0.3s ease'
+        }}>
+          <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <select value={runId} onChange={(e) => setRunId(e.target.value)} style={selectStyle}>
+              <option value="">Latest Run</option>
+              {runs.map(entry => (
+                <option key={entry.id} value={entry.id}>
+                  #{entry.id} · {entry.date_from} to {entry.date_to} ({entry.findings_total})
+                </option>
+              ))}
+            </select>
+            <select value={rule} onChange={(e) => setRule(e.target.value)} style={selectStyle}>
+              <option value="ALL">All Rules</option>
+              {options.rules.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.label}</option>
+              ))}
+            </select>
+            <select value={dataset} onChange={(e) => setDataset(e.target.value)} style={selectStyle}>
+              <option value="ALL">All Tables</option>
+              {options.datasets.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.label}</option>
+              ))}
+            </select>
+            <select value={severity} onChange={(e) => setSeverity(e.target.value)} style={selectStyle}>
+              <option value="ALL">All Severities</option>
+              {options.severities.map(entry => (
+                <option key={entry} value={entry}>{entry.toUpperCase()}</option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <input
+              type="date"
+              value={dateRange.start}
+              onChange={(e) => setDateRange({ ...dateRange, start: e.target.value })}
+              style={selectStyle}
+              title={`Default: last ${options.defaultWindowDays} days`}
+            />
+            <span style={{ color: '#6b7280' }}>to</span>
+            <input
+              type="date"
+              value={dateRange.end}
+              onChange={(e) => setDateRange({ ...dateRange, end: e.target.value })}
+              style={selectStyle}
+              title="Default: today"
+            />
+            <button onClick={handleRun} disabled={busy} style={buttonStyle(!busy, '#10b981')}>
+              {running ? '⏳ Checking...' : '🩺 Run Checks'}
+            </button>
+          </div>
+        </div>
+
+        {/* CONTENT */}
+        <main style={{ marginTop: '185px', padding: '24px' }}>
+          {runResult && (
+            <div className={`result-card ${runResult.success ? '' : 'result-error'}`}>
+              {runResult.success
+                ? <strong>✅ {runResult.message}</strong>
+                : <strong>❌ {runResult.error}</strong>}
+            </div>
+          )}
+
+          {run && (
+            <div className={`result-card ${failedChecks.length > 0 ? 'result-warning' : ''}`}>
+              <div className="result-title">
+                Run #{run.id}: {run.date_from} to {run.date_to} · {run.findings_total.toLocaleString()} finding(s)
+              </div>
+              <div className="result-line">
+                {new Date(run.started_at).toLocaleString()}{run.run_by_username ? ` by ${run.run_by_username}` : ''}
+              </div>
+              {failedChecks.map(check => (
+                <div key={`${check.rule}-${check.dataset}`} className="result-line">
+                  ⚠️ {ruleLabels[check.rule] || check.rule} on {check.table || check.dataset} failed: {check.error}
+                </div>
+              ))}
+              {truncatedChecks.map(check => (
+                <div key={`${check.rule}-${check.dataset}`} className="result-line">
+                  ✂️ {ruleLabels[check.rule] || check.rule} on {check.table}: only the first {check.findings} findings were kept
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="data-table-container">
+            {loading && !run ? (
+              <div className="table-message">Loading data quality results...</div>
+            ) : !run ? (
+              <div className="table-message">No checks have run yet. Use 🩺 Run Checks to check the daily tables.</div>
+            ) : run.findings.length === 0 ? (
+              <div className="table-message table-message-ok">✅ No findings for these filters</div>
+            ) : (
+              <div className="table-wrapper">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>SEVERITY</th>
+                      <th>RULE</th>
+                      <th>TABLE</th>
+                      <th>CURRENCY</th>
+                      <th>LINE</th>
+                      <th>DATE</th>
+                      <th>FINDING</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {run.findings.map(finding => (
+                      <tr key={finding.id}>
+                        <td>
+                          <span className="status-badge" style={{ backgroundColor: SEVERITY_COLORS[finding.severity] || '#6b7280' }}>
+                            {finding.severity.toUpperCase()}
+                          </span>
+                        </td>
+                        <td>{ruleLabels[finding.rule] || finding.rule}</td>
+                        <td>{datasetLabels[finding.dataset] || finding.table_name}</td>
+                        <td>{finding.currency || '-'}</td>
+                        <td>{finding.line || '-'}</td>
+                        <td>
+                          {finding.date_from === finding.date_to
+                            ? finding.date_from
+                            : `${finding.date_from} to ${finding.date_to}`}
+                        </td>
+                        <td className="message">{finding.message}</td>
+                        <td>
+                          <Link href={findingHref(finding)} className="view-link">View rows →</Link>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </main>
+      </div>
+
+      <style jsx>{`
+        .dashboard-container {
+          display: flex;
+          min-height: 100vh;
+          background: #f8f9fa;
+        }
+
+        .dashboard-content {
+          flex: 1;
+          transition: margin-left 0.3s ease;
+        }
+
+        .sidebar-expanded {
+          margin-left: 280px;
+        }
+
+        .sidebar-collapsed {
+          margin-left: 75px;
+        }
+
+        .result-card {
+          background: white;
+          border-radius: 12px;
+          border-left: 4px solid #10b981;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          padding: 16px 20px;
+          margin-bottom: 24px;
+          font-size: 14px;
+          color: #1f2937;
+        }
+
+        .result-error {
+          border-left-color: #ef4444;
+          color: #b91c1c;
+        }
+
+        .result-warning {
+          border-left-color: #f59e0b;
+        }
+
+        .result-title {
+          font-weight: 600;
+          margin-bottom: 8px;
+        }
+
+        .result-line {
+          font-size: 13px;
+          margin-bottom: 4px;
+        }
+
+        .data-table-container {
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          overflow: hidden;
+          margin-bottom: 24px;
+        }
+
+        .table-message {
+          padding: 20px;
+          font-size: 14px;
+          color: #6b7280;
+          text-align: center;
+        }
+
+        .table-message-ok {
+          color: #166534;
+        }
+
+        .table-wrapper {
+          overflow-x: auto;
+        }
+
+        .data-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        .data-table th {
+          padding: 12px 16px;
+          text-align: left;
+          font-weight: 600;
+          color: #374151;
+          border-bottom: 2px solid #e5e7eb;
+          white-space: nowrap;
+          background: #f9fafb;
+        }
+
+        .data-table td {
+          padding: 12px 16px;
+          border-bottom: 1px solid #e5e7eb;
+          color: #1f2937;
+          white-space: nowrap;
+          vertical-align: top;
+        }
+
+        .data-table td.message {
+          white-space: normal;
+          min-width: 260px;
+        }
+
+        .status-badge {
+          color: white;
+          padding: 3px 8px;
+          border-radius: 4px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .data-table :global(.view-link) {
+          color: #3b82f6;
+          font-size: 13px;
+          font-weight: 600;
+          text-decoration: none;
+        }
+      `}</style>
+    </div>
+  );
+}
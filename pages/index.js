@@ -3,40 +3,68 @@ import { useRouter } from 'next/router';
 import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
 import StatCard from '../components/StatCard';
+import StandardStatCard from '../components/StandardStatCard';
+import { ComparisonSlicer, comparisonQuery } from '../components/slicers';
 import BarChart from '../components/BarChart';
 import LineChart from '../components/LineChart';
 import { useRoleAccess } from '../hooks/useRoleAccess';
+import { MONTH_NAMES, yearMonth, quarterOf, isoWeeksOfMonth, formatIsoWeek } from '../lib/periods';
 
 export default function Home() {
   const { user, loading: authLoading } = useRoleAccess('/');
   const [loading, setLoading] = useState(true);
   const [dashboardData, setDashboardData] = useState(null);
-  const [previousMonthData, setPreviousMonthData] = useState(null);
+  const [comparisonData, setComparisonData] = useState(null);
   const [lineChartData, setLineChartData] = useState(null);
   const [barChartData, setBarChartData] = useState(null);
   const [currency, setCurrency] = useState('MYR');
+  const [basis, setBasis] = useState('daily');
+  const [conversion, setConversion] = useState(null);
   const [year, setYear] = useState('2024');
   const [month, setMonth] = useState('July');
+  const [granularity, setGranularity] = useState('month');
+  const [week, setWeek] = useState('');
+  const [chartRange, setChartRange] = useState('year');
+  const [comparison, setComparison] = useState({ compare: 'mom', baselineYear: '2024', baselineMonth: 'January' });
   const [sidebarExpanded, setSidebarExpanded] = useState(true);
   const router = useRouter();
 
+  // Weeks of the selected month (ISO weeks whose Thursday falls in it); the
+  // last one until a week is picked
+  const weeks = isoWeeksOfMonth(yearMonth(year, month)).map(formatIsoWeek);
+  const selectedWeek = weeks.includes(week) ? week : weeks[weeks.length - 1];
+  const selectedQuarter = quarterOf(yearMonth(year, month)).quarter;
+
+  const changeGranularity = (value) => {
+    setGranularity(value);
+    // Weeks have no custom baseline
+    if (value === 'week' && comparison.compare === 'custom') {
+      setComparison({ ...comparison, compare: 'mom' });
+    }
+  };
+
   // OPTIMIZED: Parallel loading untuk smooth performance 🚀
   useEffect(() => {
     if (user) {
       setLoading(true);
       
-      const previousMonth = getPreviousMonth(month);
-      
+      const compareQuery = comparisonQuery(comparison);
+      // KPI period and chart points follow the granularity (week, month or quarter)
+      const periodQuery = `granularity=${granularity}&month=${month}${granularity === 'week' ? `&week=${selectedWeek}` : ''}`;
+      // Chart points: full year or rolling 12 months ending with the selected month
+      const chartQuery = `range=${chartRange}&${periodQuery}`;
+      // Month charts carry where this month lands and the next 3 months (lib/forecast.js)
+      const forecastQuery = granularity === 'month' ? '&forecast=true' : '';
+
       // PARALLEL LOADING - semua API call bersamaan = JAUH LEBIH CEPAT!
       const fetchPromises = [
-        fetch(`/api/main-dashboard?currency=${currency}&year=${year}&month=${month}`).then(res => res.json()),
-        fetch(`/api/main-dashboard?currency=${currency}&year=${year}&month=${previousMonth}`).then(res => res.json()),
-        fetch(`/api/line-chart-data?currency=${currency}&year=${year}`).then(res => res.json()),
-        fetch(`/api/bar-chart-data?currency=${currency}&year=${year}`).then(res => res.json())
+        fetch(`/api/main-dashboard?currency=${currency}&basis=${basis}&year=${year}&${periodQuery}&${compareQuery}`).then(res => res.json()),
+        fetch(`/api/line-chart-data?currency=${currency}&basis=${basis}&year=${year}&${chartQuery}&${compareQuery}${forecastQuery}`).then(res => res.json()),
+        fetch(`/api/bar-chart-data?currency=${currency}&basis=${basis}&year=${year}&${chartQuery}`).then(res => res.json())
       ];
       
       Promise.all(fetchPromises)
-        .then(([currentData, prevData, chartData, barData]) => {
+        .then(([currentData, chartData, barData]) => {
           console.log('🚀 PARALLEL LOADING COMPLETED - MUCH FASTER!');
           
           // Set current month data
@@ -44,12 +72,11 @@ export default function Home() {
             setDashboardData(currentData.data);
             console.log('📊 Current month data loaded:', currentData.data);
           }
+          // Conversion basis for ALL (in MYR/USD), shown on the amount cards
+          setConversion(currentData.conversion || null);
           
-          // Set previous month data
-          if (prevData.success) {
-            setPreviousMonthData(prevData.data);
-            console.log('📊 Previous month data loaded:', prevData.data);
-          }
+          // Baseline and % change for the selected comparison (MoM, YoY, YTD, custom)
+          setComparisonData(currentData.comparison || null);
           
           // Set line chart data
           if (chartData.success) {
@@ -76,25 +103,12 @@ export default function Home() {
           setLoading(false);
         });
     }
-  }, [currency, year, month, user]);
-
-  // Helper function to get previous month
-  const getPreviousMonth = (currentMonth) => {
-    const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const currentIndex = months.indexOf(currentMonth);
-    return currentIndex > 0 ? months[currentIndex - 1] : 'December';
-  };
-
-  // Calculate percentage change
-  const calculateChange = (current, previous) => {
-    if (!previous || previous === 0) return 0;
-    return ((current - previous) / previous) * 100;
-  };
+  }, [currency, basis, year, month, granularity, selectedWeek, chartRange, comparison, user]);
 
   // Format change percentage
   const formatChange = (change) => {
     const sign = change >= 0 ? '+' : '';
-    return `${sign}${Math.abs(change).toFixed(1)}%`;
+    return `${sign}${change.toFixed(1)}%`;
   };
 
   // Get currency logo
@@ -120,6 +134,8 @@ export default function Home() {
         return 'SGD';
       case 'KHR':
         return 'USC';
+      case 'ALL_USD':
+        return 'USD';
       default:
         return 'RM';
     }
@@ -192,10 +208,7 @@ export default function Home() {
       value: formatValue(dashboardData?.depositAmount, 'amount', true),
       icon: '💳',
       color: 'blue',
-      change: previousMonthData ? calculateChange(
-        parseFloat(dashboardData?.depositAmount || 0), 
-        parseFloat(previousMonthData?.depositAmount || 0)
-      ) : 0,
+      change: comparisonData?.change?.depositAmount || 0,
       isAmount: true,
       currencyLogo: getCurrencyLogo(currency)
     },
@@ -204,10 +217,7 @@ export default function Home() {
       value: formatValue(dashboardData?.withdrawAmount, 'amount', true),
       icon: '💸',
       color: 'red',
-      change: previousMonthData ? calculateChange(
-        parseFloat(dashboardData?.withdrawAmount || 0), 
-        parseFloat(previousMonthData?.withdrawAmount || 0)
-      ) : 0,
+      change: comparisonData?.change?.withdrawAmount || 0,
       isAmount: true,
       currencyLogo: getCurrencyLogo(currency)
     },
@@ -216,10 +226,7 @@ export default function Home() {
       value: formatValue(dashboardData?.grossProfit, 'amount', true),
       icon: '🔥',
       color: 'orange',
-      change: previousMonthData ? calculateChange(
-        parseFloat(dashboardData?.grossProfit || 0), 
-        parseFloat(previousMonthData?.grossProfit || 0)
-      ) : 0,
+      change: comparisonData?.change?.grossProfit || 0,
       isAmount: true,
       currencyLogo: getCurrencyLogo(currency)
     },
@@ -228,10 +235,7 @@ export default function Home() {
       value: formatValue(dashboardData?.netProfit, 'amount', true),
       icon: '💰',
       color: 'green',
-      change: previousMonthData ? calculateChange(
-        parseFloat(dashboardData?.netProfit || 0), 
-        parseFloat(previousMonthData?.netProfit || 0)
-      ) : 0,
+      change: comparisonData?.change?.netProfit || 0,
       isAmount: true,
       currencyLogo: getCurrencyLogo(currency)
     },
@@ -240,10 +244,7 @@ export default function Home() {
       value: formatValue(dashboardData?.newDepositor, 'count'),
       icon: '👤',
       color: 'purple',
-      change: previousMonthData ? calculateChange(
-        parseFloat(dashboardData?.newDepositor || 0), 
-        parseFloat(previousMonthData?.newDepositor || 0)
-      ) : 0,
+      change: comparisonData?.change?.newDepositor || 0,
       isAmount: false
     },
     {
@@ -251,10 +252,7 @@ export default function Home() {
       value: formatValue(dashboardData?.activeMember, 'count'),
       icon: '👥',
       color: 'blue',
-      change: previousMonthData ? calculateChange(
-        parseFloat(dashboardData?.activeMember || 0), 
-        parseFloat(previousMonthData?.activeMember || 0)
-      ) : 0,
+      change: comparisonData?.change?.activeMember || 0,
       isAmount: false
     },
 
@@ -299,20 +297,69 @@ export default function Home() {
                 <option value="MYR">MYR</option>
                 <option value="SGD">SGD</option>
                 <option value="KHR">KHR</option>
+                <option value="ALL_MYR">ALL (in MYR)</option>
+                <option value="ALL_USD">ALL (in USD)</option>
+              </select>
+            </div>
+            {currency.startsWith('ALL_') && (
+              <div className="filter-group">
+                <label>Rate:</label>
+                <select value={basis} onChange={e => setBasis(e.target.value)}>
+                  <option value="daily">Daily rate</option>
+                  <option value="monthly_avg">Month average</option>
+                </select>
+              </div>
+            )}
+            <div className="filter-group">
+              <label>View:</label>
+              <select value={granularity} onChange={e => changeGranularity(e.target.value)}>
+                <option value="week">Week</option>
+                <option value="month">Month</option>
+                <option value="quarter">Quarter</option>
               </select>
             </div>
+            {granularity === 'quarter' ? (
+              <div className="filter-group">
+                <label>Quarter:</label>
+                <select value={selectedQuarter} onChange={e => setMonth(MONTH_NAMES[e.target.value * 3 - 1])}>
+                  {[1, 2, 3, 4].map(quarter => (
+                    <option key={quarter} value={quarter}>Q{quarter}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div className="filter-group">
+                <label>Month:</label>
+                <select value={month} onChange={e => setMonth(e.target.value)}>
+                  {MONTH_NAMES.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {granularity === 'week' && (
+              <div className="filter-group">
+                <label>Week:</label>
+                <select value={selectedWeek} onChange={e => setWeek(e.target.value)}>
+                  {weeks.map(option => (
+                    <option key={option} value={option}>{option.slice(5)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div className="filter-group">
-              <label>Month:</label>
-              <select value={month} onChange={e => setMonth(e.target.value)}>
-                <option value="January">January</option>
-                <option value="February">February</option>
-                <option value="March">March</option>
-                <option value="April">April</option>
-                <option value="May">May</option>
-                <option value="June">June</option>
-                <option value="July">July</option>
+              <label>Charts:</label>
+              <select value={chartRange} onChange={e => setChartRange(e.target.value)}>
+                <option value="year">Full year</option>
+                <option value="rolling12">Rolling 12 months</option>
               </select>
             </div>
+            <ComparisonSlicer
+              value={comparison}
+              onChange={setComparison}
+              availableYears={['2022', '2023', '2024', '2025']}
+              granularity={granularity}
+            />
           </div>
         </div>
 
@@ -363,22 +410,24 @@ export default function Home() {
           ) : (
             <div className="dashboard-content">
               {/* KPI Cards Grid - Optimized */}
-              <div className="kpi-grid-improved">
+              <div className="kpi-grid-standard" data-card-count={statData.length}>
                 {statData.map((stat, i) => (
-                  <div key={i} className="kpi-card-improved">
-                    <div className="kpi-icon">{stat.icon}</div>
-                    <div className="kpi-content">
-                      <h3 className="kpi-title" style={{ color: '#374151' }}>
-                        {stat.title}
-                      </h3>
-                      <div className="kpi-value" style={{ color: '#000000' }}>
-                        {stat.value}
-                      </div>
-                      <div className={`kpi-change ${stat.change >= 0 ? 'positive' : 'negative'}`}>
-                        {formatChange(stat.change)} vs last month
+                  <StandardStatCard
+                    key={i}
+                    title={stat.title}
+                    value={stat.value}
+                    subtitle={formatChange(stat.change)}
+                    comparisonLabel={comparisonData?.label || 'vs last month'}
+                    icon={stat.icon}
+                    color="#374151"
+                  >
+                    {stat.isAmount && conversion && (
+                      <div className="kpi-conversion" title={conversion.disclosure}>
+                        💱 {conversion.basis === 'monthly_avg' ? 'Month-average rate' : 'Daily rate'}
+                        {conversion.unconvertedRows > 0 && ` · ⚠️ ${conversion.unconvertedRows} rows without rate`}
                       </div>
-                    </div>
-                  </div>
+                    )}
+                  </StandardStatCard>
                 ))}
               </div>
 
@@ -433,6 +482,8 @@ export default function Home() {
                       title="Growth vs Profitability Analysis" 
                       currency={currency}
                       showRatio={true}
+                      comparisonLabel={lineChartData.growthProfitabilityTrend.comparisonLabel}
+                      forecastCategories={lineChartData.growthProfitabilityTrend.forecastCategories}
                     />
                   ) : (
                     <div className="line-chart-placeholder">Loading strategic data...</div>
@@ -447,11 +498,60 @@ export default function Home() {
                       title="Operational Efficiency Trend" 
                       currency={currency}
                       showRatio={true}
+                      comparisonLabel={lineChartData.operationalEfficiencyTrend.comparisonLabel}
                     />
                   ) : (
                     <div className="line-chart-placeholder">Loading efficiency data...</div>
                   )}
                 </div>
+                <div className="chart-container chart-container-wide">
+                  <h3 className="chart-title" style={{ color: '#374151' }}>🔮 Deposit & Active Member Trend</h3>
+                  {lineChartData?.depositActivityTrend ? (
+                    <>
+                      <LineChart
+                        series={lineChartData.depositActivityTrend.series}
+                        categories={lineChartData.depositActivityTrend.categories}
+                        title="Deposit & Active Member Trend"
+                        currency={currency}
+                        showRatio={true}
+                        comparisonLabel={lineChartData.depositActivityTrend.comparisonLabel}
+                        forecastCategories={lineChartData.depositActivityTrend.forecastCategories}
+                      />
+                      {lineChartData.depositActivityTrend.forecastAsOf && (
+                        <div className="forecast-note">
+                          Dashed lines: forecast from data up to {lineChartData.depositActivityTrend.forecastAsOf}, shaded band ≈ 95% range
+                        </div>
+                      )}
+                      {lineChartData.forecastError && (
+                        <div className="forecast-note">
+                          Forecast unavailable: {lineChartData.forecastError}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <div className="line-chart-placeholder">Loading deposit data...</div>
+                  )}
+                </div>
+                <div className="chart-container chart-container-wide">
+                  <h3 className="chart-title" style={{ color: '#374151' }}>🚨 Deposit vs Withdraw Trend</h3>
+                  {lineChartData?.depositWithdrawTrend ? (
+                    <>
+                      <LineChart
+                        series={lineChartData.depositWithdrawTrend.series}
+                        categories={lineChartData.depositWithdrawTrend.categories}
+                        title="Deposit vs Withdraw Trend"
+                        currency={currency}
+                        showRatio={true}
+                        comparisonLabel={lineChartData.depositWithdrawTrend.comparisonLabel}
+                      />
+                      <div className="forecast-note">
+                        Red triangles: periods with days whose total deviates abnormally from the previous weeks for a currency/line
+                      </div>
+                    </>
+                  ) : (
+                    <div className="line-chart-placeholder">Loading deposit and withdraw data...</div>
+                  )}
+                </div>
               </div>
             </div>
           )}
@@ -726,6 +826,12 @@ export default function Home() {
             font-size: 1rem;
           }
 
+          .kpi-conversion {
+            font-size: 0.75rem;
+            color: #64748b;
+            margin-top: 4px;
+          }
+
           /* SKELETON LOADING STYLES - Smooth animations! */
           @keyframes shimmer {
             0% { background-position: -468px 0; }
@@ -856,6 +962,16 @@ export default function Home() {
             margin-top: 0px;
           }
 
+          .chart-container-wide {
+            grid-column: 1 / -1;
+          }
+
+          .forecast-note {
+            margin-top: 8px;
+            font-size: 0.75rem;
+            color: #6b7280;
+          }
+
           /* Responsive Line Charts Section */
           @media (max-width: 1024px) {
             .line-charts-section {
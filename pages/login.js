@@ -1,6 +1,14 @@
 import { useState } from 'react';
 import { useRouter } from 'next/router';
 
+// Only follow same-site paths from ?next= (set by middleware) - never an external URL
+function getRedirectTarget(next) {
+  if (typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/login')) {
+    return next;
+  }
+  return '/';
+}
+
 export default function Login() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
@@ -24,7 +32,7 @@ export default function Login() {
 
       if (response.ok) {
         setTimeout(() => {
-          window.location.href = '/';
+          window.location.href = getRedirectTarget(router.query.next);
         }, 100);
       } else {
         setError(data.error || 'Invalid credentials');
@@ -0,0 +1,393 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useRoleAccess } from '../hooks/useRoleAccess';
+import Sidebar from '../components/Sidebar';
+import Header from '../components/Header';
+import { MONTH_NAMES } from '../lib/periods';
+
+const YEARS = Array.from({ length: 5 }, (_, index) => String(new Date().getFullYear() - index));
+
+const STATUS_STYLES = {
+  mismatch: { label: 'MISMATCH', color: '#f59e0b' },
+  missing_monthly: { label: 'MISSING MONTHLY', color: '#ef4444' },
+  no_daily_data: { label: 'NO DAILY DATA', color: '#6b7280' }
+};
+
+function formatAmount(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+export default function Rollups() {
+  const { user, loading: authLoading, canManageUsers } = useRoleAccess('/rollups');
+  const [sidebarExpanded, setSidebarExpanded] = useState(true);
+
+  const [rollup, setRollup] = useState('ALL');
+  const [year, setYear] = useState(YEARS[0]);
+  const [month, setMonth] = useState('ALL');
+  const [options, setOptions] = useState({ rollups: [] });
+
+  const [reconciliation, setReconciliation] = useState([]);
+  const [checking, setChecking] = useState(true);
+  const [rebuilding, setRebuilding] = useState(false);
+  const [rebuildResult, setRebuildResult] = useState(null);
+
+  const fetchReconciliation = useCallback(async () => {
+    try {
+      setChecking(true);
+      const params = new URLSearchParams({ rollup, year });
+      const response = await fetch(`/api/rollups?${params}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setReconciliation(data.data);
+        setOptions(data.options);
+      } else {
+        console.error('❌ Error reconciling rollups:', data.error);
+      }
+    } catch (error) {
+      console.error('❌ Error reconciling rollups:', error);
+    } finally {
+      setChecking(false);
+    }
+  }, [rollup, year]);
+
+  useEffect(() => {
+    if (authLoading || !user || !canManageUsers) return;
+    fetchReconciliation();
+  }, [authLoading, user, canManageUsers, fetchReconciliation]);
+
+  const handleRebuild = async (target = { rollup, year, month }) => {
+    const period = target.month === 'ALL' ? `every month of ${target.year}` : `${target.month} ${target.year}`;
+    const name = target.rollup === 'ALL' ? 'all monthly tables' : target.rollup;
+    if (!confirm(`Rebuild ${name} for ${period} from the daily data?`)) return;
+
+    try {
+      setRebuilding(true);
+      setRebuildResult(null);
+      const response = await fetch('/api/rollups', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(target),
+      });
+
+      const data = await response.json();
+      setRebuildResult(data);
+      if (data.success) fetchReconciliation();
+    } catch (error) {
+      console.error('Rollup rebuild error:', error);
+      setRebuildResult({ success: false, error: 'Rebuild failed. Please try again.' });
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  if (authLoading || !user) {
+    return <div>Loading...</div>;
+  }
+
+  const selectStyle = {
+    padding: '8px 12px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '14px',
+    fontWeight: '500',
+    backgroundColor: 'white'
+  };
+
+  const buttonStyle = (enabled, color) => ({
+    padding: '8px 16px',
+    borderRadius: '6px',
+    border: 'none',
+    fontSize: '14px',
+    fontWeight: '600',
+    backgroundColor: enabled ? color : '#f3f4f6',
+    color: enabled ? 'white' : '#9ca3af',
+    cursor: enabled ? 'pointer' : 'not-allowed'
+  });
+
+  const busy = checking || rebuilding;
+
+  return (
+    <div className="dashboard-container">
+      <Sidebar user={user} onExpandedChange={setSidebarExpanded} />
+      <div className={`dashboard-content ${sidebarExpanded ? 'sidebar-expanded' : 'sidebar-collapsed'}`}>
+        <Header
+          title=""
+          sidebarExpanded={sidebarExpanded}
+          setSidebarExpanded={setSidebarExpanded}
+        />
+
+        {/* SUB HEADER - PERIOD */}
+        <div style={{
+          position: 'fixed',
+          top: '85px',
+          left: sidebarExpanded ? '0px' : '0px',
+          right: '0',
+          minHeight: '100px',
+          background: 'white',
+          borderBottom: '1px solid #e2e8f0',
+          boxShadow: '0 2px 8px rgba(0, 0, 0, 0.06)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '15px 48px',
+          zIndex: 1000,
+          transition: 'left 0.3s ease'
+        }}>
+          <div style={{ fontSize: '14px', fontWeight: '600', color: '#374151' }}>
+            Daily → Monthly Rollups
+          </div>
+
+          <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <select value={rollup} onChange={(e) => { setRollup(e.target.value); setRebuildResult(null); }} style={selectStyle}>
+              <option value="ALL">All Monthly Tables</option>
+              {options.rollups.map(option => (
+                <option key={option.id} value={option.id}>{option.label} ({option.target})</option>
+              ))}
+            </select>
+            <select value={year} onChange={(e) => { setYear(e.target.value); setRebuildResult(null); }} style={selectStyle}>
+              {YEARS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <select value={month} onChange={(e) => setMonth(e.target.value)} style={selectStyle}>
+              <option value="ALL">All Months</option>
+              {MONTH_NAMES.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+
+            <button onClick={fetchReconciliation} disabled={busy} style={buttonStyle(!busy, '#3b82f6')}>
+              {checking ? '⏳ Checking...' : '🔍 Check'}
+            </button>
+            <button onClick={() => handleRebuild()} disabled={busy} style={buttonStyle(!busy, '#10b981')}>
+              {rebuilding ? '⏳ Rebuilding...' : '🔁 Rebuild'}
+            </button>
+          </div>
+        </div>
+
+        {/* CONTENT */}
+        <main style={{ marginTop: '185px', padding: '24px' }}>
+          {rebuildResult && (
+            <div className={`result-card ${rebuildResult.success ? '' : 'result-error'}`}>
+              {!rebuildResult.success ? (
+                <div><strong>❌ {rebuildResult.error}</strong></div>
+              ) : (
+                <>
+                  <div className="result-title">✅ {rebuildResult.message}</div>
+                  {rebuildResult.data.map(result => (
+                    <div key={result.rollup} className="result-line">
+                      <strong>{result.target}</strong>:{' '}
+                      {result.periods.length === 0
+                        ? 'no daily data for this period'
+                        : result.periods.map(period => (period.skipped
+                          ? `${period.month} skipped (no daily rows)`
+                          : `${period.month} ${period.inserted.toLocaleString()} rows`)).join(' · ')}
+                    </div>
+                  ))}
+                </>
+              )}
+            </div>
+          )}
+
+          {checking && reconciliation.length === 0 ? (
+            <div className="data-table-container" style={{ padding: '20px', textAlign: 'center' }}>Checking monthly totals...</div>
+          ) : (
+            reconciliation.map(result => (
+              <div key={result.rollup} className="data-table-container">
+                <div className="table-header">
+                  <span>{result.label}: {result.target} vs {result.source}</span>
+                  <span className="table-meta">
+                    {result.measures.length > 0 ? `Compared: ${result.measures.join(', ')}` : ''}
+                  </span>
+                </div>
+
+                {result.error ? (
+                  <div className="table-message table-message-error">❌ {result.error}</div>
+                ) : result.mismatches.length === 0 ? (
+                  <div className="table-message">✅ Monthly totals for {year} match the daily data</div>
+                ) : (
+                  <div className="table-wrapper">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>MONTH</th>
+                          <th>CURRENCY</th>
+                          <th>STATUS</th>
+                          <th>ROWS (MONTHLY / DAILY)</th>
+                          <th>DIFFERENCES (DAILY − MONTHLY)</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.mismatches.map(mismatch => {
+                          const status = STATUS_STYLES[mismatch.status];
+
+                          return (
+                            <tr key={`${mismatch.year}-${mismatch.month}-${mismatch.currency}`}>
+                              <td>{mismatch.month} {mismatch.year}</td>
+                              <td>{mismatch.currency || '-'}</td>
+                              <td>
+                                <span className="status-badge" style={{ backgroundColor: status.color }}>{status.label}</span>
+                              </td>
+                              <td>{mismatch.storedRows.toLocaleString()} / {mismatch.dailyRows.toLocaleString()}</td>
+                              <td className="differences">
+                                {mismatch.differences.length === 0 ? '-' : mismatch.differences.map(entry => (
+                                  <div key={entry.column}>
+                                    {entry.column}: {formatAmount(entry.stored)} → {formatAmount(entry.derived)}
+                                    <span style={{ color: entry.difference > 0 ? '#10b981' : '#ef4444' }}>
+                                      {' '}({entry.difference > 0 ? '+' : ''}{formatAmount(entry.difference)})
+                                    </span>
+                                  </div>
+                                ))}
+                              </td>
+                              <td>
+                                {mismatch.status !== 'no_daily_data' && (
+                                  <button
+                                    onClick={() => handleRebuild({ rollup: result.rollup, year: mismatch.year, month: mismatch.month })}
+                                    disabled={busy}
+                                    style={{ ...buttonStyle(!busy, '#10b981'), padding: '4px 10px', fontSize: '12px' }}
+                                  >
+                                    🔁 Rebuild
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </main>
+      </div>
+
+      <style jsx>{`
+        .dashboard-container {
+          display: flex;
+          min-height: 100vh;
+          background: #f8f9fa;
+        }
+
+        .dashboard-content {
+          flex: 1;
+          transition: margin-left 0.3s ease;
+        }
+
+        .sidebar-expanded {
+          margin-left: 280px;
+        }
+
+        .sidebar-collapsed {
+          margin-left: 75px;
+        }
+
+        .result-card {
+          background: white;
+          border-radius: 12px;
+          border-left: 4px solid #10b981;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          padding: 16px 20px;
+          margin-bottom: 24px;
+          font-size: 14px;
+          color: #1f2937;
+        }
+
+        .result-error {
+          border-left-color: #ef4444;
+          color: #b91c1c;
+        }
+
+        .result-title {
+          font-weight: 600;
+          margin-bottom: 8px;
+        }
+
+        .result-line {
+          font-size: 13px;
+          margin-bottom: 4px;
+        }
+
+        .data-table-container {
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          overflow: hidden;
+          margin-bottom: 24px;
+        }
+
+        .table-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 16px;
+          font-size: 14px;
+          font-weight: 600;
+          color: #374151;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .table-meta {
+          font-size: 12px;
+          font-weight: 500;
+          color: #6b7280;
+        }
+
+        .table-message {
+          padding: 16px;
+          font-size: 14px;
+          color: #166534;
+        }
+
+        .table-message-error {
+          color: #b91c1c;
+        }
+
+        .table-wrapper {
+          overflow-x: auto;
+        }
+
+        .data-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        .data-table th {
+          padding: 12px 16px;
+          text-align: left;
+          font-weight: 600;
+          color: #374151;
+          border-bottom: 2px solid #e5e7eb;
+          white-space: nowrap;
+          background: #f9fafb;
+        }
+
+        .data-table td {
+          padding: 12px 16px;
+          border-bottom: 1px solid #e5e7eb;
+          color: #1f2937;
+          white-space: nowrap;
+          vertical-align: top;
+        }
+
+        .data-table td.differences {
+          font-size: 12px;
+          white-space: normal;
+        }
+
+        .status-badge {
+          color: white;
+          padding: 3px 8px;
+          border-radius: 4px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -4,6 +4,22 @@ import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
 import LineChart from '../components/LineChart';
 import BarChart from '../components/BarChart';
+import { ComparisonSlicer, comparisonQuery } from '../components/slicers';
+import { MONTH_NAMES } from '../lib/periods';
+
+const EMPTY_CHARTS = {
+  ggrUserTrend: { series: [{ name: 'GGR User', data: [] }], categories: [] },
+  ggrPureUserTrend: { series: [{ name: 'GGR Pure User', data: [] }], categories: [] },
+  customerValueTrend: { series: [{ name: 'Value per Headcount', data: [] }], categories: [] },
+  customerCountTrend: {
+    series: [
+      { name: 'Active Member', data: [] },
+      { name: 'Headcount', data: [] }
+    ],
+    categories: []
+  },
+  customerVolumeDept: { series: [{ name: 'Headcount', data: [] }], categories: ['Cashier', 'S&R', 'CS'], month: null }
+};
 
 export default function StrategicExecutive() {
   const { user, loading: authLoading } = useRoleAccess('/strategic-executive');
@@ -13,6 +29,7 @@ export default function StrategicExecutive() {
   const [year, setYear] = useState('2025');
   const [currency, setCurrency] = useState('MYR');
   const [month, setMonth] = useState('July');
+  const [comparison, setComparison] = useState({ compare: 'mom', baselineYear: '2025', baselineMonth: 'January' });
   
   // State untuk data - CONNECTED TO CENTRALIZED LOGIC
   const [strategicData, setStrategicData] = useState({
@@ -28,32 +45,8 @@ export default function StrategicExecutive() {
     headcountChange: 0
   });
 
-  // State untuk chart data - CONNECTED TO CENTRALIZED LOGIC
-  const [chartData, setChartData] = useState({
-    ggrUserTrend: {
-      series: [{ name: 'GGR User', data: [142.50, 155.25, 148.75, 160.80, 152.90, 165.26, 142.64] }],
-      categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-    },
-    ggrPureUserTrend: {
-      series: [{ name: 'GGR Pure User', data: [98.30, 102.45, 95.80, 108.20, 99.75, 112.15, 89.50] }],
-      categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-    },
-    customerValueTrend: {
-      series: [{ name: 'Value per Headcount', data: [154.20, 148.00, 149.50, 142.00, 115.00, 193.00, 142.00] }],
-      categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-    },
-    customerCountTrend: {
-      series: [
-        { name: 'Active Member', data: [8000, 7800, 7900, 7700, 6900, 7500, 6800] },
-        { name: 'Headcount', data: [55, 55, 50, 52, 50, 55, 48] }
-      ],
-      categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']
-    },
-    customerVolumeDept: {
-      series: [{ name: 'Headcount', data: [15, 10, 8] }],
-      categories: ['Cashier', 'S&R', 'CS']
-    }
-  });
+  // State untuk chart data - filled from /api/strategic-charts
+  const [chartData, setChartData] = useState(EMPTY_CHARTS);
 
   const [loading, setLoading] = useState(false);
 
@@ -66,7 +59,7 @@ export default function StrategicExecutive() {
         
         // PARALLEL LOADING - sudah optimal!
         const [kpiResponse, chartResponse] = await Promise.all([
-          fetch(`/api/strategic-executive?currency=${currency}&year=${year}&month=${month}`),
+          fetch(`/api/strategic-executive?currency=${currency}&year=${year}&month=${month}&${comparisonQuery(comparison)}`),
           fetch(`/api/strategic-charts?currency=${currency}&year=${year}`)
         ]);
 
@@ -80,6 +73,9 @@ export default function StrategicExecutive() {
           const chartsData = await chartResponse.json();
           setChartData(chartsData);
           console.log('📈 Strategic chart data loaded');
+        } else {
+          setChartData(EMPTY_CHARTS);
+          console.error('❌ Error loading strategic charts:', (await chartResponse.json()).error);
         }
         
         console.log('✅ Strategic Executive - PARALLEL LOADING COMPLETED');
@@ -90,7 +86,9 @@ export default function StrategicExecutive() {
     };
 
     fetchStrategicData();
-  }, [currency, year, month]); // AUTO SYNC when slicers change
+  }, [currency, year, month, comparison]); // AUTO SYNC when slicers change
+
+  const comparisonLabel = strategicData.comparison?.label || 'vs last month';
 
   if (authLoading) {
     return <div>Loading...</div>;
@@ -182,19 +180,12 @@ export default function StrategicExecutive() {
                 fontSize: '14px'
               }}
             >
-              <option value="January">January</option>
-              <option value="February">February</option>
-              <option value="March">March</option>
-              <option value="April">April</option>
-              <option value="May">May</option>
-              <option value="June">June</option>
-              <option value="July">July</option>
-              <option value="August">August</option>
-              <option value="September">September</option>
-              <option value="October">October</option>
-              <option value="November">November</option>
-              <option value="December">December</option>
+              {MONTH_NAMES.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
             </select>
+
+            <ComparisonSlicer value={comparison} onChange={setComparison} />
           </div>
         </div>
 
@@ -220,7 +211,7 @@ export default function StrategicExecutive() {
                   {loading ? '...' : `${strategicData.netProfit.toLocaleString()}`}
                 </div>
                 <div className={`kpi-change ${strategicData.netProfitChange >= 0 ? 'positive' : 'negative'}`}>
-                  {strategicData.netProfitChange >= 0 ? '+' : ''}{strategicData.netProfitChange}% vs last month
+                  {strategicData.netProfitChange >= 0 ? '+' : ''}{strategicData.netProfitChange}% {comparisonLabel}
                 </div>
               </div>
             </div>
@@ -236,7 +227,7 @@ export default function StrategicExecutive() {
                   {loading ? '...' : strategicData.ggrUser}
                 </div>
                 <div className={`kpi-change ${strategicData.ggrUserChange >= 0 ? 'positive' : 'negative'}`}>
-                  {strategicData.ggrUserChange >= 0 ? '+' : ''}{strategicData.ggrUserChange}% vs last month
+                  {strategicData.ggrUserChange >= 0 ? '+' : ''}{strategicData.ggrUserChange}% {comparisonLabel}
                 </div>
               </div>
             </div>
@@ -252,7 +243,7 @@ export default function StrategicExecutive() {
                   {loading ? '...' : strategicData.activeMember.toLocaleString()}
                 </div>
                 <div className={`kpi-change ${strategicData.activeMemberChange >= 0 ? 'positive' : 'negative'}`}>
-                  {strategicData.activeMemberChange >= 0 ? '+' : ''}{strategicData.activeMemberChange}% vs last month
+                  {strategicData.activeMemberChange >= 0 ? '+' : ''}{strategicData.activeMemberChange}% {comparisonLabel}
                 </div>
               </div>
             </div>
@@ -268,7 +259,7 @@ export default function StrategicExecutive() {
                   {loading ? '...' : strategicData.pureMember.toLocaleString()}
                 </div>
                 <div className={`kpi-change ${strategicData.pureMemberChange >= 0 ? 'positive' : 'negative'}`}>
-                  {strategicData.pureMemberChange >= 0 ? '+' : ''}{strategicData.pureMemberChange}% vs last month
+                  {strategicData.pureMemberChange >= 0 ? '+' : ''}{strategicData.pureMemberChange}% {comparisonLabel}
                 </div>
               </div>
             </div>
@@ -284,7 +275,7 @@ export default function StrategicExecutive() {
                   {loading ? '...' : strategicData.headcount}
                 </div>
                 <div className={`kpi-change ${strategicData.headcountChange >= 0 ? 'positive' : 'negative'}`}>
-                  {strategicData.headcountChange >= 0 ? '+' : ''}{strategicData.headcountChange}% vs last month
+                  {strategicData.headcountChange >= 0 ? '+' : ''}{strategicData.headcountChange}% {comparisonLabel}
                 </div>
               </div>
             </div>
@@ -433,7 +424,7 @@ export default function StrategicExecutive() {
               marginBottom: '16px',
               color: '#374151'
             }}>
-              Customer Volume by Department
+              Customer Volume by Department{chartData.customerVolumeDept.month ? ` (${chartData.customerVolumeDept.month} ${year})` : ''}
             </h3>
             {loading ? (
               <div style={{ height: '300px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -2,7 +2,12 @@ import { useState, useEffect, useCallback } from 'react';
 import { useRoleAccess } from '../../hooks/useRoleAccess';
 import Sidebar from '../../components/Sidebar';
 import Header from '../../components/Header';
+import RowHistoryDrawer from '../../components/RowHistoryDrawer';
+import ImportModal from '../../components/ImportModal';
+import ExportButton from '../../components/ExportButton';
 import { formatDateDisplay, formatDateForInput, isDateColumn } from '../../utils/dateFormatter';
+import { yearMonthOfDate, monthName } from '../../lib/periods';
+import { exchangeUniqueKey } from '../../lib/unique-keys';
 
 export default function Exchange() {
   const { user, loading: authLoading, canExportData, isReadOnly } = useRoleAccess('/transaction/exchange');
@@ -29,7 +34,6 @@ export default function Exchange() {
   });
   const [loading, setLoading] = useState(true);
   const [slicerLoading, setSlicerLoading] = useState(false);
-  const [exporting, setExporting] = useState(false);
 
   // INPUT FORM STATES
   const [showInputForm, setShowInputForm] = useState(false);
@@ -43,6 +47,12 @@ export default function Exchange() {
   const [editData, setEditData] = useState({});
   const [updating, setUpdating] = useState(false);
 
+  // ROW HISTORY STATE (uniquekey of the row whose history drawer is open)
+  const [historyKey, setHistoryKey] = useState(null);
+
+  // BULK IMPORT STATE
+  const [showImportModal, setShowImportModal] = useState(false);
+
   const fetchSlicerOptions = useCallback(async () => {
     try {
       setSlicerLoading(true);
@@ -99,14 +109,6 @@ export default function Exchange() {
 
 
 
-  // AUTO GENERATE UNIQUEKEY
-  const generateUniqueKey = (date, totalSgdToMyr, usdToMyr) => {
-    const dateStr = date || 'Unknown';
-    const sgdToMyr = totalSgdToMyr || '0';
-    const usdToMyrValue = usdToMyr || '0';
-    return `${dateStr}-${sgdToMyr}-${usdToMyrValue}`;
-  };
-
   // MONTH OPTIONS
   const monthOptions = [
     { value: 'January', label: 'January' },
@@ -149,12 +151,12 @@ export default function Exchange() {
     
     // Auto-fill month and year when date is selected
     if (field === 'date' && value) {
-      const selectedDate = new Date(value);
-      const monthName = selectedDate.toLocaleString('en-US', { month: 'long' });
-      const year = selectedDate.getFullYear();
+      const period = yearMonthOfDate(value);
       
-      newFormData.month = monthName;
-      newFormData.year = year.toString();
+      if (period) {
+        newFormData.month = monthName(period.month);
+        newFormData.year = period.year.toString();
+      }
     }
     
     // Auto-generate uniqueKey when date or value fields change
@@ -164,7 +166,7 @@ export default function Exchange() {
       const usdToMyr = newFormData.usd_to_myr || '0';
       
       if (date) {
-        const uniqueKey = generateUniqueKey(date, totalSgdToMyr, usdToMyr);
+        const uniqueKey = exchangeUniqueKey(date, totalSgdToMyr, usdToMyr);
         newFormData.uniquekey = uniqueKey;
       }
     }
@@ -234,12 +236,12 @@ export default function Exchange() {
     
     // Auto-fill month and year when date is selected in edit mode
     if (field === 'date' && value) {
-      const selectedDate = new Date(value);
-      const monthName = selectedDate.toLocaleString('en-US', { month: 'long' });
-      const year = selectedDate.getFullYear();
+      const period = yearMonthOfDate(value);
       
-      newEditData.month = monthName;
-      newEditData.year = year.toString();
+      if (period) {
+        newEditData.month = monthName(period.month);
+        newEditData.year = period.year.toString();
+      }
     }
     
     // Auto-generate uniqueKey when date or value fields change in edit mode
@@ -249,7 +251,7 @@ export default function Exchange() {
       const usdToMyr = newEditData.usd_to_myr || '0';
       
       if (date) {
-        const uniqueKey = generateUniqueKey(date, totalSgdToMyr, usdToMyr);
+        const uniqueKey = exchangeUniqueKey(date, totalSgdToMyr, usdToMyr);
         newEditData.uniquekey = uniqueKey;
       }
     }
@@ -272,7 +274,7 @@ export default function Exchange() {
       const usdToMyr = editData.usd_to_myr || '0';
       
       // Generate uniquekey baru
-      const generatedUniqueKey = generateUniqueKey(date, totalSgdToMyr, usdToMyr);
+      const generatedUniqueKey = exchangeUniqueKey(date, totalSgdToMyr, usdToMyr);
       
       // Get original uniquekey for WHERE clause
       const originalRow = exchangeData[editingRow];
@@ -343,59 +345,6 @@ export default function Exchange() {
     setEditData({});
   };
 
-  // EXPORT FUNCTION
-  const handleExport = async () => {
-    if (!canExportData) {
-      alert('You do not have permission to export data');
-      return;
-    }
-
-    try {
-      setExporting(true);
-      const response = await fetch('/api/exchange/export', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          month,
-          startDate: dateRange.start,
-          endDate: dateRange.end,
-          useDateRange
-        }),
-      });
-
-      if (response.ok) {
-        // Create download link
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        
-        // Get filename from response headers
-        const contentDisposition = response.headers.get('content-disposition');
-        const filename = contentDisposition 
-          ? contentDisposition.split('filename=')[1].replace(/"/g, '')
-          : 'exchange_daily_export.xlsx';
-        
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      } else {
-        const error = await response.json();
-        alert(`Export failed: ${error.error || 'Unknown error'}`);
-      }
-    } catch (error) {
-      console.error('Export error:', error);
-      alert('Export failed. Please try again.');
-    } finally {
-      setExporting(false);
-    }
-  };
-
   if (authLoading) {
     return <div>Loading...</div>;
   }
@@ -561,24 +510,38 @@ export default function Exchange() {
               {showInputForm ? '❌ Cancel' : '➕ Input Data'}
             </button>
 
-            {/* EXPORT BUTTON */}
+            {/* IMPORT BUTTON */}
             <button
-              onClick={handleExport}
-              disabled={isReadOnly || !canExportData || exporting || exchangeData.length === 0}
+              onClick={() => setShowImportModal(true)}
+              disabled={isReadOnly}
               style={{
                 padding: '8px 16px',
                 borderRadius: '6px',
                 border: 'none',
                 fontSize: '14px',
                 fontWeight: '600',
-                backgroundColor: isReadOnly || !canExportData || exchangeData.length === 0 ? '#f3f4f6' : '#10b981',
-                color: isReadOnly || !canExportData || exchangeData.length === 0 ? '#9ca3af' : 'white',
-                cursor: isReadOnly || !canExportData || exchangeData.length === 0 ? 'not-allowed' : 'pointer',
+                backgroundColor: isReadOnly ? '#f3f4f6' : '#8b5cf6',
+                color: isReadOnly ? '#9ca3af' : 'white',
+                cursor: isReadOnly ? 'not-allowed' : 'pointer',
                 transition: 'all 0.3s ease'
               }}
             >
-              {exporting ? '⏳ Exporting...' : '📥 Export Excel'}
+              📤 Import
             </button>
+
+            {/* EXPORT BUTTON */}
+            <ExportButton
+              endpoint="/api/exchange/export"
+              dataset="exchange"
+              data={exchangeData}
+              disabled={!canExportData}
+              params={{
+                month,
+                startDate: dateRange.start,
+                endDate: dateRange.end,
+                useDateRange
+              }}
+            />
           </div>
         </div>
 
@@ -747,22 +710,40 @@ export default function Exchange() {
                               </button>
                             </div>
                           ) : (
-                            <button
-                              onClick={() => handleEditClick(rowIndex)}
-                              disabled={isReadOnly}
-                              style={{
-                                padding: '4px 8px',
-                                borderRadius: '4px',
-                                border: 'none',
-                                fontSize: '12px',
-                                fontWeight: '600',
-                                backgroundColor: isReadOnly ? '#f3f4f6' : '#3b82f6',
-                                color: isReadOnly ? '#9ca3af' : 'white',
-                                cursor: isReadOnly ? 'not-allowed' : 'pointer'
-                              }}
-                            >
-                              ✏️
-                            </button>
+                            <div style={{ display: 'flex', gap: '8px' }}>
+                              <button
+                                onClick={() => handleEditClick(rowIndex)}
+                                disabled={isReadOnly}
+                                style={{
+                                  padding: '4px 8px',
+                                  borderRadius: '4px',
+                                  border: 'none',
+                                  fontSize: '12px',
+                                  fontWeight: '600',
+                                  backgroundColor: isReadOnly ? '#f3f4f6' : '#3b82f6',
+                                  color: isReadOnly ? '#9ca3af' : 'white',
+                                  cursor: isReadOnly ? 'not-allowed' : 'pointer'
+                                }}
+                              >
+                                ✏️
+                              </button>
+                              <button
+                                onClick={() => setHistoryKey(row.uniquekey)}
+                                title="Row history"
+                                style={{
+                                  padding: '4px 8px',
+                                  borderRadius: '4px',
+                                  border: 'none',
+                                  fontSize: '12px',
+                                  fontWeight: '600',
+                                  backgroundColor: '#6b7280',
+                                  color: 'white',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                🕘
+                              </button>
+                            </div>
                           )}
                         </td>
                       </tr>
@@ -1117,6 +1098,31 @@ export default function Exchange() {
         )}
       </div>
 
+      {historyKey && (
+        <RowHistoryDrawer
+          endpoint="/api/exchange"
+          uniquekey={historyKey}
+          isReadOnly={isReadOnly}
+          onClose={() => setHistoryKey(null)}
+          onReverted={() => {
+            setHistoryKey(null);
+            fetchExchangeData(); // Refresh data
+          }}
+        />
+      )}
+
+      {showImportModal && (
+        <ImportModal
+          endpoint="/api/exchange"
+          title="Import Exchange Rates"
+          onClose={() => setShowImportModal(false)}
+          onImported={() => {
+            setShowImportModal(false);
+            fetchExchangeData(); // Refresh data
+          }}
+        />
+      )}
+
       <style jsx>{`
         .dashboard-container {
           display: flex;
@@ -2,7 +2,12 @@ import { useState, useEffect } from 'react';
 import { useRoleAccess } from '../../hooks/useRoleAccess';
 import Sidebar from '../../components/Sidebar';
 import Header from '../../components/Header';
+import RowHistoryDrawer from '../../components/RowHistoryDrawer';
+import ImportModal from '../../components/ImportModal';
+import ExportButton from '../../components/ExportButton';
 import { formatDateDisplay, formatDateForInput, isDateColumn } from '../../utils/dateFormatter';
+import { yearMonthOfDate, monthName } from '../../lib/periods';
+import { headcountUniqueKey } from '../../lib/unique-keys';
 
 export default function Headcount() {
   const { user, loading: authLoading, canExportData, isReadOnly } = useRoleAccess('/transaction/headcount');
@@ -29,7 +34,6 @@ export default function Headcount() {
   });
   const [loading, setLoading] = useState(true);
   const [slicerLoading, setSlicerLoading] = useState(false);
-  const [exporting, setExporting] = useState(false);
 
   // INPUT FORM STATES
   const [showInputForm, setShowInputForm] = useState(false);
@@ -43,6 +47,12 @@ export default function Headcount() {
   const [editData, setEditData] = useState({});
   const [updating, setUpdating] = useState(false);
 
+  // ROW HISTORY STATE (uniquekey of the row whose history drawer is open)
+  const [historyKey, setHistoryKey] = useState(null);
+
+  // BULK IMPORT STATE
+  const [showImportModal, setShowImportModal] = useState(false);
+
   useEffect(() => {
     fetchSlicerOptions();
     fetchHeadcountData();
@@ -118,13 +128,6 @@ export default function Headcount() {
     }
   };
 
-  // AUTO GENERATE UNIQUEKEY
-  const generateUniqueKey = (month, totalSgd, totalMyr, totalUsc) => {
-    const monthName = month || 'Unknown';
-    const total = (parseInt(totalSgd) || 0) + (parseInt(totalMyr) || 0) + (parseInt(totalUsc) || 0);
-    return `${monthName}-${total}`;
-  };
-
   // MONTH OPTIONS
   const monthOptions = [
     { value: 'January', label: 'January' },
@@ -146,12 +149,12 @@ export default function Headcount() {
     
     // Auto-fill month and year when date is selected
     if (field === 'date' && value) {
-      const selectedDate = new Date(value);
-      const monthName = selectedDate.toLocaleString('en-US', { month: 'long' });
-      const year = selectedDate.getFullYear();
+      const period = yearMonthOfDate(value);
       
-      newFormData.month = monthName;
-      newFormData.year = year.toString();
+      if (period) {
+        newFormData.month = monthName(period.month);
+        newFormData.year = period.year.toString();
+      }
     }
     
     // Auto-generate uniqueKey when month or totals change
@@ -162,7 +165,7 @@ export default function Headcount() {
       const totalUsc = newFormData.total_usc || newFormData['total usc'];
       
       if (month) {
-        const uniqueKey = generateUniqueKey(month, totalSgd, totalMyr, totalUsc);
+        const uniqueKey = headcountUniqueKey(month, totalSgd, totalMyr, totalUsc);
         newFormData.uniquekey = uniqueKey;
       }
     }
@@ -232,12 +235,12 @@ export default function Headcount() {
     
     // Auto-fill month and year when date is selected in edit mode
     if (field === 'date' && value) {
-      const selectedDate = new Date(value);
-      const monthName = selectedDate.toLocaleString('en-US', { month: 'long' });
-      const year = selectedDate.getFullYear();
+      const period = yearMonthOfDate(value);
       
-      newEditData.month = monthName;
-      newEditData.year = year.toString();
+      if (period) {
+        newEditData.month = monthName(period.month);
+        newEditData.year = period.year.toString();
+      }
     }
     
     // Auto-generate uniqueKey when date or totals change in edit mode
@@ -248,7 +251,7 @@ export default function Headcount() {
       const totalUsc = newEditData.total_usc || newEditData['total usc'] || '0';
       
       if (month) {
-        const uniqueKey = generateUniqueKey(month, totalSgd, totalMyr, totalUsc);
+        const uniqueKey = headcountUniqueKey(month, totalSgd, totalMyr, totalUsc);
         newEditData.uniquekey = uniqueKey;
       }
     }
@@ -273,7 +276,7 @@ export default function Headcount() {
       const totalUsc = editData.total_usc || editData['total usc'] || '0';
       
       // Generate uniquekey baru
-      const generatedUniqueKey = generateUniqueKey(month, totalSgd, totalMyr, totalUsc);
+      const generatedUniqueKey = headcountUniqueKey(month, totalSgd, totalMyr, totalUsc);
       
       // Get original uniquekey for WHERE clause
       const originalRow = headcountData[editingRow];
@@ -360,58 +363,6 @@ export default function Headcount() {
     }
   };
 
-  const handleExport = async () => {
-    if (!canExportData) {
-      alert('You do not have permission to export data');
-      return;
-    }
-
-    try {
-      setExporting(true);
-      const response = await fetch('/api/headcount/export', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          month,
-          startDate: dateRange.start,
-          endDate: dateRange.end,
-          useDateRange
-        }),
-      });
-
-      if (response.ok) {
-        // Create download link
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        
-        // Get filename from response headers
-        const contentDisposition = response.headers.get('content-disposition');
-        const filename = contentDisposition 
-          ? contentDisposition.split('filename=')[1].replace(/"/g, '')
-          : 'headcount_data_export.xlsx';
-        
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      } else {
-        const error = await response.json();
-        alert(`Export failed: ${error.error || 'Unknown error'}`);
-      }
-    } catch (error) {
-      console.error('Export error:', error);
-      alert('Export failed. Please try again.');
-    } finally {
-      setExporting(false);
-    }
-  };
-
   if (authLoading) {
     return <div>Loading...</div>;
   }
@@ -573,24 +524,38 @@ export default function Headcount() {
               {showInputForm ? '❌ Cancel' : '➕ Input Data'}
             </button>
 
-            {/* EXPORT BUTTON */}
+            {/* IMPORT BUTTON */}
             <button
-              onClick={handleExport}
-              disabled={isReadOnly || !canExportData || exporting || headcountData.length === 0}
+              onClick={() => setShowImportModal(true)}
+              disabled={isReadOnly}
               style={{
                 padding: '8px 16px',
                 borderRadius: '6px',
                 border: 'none',
                 fontSize: '14px',
                 fontWeight: '600',
-                backgroundColor: isReadOnly || !canExportData || headcountData.length === 0 ? '#f3f4f6' : '#10b981',
-                color: isReadOnly || !canExportData || headcountData.length === 0 ? '#9ca3af' : 'white',
-                cursor: isReadOnly || !canExportData || headcountData.length === 0 ? 'not-allowed' : 'pointer',
+                backgroundColor: isReadOnly ? '#f3f4f6' : '#8b5cf6',
+                color: isReadOnly ? '#9ca3af' : 'white',
+                cursor: isReadOnly ? 'not-allowed' : 'pointer',
                 transition: 'all 0.3s ease'
               }}
             >
-              {exporting ? '⏳ Exporting...' : '📥 Export Excel'}
+              📤 Import
             </button>
+
+            {/* EXPORT BUTTON */}
+            <ExportButton
+              endpoint="/api/headcount/export"
+              dataset="headcount"
+              data={headcountData}
+              disabled={!canExportData}
+              params={{
+                month,
+                startDate: dateRange.start,
+                endDate: dateRange.end,
+                useDateRange
+              }}
+            />
           </div>
         </div>
 
@@ -762,22 +727,40 @@ export default function Headcount() {
                               </button>
                             </div>
                           ) : (
-                            <button
-                              onClick={() => handleEditClick(rowIndex)}
-                              disabled={isReadOnly}
-                              style={{
-                                padding: '4px 8px',
-                                borderRadius: '4px',
-                                border: 'none',
-                                fontSize: '12px',
-                                fontWeight: '600',
-                                backgroundColor: isReadOnly ? '#f3f4f6' : '#3b82f6',
-                                color: isReadOnly ? '#9ca3af' : 'white',
-                                cursor: isReadOnly ? 'not-allowed' : 'pointer'
-                              }}
-                            >
-                              ✏️
-                            </button>
+                            <div style={{ display: 'flex', gap: '8px' }}>
+                              <button
+                                onClick={() => handleEditClick(rowIndex)}
+                                disabled={isReadOnly}
+                                style={{
+                                  padding: '4px 8px',
+                                  borderRadius: '4px',
+                                  border: 'none',
+                                  fontSize: '12px',
+                                  fontWeight: '600',
+                                  backgroundColor: isReadOnly ? '#f3f4f6' : '#3b82f6',
+                                  color: isReadOnly ? '#9ca3af' : 'white',
+                                  cursor: isReadOnly ? 'not-allowed' : 'pointer'
+                                }}
+                              >
+                                ✏️
+                              </button>
+                              <button
+                                onClick={() => setHistoryKey(row.uniquekey)}
+                                title="Row history"
+                                style={{
+                                  padding: '4px 8px',
+                                  borderRadius: '4px',
+                                  border: 'none',
+                                  fontSize: '12px',
+                                  fontWeight: '600',
+                                  backgroundColor: '#6b7280',
+                                  color: 'white',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                🕘
+                              </button>
+                            </div>
                           )}
                         </td>
                       </tr>
@@ -1189,6 +1172,31 @@ export default function Headcount() {
         </div>
       </div>
 
+      {historyKey && (
+        <RowHistoryDrawer
+          endpoint="/api/headcount"
+          uniquekey={historyKey}
+          isReadOnly={isReadOnly}
+          onClose={() => setHistoryKey(null)}
+          onReverted={() => {
+            setHistoryKey(null);
+            fetchHeadcountData(); // Refresh data
+          }}
+        />
+      )}
+
+      {showImportModal && (
+        <ImportModal
+          endpoint="/api/headcount"
+          title="Import Headcount Data"
+          onClose={() => setShowImportModal(false)}
+          onImported={() => {
+            setShowImportModal(false);
+            fetchHeadcountData(); // Refresh data
+          }}
+        />
+      )}
+
       <style jsx>{`
         .dashboard-container {
           display: flex;
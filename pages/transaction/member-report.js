@@ -1,11 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useRoleAccess } from '../../hooks/useRoleAccess';
+import { useUrlFilters } from '../../hooks/useUrlFilters';
 import Sidebar from '../../components/Sidebar';
 import Header from '../../components/Header';
+import ExportButton from '../../components/ExportButton';
 import { formatDateDisplay, formatDateForInput, isDateColumn } from '../../utils/dateFormatter';
 
 export default function MemberReport() {
-  const { user, loading: authLoading, canExportData, isReadOnly } = useRoleAccess('/transaction/member-report');
+  const { user, loading: authLoading, canExportData } = useRoleAccess('/transaction/member-report');
   const [sidebarExpanded, setSidebarExpanded] = useState(true);
   
   // SLICERS STATE
@@ -17,6 +19,18 @@ export default function MemberReport() {
   const [filterMode, setFilterMode] = useState('month'); // 'month' or 'daterange'
   const [useDateRange, setUseDateRange] = useState(false);
 
+  // Filters from the URL (links from the Data Quality page)
+  useUrlFilters((filters) => {
+    if (filters.currency) setCurrency(filters.currency);
+    if (filters.line) setLine(filters.line);
+    if (filters.startDate && filters.endDate) {
+      setDateRange({ start: filters.startDate, end: filters.endDate });
+      setUseDateRange(true);
+      setFilterMode('daterange');
+      setMonth('');
+    }
+  });
+
   // DATA STATES
   const [member_reportData, setMember_reportData] = useState([]);
   const [pagination, setPagination] = useState({
@@ -36,7 +50,6 @@ export default function MemberReport() {
   });
   const [loading, setLoading] = useState(true);
   const [slicerLoading, setSlicerLoading] = useState(false);
-  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchSlicerOptions();
@@ -138,62 +151,6 @@ export default function MemberReport() {
     }
   };
 
-  // EXPORT FUNCTION
-  const handleExport = async () => {
-    if (!canExportData) {
-      alert('You do not have permission to export data');
-      return;
-    }
-
-    try {
-      setExporting(true);
-      const response = await fetch('/api/member-report/export', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          currency,
-          line,
-          year,
-          month,
-          startDate: dateRange.start,
-          endDate: dateRange.end,
-          filterMode
-        }),
-      });
-
-      if (response.ok) {
-        // Create download link
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        
-        // Get filename from response headers
-        const contentDisposition = response.headers.get('content-disposition');
-        const filename = contentDisposition 
-          ? contentDisposition.split('filename=')[1].replace(/"/g, '')
-          : 'member_report_daily_export.xlsx';
-        
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      } else {
-        const error = await response.json();
-        alert(`Export failed: ${error.error || 'Unknown error'}`);
-      }
-    } catch (error) {
-      console.error('Export error:', error);
-      alert('Export failed. Please try again.');
-    } finally {
-      setExporting(false);
-    }
-  };
-
   if (authLoading) {
     return <div>Loading...</div>;
   }
@@ -405,23 +362,21 @@ export default function MemberReport() {
             />
 
             {/* EXPORT BUTTON */}
-            <button
-              onClick={handleExport}
-              disabled={isReadOnly || !canExportData || exporting || member_reportData.length === 0}
-              style={{
-                padding: '8px 16px',
-                borderRadius: '6px',
-                border: 'none',
-                fontSize: '14px',
-                fontWeight: '600',
-                backgroundColor: isReadOnly || !canExportData || member_reportData.length === 0 ? '#f3f4f6' : '#10b981',
-                color: isReadOnly || !canExportData || member_reportData.length === 0 ? '#9ca3af' : 'white',
-                cursor: isReadOnly || !canExportData || member_reportData.length === 0 ? 'not-allowed' : 'pointer',
-                transition: 'all 0.3s ease'
+            <ExportButton
+              endpoint="/api/member-report/export"
+              dataset="member-report"
+              data={member_reportData}
+              disabled={!canExportData}
+              params={{
+                currency,
+                line,
+                year,
+                month,
+                startDate: dateRange.start,
+                endDate: dateRange.end,
+                filterMode
               }}
-            >
-              {exporting ? '⏳ Exporting...' : '📥 Export Excel'}
-            </button>
+            />
           </div>
         </div>
 
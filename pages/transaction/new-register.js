@@ -2,10 +2,11 @@ import { useState, useEffect } from 'react';
 import { useRoleAccess } from '../../hooks/useRoleAccess';
 import Sidebar from '../../components/Sidebar';
 import Header from '../../components/Header';
+import ExportButton from '../../components/ExportButton';
 import { formatDateDisplay, formatDateForInput, isDateColumn } from '../../utils/dateFormatter';
 
 export default function NewRegister() {
-  const { user, loading: authLoading, canExportData, isReadOnly } = useRoleAccess('/transaction/new-register');
+  const { user, loading: authLoading, canExportData } = useRoleAccess('/transaction/new-register');
   const [sidebarExpanded, setSidebarExpanded] = useState(true);
   
   // SLICERS STATE
@@ -36,7 +37,6 @@ export default function NewRegister() {
   });
   const [loading, setLoading] = useState(true);
   const [slicerLoading, setSlicerLoading] = useState(false);
-  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchSlicerOptions();
@@ -138,62 +138,6 @@ export default function NewRegister() {
     }
   };
 
-  // EXPORT FUNCTION
-  const handleExport = async () => {
-    if (!canExportData) {
-      alert('You do not have permission to export data');
-      return;
-    }
-
-    try {
-      setExporting(true);
-      const response = await fetch('/api/new-register/export', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          currency,
-          line,
-          year,
-          month,
-          startDate: dateRange.start,
-          endDate: dateRange.end,
-          filterMode
-        }),
-      });
-
-      if (response.ok) {
-        // Create download link
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        
-        // Get filename from response headers
-        const contentDisposition = response.headers.get('content-disposition');
-        const filename = contentDisposition 
-          ? contentDisposition.split('filename=')[1].replace(/"/g, '')
-          : 'new_register_export.xlsx';
-        
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      } else {
-        const error = await response.json();
-        alert(`Export failed: ${error.error || 'Unknown error'}`);
-      }
-    } catch (error) {
-      console.error('Export error:', error);
-      alert('Export failed. Please try again.');
-    } finally {
-      setExporting(false);
-    }
-  };
-
   if (authLoading) {
     return <div>Loading...</div>;
   }
@@ -405,23 +349,21 @@ export default function NewRegister() {
             />
 
             {/* EXPORT BUTTON */}
-            <button
-              onClick={handleExport}
-              disabled={isReadOnly || !canExportData || exporting || newRegisterData.length === 0}
-              style={{
-                padding: '8px 16px',
-                borderRadius: '6px',
-                border: 'none',
-                fontSize: '14px',
-                fontWeight: '600',
-                backgroundColor: isReadOnly || !canExportData || newRegisterData.length === 0 ? '#f3f4f6' : '#10b981',
-                color: isReadOnly || !canExportData || newRegisterData.length === 0 ? '#9ca3af' : 'white',
-                cursor: isReadOnly || !canExportData || newRegisterData.length === 0 ? 'not-allowed' : 'pointer',
-                transition: 'all 0.3s ease'
+            <ExportButton
+              endpoint="/api/new-register/export"
+              dataset="new-register"
+              data={newRegisterData}
+              disabled={!canExportData}
+              params={{
+                currency,
+                line,
+                year,
+                month,
+                startDate: dateRange.start,
+                endDate: dateRange.end,
+                filterMode
               }}
-            >
-              {exporting ? '⏳ Exporting...' : '📥 Export Excel'}
-            </button>
+            />
           </div>
         </div>
 
@@ -1,11 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useRoleAccess } from '../../hooks/useRoleAccess';
+import { useUrlFilters } from '../../hooks/useUrlFilters';
 import Sidebar from '../../components/Sidebar';
 import Header from '../../components/Header';
+import ExportButton from '../../components/ExportButton';
 import { formatDateDisplay, formatDateForInput, isDateColumn } from '../../utils/dateFormatter';
 
 export default function Withdraw() {
-  const { user, loading: authLoading, canExportData, isReadOnly } = useRoleAccess('/transaction/withdraw');
+  const { user, loading: authLoading, canExportData } = useRoleAccess('/transaction/withdraw');
   const [sidebarExpanded, setSidebarExpanded] = useState(true);
   
   // SLICERS STATE
@@ -16,6 +18,19 @@ export default function Withdraw() {
   const [dateRange, setDateRange] = useState({ start: '', end: '' });
   const [filterMode, setFilterMode] = useState('month'); // 'month' or 'daterange'
   const [useDateRange, setUseDateRange] = useState(false);
+  const [anomaliesOnly, setAnomaliesOnly] = useState(false); // days flagged by lib/anomalies.js
+
+  // Filters from the URL (links from the Data Quality page)
+  useUrlFilters((filters) => {
+    if (filters.currency) setCurrency(filters.currency);
+    if (filters.line) setLine(filters.line);
+    if (filters.startDate && filters.endDate) {
+      setDateRange({ start: filters.startDate, end: filters.endDate });
+      setUseDateRange(true);
+      setFilterMode('daterange');
+      setMonth('');
+    }
+  });
 
   // DATA STATES
   const [withdrawData, setWithdrawData] = useState([]);
@@ -36,7 +51,6 @@ export default function Withdraw() {
   });
   const [loading, setLoading] = useState(true);
   const [slicerLoading, setSlicerLoading] = useState(false);
-  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchSlicerOptions();
@@ -49,7 +63,7 @@ export default function Withdraw() {
 
   useEffect(() => {
     fetchWithdrawData();
-  }, [currency, line, year, month, dateRange, filterMode, pagination.currentPage]);
+  }, [currency, line, year, month, dateRange, filterMode, anomaliesOnly, pagination.currentPage]);
 
   const fetchSlicerOptions = async () => {
     try {
@@ -87,6 +101,7 @@ export default function Withdraw() {
         startDate: dateRange.start,
         endDate: dateRange.end,
         filterMode,
+        anomaliesOnly: String(anomaliesOnly),
         page: pagination.currentPage.toString(),
         limit: pagination.recordsPerPage.toString()
       });
@@ -138,62 +153,6 @@ export default function Withdraw() {
     }
   };
 
-  // EXPORT FUNCTION
-  const handleExport = async () => {
-    if (!canExportData) {
-      alert('You do not have permission to export data');
-      return;
-    }
-
-    try {
-      setExporting(true);
-      const response = await fetch('/api/withdraw/export', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          currency,
-          line,
-          year,
-          month,
-          startDate: dateRange.start,
-          endDate: dateRange.end,
-          filterMode
-        }),
-      });
-
-      if (response.ok) {
-        // Create download link
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        
-        // Get filename from response headers
-        const contentDisposition = response.headers.get('content-disposition');
-        const filename = contentDisposition 
-          ? contentDisposition.split('filename=')[1].replace(/"/g, '')
-          : 'withdraw_daily_export.xlsx';
-        
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      } else {
-        const error = await response.json();
-        alert(`Export failed: ${error.error || 'Unknown error'}`);
-      }
-    } catch (error) {
-      console.error('Export error:', error);
-      alert('Export failed. Please try again.');
-    } finally {
-      setExporting(false);
-    }
-  };
-
   if (authLoading) {
     return <div>Loading...</div>;
   }
@@ -404,24 +363,58 @@ export default function Withdraw() {
               }}
             />
 
-            {/* EXPORT BUTTON */}
-            <button
-              onClick={handleExport}
-              disabled={isReadOnly || !canExportData || exporting || withdrawData.length === 0}
-              style={{
-                padding: '8px 16px',
-                borderRadius: '6px',
-                border: 'none',
+            {/* ANOMALOUS DAYS TOGGLE CHECKBOX */}
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '8px 12px',
+              borderRadius: '6px',
+              border: '1px solid #d1d5db',
+              backgroundColor: anomaliesOnly ? '#fef2f2' : 'white'
+            }}>
+              <input
+                id="anomalies-only"
+                type="checkbox"
+                checked={anomaliesOnly}
+                onChange={(e) => {
+                  setAnomaliesOnly(e.target.checked);
+                  setPagination(prev => ({ ...prev, currentPage: 1 }));
+                }}
+                style={{
+                  width: '16px',
+                  height: '16px',
+                  cursor: 'pointer'
+                }}
+              />
+              <label htmlFor="anomalies-only" style={{
                 fontSize: '14px',
-                fontWeight: '600',
-                backgroundColor: isReadOnly || !canExportData || withdrawData.length === 0 ? '#f3f4f6' : '#10b981',
-                color: isReadOnly || !canExportData || withdrawData.length === 0 ? '#9ca3af' : 'white',
-                cursor: isReadOnly || !canExportData || withdrawData.length === 0 ? 'not-allowed' : 'pointer',
-                transition: 'all 0.3s ease'
+                fontWeight: '500',
+                color: anomaliesOnly ? '#b91c1c' : '#374151',
+                cursor: 'pointer',
+                userSelect: 'none'
+              }}>
+                🚨 Anomalous days only
+              </label>
+            </div>
+
+            {/* EXPORT BUTTON */}
+            <ExportButton
+              endpoint="/api/withdraw/export"
+              dataset="withdraw"
+              data={withdrawData}
+              disabled={!canExportData}
+              params={{
+                currency,
+                line,
+                year,
+                month,
+                startDate: dateRange.start,
+                endDate: dateRange.end,
+                filterMode,
+                anomaliesOnly
               }}
-            >
-              {exporting ? '⏳ Exporting...' : '📥 Export Excel'}
-            </button>
+            />
           </div>
         </div>
 
@@ -455,7 +448,7 @@ export default function Withdraw() {
             }}>
               <div style={{ fontSize: '48px' }}>📭</div>
               <div style={{ fontSize: '18px', color: '#6b7280' }}>
-                No withdraw data found for the selected filters
+                {anomaliesOnly ? 'No anomalous days found for the selected filters' : 'No withdraw data found for the selected filters'}
               </div>
             </div>
           ) : (
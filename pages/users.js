@@ -76,7 +76,7 @@ export default function Users() {
       id: userToEdit.id,
       username: userToEdit.username,
       email: userToEdit.email || '',
-      password: userToEdit.password,
+      password: '', // Passwords are hashed - blank keeps the current one
       role: userToEdit.role
     });
     setShowEditModal(true);
@@ -151,7 +151,7 @@ export default function Users() {
       const data = await response.json();
       if (data.success) {
         alert('Password reset successfully!');
-        fetchUsers(); // Refresh to show updated password
+        fetchUsers();
       } else {
         alert('Error: ' + data.error);
       }
@@ -302,10 +302,9 @@ export default function Users() {
                   />
                   <input
                     type="password"
-                    placeholder="New Password"
+                    placeholder="New Password (leave blank to keep current)"
                     value={editingUser.password}
                     onChange={(e) => setEditingUser({...editingUser, password: e.target.value})}
-                    required
                   />
                   <select
                     value={editingUser.role}
@@ -332,7 +331,6 @@ export default function Users() {
                 <tr>
                   <th>ID</th>
                   <th>Username</th>
-                  <th>Password</th>
                   <th>Email</th>
                   <th>Role</th>
                   <th>Created</th>
@@ -342,13 +340,13 @@ export default function Users() {
               <tbody>
                 {loading ? (
                   <tr>
-                    <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                    <td colSpan="6" style={{ textAlign: 'center', padding: '20px' }}>
                       Loading users...
                     </td>
                   </tr>
                 ) : users.length === 0 ? (
                   <tr>
-                    <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                    <td colSpan="6" style={{ textAlign: 'center', padding: '20px' }}>
                       No users found
                     </td>
                   </tr>
@@ -357,7 +355,6 @@ export default function Users() {
                     <tr key={user.id}>
                       <td>{user.id}</td>
                       <td>{user.username}</td>
-                      <td>{user.password}</td>
                       <td>{user.email || 'N/A'}</td>
                       <td>
                         <span className={`role-badge ${user.role.toLowerCase()}`}>
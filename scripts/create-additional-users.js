@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { hashPassword } = require('./password-hash');
 
 const pool = new Pool({
   user: process.env.DB_USER || 'postgres',
@@ -31,7 +32,7 @@ async function createUsers() {
         // Create new user
         const result = await pool.query(
           'INSERT INTO users (username, password, role) VALUES ($1, $2, $3) RETURNING id, username, role',
-          [userData.username, userData.password, userData.role]
+          [userData.username, hashPassword(userData.password), userData.role]
         );
         
         console.log(`✅ Created user: ${result.rows[0].username} (${result.rows[0].role})`);
@@ -43,7 +44,7 @@ async function createUsers() {
     
     console.log('\n🔍 Checking all users in database...\n');
     
-    const allUsers = await pool.query('SELECT id, username, role, password FROM users ORDER BY id');
+    const allUsers = await pool.query('SELECT id, username, role FROM users ORDER BY id');
     
     console.log('👥 NEXMAX Dashboard Users:');
     console.log('='.repeat(60));
@@ -52,14 +53,13 @@ async function createUsers() {
       console.log(`🆔 ID: ${user.id}`);
       console.log(`👤 Username: ${user.username}`);
       console.log(`🏷️  Role: ${user.role}`);
-      console.log(`🔑 Password: ${user.password}`);
       console.log('-'.repeat(40));
     });
     
-    console.log('\n📋 LOGIN CREDENTIALS:');
+    console.log('\n📋 LOGIN CREDENTIALS (new users only):');
     console.log('='.repeat(40));
-    allUsers.rows.forEach(user => {
-      console.log(`Username: ${user.username} | Password: ${user.password}`);
+    usersToCreate.forEach(userData => {
+      console.log(`Username: ${userData.username} | Password: ${userData.password}`);
     });
     
   } catch (error) {
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { hashPassword } = require('./password-hash');
 
 const pool = new Pool({
   user: process.env.DB_USER || 'postgres',
@@ -43,7 +44,7 @@ async function createAdminUser() {
 
     // Cek apakah admin user sudah ada
     const adminExists = await pool.query(`
-      SELECT * FROM users WHERE username = 'admin'
+      SELECT id, username, email, role FROM users WHERE username = 'admin'
     `);
 
     if (adminExists.rows.length > 0) {
@@ -52,26 +53,26 @@ async function createAdminUser() {
       // Update password admin jika diperlukan
       const updateResult = await pool.query(`
         UPDATE users 
-        SET password = 'admin123', role = 'admin' 
+        SET password = $1, role = 'admin' 
         WHERE username = 'admin'
-        RETURNING *
-      `);
+        RETURNING id, username, email, role
+      `, [hashPassword('admin123')]);
       console.log('🔄 Admin password updated:', updateResult.rows[0]);
     } else {
       console.log('👤 Creating admin user...');
       const insertResult = await pool.query(`
         INSERT INTO users (username, email, password, role, created_at)
-        VALUES ('admin', 'admin@nexmax.com', 'admin123', 'admin', NOW())
-        RETURNING *
-      `);
+        VALUES ('admin', 'admin@nexmax.com', $1, 'admin', NOW())
+        RETURNING id, username, email, role
+      `, [hashPassword('admin123')]);
       console.log('✅ Admin user created successfully:', insertResult.rows[0]);
     }
 
     // Tampilkan semua users
-    const allUsers = await pool.query('SELECT * FROM users ORDER BY id');
+    const allUsers = await pool.query('SELECT id, username, email, role FROM users ORDER BY id');
     console.log('📋 All users in database:');
     allUsers.rows.forEach(user => {
-      console.log(`  - ID: ${user.id}, Username: ${user.username}, Email: ${user.email}, Role: ${user.role}, Password: ${user.password}`);
+      console.log(`  - ID: ${user.id}, Username: ${user.username}, Email: ${user.email}, Role: ${user.role}`);
     });
 
     console.log('\n🎉 Setup completed! You can now login with:');
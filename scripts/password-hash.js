@@ -0,0 +1,17 @@
+// CommonJS copy of hashPassword() from lib/password.js for the node scripts.
+// Must produce the same format: scrypt$N$r$p$<salt hex>$<hash hex>
+const crypto = require('crypto');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+module.exports = { hashPassword };
@@ -34,7 +34,7 @@ async function showAllUsers() {
     
     const validUsers = result.rows.filter(user => 
       user.password && 
-      !user.password.startsWith('$2a$') && 
+      !user.password.startsWith('scrypt$') && 
       user.password.length > 5
     );
     
@@ -1,29 +1,18 @@
 /**
- * Utility functions for consistent date formatting across all transaction pages
+ * Utility functions for consistent date formatting across all transaction pages.
+ * Parsing and formatting live in lib/periods.js, which reads dates as calendar
+ * days (no timezone shift) and understands the upstream M/D/YYYY text dates.
  */
 
+import { formatDate, formatDisplayDate } from '../lib/periods';
+
 /**
  * Format date to display only date (YYYY-MM-DD) without time
  * @param {string|Date} dateValue - The date value to format
  * @returns {string} - Formatted date string (YYYY-MM-DD) or '-' if invalid
  */
 export const formatDateOnly = (dateValue) => {
-  if (!dateValue) return '-';
-  
-  try {
-    const date = new Date(dateValue);
-    if (isNaN(date.getTime())) return '-';
-    
-    // Format as YYYY-MM-DD
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    return `${year}-${month}-${day}`;
-  } catch (error) {
-    console.error('Error formatting date:', error);
-    return '-';
-  }
+  return formatDate(dateValue) || '-';
 };
 
 /**
@@ -32,22 +21,7 @@ export const formatDateOnly = (dateValue) => {
  * @returns {string} - Formatted date string (DD/MM/YYYY) or '-' if invalid
  */
 export const formatDateDisplay = (dateValue) => {
-  if (!dateValue) return '-';
-  
-  try {
-    const date = new Date(dateValue);
-    if (isNaN(date.getTime())) return '-';
-    
-    // Format as DD/MM/YYYY
-    const day = String(date.getDate()).padStart(2, '0');
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const year = date.getFullYear();
-    
-    return `${day}/${month}/${year}`;
-  } catch (error) {
-    console.error('Error formatting date for display:', error);
-    return '-';
-  }
+  return formatDisplayDate(dateValue) || '-';
 };
 
 /**
@@ -56,22 +30,7 @@ export const formatDateDisplay = (dateValue) => {
  * @returns {string} - Formatted date string for input field or empty string if invalid
  */
 export const formatDateForInput = (dateValue) => {
-  if (!dateValue) return '';
-  
-  try {
-    const date = new Date(dateValue);
-    if (isNaN(date.getTime())) return '';
-    
-    // Format as YYYY-MM-DD for input field
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    return `${year}-${month}-${day}`;
-  } catch (error) {
-    console.error('Error formatting date for input:', error);
-    return '';
-  }
+  return formatDate(dateValue) || '';
 };
 
 /**